@@ -0,0 +1,93 @@
+/*
+ * Minimal REST server for trying out AnnotationRestAdapter.
+ * It keeps the annotations in memory and serves this folder, so the examples can be opened from the same origin.
+ *
+ * Usage: node examples/mock-server.js [port]
+ * Then open http://localhost:8080/examples/persistence.html
+ *
+ * Set FAIL_RATE (0 to 1) to let a share of the API requests fail, to try out retrying failed annotations:
+ * FAIL_RATE=0.3 node examples/mock-server.js
+ */
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const port = Number(process.argv[2]) || 8080;
+const failRate = Number(process.env.FAIL_RATE) || 0;
+const root = path.join(__dirname, "..");
+const records = new Map();
+let nextId = 1;
+
+const contentTypes = { ".html": "text/html", ".js": "text/javascript", ".json": "application/json" };
+
+function send(response, status, body) {
+    response.writeHead(status, { "Content-Type": "application/json" });
+    response.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let data = "";
+        request.on("data", (chunk) => (data += chunk));
+        request.on("end", () => {
+            try {
+                resolve(data ? JSON.parse(data) : null);
+            } catch (error) {
+                reject(error);
+            }
+        });
+    });
+}
+
+async function handleApi(request, response, id) {
+    if (Math.random() < failRate) {
+        return send(response, 503, { error: "Simulated failure" });
+    }
+
+    if (id === null && request.method === "GET") {
+        return send(response, 200, Array.from(records.values()));
+    }
+    if (id === null && request.method === "POST") {
+        const record = { ...(await readBody(request)), ID: nextId++ };
+        records.set(record.ID, record);
+        return send(response, 201, record);
+    }
+    if (id !== null && !records.has(id)) {
+        return send(response, 404, { error: `No annotation with ID ${id}` });
+    }
+    if (request.method === "PUT") {
+        const record = { ...(await readBody(request)), ID: id };
+        records.set(id, record);
+        return send(response, 200, record);
+    }
+    if (request.method === "DELETE") {
+        records.delete(id);
+        return send(response, 204);
+    }
+    send(response, 405, { error: "Method not allowed" });
+}
+
+const server = http.createServer((request, response) => {
+    const url = new URL(request.url, `http://localhost:${port}`);
+    const match = url.pathname.match(/^\/api\/annotations(?:\/(\d+))?\/?$/);
+
+    if (match) {
+        handleApi(request, response, match[1] ? Number(match[1]) : null).catch((error) =>
+            send(response, 400, { error: error.message })
+        );
+        return;
+    }
+
+    // Serve the files of the repository, e.g. the examples and src/Annotate.js
+    const file = path.join(root, path.normalize(url.pathname));
+    if (!file.startsWith(root) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        return send(response, 404, { error: "Not found" });
+    }
+    response.writeHead(200, { "Content-Type": contentTypes[path.extname(file)] || "application/octet-stream" });
+    fs.createReadStream(file).pipe(response);
+});
+
+server.listen(port, () => {
+    console.log(`Mock annotation API on http://localhost:${port}/api/annotations`);
+});
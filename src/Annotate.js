@@ -12,830 +12,10637 @@
  * For more information about our projects and services, visit https://sinntelligence.ai
  */
 
-class Annotate {
-    // Constants
-    static MAX_ZOOM = 5; // 500% zoom
-    static MIN_ZOOM = 0.2; // 20% zoom
-    static SCALE_FACTOR = 1.1;
-    static HANDLE_SIZE = 15; // Increase the size of the hitbox for easier hovering
-    static DEFAULT_COLOR = "#FF0000"; // Red
-    static DRAW_ANNOTATION_NAME_OFFSET_X = 20;
-    static DRAW_ANNOTATION_NAME_OFFSET_Y = 50;
-
+/**
+ * Undo/redo history for annotation changes.
+ * Every entry describes one change with enough data to revert and re-apply it. Entries are plain objects:
+ * 'create' entries hold the created annotation and its index in the annotations array, 'clear' entries hold the
+ * removed annotations array, and all other entries (e.g. 'move', 'resize', 'delete', 'relabel') hold snapshots
+ * of the annotation data before and after the change.
+ * Applying the entries is left to the owner of the annotations, the history only manages the stacks.
+ */
+class AnnotationHistory {
     /**
-     * Constructor for the canvas annotation manager.
-     * Initializes the canvas with specified settings and prepares it for drawing and managing annotations.
-     *
-     * @param {string} canvasId - The ID of the canvas element in the DOM.
-     * @param {boolean} shouldShowAnnotations - Flag to indicate whether annotations names should be displayed.
-     * @param {string} currentClassName - The current ontology setting, used for categorizing annotations.
-     * @param {Number} currentClassId - The current class ID, used for identifying the class of annotations.
-     * @param {string} annotationColor - The color for annotations, specified in HEX format (e.g., "#FF0000").
-     * @param {number} handleDrawingSizeHovered - The size of the handle when hovered over, in pixels.
-     * @param {number} handleDrawingSize - The size of the handle when not hovered over, in pixels.
-     * @param {number} annotationDetectionThreshold - The size of the area around an annotation where the cursor is considered to be hovering over it.
-     * @param {string} font - The font style for annotation names.
-     * @param {string} fillStyle - The fill color for annotation names.
+     * Creates an empty history.
      *
+     * @param {number} limit - The maximum number of changes that can be undone.
      */
-    constructor(
-        canvasId,
-        shouldShowAnnotations,
-        currentClassName,
-        currentClassId,
-        annotationColor,
-        handleDrawingSizeHovered = 40,
-        handleDrawingSize = 30,
-        annotationDetectionThreshold = 20,
-        font = "40pt Arial",
-        fillStyle = "black",
-        zoomLevel = 1,
-        transparency = "50"
-    ) {
-        // Initialize properties with provided values
-        this.shouldShowAnnotations = shouldShowAnnotations; // Whether to show annotation names
-        this.currentOntology = currentClassName; // Current ontology setting
-        this.currentClassId = currentClassId; // Current class ID for annotations
-        this.annotationColor = annotationColor; // Color for drawing annotations
-        this.handleDrawingSizeHovered = handleDrawingSizeHovered; // Size of the handle when hovered
-        this.handleDrawingSize = handleDrawingSize; // Size of the handle when not hovered
-        this.annotationDetectionThreshold = annotationDetectionThreshold; // Size of the area around an annotation where the cursor is considered to be hovering over it
-        this.font = font; // Font style for annotation names
-        this.fillStyle = fillStyle; // Fill color for annotation names
-        this.zoomLevel = zoomLevel; // Zoom level for the canvas
-        this.transparency = transparency; // Transparency for the annotations
-
-        // Variables for interaction and calculations
-
-        // Represents the canvas element on the webpage, identified by the provided canvasId.
-        this.canvas = document.getElementById(canvasId);
-
-        // The context of the canvas, used for drawing operations.
-        this.ctx = this.canvas.getContext("2d");
-
-        // Image object used for background or other frame-like purposes on the canvas.
-        this.frame = new Image();
+    constructor(limit) {
+        this.undoStack = []; // Changes that can be undone, the most recent one last
+        this.redoStack = []; // Undone changes that can be redone, the most recently undone one last
+        this._limit = limit;
+    }
 
-        // Horizontal scaling factor for resizing elements on the canvas.
-        this.scaleX = null;
+    /**
+     * The maximum number of changes that can be undone.
+     * Lowering the limit drops the oldest changes.
+     */
+    get limit() {
+        return this._limit;
+    }
 
-        // Vertical scaling factor for resizing elements on the canvas.
-        this.scaleY = null;
+    set limit(limit) {
+        this._limit = Math.max(0, limit);
+        this.undoStack.splice(0, Math.max(0, this.undoStack.length - this._limit));
+    }
 
-        // Array to store annotation objects drawn on the canvas.
-        this.annotations = [];
+    /**
+     * Records a new change. Recording a change discards all changes that could have been redone.
+     *
+     * @param {Object} entry - The change to record, with a 'type' property.
+     * @return {void} This function does not return anything.
+     */
+    push(entry) {
+        this.undoStack.push(entry);
+        this.undoStack.splice(0, Math.max(0, this.undoStack.length - this._limit));
+        this.redoStack = [];
+    }
 
-        // Flag indicating whether the user is currently drawing on the canvas.
-        this.isDrawing = false;
+    /**
+     * Takes the most recent change from the undo stack and moves it to the redo stack.
+     *
+     * @return {Object|null} The change to revert, or null if there is nothing to undo.
+     */
+    undo() {
+        var entry = this.undoStack.pop() || null;
+        if (entry) {
+            this.redoStack.push(entry);
+        }
+        return entry;
+    }
 
-        // Flag indicating whether an element on the canvas is being moved.
-        this.isMoving = false;
+    /**
+     * Takes the most recently undone change from the redo stack and moves it back to the undo stack.
+     *
+     * @return {Object|null} The change to re-apply, or null if there is nothing to redo.
+     */
+    redo() {
+        var entry = this.redoStack.pop() || null;
+        if (entry) {
+            this.undoStack.push(entry);
+        }
+        return entry;
+    }
 
-        // Flag indicating whether an element on the canvas is being resized.
-        this.isResizing = false;
+    /**
+     * @return {boolean} True if there is a change that can be undone.
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
 
-        // Reference to the annotation object currently hovered over by the mouse.
-        this.hoveredAnnotation = null;
+    /**
+     * @return {boolean} True if there is an undone change that can be redone.
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
 
-        // Reference to the handle of the annotation being hovered over.
-        this.hoveredHandle = null;
+    /**
+     * Removes all changes that concern the given annotation, e.g. after its deletion was persisted.
+     *
+     * @param {Object} annotation - The annotation object whose changes are removed.
+     * @return {void} This function does not return anything.
+     */
+    forget(annotation) {
+        var concerns = (entry) =>
+            entry.annotation === annotation ||
+            (entry.annotations && entry.annotations.includes(annotation)) ||
+            (entry.entries && entry.entries.some(concerns));
+        this.undoStack = this.undoStack.filter((entry) => !concerns(entry));
+        this.redoStack = this.redoStack.filter((entry) => !concerns(entry));
+    }
 
-        // Reference to the handle of the annotation currently selected.
-        this.selectedHandle = null;
+    /**
+     * Removes the most recent change without moving it to the redo stack, e.g. after it was rolled back because a
+     * related change was rejected.
+     *
+     * @return {Object|null} The removed change, or null if there is nothing to undo.
+     */
+    discardLast() {
+        return this.undoStack.pop() || null;
+    }
 
-        // Starting X-coordinate offset for moving or resizing operations.
-        this.offsetX_start = null;
+    /**
+     * Combines the most recent changes into a single 'batch' change, so that they are undone and redone together.
+     *
+     * @param {number} count - The number of changes to combine.
+     * @return {void} This function does not return anything.
+     */
+    group(count) {
+        if (count < 2 || this.undoStack.length < count) {
+            return;
+        }
+        var entries = this.undoStack.splice(this.undoStack.length - count, count);
+        this.undoStack.push({ type: "batch", entries: entries });
+    }
 
-        // Starting Y-coordinate offset for moving or resizing operations.
-        this.offsetY_start = null;
+    /**
+     * Forgets all recorded changes.
+     *
+     * @return {void} This function does not return anything.
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
 
-        // Ending X-coordinate offset for moving or resizing operations.
-        this.offsetX_end = null;
+/**
+ * Error thrown when annotations cannot be imported because the input is malformed.
+ * Instead of stopping at the first problem, the parser collects all of them in 'errors'. Every error names the
+ * location of the problem: 'line' for line based formats (YOLO), 'index' for the position of the annotation or
+ * object in JSON and XML based formats (COCO, Pascal VOC).
+ */
+class AnnotationFormatError extends Error {
+    /**
+     * @param {string} format - The format that was parsed, e.g. "yolo".
+     * @param {Object[]} errors - The problems found, each with a 'message' and a 'line' or 'index' property.
+     */
+    constructor(format, errors) {
+        super(
+            `Invalid ${format} annotations:\n` +
+                errors
+                    .map((error) =>
+                        error.line !== undefined
+                            ? `  line ${error.line}: ${error.message}`
+                            : error.index !== undefined
+                              ? `  object ${error.index}: ${error.message}`
+                              : `  ${error.message}`
+                    )
+                    .join("\n")
+        );
+        this.name = "AnnotationFormatError";
+        this.format = format;
+        this.errors = errors;
+    }
+}
 
-        // Ending Y-coordinate offset for moving or resizing operations.
-        this.offsetY_end = null;
+/**
+ * Serializers and parsers for common annotation file formats: COCO JSON, YOLO txt, Pascal VOC XML, and the DOTA
+ * and xywhθ txt formats of oriented boxes.
+ * The converters work on plain shape descriptions with absolute image coordinates:
+ * { type: "box" | "polygon" | "rotated" | "mask", start: {x, y}, end: {x, y}, points: [{x, y}], center: {x, y},
+ * width, height, angle, mask, name, class_id }. The 'angle' of rotated boxes is in degrees, clockwise.
+ * They do not depend on the DOM, so they can also be used outside of the browser.
+ */
+class AnnotationFormats {
+    static FORMATS = ["coco", "yolo", "voc", "dota", "xywha"];
+    static YOLO_PRECISION = 1e6; // Parsed YOLO coordinates are rounded to 1/1,000,000 pixel to undo floating point drift
 
-        // Reference to the annotation object currently being moved.
-        this.movingAnnotation = null;
+    /**
+     * Serializes shapes into the given format.
+     *
+     * @param {string} format - One of "coco", "yolo", "voc", "dota" or "xywha".
+     * @param {Object[]} shapes - The shapes to serialize.
+     * @param {Object} image - The image the shapes belong to, with 'width', 'height' and optionally 'fileName'.
+     * @return {string} The serialized annotations.
+     */
+    static serialize(format, shapes, image) {
+        switch (AnnotationFormats.checkFormat(format)) {
+            case "coco":
+                return AnnotationFormats.toCOCO(shapes, image);
+            case "yolo":
+                return AnnotationFormats.toYOLO(shapes, image);
+            case "voc":
+                return AnnotationFormats.toVOC(shapes, image);
+            case "dota":
+                return AnnotationFormats.toDOTA(shapes);
+            case "xywha":
+                return AnnotationFormats.toXYWHA(shapes);
+        }
+    }
 
-        // Stores the last known position of the mouse or a moved object.
-        this.lastKnownPosition = null;
+    /**
+     * Parses annotations in the given format into shapes.
+     * Coordinates are scaled from the size stored in the file (if any) to the size of the given image.
+     *
+     * @param {string} format - One of "coco", "yolo", "voc", "dota" or "xywha".
+     * @param {string|Object} data - The annotations to parse. COCO data can also be passed as an object.
+     * @param {Object} image - The image the shapes are imported into, with 'width' and 'height'.
+     * @param {Object} [options] - Format specific options:
+     *                             'classes' maps class IDs to names and vice versa, as an array of {id, name};
+     *                             'imageId' selects the image of a COCO file that contains more than one image.
+     * @return {Object[]} The parsed shapes.
+     * @throws {AnnotationFormatError} If the data is malformed. The error lists every problem found.
+     */
+    static parse(format, data, image, options = {}) {
+        switch (AnnotationFormats.checkFormat(format)) {
+            case "coco":
+                return AnnotationFormats.fromCOCO(data, image, options);
+            case "yolo":
+                return AnnotationFormats.fromYOLO(data, image, options);
+            case "voc":
+                return AnnotationFormats.fromVOC(data, image, options);
+            case "dota":
+                return AnnotationFormats.fromDOTA(data, options);
+            case "xywha":
+                return AnnotationFormats.fromXYWHA(data, options);
+        }
+    }
 
-        // Flag indicating whether a new annotation is currently being drawn.
-        this.isDrawingAnnotation = false;
+    /**
+     * @param {string} format - The format name to check.
+     * @return {string} The format name in lower case.
+     * @throws {Error} If the format is not supported.
+     */
+    static checkFormat(format) {
+        var name = String(format).toLowerCase();
+        if (!AnnotationFormats.FORMATS.includes(name)) {
+            throw new Error(
+                `Unknown annotation format "${format}", expected one of: ${AnnotationFormats.FORMATS.join(", ")}`
+            );
+        }
+        return name;
+    }
 
-        // Stores the starting point coordinates for a new annotation.
-        this.newAnnotationStart = null;
+    /**
+     * Looks up the name of a class ID in the 'classes' option.
+     *
+     * @param {Object[]|undefined} classes - The known classes, as an array of {id, name}.
+     * @param {Number} classId - The class ID to look up.
+     * @return {string|undefined} The class name, or undefined if the class is unknown.
+     */
+    static findClassName(classes, classId) {
+        var match = (classes || []).find((c) => String(c.id) === String(classId));
+        return match ? match.name : undefined;
+    }
 
-        // Stores the last X-coordinate during a drawing or moving operation.
-        this.lastX = null;
+    /**
+     * Looks up the ID of a class name in the 'classes' option.
+     *
+     * @param {Object[]|undefined} classes - The known classes, as an array of {id, name}.
+     * @param {string} name - The class name to look up.
+     * @return {Number|undefined} The class ID, or undefined if the class is unknown.
+     */
+    static findClassId(classes, name) {
+        var match = (classes || []).find((c) => c.name === name);
+        return match ? match.id : undefined;
+    }
 
-        // Stores the last Y-coordinate during a drawing or moving operation.
-        this.lastY = null;
+    /**
+     * Creates a shape from a list of points, with the bounding box in 'start' and 'end'.
+     *
+     * @param {Object[]} points - The vertices of the polygon.
+     * @return {Object} A polygon shape without class information.
+     */
+    static polygonShape(points) {
+        var xs = points.map((p) => p.x);
+        var ys = points.map((p) => p.y);
+        return {
+            type: "polygon",
+            points: points,
+            start: { x: Math.min(...xs), y: Math.min(...ys) },
+            end: { x: Math.max(...xs), y: Math.max(...ys) },
+        };
+    }
 
-        // Stores the starting point of a drag operation.
-        this.dragStart = null;
+    /**
+     * Creates a rotated box shape from its four corners, see AnnotationGeometry.fromCorners().
+     *
+     * @param {Object[]} corners - The corners, in order around the box.
+     * @return {Object} A rotated box shape without class information.
+     */
+    static rotatedShape(corners) {
+        var { start, end } = AnnotationFormats.polygonShape(corners);
+        return { type: "rotated", ...AnnotationGeometry.fromCorners(corners), start: start, end: end };
+    }
 
-        // Stores the current point during a drag operation.
-        this.dragged = null;
+    /**
+     * @param {Object} shape - A box or a rotated box.
+     * @return {Object[]} Its corners, clockwise from the top-left one (of the unrotated box).
+     */
+    static getCorners(shape) {
+        if (shape.type === "rotated") {
+            return AnnotationGeometry.getCorners(shape);
+        }
+        return [
+            { x: shape.start.x, y: shape.start.y },
+            { x: shape.end.x, y: shape.start.y },
+            { x: shape.end.x, y: shape.end.y },
+            { x: shape.start.x, y: shape.end.y },
+        ];
+    }
 
-        this.initCanvas(); // initialize the canvas
+    /**
+     * Checks that all values are finite numbers.
+     *
+     * @param {Array} values - The values to check.
+     * @return {boolean} True if every value is a finite number.
+     */
+    static areNumbers(values) {
+        return values.every((value) => typeof value === "number" && isFinite(value));
     }
 
+    // ---- COCO ----
+
     /**
-     * Initializes the canvas and sets up various event listeners for drawing, moving, and resizing annotations.
-     * It handles mouse interactions for dragging the canvas, drawing annotations, and moving or resizing existing annotations.
-     * Additionally, it listens for keyboard events to delete annotations and manages zooming through mouse wheel events.
+     * Serializes shapes into a COCO JSON document with a single image.
+     * Boxes are written as 'bbox' ([x, y, width, height]), polygons additionally as 'segmentation', masks as
+     * 'segmentation' in uncompressed RLE with 'iscrowd' set. Rotated boxes are written with their bounding box as
+     * 'bbox' and their corners as 'segmentation', so they are imported back as polygons.
+     * Attributes are written as an 'attributes' object, like other tools that extend COCO do.
      *
-     * @return {void} This function does not return anything.
+     * @param {Object[]} shapes - The shapes to serialize.
+     * @param {Object} image - The image, with 'width', 'height' and optionally 'fileName'.
+     * @return {string} The COCO JSON document.
      */
-    initCanvas() {
-        // Initialize canvas and context
-        this.trackTransforms();
+    static toCOCO(shapes, image) {
+        var categories = new Map();
+        var annotations = shapes.map((shape, index) => {
+            if (!categories.has(String(shape.class_id))) {
+                categories.set(String(shape.class_id), { id: shape.class_id, name: shape.name });
+            }
+            var width = shape.end.x - shape.start.x;
+            var height = shape.end.y - shape.start.y;
+            var annotation = {
+                id: index + 1,
+                image_id: 1,
+                category_id: shape.class_id,
+                bbox: [shape.start.x, shape.start.y, width, height],
+                area: width * height,
+                iscrowd: 0,
+                segmentation: [],
+            };
+            if (shape.type === "polygon") {
+                annotation.segmentation = [shape.points.flatMap((p) => [p.x, p.y])];
+                annotation.area = AnnotationFormats.polygonArea(shape.points);
+            } else if (shape.type === "rotated") {
+                annotation.segmentation = [AnnotationFormats.getCorners(shape).flatMap((p) => [p.x, p.y])];
+                annotation.area = shape.width * shape.height;
+            } else if (shape.type === "mask") {
+                annotation.segmentation = { size: shape.mask.size.slice(), counts: shape.mask.counts.slice() };
+                annotation.area = AnnotationMask.getArea(shape.mask);
+                annotation.iscrowd = 1;
+            }
+            if (shape.attributes && Object.keys(shape.attributes).length > 0) {
+                annotation.attributes = { ...shape.attributes };
+            }
+            return annotation;
+        });
 
-        // Add a 'mousedown' event listener to the canvas
-        this.canvas.addEventListener(
-            "mousedown",
-            (evt) => {
-                // Check if shift key is pressed and not currently resizing an annotation
-                if (evt.shiftKey && !this.isResizing) {
-                    // Disable text selection on the body to avoid user select issues during dragging
-                    document.body.style.mozUserSelect =
-                        document.body.style.webkitUserSelect =
-                        document.body.style.userSelect =
-                            "none";
-
-                    // Calculate and set the last mouse position, adjusted for scale
-                    this.lastX = (evt.offsetX || evt.pageX - this.canvas.offsetLeft) / this.scaleX;
-                    this.lastY = (evt.offsetY || evt.pageY - this.canvas.offsetTop) / this.scaleY;
-
-                    // Set the starting point for canvas dragging
-                    this.dragStart = this.ctx.transformedPoint(this.lastX, this.lastY);
-                    this.dragged = false;
-                } else if (this.hoveredAnnotation) {
-                    // Check if any annotation is currently hovered
-                    if (this.hoveredHandle) {
-                        // If hovering over a resize handle, start resizing mode
-                        this.isResizing = true;
-                        this.selectedHandle = this.hoveredHandle;
-                    } else {
-                        // If hovering over an annotation but not a handle, start moving mode
-                        this.isMoving = true;
-                        this.movingAnnotation = this.hoveredAnnotation;
-
-                        // Calculate offsets for moving the annotation
-                        this.offsetX_start = this.lastX - this.movingAnnotation.start.x;
-                        this.offsetY_start = this.lastY - this.movingAnnotation.start.y;
-                        this.offsetX_end = this.lastX - this.movingAnnotation.end.x;
-                        this.offsetY_end = this.lastY - this.movingAnnotation.end.y;
-                    }
-                } else if (this.currentOntology !== null) {
-                    // If an ontology is selected, start drawing a new annotation
-                    this.isDrawingAnnotation = true;
-                    var pt = this.ctx.transformedPoint(this.lastX, this.lastY);
-                    this.newAnnotationStart = { x: pt.x, y: pt.y };
-                } else {
-                    // If none of the above, reset interaction flags
-                    this.isMoving = false;
-                    this.isDrawing = false;
-                    this.isResizing = false;
-                }
+        return JSON.stringify(
+            {
+                images: [{ id: 1, file_name: image.fileName || "", width: image.width, height: image.height }],
+                categories: Array.from(categories.values()),
+                annotations: annotations,
             },
-            false
+            null,
+            2
         );
+    }
 
-        // Add a 'mousemove' event listener to the canvas
-        this.canvas.addEventListener(
-            "mousemove",
-            (evt) => {
-                // Update the current mouse position, adjusted for scale
-                this.lastX = (evt.offsetX || evt.pageX - this.canvas.offsetLeft) / this.scaleX;
-                this.lastY = (evt.offsetY || evt.pageY - this.canvas.offsetTop) / this.scaleY;
-
-                // Mark the action as a drag operation
-                this.dragged = true;
-
-                // Handle canvas dragging if it has been initiated
-                if (this.dragStart) {
-                    var pt = this.ctx.transformedPoint(this.lastX, this.lastY);
-                    this.ctx.translate(pt.x - this.dragStart.x, pt.y - this.dragStart.y);
-                }
-
-                // Update the current point for various interactions
-                pt = this.ctx.transformedPoint(this.lastX, this.lastY);
-
-                // Handle hover interactions unless resizing is in progress
-                if (!this.isResizing) {
-                    // Detect if the cursor is hovering over an annotation
-                    this.hoveredAnnotation = this.isHoveringOverAnnotation(pt.x, pt.y);
-
-                    // Set cursor style based on hover state
-                    if (this.hoveredAnnotation) {
-                        this.hoveredHandle = this.isHoveringOverHandle(pt.x, pt.y, this.hoveredAnnotation);
-                        if (this.hoveredHandle) {
-                            this.setCursor(this.hoveredHandle);
-                        } else {
-                            this.canvas.style.cursor = "move";
-                        }
-                    } else {
-                        this.canvas.style.cursor = "default";
-                    }
-                    this.redraw();
-                }
-
-                // Handle moving annotations
-                if (this.movingAnnotation) {
-                    // Calculate new coordinates for the moving annotation
-                    var newStartX = this.lastX - this.offsetX_start;
-                    var newStartY = this.lastY - this.offsetY_start;
-                    var newEndX = this.lastX - this.offsetX_end;
-                    var newEndY = this.lastY - this.offsetY_end;
-
-                    // Constrain to image boundaries
-                    newStartX = Math.max(0, Math.min(newStartX, this.canvas.width));
-                    newStartY = Math.max(0, Math.min(newStartY, this.canvas.height));
-                    newEndX = Math.max(0, Math.min(newEndX, this.canvas.width));
-                    newEndY = Math.max(0, Math.min(newEndY, this.canvas.height));
-
-                    this.movingAnnotation.start.x = newStartX;
-                    this.movingAnnotation.start.y = newStartY;
-                    this.movingAnnotation.end.x = newEndX;
-                    this.movingAnnotation.end.y = newEndY;
-                    // Apply the new coordinates and mark the annotation as edited
-                    this.movingAnnotation.state = "edited";
-                    this.redraw();
-                }
-
-                // Handle resizing annotations
-                if (this.isResizing) {
-                    var pt = this.ctx.transformedPoint(this.lastX, this.lastY);
-
-                    var newStartX = this.hoveredAnnotation.start.x;
-                    var newStartY = this.hoveredAnnotation.start.y;
-                    var newEndX = this.hoveredAnnotation.end.x;
-                    var newEndY = this.hoveredAnnotation.end.y;
-
-                    switch (this.selectedHandle) {
-                        case "top-left":
-                            newStartX = pt.x;
-                            newStartY = pt.y;
-                            break;
-                        case "top-right":
-                            newEndX = pt.x;
-                            newStartY = pt.y;
-                            break;
-                        case "bottom-left":
-                            newStartX = pt.x;
-                            newEndY = pt.y;
-                            break;
-                        case "bottom-right":
-                            newEndX = pt.x;
-                            newEndY = pt.y;
-                            break;
-                        case "top-middle":
-                            newStartY = pt.y;
-                            break;
-                        case "bottom-middle":
-                            newEndY = pt.y;
-                            break;
-                        case "left-middle":
-                            newStartX = pt.x;
-                            break;
-                        case "right-middle":
-                            newEndX = pt.x;
-                            break;
-                    }
+    /**
+     * Parses a COCO JSON document. A bare list of annotations, as written by COCO detection results, is accepted too.
+     * The 'score' of detection results is read as 'confidence'. A 'segmentation' in RLE (uncompressed or compressed)
+     * becomes a mask.
+     *
+     * @param {string|Object|Object[]} data - The COCO document, as JSON text or as an object.
+     * @param {Object} image - The image the shapes are imported into, with 'width' and 'height'.
+     * @param {Object} options - 'imageId' selects the image if the document contains more than one image.
+     * @return {Object[]} The parsed shapes.
+     * @throws {AnnotationFormatError} If the document is malformed.
+     */
+    static fromCOCO(data, image, options) {
+        var coco = data;
+        if (typeof data === "string") {
+            try {
+                coco = JSON.parse(data);
+            } catch (error) {
+                throw new AnnotationFormatError("coco", [{ message: "Invalid JSON: " + error.message }]);
+            }
+        }
+        if (Array.isArray(coco)) {
+            coco = { annotations: coco };
+        }
+        if (!coco || !Array.isArray(coco.annotations)) {
+            throw new AnnotationFormatError("coco", [{ message: "Missing 'annotations' array" }]);
+        }
 
-                    // Constrain to image boundaries
-                    newStartX = Math.max(0, Math.min(newStartX, this.canvas.width));
-                    newStartY = Math.max(0, Math.min(newStartY, this.canvas.height));
-                    newEndX = Math.max(0, Math.min(newEndX, this.canvas.width));
-                    newEndY = Math.max(0, Math.min(newEndY, this.canvas.height));
+        // Find the image whose annotations are imported
+        var images = Array.isArray(coco.images) ? coco.images : [];
+        var source = null;
+        if (options.imageId !== undefined) {
+            source = images.find((item) => item.id === options.imageId);
+            if (!source) {
+                throw new AnnotationFormatError("coco", [{ message: `No image with id ${options.imageId}` }]);
+            }
+        } else if (images.length > 1) {
+            throw new AnnotationFormatError("coco", [
+                { message: "The coco contains more than one image, pass the 'imageId' option to select one" },
+            ]);
+        } else {
+            source = images[0] || null;
+        }
 
-                    this.hoveredAnnotation.start.x = newStartX;
-                    this.hoveredAnnotation.start.y = newStartY;
-                    this.hoveredAnnotation.end.x = newEndX;
-                    this.hoveredAnnotation.end.y = newEndY;
+        // Scale from the image size stored in the coco to the size of the target image
+        var scaleX = source && source.width ? image.width / source.width : 1;
+        var scaleY = source && source.height ? image.height / source.height : 1;
 
-                    // Apply the new coordinates and mark the annotation as edited
-                    this.hoveredAnnotation.state = "edited";
-                    this.redraw();
-                }
+        var categories = new Map();
+        for (var category of Array.isArray(coco.categories) ? coco.categories : []) {
+            categories.set(category.id, category.name);
+        }
 
-                // Handle drawing new annotations
-                if (this.isDrawingAnnotation) {
-                    var tempAnnotation = {
-                        start: this.newAnnotationStart,
-                        end: { x: pt.x, y: pt.y },
-                        annotationColor: this.annotationColor,
-                    };
-                    this.redraw();
-                    this.drawAnnotation(tempAnnotation);
-                }
-            },
-            false
-        );
+        var shapes = [];
+        var errors = [];
+        coco.annotations.forEach((annotation, index) => {
+            if (source && annotation.image_id !== source.id) {
+                return;
+            }
+            var name = categories.has(annotation.category_id)
+                ? categories.get(annotation.category_id)
+                : AnnotationFormats.findClassName(options.classes, annotation.category_id);
+            if (name === undefined) {
+                errors.push({ index: index, message: `Unknown category_id ${annotation.category_id}` });
+                return;
+            }
 
-        // Add a 'mouseup' event listener to the canvas
-        this.canvas.addEventListener(
-            "mouseup",
-            (evt) => {
-                // Reset the starting point for dragging
-                this.dragStart = null;
-
-                // If the canvas wasn't dragged, execute zooming based on the shift key state
-
-                if (!this.dragged) this.zoom(evt.shiftKey ? -this.zoomLevel : this.zoomLevel);
-
-                // Finalize drawing a new annotation
-                if (this.isDrawingAnnotation) {
-                    // Transform the current mouse position to canvas coordinates
-                    var pt = this.ctx.transformedPoint(this.lastX, this.lastY);
-
-                    // Normalize the start and end coordinates of the annotation
-                    let normalizedStart = {
-                        x: Math.min(this.newAnnotationStart.x, pt.x),
-                        y: Math.min(this.newAnnotationStart.y, pt.y),
-                    };
-
-                    let normalizedEnd = {
-                        x: Math.max(this.newAnnotationStart.x, pt.x),
-                        y: Math.max(this.newAnnotationStart.y, pt.y),
-                    };
-
-                    // Calculate the dimensions of the new annotation
-                    var width = normalizedEnd.x - normalizedStart.x;
-                    var height = normalizedEnd.y - normalizedStart.y;
-
-                    // Define minimum size requirements for the annotation
-                    var MIN_WIDTH = this.canvas.width * 0.01; // 1% of canvas width
-                    var MIN_HEIGHT = this.canvas.height * 0.01; // 1% of canvas height
-
-                    // Check if the new annotation meets the minimum size requirements
-                    if (width >= MIN_WIDTH && height >= MIN_HEIGHT) {
-                        // Convert coordinates to relative (percentage) values
-                        let relativ_start = {
-                            x: normalizedStart.x / this.canvas.width,
-                            y: normalizedStart.y / this.canvas.height,
-                        };
-                        let relativ_end = {
-                            x: normalizedEnd.x / this.canvas.width,
-                            y: normalizedEnd.y / this.canvas.height,
-                        };
-
-                        // Add the new annotation to the annotations array
-                        this.annotations.push({
-                            start_relativ: relativ_start,
-                            end_relativ: relativ_end,
-                            start: normalizedStart,
-                            end: normalizedEnd,
-                            name: this.currentOntology,
-                            class_id: this.currentClassId,
-                            annotationColor: this.annotationColor,
-                            state: "unsaved",
-                            ID: null,
-                        });
+            if (
+                annotation.attributes !== undefined &&
+                (typeof annotation.attributes !== "object" || Array.isArray(annotation.attributes))
+            ) {
+                errors.push({ index: index, message: "'attributes' must be an object" });
+                return;
+            }
+            var attributes = annotation.attributes ? { attributes: { ...annotation.attributes } } : {};
 
-                        // Redraw the canvas to reflect the new annotation
-                        this.redraw();
-                    } else {
-                        // Log a message if the annotation is too small
-                        console.log("Annotation is too small and was not created.");
-                    }
+            if (annotation.score !== undefined) {
+                if (typeof annotation.score !== "number" || annotation.score < 0 || annotation.score > 1) {
+                    errors.push({ index: index, message: "'score' must be a number between 0 and 1" });
+                    return;
                 }
+                attributes.confidence = annotation.score;
+            }
 
-                // Dispatch an event to indicate a change in annotations
-                this.dispatchAnnotationChangeEvent();
-
-                // Reset interaction flags to their default state
-                this.resetInteractionFlags();
-            },
-            false
-        );
-
-        // Add a 'keydown' event listener to the entire document
-        document.addEventListener(
-            "keydown",
-            (evt) => {
-                // Check if the pressed key is either 'Delete' or 'Backspace'
-                if (evt.key === "Delete" || evt.key === "Backspace") {
-                    // If there's an annotation currently being hovered over
-                    if (this.hoveredAnnotation) {
-                        // Change the state of the hovered annotation to 'deleted'
-                        this.hoveredAnnotation.state = "deleted";
-
-                        // Redraw the canvas to reflect the deletion of the annotation
-                        this.redraw();
-
-                        // Dispatch an event to indicate a change in annotations
-                        this.dispatchAnnotationChangeEvent();
-                    }
+            var segmentation = annotation.segmentation;
+            if (segmentation && typeof segmentation === "object" && !Array.isArray(segmentation)) {
+                var problem = AnnotationMask.validate(segmentation);
+                if (problem) {
+                    errors.push({ index: index, message: "Invalid 'segmentation' RLE: " + problem });
+                    return;
                 }
-            },
-            false
-        );
+                var bitmap = AnnotationMask.decode(segmentation);
+                shapes.push({
+                    type: "mask",
+                    mask: AnnotationMask.encode(
+                        AnnotationMask.resize(bitmap, image.width || bitmap.width, image.height || bitmap.height)
+                    ),
+                    name: name,
+                    class_id: annotation.category_id,
+                    ...attributes,
+                });
+                return;
+            }
+            if (Array.isArray(segmentation) && segmentation.length > 0) {
+                var flat = segmentation[0];
+                if (
+                    !Array.isArray(flat) ||
+                    flat.length < 6 ||
+                    flat.length % 2 !== 0 ||
+                    !AnnotationFormats.areNumbers(flat)
+                ) {
+                    errors.push({
+                        index: index,
+                        message: "'segmentation' must contain a polygon of at least 3 points",
+                    });
+                    return;
+                }
+                var points = [];
+                for (var i = 0; i < flat.length; i += 2) {
+                    points.push({ x: flat[i] * scaleX, y: flat[i + 1] * scaleY });
+                }
+                shapes.push({
+                    ...AnnotationFormats.polygonShape(points),
+                    name: name,
+                    class_id: annotation.category_id,
+                    ...attributes,
+                });
+                return;
+            }
 
-        this.canvas.addEventListener("DOMMouseScroll", this.handleScroll, false);
-        this.canvas.addEventListener("mousewheel", this.handleScroll, false);
+            var bbox = annotation.bbox;
+            if (!Array.isArray(bbox) || bbox.length !== 4 || !AnnotationFormats.areNumbers(bbox)) {
+                errors.push({ index: index, message: "'bbox' must be an array of 4 numbers [x, y, width, height]" });
+                return;
+            }
+            if (bbox[2] <= 0 || bbox[3] <= 0) {
+                errors.push({ index: index, message: "'bbox' must have a positive width and height" });
+                return;
+            }
+            shapes.push({
+                type: "box",
+                start: { x: bbox[0] * scaleX, y: bbox[1] * scaleY },
+                end: { x: (bbox[0] + bbox[2]) * scaleX, y: (bbox[1] + bbox[3]) * scaleY },
+                name: name,
+                class_id: annotation.category_id,
+                ...attributes,
+            });
+        });
+
+        if (errors.length > 0) {
+            throw new AnnotationFormatError("coco", errors);
+        }
+        return shapes;
     }
 
     /**
-     * Resets various interaction flags and state variables related to canvas and annotation interactions.
-     * This function is typically called after completing an interaction like drawing, moving, or resizing an annotation,
-     * or after completing canvas dragging. It ensures that all interaction-related states are reset to their default (inactive) values.
+     * Calculates the area of a polygon with the shoelace formula.
      *
-     * @return {void} This function does not return anything.
+     * @param {Object[]} points - The vertices of the polygon.
+     * @return {number} The area of the polygon.
      */
-    resetInteractionFlags() {
-        this.isDraggingCanvas = false; // Reset the flag indicating if the canvas is being dragged
-        this.isResizingAnnotationFlag = false; // Reset the flag indicating if an annotation is being resized
-        this.isMovingAnnotationFlag = false; // Reset the flag indicating if an annotation is being moved
-        this.movingAnnotation = null; // Clear the reference to any annotation that was being moved
-        this.isResizing = false; // Reset the flag indicating if a resizing operation is active
-        this.isDrawingAnnotation = false; // Reset the flag indicating if a new annotation is being drawn
-        this.newAnnotationStart = null; // Clear the starting point of a new annotation
-        this.selectedHandle = null; // Clear the reference to any selected resize handle
+    static polygonArea(points) {
+        var area = 0;
+        for (var i = 0, j = points.length - 1; i < points.length; j = i++) {
+            area += (points[j].x + points[i].x) * (points[j].y - points[i].y);
+        }
+        return Math.abs(area / 2);
     }
 
+    // ---- YOLO ----
+
     /**
-     * Calculates and returns the dimensions of a given annotation.
-     * It computes the start and end coordinates, width, and height of the annotation,
-     * ensuring that start coordinates are the top-left point and end coordinates are the bottom-right point.
-     * This function is useful for operations that require knowledge of the exact size and position of an annotation.
+     * Serializes shapes into YOLO txt lines.
+     * Boxes are written as "class_id center_x center_y width height", polygons as "class_id x1 y1 x2 y2 ...",
+     * all normalized to the image size. Rotated boxes are written as polygons of their four corners, like YOLO OBB
+     * labels, so they are imported back as polygons. Class names are not part of the format, and masks are left out.
      *
-     * @param {Object} annotation - The annotation object to calculate dimensions for.
-     *                              It should have 'start' and 'end' properties, each with 'x' and 'y' coordinates.
-     * @return {Object} An object containing the start coordinates (startX, startY), end coordinates (endX, endY),
-     *                  and dimensions (width, height) of the annotation.
+     * @param {Object[]} shapes - The shapes to serialize.
+     * @param {Object} image - The image, with 'width' and 'height'.
+     * @return {string} The YOLO txt content.
      */
-    getAnnotationDimensions(annotation) {
-        var startX = Math.min(annotation.start.x, annotation.end.x);
-        var endX = Math.max(annotation.start.x, annotation.end.x);
-        var startY = Math.min(annotation.start.y, annotation.end.y);
-        var endY = Math.max(annotation.start.y, annotation.end.y);
-        var width = Math.abs(endX - startX);
-        var height = Math.abs(endY - startY);
-        return { startX, startY, width, height, endX, endY };
+    static toYOLO(shapes, image) {
+        return shapes
+            .filter((shape) => shape.type !== "mask")
+            .map((shape) => {
+                if (shape.type === "polygon" || shape.type === "rotated") {
+                    var points = shape.type === "rotated" ? AnnotationFormats.getCorners(shape) : shape.points;
+                    var coordinates = points.flatMap((p) => [p.x / image.width, p.y / image.height]);
+                    return [shape.class_id, ...coordinates].join(" ");
+                }
+                var width = (shape.end.x - shape.start.x) / image.width;
+                var height = (shape.end.y - shape.start.y) / image.height;
+                var centerX = shape.start.x / image.width + width / 2;
+                var centerY = shape.start.y / image.height + height / 2;
+                return [shape.class_id, centerX, centerY, width, height].join(" ");
+            })
+            .join("\n");
     }
 
     /**
-     * Draws the name of a given annotation at specified coordinates on the canvas.
-     * This function sets the font style and color, then renders the annotation's name
-     * at the given x and y coordinates, offset slightly to ensure the text is not drawn
-     * directly at the edge of the annotation.
+     * Parses YOLO txt lines. Empty lines are ignored. A trailing value after the coordinates, as written by
+     * YOLO predictions, is read as 'confidence'.
      *
-     * @param {Object} annotation - The annotation object whose name is to be drawn.
-     *                              Expected to have a 'name' property.
-     * @param {number} x - The x-coordinate on the canvas where the annotation name should begin.
-     * @param {number} y - The y-coordinate on the canvas where the annotation name should begin.
-     * @return {void} This function does not return anything.
+     * @param {string} data - The YOLO txt content.
+     * @param {Object} image - The image the shapes are imported into, with 'width' and 'height'.
+     * @param {Object} options - 'classes' maps the class IDs to names. Without it, the class ID is used as name.
+     * @return {Object[]} The parsed shapes.
+     * @throws {AnnotationFormatError} If a line is malformed.
      */
-    drawAnnotationName(annotation, x, y) {
-        this.ctx.font = this.font; // Set the font for the text
-        this.ctx.fillStyle = this.fillStyle; // Set the text color to black
-        this.ctx.fillText(
-            annotation.name,
-            x + Annotate.DRAW_ANNOTATION_NAME_OFFSET_X,
-            y + Annotate.DRAW_ANNOTATION_NAME_OFFSET_Y
-        ); // Draw the name of the annotation with an offset
-    }
+    static fromYOLO(data, image, options) {
+        var shapes = [];
+        var errors = [];
+        String(data)
+            .split(/\r?\n/)
+            .forEach((text, index) => {
+                var line = index + 1;
+                if (text.trim() === "") {
+                    return;
+                }
+                var tokens = text.trim().split(/\s+/);
+                var values = tokens.map(Number);
+                if (!AnnotationFormats.areNumbers(values)) {
+                    errors.push({ line: line, message: `Expected only numbers, got "${text.trim()}"` });
+                    return;
+                }
+                if (!Number.isInteger(values[0]) || values[0] < 0) {
+                    errors.push({ line: line, message: `Class ID must be a non-negative integer, got "${tokens[0]}"` });
+                    return;
+                }
+                var coordinates = values.slice(1);
+                if (coordinates.some((value) => value < 0 || value > 1)) {
+                    errors.push({ line: line, message: "Coordinates must be normalized to the range [0, 1]" });
+                    return;
+                }
 
-    /**
+                var classId = values[0];
+                var name = AnnotationFormats.findClassName(options.classes, classId);
+                var classInfo = { name: name !== undefined ? name : String(classId), class_id: classId };
+
+                // Boxes have 4 coordinates and polygons an even number, so an odd count ends with a confidence
+                if (coordinates.length >= 5 && coordinates.length % 2 === 1) {
+                    classInfo.confidence = coordinates.pop();
+                }
+
+                if (coordinates.length === 4) {
+                    var [centerX, centerY, width, height] = coordinates;
+                    if (width <= 0 || height <= 0) {
+                        errors.push({ line: line, message: "Width and height must be positive" });
+                        return;
+                    }
+                    shapes.push({
+                        type: "box",
+                        start: {
+                            x: AnnotationFormats.roundYOLO((centerX - width / 2) * image.width),
+                            y: AnnotationFormats.roundYOLO((centerY - height / 2) * image.height),
+                        },
+                        end: {
+                            x: AnnotationFormats.roundYOLO((centerX + width / 2) * image.width),
+                            y: AnnotationFormats.roundYOLO((centerY + height / 2) * image.height),
+                        },
+                        ...classInfo,
+                    });
+                } else if (coordinates.length >= 6 && coordinates.length % 2 === 0) {
+                    var points = [];
+                    for (var i = 0; i < coordinates.length; i += 2) {
+                        points.push({
+                            x: AnnotationFormats.roundYOLO(coordinates[i] * image.width),
+                            y: AnnotationFormats.roundYOLO(coordinates[i + 1] * image.height),
+                        });
+                    }
+                    shapes.push({ ...AnnotationFormats.polygonShape(points), ...classInfo });
+                } else {
+                    errors.push({
+                        line: line,
+                        message: `Expected 5 values (class, center x, center y, width, height) or a class followed by at least 3 x/y pairs, optionally followed by a confidence, got ${tokens.length}`,
+                    });
+                }
+            });
+
+        if (errors.length > 0) {
+            throw new AnnotationFormatError("yolo", errors);
+        }
+        return shapes;
+    }
+
+    /**
+     * Rounds a coordinate parsed from YOLO, so that converting from and to normalized center/size values
+     * gives back the original pixel coordinates.
+     *
+     * @param {number} value - The coordinate in pixels.
+     * @return {number} The rounded coordinate.
+     */
+    static roundYOLO(value) {
+        return Math.round(value * AnnotationFormats.YOLO_PRECISION) / AnnotationFormats.YOLO_PRECISION;
+    }
+
+    // ---- Pascal VOC ----
+
+    /**
+     * Escapes the XML special characters of a text.
+     *
+     * @param {*} value - The value to escape.
+     * @return {string} The escaped text.
+     */
+    static escapeXml(value) {
+        return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+    }
+
+    /**
+     * Serializes shapes into a Pascal VOC XML document.
+     * Every shape becomes an 'object' with a 'bndbox'. Polygons additionally get a 'polygon' element with their
+     * vertices, rotated boxes a 'robndbox' element (as written by roLabelImg) with their center, size and angle in
+     * radians, and the class ID is stored in a 'class_id' element, so that all of them survive a round-trip.
+     * Attributes are written to an 'attributes' element; boolean 'truncated' and 'difficult' attributes also set
+     * the standard elements of the same name. Masks are left out, Pascal VOC stores them as separate images.
+     *
+     * @param {Object[]} shapes - The shapes to serialize.
+     * @param {Object} image - The image, with 'width', 'height' and optionally 'fileName'.
+     * @return {string} The Pascal VOC XML document.
+     */
+    static toVOC(shapes, image) {
+        var xml = AnnotationFormats.escapeXml;
+        var boxes = shapes.filter((shape) => shape.type !== "mask");
+        var objects = boxes.map((shape) => {
+            var attributes = shape.attributes || {};
+            var lines = [
+                "    <object>",
+                `        <name>${xml(shape.name)}</name>`,
+                `        <class_id>${xml(shape.class_id)}</class_id>`,
+                "        <pose>Unspecified</pose>",
+                `        <truncated>${attributes.truncated === true ? 1 : 0}</truncated>`,
+                `        <difficult>${attributes.difficult === true ? 1 : 0}</difficult>`,
+                "        <bndbox>",
+                `            <xmin>${shape.start.x}</xmin>`,
+                `            <ymin>${shape.start.y}</ymin>`,
+                `            <xmax>${shape.end.x}</xmax>`,
+                `            <ymax>${shape.end.y}</ymax>`,
+                "        </bndbox>",
+            ];
+            if (shape.type === "polygon") {
+                lines.push("        <polygon>");
+                for (var p of shape.points) {
+                    lines.push(`            <pt><x>${p.x}</x><y>${p.y}</y></pt>`);
+                }
+                lines.push("        </polygon>");
+            }
+            if (shape.type === "rotated") {
+                lines.push(
+                    "        <robndbox>",
+                    `            <cx>${shape.center.x}</cx>`,
+                    `            <cy>${shape.center.y}</cy>`,
+                    `            <w>${shape.width}</w>`,
+                    `            <h>${shape.height}</h>`,
+                    `            <angle>${(shape.angle * Math.PI) / 180}</angle>`,
+                    "        </robndbox>"
+                );
+            }
+            if (Object.keys(attributes).length > 0) {
+                lines.push("        <attributes>");
+                for (var [name, value] of Object.entries(attributes)) {
+                    var text = value === null || value === undefined ? "" : value;
+                    lines.push(
+                        `            <attribute><name>${xml(name)}</name><value>${xml(text)}</value></attribute>`
+                    );
+                }
+                lines.push("        </attributes>");
+            }
+            lines.push("    </object>");
+            return lines.join("\n");
+        });
+
+        return [
+            "<annotation>",
+            `    <filename>${xml(image.fileName || "")}</filename>`,
+            "    <size>",
+            `        <width>${image.width}</width>`,
+            `        <height>${image.height}</height>`,
+            "        <depth>3</depth>",
+            "    </size>",
+            ...objects,
+            "</annotation>",
+        ].join("\n");
+    }
+
+    /**
+     * Parses an XML document into a tree of elements.
+     * This is a small parser for the element/attribute/text subset used by annotation files and image descriptors
+     * (e.g. Deep Zoom Images): declarations, comments and processing instructions are skipped.
+     *
+     * @param {string} text - The XML document.
+     * @return {Object} The root element, with 'name', 'attributes', 'children' and 'text' properties.
+     * @throws {Error} If the elements are not properly nested.
+     */
+    static parseXml(text) {
+        var root = { name: "#document", attributes: {}, children: [], text: "" };
+        var stack = [root];
+        var decode = (value) =>
+            value
+                .replace(/&lt;/g, "<")
+                .replace(/&gt;/g, ">")
+                .replace(/&quot;/g, '"')
+                .replace(/&apos;/g, "'")
+                .replace(/&amp;/g, "&");
+        var tokens =
+            /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<(\/?)([\w:.-]+)([^>]*?)(\/?)>|([^<]+)/g;
+        var attributePattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        var match;
+        while ((match = tokens.exec(text)) !== null) {
+            var current = stack[stack.length - 1];
+            if (match[1] !== undefined) {
+                current.text += match[1];
+            } else if (match[6] !== undefined) {
+                current.text += decode(match[6]);
+            } else if (match[3] !== undefined) {
+                if (match[2] === "/") {
+                    if (current.name !== match[3]) {
+                        throw new Error(`Unexpected closing tag </${match[3]}>, expected </${current.name}>`);
+                    }
+                    stack.pop();
+                } else {
+                    var element = { name: match[3], attributes: {}, children: [], text: "" };
+                    for (var attribute of match[4].matchAll(attributePattern)) {
+                        element.attributes[attribute[1]] = decode(attribute[2] ?? attribute[3]);
+                    }
+                    current.children.push(element);
+                    if (match[5] !== "/") {
+                        stack.push(element);
+                    }
+                }
+            }
+        }
+        if (stack.length > 1) {
+            throw new Error(`Missing closing tag </${stack[stack.length - 1].name}>`);
+        }
+        return root;
+    }
+
+    /**
+     * Finds the first child element with the given name.
+     *
+     * @param {Object} element - The parent element.
+     * @param {string} name - The element name to look for.
+     * @return {Object|undefined} The child element, or undefined if there is none.
+     */
+    static xmlChild(element, name) {
+        return element && element.children.find((child) => child.name === name);
+    }
+
+    /**
+     * Reads the text of a child element as a number.
+     *
+     * @param {Object} element - The parent element.
+     * @param {string} name - The name of the child element.
+     * @return {number} The number, or NaN if the element is missing or not a number.
+     */
+    static xmlNumber(element, name) {
+        var child = AnnotationFormats.xmlChild(element, name);
+        return child && child.text.trim() !== "" ? Number(child.text.trim()) : NaN;
+    }
+
+    /**
+     * Parses a Pascal VOC XML document.
+     *
+     * @param {string} data - The Pascal VOC XML document.
+     * @param {Object} image - The image the shapes are imported into, with 'width' and 'height'.
+     * @param {Object} options - 'classes' maps class names to IDs for documents without 'class_id' elements.
+     * @return {Object[]} The parsed shapes.
+     * @throws {AnnotationFormatError} If the document or one of its objects is malformed.
+     */
+    static fromVOC(data, image, options) {
+        var tree;
+        try {
+            tree = AnnotationFormats.parseXml(String(data));
+        } catch (error) {
+            throw new AnnotationFormatError("voc", [{ message: "Invalid XML: " + error.message }]);
+        }
+        var root = AnnotationFormats.xmlChild(tree, "annotation");
+        if (!root) {
+            throw new AnnotationFormatError("voc", [{ message: "Missing <annotation> root element" }]);
+        }
+
+        // Scale from the image size stored in the document to the size of the target image
+        var size = AnnotationFormats.xmlChild(root, "size");
+        var sourceWidth = AnnotationFormats.xmlNumber(size, "width");
+        var sourceHeight = AnnotationFormats.xmlNumber(size, "height");
+        var scaleX = sourceWidth > 0 ? image.width / sourceWidth : 1;
+        var scaleY = sourceHeight > 0 ? image.height / sourceHeight : 1;
+
+        var shapes = [];
+        var errors = [];
+        root.children
+            .filter((child) => child.name === "object")
+            .forEach((object, index) => {
+                var nameElement = AnnotationFormats.xmlChild(object, "name");
+                var name = nameElement ? nameElement.text.trim() : "";
+                if (name === "") {
+                    errors.push({ index: index, message: "Missing <name>" });
+                    return;
+                }
+
+                var classId = AnnotationFormats.xmlNumber(object, "class_id");
+                if (isNaN(classId)) {
+                    classId = AnnotationFormats.findClassId(options.classes, name);
+                }
+                if (classId === undefined) {
+                    errors.push({ index: index, message: `Unknown class "${name}", pass it in the 'classes' option` });
+                    return;
+                }
+                var classInfo = { name: name, class_id: classId };
+
+                // Attribute values are read as text, they are converted to the types of the class schema on import
+                var attributesElement = AnnotationFormats.xmlChild(object, "attributes");
+                if (attributesElement) {
+                    classInfo.attributes = {};
+                    for (var attribute of attributesElement.children.filter((child) => child.name === "attribute")) {
+                        var attributeName = AnnotationFormats.xmlChild(attribute, "name");
+                        var attributeValue = AnnotationFormats.xmlChild(attribute, "value");
+                        if (!attributeName || attributeName.text.trim() === "") {
+                            errors.push({ index: index, message: "<attribute> must contain a <name>" });
+                            return;
+                        }
+                        classInfo.attributes[attributeName.text.trim()] = attributeValue ? attributeValue.text : "";
+                    }
+                }
+
+                var robndbox = AnnotationFormats.xmlChild(object, "robndbox");
+                if (robndbox) {
+                    var [cx, cy, w, h, angle] = ["cx", "cy", "w", "h", "angle"].map((key) =>
+                        AnnotationFormats.xmlNumber(robndbox, key)
+                    );
+                    if (!AnnotationFormats.areNumbers([cx, cy, w, h, angle]) || w <= 0 || h <= 0) {
+                        errors.push({
+                            index: index,
+                            message: "<robndbox> must contain numeric <cx>, <cy>, <angle> and positive <w> and <h>",
+                        });
+                        return;
+                    }
+
+                    // The corners are scaled, so that the box stays correct if the image is scaled unevenly
+                    var corners = AnnotationGeometry.getCorners({
+                        center: { x: cx, y: cy },
+                        width: w,
+                        height: h,
+                        angle: (angle * 180) / Math.PI,
+                    }).map((p) => ({ x: p.x * scaleX, y: p.y * scaleY }));
+                    shapes.push({ ...AnnotationFormats.rotatedShape(corners), ...classInfo });
+                    return;
+                }
+
+                var polygon = AnnotationFormats.xmlChild(object, "polygon");
+                if (polygon) {
+                    var points = polygon.children
+                        .filter((child) => child.name === "pt")
+                        .map((pt) => ({
+                            x: AnnotationFormats.xmlNumber(pt, "x") * scaleX,
+                            y: AnnotationFormats.xmlNumber(pt, "y") * scaleY,
+                        }));
+                    if (points.length < 3 || !AnnotationFormats.areNumbers(points.flatMap((p) => [p.x, p.y]))) {
+                        errors.push({
+                            index: index,
+                            message: "<polygon> must contain at least 3 <pt> with <x> and <y>",
+                        });
+                        return;
+                    }
+                    shapes.push({ ...AnnotationFormats.polygonShape(points), ...classInfo });
+                    return;
+                }
+
+                var bndbox = AnnotationFormats.xmlChild(object, "bndbox");
+                var box = ["xmin", "ymin", "xmax", "ymax"].map((key) => AnnotationFormats.xmlNumber(bndbox, key));
+                if (!bndbox || !AnnotationFormats.areNumbers(box)) {
+                    errors.push({
+                        index: index,
+                        message: "<bndbox> must contain numeric <xmin>, <ymin>, <xmax> and <ymax>",
+                    });
+                    return;
+                }
+                if (box[2] <= box[0] || box[3] <= box[1]) {
+                    errors.push({ index: index, message: "<bndbox> must have xmax > xmin and ymax > ymin" });
+                    return;
+                }
+                shapes.push({
+                    type: "box",
+                    start: { x: box[0] * scaleX, y: box[1] * scaleY },
+                    end: { x: box[2] * scaleX, y: box[3] * scaleY },
+                    ...classInfo,
+                });
+            });
+
+        if (errors.length > 0) {
+            throw new AnnotationFormatError("voc", errors);
+        }
+        return shapes;
+    }
+
+    // ---- DOTA ----
+
+    /**
+     * Serializes shapes into DOTA txt lines: "x1 y1 x2 y2 x3 y3 x4 y4 name difficult", with the corners clockwise
+     * in absolute pixels. Boxes, rotated boxes and polygons with 4 vertices are written, other shapes are left out.
+     * 'difficult' is 1 if the boolean attribute of the same name is set.
+     *
+     * @param {Object[]} shapes - The shapes to serialize.
+     * @return {string} The DOTA txt content.
+     */
+    static toDOTA(shapes) {
+        var quadrilaterals = shapes.filter((shape) =>
+            shape.type === "polygon" ? shape.points.length === 4 : shape.type !== "mask"
+        );
+        return quadrilaterals
+            .map((shape) => {
+                var corners = shape.type === "polygon" ? shape.points : AnnotationFormats.getCorners(shape);
+                var difficult = shape.attributes && shape.attributes.difficult === true ? 1 : 0;
+                return [...corners.flatMap((p) => [p.x, p.y]), shape.name, difficult].join(" ");
+            })
+            .join("\n");
+    }
+
+    /**
+     * Parses DOTA txt lines. Empty lines and the 'imagesource:' and 'gsd:' header lines are ignored. Quadrilaterals
+     * that are axis-aligned rectangles become boxes (as written by toDOTA() for boxes), other rectangles rotated
+     * boxes and all others polygons. A 'difficult' flag of 1 sets the attribute of the
+     * same name. Class names may contain spaces, the flag is then required to tell where the name ends.
+     *
+     * @param {string} data - The DOTA txt content.
+     * @param {Object} options - 'classes' maps the class names to IDs.
+     * @return {Object[]} The parsed shapes.
+     * @throws {AnnotationFormatError} If a line is malformed or names an unknown class.
+     */
+    static fromDOTA(data, options) {
+        var shapes = [];
+        var errors = [];
+        String(data)
+            .split(/\r?\n/)
+            .forEach((text, index) => {
+                var line = index + 1;
+                if (text.trim() === "" || /^\s*\w+:/.test(text)) {
+                    return;
+                }
+                var tokens = text.trim().split(/\s+/);
+                var coordinates = tokens.slice(0, 8).map(Number);
+                if (tokens.length < 9 || !AnnotationFormats.areNumbers(coordinates)) {
+                    errors.push({
+                        line: line,
+                        message: `Expected 8 coordinates (x1 y1 ... x4 y4) followed by a class name, got "${text.trim()}"`,
+                    });
+                    return;
+                }
+                var difficult = tokens.length > 9 ? tokens[tokens.length - 1] : "0";
+                if (difficult !== "0" && difficult !== "1") {
+                    errors.push({ line: line, message: `Difficult must be 0 or 1, got "${difficult}"` });
+                    return;
+                }
+                var name = tokens.slice(8, tokens.length > 9 ? -1 : undefined).join(" ");
+                var classId = AnnotationFormats.findClassId(options.classes, name);
+                if (classId === undefined) {
+                    errors.push({ line: line, message: `Unknown class "${name}", pass it in the 'classes' option` });
+                    return;
+                }
+                var classInfo = { name: name, class_id: classId };
+                if (difficult === "1") {
+                    classInfo.attributes = { difficult: true };
+                }
+
+                var points = [];
+                for (var i = 0; i < 8; i += 2) {
+                    points.push({ x: coordinates[i], y: coordinates[i + 1] });
+                }
+                var shape = AnnotationFormats.polygonShape(points);
+                if (AnnotationGeometry.isRectangle(points)) {
+                    shape = AnnotationGeometry.isAxisAligned(points)
+                        ? { type: "box", start: shape.start, end: shape.end }
+                        : AnnotationFormats.rotatedShape(points);
+                }
+                shapes.push({ ...shape, ...classInfo });
+            });
+
+        if (errors.length > 0) {
+            throw new AnnotationFormatError("dota", errors);
+        }
+        return shapes;
+    }
+
+    // ---- xywhθ ----
+
+    /**
+     * Serializes shapes into xywhθ txt lines: "class_id center_x center_y width height angle", in absolute pixels and
+     * with the angle in radians, clockwise. Boxes are written with an angle of 0, polygons and masks are left out.
+     *
+     * @param {Object[]} shapes - The shapes to serialize.
+     * @return {string} The xywhθ txt content.
+     */
+    static toXYWHA(shapes) {
+        var boxes = shapes.filter((shape) => shape.type !== "polygon" && shape.type !== "mask");
+        return boxes
+            .map((shape) => {
+                if (shape.type === "rotated") {
+                    var radians = (shape.angle * Math.PI) / 180;
+                    return [shape.class_id, shape.center.x, shape.center.y, shape.width, shape.height, radians].join(
+                        " "
+                    );
+                }
+                var width = shape.end.x - shape.start.x;
+                var height = shape.end.y - shape.start.y;
+                return [shape.class_id, shape.start.x + width / 2, shape.start.y + height / 2, width, height, 0].join(
+                    " "
+                );
+            })
+            .join("\n");
+    }
+
+    /**
+     * Parses xywhθ txt lines into rotated boxes. Empty lines are ignored. A trailing value after the angle, as
+     * written by detectors, is read as 'confidence'.
+     *
+     * @param {string} data - The xywhθ txt content.
+     * @param {Object} options - 'classes' maps the class IDs to names. Without it, the class ID is used as name.
+     * @return {Object[]} The parsed shapes.
+     * @throws {AnnotationFormatError} If a line is malformed.
+     */
+    static fromXYWHA(data, options) {
+        var shapes = [];
+        var errors = [];
+        String(data)
+            .split(/\r?\n/)
+            .forEach((text, index) => {
+                var line = index + 1;
+                if (text.trim() === "") {
+                    return;
+                }
+                var tokens = text.trim().split(/\s+/);
+                var values = tokens.map(Number);
+                if (!AnnotationFormats.areNumbers(values)) {
+                    errors.push({ line: line, message: `Expected only numbers, got "${text.trim()}"` });
+                    return;
+                }
+                if (values.length !== 6 && values.length !== 7) {
+                    errors.push({
+                        line: line,
+                        message: `Expected 6 values (class, center x, center y, width, height, angle), optionally followed by a confidence, got ${tokens.length}`,
+                    });
+                    return;
+                }
+                if (!Number.isInteger(values[0]) || values[0] < 0) {
+                    errors.push({ line: line, message: `Class ID must be a non-negative integer, got "${tokens[0]}"` });
+                    return;
+                }
+                var [classId, centerX, centerY, width, height, angle] = values;
+                if (width <= 0 || height <= 0) {
+                    errors.push({ line: line, message: "Width and height must be positive" });
+                    return;
+                }
+
+                var name = AnnotationFormats.findClassName(options.classes, classId);
+                var classInfo = { name: name !== undefined ? name : String(classId), class_id: classId };
+                if (values.length === 7) {
+                    classInfo.confidence = values[6];
+                }
+                var box = {
+                    center: { x: centerX, y: centerY },
+                    width: width,
+                    height: height,
+                    angle: AnnotationGeometry.normalizeAngle((angle * 180) / Math.PI),
+                };
+                var { start, end } = AnnotationFormats.polygonShape(AnnotationGeometry.getCorners(box));
+                shapes.push({ type: "rotated", ...box, start: start, end: end, ...classInfo });
+            });
+
+        if (errors.length > 0) {
+            throw new AnnotationFormatError("xywha", errors);
+        }
+        return shapes;
+    }
+}
+
+/**
+ * Persistence adapter that keeps annotation records in memory.
+ * Useful for tests, prototypes and as a reference for writing custom adapters. Every adapter implements
+ * 'create', 'update', 'remove' and 'list', all returning promises.
+ */
+class AnnotationMemoryAdapter {
+    /**
+     * @param {Object[]} [records] - Records to start with. Records without an 'ID' get one assigned.
+     */
+    constructor(records = []) {
+        this.records = new Map(); // Stored records by ID
+        this.nextId = 1; // ID assigned to the next created record
+        records.forEach((record) => {
+            var id = record.ID !== undefined && record.ID !== null ? record.ID : this.nextId++;
+            this.records.set(id, { ...AnnotationModel.cloneData(record), ID: id });
+        });
+    }
+
+    /**
+     * Stores a new record and assigns an ID to it.
+     *
+     * @param {Object} record - The annotation record to store.
+     * @return {Promise<Object>} The stored record, including its new 'ID'.
+     */
+    async create(record) {
+        while (this.records.has(this.nextId)) {
+            this.nextId++;
+        }
+        var stored = { ...AnnotationModel.cloneData(record), ID: this.nextId++ };
+        this.records.set(stored.ID, stored);
+        return AnnotationModel.cloneData(stored);
+    }
+
+    /**
+     * Replaces a stored record.
+     *
+     * @param {Object} record - The annotation record, identified by its 'ID'.
+     * @return {Promise<Object>} The stored record.
+     * @throws {Error} If there is no record with that ID.
+     */
+    async update(record) {
+        if (!this.records.has(record.ID)) {
+            throw new Error(`No annotation with ID ${record.ID}`);
+        }
+        this.records.set(record.ID, AnnotationModel.cloneData(record));
+        return AnnotationModel.cloneData(record);
+    }
+
+    /**
+     * Deletes a stored record.
+     *
+     * @param {Object} record - The annotation record, identified by its 'ID'.
+     * @return {Promise<void>}
+     * @throws {Error} If there is no record with that ID.
+     */
+    async remove(record) {
+        if (!this.records.delete(record.ID)) {
+            throw new Error(`No annotation with ID ${record.ID}`);
+        }
+    }
+
+    /**
+     * @return {Promise<Object[]>} All stored records.
+     */
+    async list() {
+        return Array.from(this.records.values()).map((record) => AnnotationModel.cloneData(record));
+    }
+}
+
+/**
+ * Persistence adapter for a REST API, based on 'fetch'.
+ * The API is expected to follow the usual conventions:
+ * - GET    <url>       returns an array of records
+ * - POST   <url>       creates a record and returns it (with 'ID' or 'id')
+ * - PUT    <url>/<ID>  replaces a record
+ * - DELETE <url>/<ID>  deletes a record
+ * Requests with a status outside of 200-299 are rejected with an error that carries the 'status'.
+ */
+class AnnotationRestAdapter {
+    /**
+     * @param {string} url - The URL of the annotations collection, e.g. "/api/images/42/annotations".
+     * @param {Object} [options] - 'headers' are added to every request (e.g. for authentication);
+     *                             'fetch' replaces the global fetch function.
+     */
+    constructor(url, options = {}) {
+        this.url = url.replace(/\/+$/, "");
+        this.headers = options.headers || {};
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+    }
+
+    /**
+     * Sends a request to the API.
+     *
+     * @param {string} method - The HTTP method.
+     * @param {string} url - The request URL.
+     * @param {Object} [body] - The record to send as JSON.
+     * @return {Promise<Object|null>} The parsed JSON response, or null if the response has no content.
+     * @throws {Error} If the request fails or the API responds with an error status.
+     */
+    async request(method, url, body) {
+        var response = await this.fetch(url, {
+            method: method,
+            headers: { Accept: "application/json", "Content-Type": "application/json", ...this.headers },
+            body: body === undefined ? undefined : JSON.stringify(body),
+        });
+        if (!response.ok) {
+            var error = new Error(`${method} ${url} failed with status ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        var text = await response.text();
+        return text ? JSON.parse(text) : null;
+    }
+
+    /**
+     * @param {Object} record - The annotation record to create.
+     * @return {Promise<Object>} The created record, including its 'ID'.
+     */
+    create(record) {
+        return this.request("POST", this.url, record);
+    }
+
+    /**
+     * @param {Object} record - The annotation record to replace, identified by its 'ID'.
+     * @return {Promise<Object|null>} The stored record, if the API returns it.
+     */
+    update(record) {
+        return this.request("PUT", `${this.url}/${encodeURIComponent(record.ID)}`, record);
+    }
+
+    /**
+     * @param {Object} record - The annotation record to delete, identified by its 'ID'.
+     * @return {Promise<void>}
+     */
+    async remove(record) {
+        await this.request("DELETE", `${this.url}/${encodeURIComponent(record.ID)}`);
+    }
+
+    /**
+     * @return {Promise<Object[]>} All records of the collection.
+     */
+    async list() {
+        return (await this.request("GET", this.url)) || [];
+    }
+}
+
+/**
+ * Uniform grid index for finding annotations by position.
+ * Every item is stored in all grid cells its bounding box touches, so a search only looks at the items of the
+ * cells the search rectangle touches instead of at all items. Items also carry an 'order' (their position in the
+ * stacking order), and searches return them sorted by it.
+ */
+class AnnotationSpatialIndex {
+    /**
+     * @param {number} cellSize - The width and height of a grid cell, in image pixels.
+     */
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // Items by cell key ("column,row")
+        this.entries = new Map(); // Bounding box, order and cell keys by item
+    }
+
+    /**
+     * @return {number} The number of indexed items.
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Returns the keys of all grid cells touched by a rectangle.
+     *
+     * @param {Object} bounds - The rectangle, with 'minX', 'minY', 'maxX' and 'maxY'.
+     * @return {string[]} The cell keys.
+     */
+    getCellKeys(bounds) {
+        var keys = [];
+        var minColumn = Math.floor(bounds.minX / this.cellSize);
+        var maxColumn = Math.floor(bounds.maxX / this.cellSize);
+        var minRow = Math.floor(bounds.minY / this.cellSize);
+        var maxRow = Math.floor(bounds.maxY / this.cellSize);
+        for (var column = minColumn; column <= maxColumn; column++) {
+            for (var row = minRow; row <= maxRow; row++) {
+                keys.push(column + "," + row);
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Adds an item, or replaces the bounding box and order of an indexed item.
+     *
+     * @param {Object} item - The item to index.
+     * @param {Object} bounds - Its bounding box, with 'minX', 'minY', 'maxX' and 'maxY'.
+     * @param {number} order - Its position in the stacking order.
+     * @return {void} This function does not return anything.
+     */
+    insert(item, bounds, order) {
+        this.remove(item);
+        var keys = this.getCellKeys(bounds);
+        for (var key of keys) {
+            var cell = this.cells.get(key);
+            if (!cell) {
+                this.cells.set(key, (cell = new Set()));
+            }
+            cell.add(item);
+        }
+        this.entries.set(item, { bounds: bounds, order: order, keys: keys });
+    }
+
+    /**
+     * Replaces the bounding box of an indexed item, keeping its order.
+     *
+     * @param {Object} item - The indexed item.
+     * @param {Object} bounds - The new bounding box.
+     * @return {boolean} True if the item was updated, false if it is not indexed.
+     */
+    update(item, bounds) {
+        var entry = this.entries.get(item);
+        if (!entry) {
+            return false;
+        }
+        this.insert(item, bounds, entry.order);
+        return true;
+    }
+
+    /**
+     * Removes an item.
+     *
+     * @param {Object} item - The item to remove.
+     * @return {boolean} True if the item was removed, false if it was not indexed.
+     */
+    remove(item) {
+        var entry = this.entries.get(item);
+        if (!entry) {
+            return false;
+        }
+        for (var key of entry.keys) {
+            var cell = this.cells.get(key);
+            cell.delete(item);
+            if (cell.size === 0) {
+                this.cells.delete(key);
+            }
+        }
+        this.entries.delete(item);
+        return true;
+    }
+
+    /**
+     * @param {Object} item - The item to look up.
+     * @return {boolean} True if the item is indexed.
+     */
+    has(item) {
+        return this.entries.has(item);
+    }
+
+    /**
+     * Finds all items whose bounding box overlaps a rectangle (touching counts as overlapping).
+     *
+     * @param {number} minX - The left edge of the rectangle.
+     * @param {number} minY - The top edge of the rectangle.
+     * @param {number} maxX - The right edge of the rectangle.
+     * @param {number} maxY - The bottom edge of the rectangle.
+     * @return {Object[]} The items, sorted by their order (lowest first).
+     */
+    search(minX, minY, maxX, maxY) {
+        var found = new Set();
+        for (var key of this.getCellKeys({ minX, minY, maxX, maxY })) {
+            var cell = this.cells.get(key);
+            if (cell) {
+                cell.forEach((item) => found.add(item));
+            }
+        }
+        var result = [];
+        for (var item of found) {
+            var bounds = this.entries.get(item).bounds;
+            if (bounds.minX <= maxX && bounds.maxX >= minX && bounds.minY <= maxY && bounds.maxY >= minY) {
+                result.push(item);
+            }
+        }
+        return result.sort((a, b) => this.entries.get(a).order - this.entries.get(b).order);
+    }
+
+    /**
+     * Removes all items.
+     *
+     * @return {void} This function does not return anything.
+     */
+    clear() {
+        this.cells.clear();
+        this.entries.clear();
+    }
+}
+
+/**
+ * Source of the tiles of a tiled image pyramid, for images too large to be loaded and drawn as a whole
+ * (e.g. whole-slide microscopy or satellite images).
+ * Levels are numbered like in Deep Zoom Images: the highest level ('maxLevel') has the full resolution, and every
+ * level below it has half the width and height of the level above. Every level is split into tiles of 'tileWidth'
+ * x 'tileHeight' pixels, which may overlap their neighbors by 'overlap' pixels.
+ * Tiles are loaded from a URL template or from a tile provider function, see the constructor.
+ */
+class AnnotationTileSource {
+    /**
+     * @param {Object} options - The description of the pyramid:
+     *                           'width' and 'height' of the full-resolution image (required);
+     *                           'tileSize' (default 256), or 'tileWidth' and 'tileHeight';
+     *                           'overlap' (default 0) in pixels;
+     *                           'minLevel' (default 0), the lowest level that has tiles;
+     *                           'url', a URL template with the placeholders {level}, {column} (or {x}) and {row}
+     *                           (or {y}), e.g. "https://example.com/slide_files/{level}/{column}_{row}.jpg";
+     *                           'getTile(level, column, row)', a tile provider function used instead of 'url'.
+     *                           It returns the URL of the tile, or an image, canvas or ImageBitmap, or a promise
+     *                           resolving to either;
+     *                           'crossOrigin', the CORS setting for images loaded from URLs (e.g. "anonymous").
+     * @throws {Error} If the size is missing or neither 'url' nor 'getTile' is given.
+     */
+    constructor(options) {
+        if (!(options.width > 0) || !(options.height > 0)) {
+            throw new Error("A tile source needs the 'width' and 'height' of the full-resolution image");
+        }
+        if (!options.url && typeof options.getTile !== "function") {
+            throw new Error("A tile source needs a 'url' template or a 'getTile' function");
+        }
+        this.width = options.width;
+        this.height = options.height;
+        this.tileWidth = options.tileWidth || options.tileSize || 256;
+        this.tileHeight = options.tileHeight || options.tileSize || 256;
+        this.overlap = options.overlap || 0;
+        this.maxLevel = Math.ceil(Math.log2(Math.max(this.width, this.height)));
+        this.minLevel = Math.max(0, Math.min(options.minLevel || 0, this.maxLevel));
+        this.url = options.url || null;
+        this.getTile = options.getTile || null;
+        this.crossOrigin = options.crossOrigin ?? null;
+    }
+
+    /**
+     * Creates a tile source from a Deep Zoom Image (DZI) descriptor.
+     *
+     * @param {string} url - The URL of the .dzi (XML) or .json descriptor. The tiles are expected in the
+     *                       "<name>_files" folder next to it, as usual for Deep Zoom Images.
+     * @param {Object} [options] - 'fetch' replaces the global fetch function; all other options are passed to
+     *                             the constructor (e.g. 'crossOrigin').
+     * @return {Promise<AnnotationTileSource>} The tile source.
+     * @throws {Error} If the descriptor cannot be loaded or is malformed.
+     */
+    static async fromDZI(url, options = {}) {
+        var text = await AnnotationTileSource.fetchText(url, options);
+        return AnnotationTileSource.parseDZI(text, url, options);
+    }
+
+    /**
+     * Creates a tile source from the text of a Deep Zoom Image (DZI) descriptor, in XML or JSON.
+     *
+     * @param {string} text - The descriptor.
+     * @param {string} url - The URL of the descriptor, used to build the tile URLs.
+     * @param {Object} [options] - Passed to the constructor.
+     * @return {AnnotationTileSource} The tile source.
+     * @throws {Error} If the descriptor is malformed.
+     */
+    static parseDZI(text, url, options = {}) {
+        var image;
+        if (text.trim().startsWith("{")) {
+            image = JSON.parse(text).Image || {};
+            image = { ...image, Width: (image.Size || {}).Width, Height: (image.Size || {}).Height };
+        } else {
+            var root = AnnotationFormats.xmlChild(AnnotationFormats.parseXml(text), "Image");
+            var size = AnnotationFormats.xmlChild(root, "Size");
+            if (!root || !size) {
+                throw new Error("Invalid Deep Zoom descriptor: <Image> with a <Size> element expected");
+            }
+            image = { ...root.attributes, ...size.attributes };
+        }
+        // The tiles are in the "<name>_files" folder next to the descriptor, unless the descriptor names the folder
+        var folder = image.Url || url.replace(/\.(dzi|xml|json)(\?.*)?$/i, "") + "_files/";
+        return new AnnotationTileSource({
+            ...options,
+            width: Number(image.Width),
+            height: Number(image.Height),
+            tileSize: Number(image.TileSize),
+            overlap: Number(image.Overlap) || 0,
+            url: `${folder}{level}/{column}_{row}.${image.Format || "jpg"}`,
+        });
+    }
+
+    /**
+     * Creates a tile source for an image served by a IIIF Image API server.
+     *
+     * @param {string} url - The URL of the image's info.json, or the image URL without it.
+     * @param {Object} [options] - 'fetch' replaces the global fetch function; all other options are passed to
+     *                             the constructor (e.g. 'crossOrigin').
+     * @return {Promise<AnnotationTileSource>} The tile source.
+     * @throws {Error} If the info.json cannot be loaded or is malformed.
+     */
+    static async fromIIIF(url, options = {}) {
+        var infoUrl = /info\.json(\?.*)?$/.test(url) ? url : url.replace(/\/+$/, "") + "/info.json";
+        var info = JSON.parse(await AnnotationTileSource.fetchText(infoUrl, options));
+        return AnnotationTileSource.parseIIIF(info, options);
+    }
+
+    /**
+     * Creates a tile source from a IIIF Image API info.json document (version 2 or 3).
+     * The scale factors of the first tile description become the levels of the pyramid.
+     *
+     * @param {Object} info - The parsed info.json.
+     * @param {Object} [options] - Passed to the constructor.
+     * @return {AnnotationTileSource} The tile source.
+     */
+    static parseIIIF(info, options = {}) {
+        var id = String(info.id || info["@id"]).replace(/\/+$/, "");
+        var tiles = (info.tiles && info.tiles[0]) || {};
+        var tileWidth = tiles.width || 256;
+        var tileHeight = tiles.height || tileWidth;
+        var scaleFactors = tiles.scaleFactors || [1];
+        var format = (info.preferredFormats && info.preferredFormats[0]) || "jpg";
+
+        var source = new AnnotationTileSource({
+            ...options,
+            width: info.width,
+            height: info.height,
+            tileWidth: tileWidth,
+            tileHeight: tileHeight,
+            getTile: (level, column, row) => {
+                // The tile's region in full-resolution pixels, and its size when scaled down to the level
+                var factor = 2 ** (source.maxLevel - level);
+                var x = column * tileWidth * factor;
+                var y = row * tileHeight * factor;
+                var width = Math.min(tileWidth * factor, info.width - x);
+                var height = Math.min(tileHeight * factor, info.height - y);
+                return `${id}/${x},${y},${width},${height}/${Math.ceil(width / factor)},/0/default.${format}`;
+            },
+        });
+        source.minLevel = Math.max(0, source.maxLevel - Math.round(Math.log2(Math.max(...scaleFactors))));
+        return source;
+    }
+
+    /**
+     * Loads a text document, e.g. an image descriptor.
+     *
+     * @param {string} url - The URL of the document.
+     * @param {Object} options - 'fetch' replaces the global fetch function.
+     * @return {Promise<string>} The text of the document.
+     * @throws {Error} If the request fails.
+     */
+    static async fetchText(url, options) {
+        var response = await (options.fetch || fetch)(url);
+        if (!response.ok) {
+            throw new Error(`GET ${url} failed with status ${response.status}`);
+        }
+        return response.text();
+    }
+
+    /**
+     * Loads an image from a URL.
+     *
+     * @param {string} url - The URL of the image.
+     * @param {string|null} crossOrigin - The CORS setting, or null for none.
+     * @return {Promise<HTMLImageElement>} The loaded image.
+     */
+    static loadImage(url, crossOrigin) {
+        return new Promise((resolve, reject) => {
+            var image = new Image();
+            if (crossOrigin !== null) {
+                image.crossOrigin = crossOrigin;
+            }
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error(`Could not load image ${url}`));
+            image.src = url;
+        });
+    }
+
+    /**
+     * @param {number} level - The level.
+     * @return {number} The size of the level relative to the full resolution (1 for 'maxLevel', 0.5 below, ...).
+     */
+    getLevelScale(level) {
+        return 2 ** (level - this.maxLevel);
+    }
+
+    /**
+     * Returns the level whose resolution best fits a zoom scale, i.e. the lowest level that is at least as detailed.
+     *
+     * @param {number} scale - Screen pixels per full-resolution image pixel.
+     * @return {number} The level, between 'minLevel' and 'maxLevel'.
+     */
+    getLevelForScale(scale) {
+        var level = this.maxLevel + Math.ceil(Math.log2(scale) - 1e-9);
+        return Math.max(this.minLevel, Math.min(this.maxLevel, level));
+    }
+
+    /**
+     * Returns the range of tiles of a level that cover a rectangle of the image.
+     *
+     * @param {number} level - The level.
+     * @param {Object} bounds - The rectangle in full-resolution image coordinates, with 'minX', 'minY', 'maxX' and
+     *                          'maxY'.
+     * @return {Object} The first and last 'column' and 'row' ('minColumn', 'maxColumn', 'minRow', 'maxRow').
+     */
+    getTileRange(level, bounds) {
+        var scale = this.getLevelScale(level);
+        var columns = Math.ceil(Math.ceil(this.width * scale) / this.tileWidth);
+        var rows = Math.ceil(Math.ceil(this.height * scale) / this.tileHeight);
+        var clamp = (value, count) => Math.max(0, Math.min(count - 1, value));
+        return {
+            minColumn: clamp(Math.floor((bounds.minX * scale) / this.tileWidth), columns),
+            maxColumn: clamp(Math.floor((bounds.maxX * scale) / this.tileWidth), columns),
+            minRow: clamp(Math.floor((bounds.minY * scale) / this.tileHeight), rows),
+            maxRow: clamp(Math.floor((bounds.maxY * scale) / this.tileHeight), rows),
+        };
+    }
+
+    /**
+     * Returns the rectangle of the image that a tile shows, including the overlap with its neighbors.
+     *
+     * @param {number} level - The level of the tile.
+     * @param {number} column - The column of the tile.
+     * @param {number} row - The row of the tile.
+     * @return {Object} The rectangle in full-resolution image coordinates, with 'x', 'y', 'width' and 'height'.
+     */
+    getTileRect(level, column, row) {
+        var scale = this.getLevelScale(level);
+        var levelWidth = Math.ceil(this.width * scale);
+        var levelHeight = Math.ceil(this.height * scale);
+        var left = Math.max(0, column * this.tileWidth - this.overlap);
+        var top = Math.max(0, row * this.tileHeight - this.overlap);
+        var right = Math.min(levelWidth, (column + 1) * this.tileWidth + this.overlap);
+        var bottom = Math.min(levelHeight, (row + 1) * this.tileHeight + this.overlap);
+        return { x: left / scale, y: top / scale, width: (right - left) / scale, height: (bottom - top) / scale };
+    }
+
+    /**
+     * Returns the URL of a tile, filled in from the 'url' template.
+     *
+     * @param {number} level - The level of the tile.
+     * @param {number} column - The column of the tile.
+     * @param {number} row - The row of the tile.
+     * @return {string} The URL.
+     */
+    getTileUrl(level, column, row) {
+        return this.url
+            .replace(/\{level\}/g, level)
+            .replace(/\{(column|x)\}/g, column)
+            .replace(/\{(row|y)\}/g, row);
+    }
+
+    /**
+     * Loads a tile, through the tile provider function or the URL template.
+     *
+     * @param {number} level - The level of the tile.
+     * @param {number} column - The column of the tile.
+     * @param {number} row - The row of the tile.
+     * @return {Promise<CanvasImageSource>} The tile image.
+     */
+    async loadTile(level, column, row) {
+        var tile = this.getTile ? await this.getTile(level, column, row) : this.getTileUrl(level, column, row);
+        return typeof tile === "string" ? AnnotationTileSource.loadImage(tile, this.crossOrigin) : tile;
+    }
+}
+
+/**
+ * Least recently used cache for loaded tiles.
+ * When the cache is full, adding a tile drops the tile that was used least recently. Dropped ImageBitmaps are
+ * closed to free their memory right away.
+ */
+class AnnotationTileCache {
+    /**
+     * @param {number} capacity - The maximum number of tiles kept.
+     */
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.entries = new Map(); // Tiles by key, the least recently used first
+    }
+
+    /**
+     * @return {number} The number of cached tiles.
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Returns a cached tile and marks it as the most recently used one.
+     *
+     * @param {string} key - The key of the tile.
+     * @return {Object|undefined} The cached tile, or undefined if it is not cached.
+     */
+    get(key) {
+        var entry = this.entries.get(key);
+        if (entry !== undefined) {
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+        }
+        return entry;
+    }
+
+    /**
+     * Returns a cached tile without changing the order of use.
+     *
+     * @param {string} key - The key of the tile.
+     * @return {Object|undefined} The cached tile, or undefined if it is not cached.
+     */
+    peek(key) {
+        return this.entries.get(key);
+    }
+
+    /**
+     * Adds a tile as the most recently used one, dropping the least recently used tiles if the cache is full.
+     *
+     * @param {string} key - The key of the tile.
+     * @param {Object} entry - The tile, with an 'image' property once it is loaded.
+     * @return {void} This function does not return anything.
+     */
+    set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        for (var [oldKey, oldEntry] of this.entries) {
+            if (this.entries.size <= this.capacity) {
+                break;
+            }
+            this.entries.delete(oldKey);
+            this.release(oldEntry);
+        }
+    }
+
+    /**
+     * Drops all tiles.
+     *
+     * @return {void} This function does not return anything.
+     */
+    clear() {
+        this.entries.forEach((entry) => this.release(entry));
+        this.entries.clear();
+    }
+
+    /**
+     * Frees the memory of a dropped tile, if possible.
+     *
+     * @param {Object} entry - The dropped tile.
+     * @return {void} This function does not return anything.
+     */
+    release(entry) {
+        if (entry.image && typeof entry.image.close === "function") {
+            entry.image.close();
+        }
+        entry.released = true;
+    }
+}
+
+/**
+ * Event emitter for the events of a single Annotate instance.
+ * Only the event types passed to the constructor can be listened to, so that typos in event names fail loudly.
+ * Listeners receive a plain event object with the 'type', the 'target' (the Annotate instance) and the
+ * event specific data. Listeners of vetoable events can call 'event.preventDefault()' to reject the change.
+ */
+class AnnotationEmitter {
+    /**
+     * @param {Object} target - The object the events are about, passed to listeners as 'event.target'.
+     * @param {string[]} types - The event types that can be listened to.
+     */
+    constructor(target, types) {
+        this.target = target;
+        this.listeners = new Map(types.map((type) => [type, []])); // Listeners by event type, in the order added
+    }
+
+    /**
+     * Adds a listener for an event type.
+     *
+     * @param {string} type - The event type, e.g. "annotation:create".
+     * @param {Function} listener - Called with the event object.
+     * @return {Function} A function that removes the listener again.
+     * @throws {Error} If the event type is unknown.
+     */
+    on(type, listener) {
+        this.getListeners(type).push(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Removes a listener added with 'on' or 'once'.
+     *
+     * @param {string} type - The event type.
+     * @param {Function} listener - The listener to remove.
+     * @return {void} This function does not return anything.
+     */
+    off(type, listener) {
+        var listeners = this.getListeners(type);
+        var index = listeners.findIndex((item) => item === listener || item.listener === listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Adds a listener that is removed after it was called once.
+     *
+     * @param {string} type - The event type.
+     * @param {Function} listener - Called with the event object.
+     * @return {Function} A function that removes the listener again.
+     */
+    once(type, listener) {
+        var wrapper = (event) => {
+            this.off(type, wrapper);
+            listener.call(this.target, event);
+        };
+        wrapper.listener = listener; // Lets 'off' find the wrapper by the original listener
+        return this.on(type, wrapper);
+    }
+
+    /**
+     * Calls all listeners of an event type.
+     * An exception thrown by a listener is logged and does not keep the other listeners from being called.
+     *
+     * @param {string} type - The event type.
+     * @param {Object} [detail] - The event specific data, copied onto the event object.
+     * @return {Object} The event object. Its 'defaultPrevented' is true if a listener rejected the change.
+     */
+    emit(type, detail = {}) {
+        var event = {
+            type: type,
+            target: this.target,
+            ...detail,
+            defaultPrevented: false,
+            preventDefault() {
+                this.defaultPrevented = true;
+            },
+        };
+        for (var listener of this.getListeners(type).slice()) {
+            try {
+                listener.call(this.target, event);
+            } catch (error) {
+                console.error(`Error in "${type}" listener:`, error);
+            }
+        }
+        return event;
+    }
+
+    /**
+     * @param {string} type - The event type.
+     * @return {Function[]} The listeners of the event type.
+     * @throws {Error} If the event type is unknown.
+     */
+    getListeners(type) {
+        var listeners = this.listeners.get(type);
+        if (!listeners) {
+            throw new Error(
+                `Unknown event "${type}", expected one of: ${Array.from(this.listeners.keys()).join(", ")}`
+            );
+        }
+        return listeners;
+    }
+}
+
+/**
+ * Popover that edits the attributes of the selected annotation, see Annotate.setAttributeEditor().
+ * It shows one field per attribute of the class schema (a checkbox, a select, a number or a text input) next to
+ * the annotation, and writes every change through Annotate.setAttribute(), so that changes can be undone.
+ */
+class AnnotationAttributeEditor {
+    /**
+     * @param {Annotate} annotate - The instance whose selected annotation is edited.
+     * @param {HTMLElement} [container] - The element the popover is added to, document.body by default.
+     */
+    constructor(annotate, container = document.body) {
+        this.annotate = annotate;
+        this.annotation = null; // The annotation being edited, or null if the popover is closed
+
+        this.element = document.createElement("div");
+        this.element.className = "annotate-attribute-editor";
+        Object.assign(this.element.style, {
+            position: "absolute",
+            display: "none",
+            zIndex: "1000",
+            padding: "6px 8px",
+            background: "white",
+            border: "1px solid #888",
+            borderRadius: "4px",
+            font: "12px sans-serif",
+        });
+        this.element.addEventListener("keydown", (evt) => {
+            if (evt.key === "Escape") {
+                this.close();
+            }
+        });
+        container.appendChild(this.element);
+
+        this.unsubscribe = [
+            annotate.on("selection:change", (event) => this.open(event.annotation)),
+            annotate.on("annotation:update", (event) => {
+                if (event.annotations.includes(this.annotation)) {
+                    this.render();
+                    this.position();
+                }
+            }),
+            annotate.on("viewport:change", () => this.position()),
+            annotate.on("annotation:delete", (event) => {
+                if (event.annotations.includes(this.annotation)) {
+                    this.close();
+                }
+            }),
+        ];
+    }
+
+    /**
+     * Opens the popover for an annotation. It stays closed for annotations whose class has no attributes.
+     *
+     * @param {Object|null} annotation - The annotation to edit, or null to close the popover.
+     * @return {void} This function does not return anything.
+     */
+    open(annotation) {
+        if (!annotation || this.annotate.getAttributeSchema(annotation.class_id).length === 0) {
+            this.close();
+            return;
+        }
+        this.annotation = annotation;
+        this.render();
+        this.element.style.display = "block";
+        this.position();
+    }
+
+    /**
+     * @return {void} This function does not return anything.
+     */
+    close() {
+        this.annotation = null;
+        this.element.style.display = "none";
+    }
+
+    /**
+     * Rebuilds the fields from the schema and the current attribute values of the annotation.
+     *
+     * @param {Object} [error] - A value that was rejected, as {name, message}, shown below the field of the attribute.
+     * @return {void} This function does not return anything.
+     */
+    render(error) {
+        if (!this.annotation) {
+            return;
+        }
+        var annotation = this.annotation;
+        var values = annotation.attributes || {};
+        var missing = this.annotate.getMissingAttributes(annotation);
+        this.element.innerHTML = "";
+
+        for (var definition of this.annotate.getAttributeSchema(annotation.class_id)) {
+            var value = definition.name in values ? values[definition.name] : definition.default;
+            var row = document.createElement("label");
+            row.style.display = "block";
+            row.style.margin = "2px 0";
+            row.textContent = (definition.label || definition.name) + (definition.required ? " *" : "") + " ";
+            row.appendChild(this.createField(definition, value));
+            if (missing.includes(definition.name)) {
+                row.className = "annotate-attribute-missing";
+                row.style.color = "#c00";
+            }
+            if (error && error.name === definition.name) {
+                var message = document.createElement("div");
+                message.className = "annotate-attribute-error";
+                message.style.color = "#c00";
+                message.textContent = error.message;
+                row.appendChild(message);
+            }
+            this.element.appendChild(row);
+        }
+    }
+
+    /**
+     * Creates the input element for an attribute.
+     *
+     * @param {Object} definition - The attribute definition from the class schema.
+     * @param {*} value - The current value of the attribute.
+     * @return {HTMLElement} The input element.
+     */
+    createField(definition, value) {
+        var field;
+        var read;
+        if (definition.type === "boolean") {
+            field = document.createElement("input");
+            field.type = "checkbox";
+            field.checked = !!value;
+            read = () => field.checked;
+        } else if (definition.type === "enum") {
+            field = document.createElement("select");
+            for (var option of [null, ...definition.options]) {
+                var element = document.createElement("option");
+                element.value = option === null ? "" : String(option);
+                element.textContent = option === null ? "" : String(option);
+                field.appendChild(element);
+            }
+            field.value = value === null || value === undefined ? "" : String(value);
+            read = () => (field.value === "" ? null : field.value);
+        } else {
+            field = document.createElement("input");
+            field.type = definition.type === "number" ? "number" : "text";
+            field.value = value === null || value === undefined ? "" : String(value);
+            read = () => (field.value === "" ? null : field.value);
+        }
+
+        field.addEventListener("change", () => {
+            try {
+                this.annotate.setAttribute(this.annotation, definition.name, read());
+            } catch (error) {
+                // An invalid value (e.g. a number out of range) is not applied, show the current value and why
+                this.render({ name: definition.name, message: error.message });
+            }
+        });
+        return field;
+    }
+
+    /**
+     * Places the popover next to the top right corner of the annotation.
+     *
+     * @return {void} This function does not return anything.
+     */
+    position() {
+        if (!this.annotation) {
+            return;
+        }
+        var canvas = this.annotate.canvas;
+        var transform = this.annotate.ctx.getTransform();
+        var x = Math.max(this.annotation.start.x, this.annotation.end.x);
+        var y = Math.min(this.annotation.start.y, this.annotation.end.y);
+        var rect = canvas.getBoundingClientRect();
+        var scaleX = canvas.clientWidth / canvas.width;
+        var scaleY = canvas.clientHeight / canvas.height;
+        var left = rect.left + (transform.a * x + transform.c * y + transform.e) * scaleX + (window.scrollX || 0);
+        var top = rect.top + (transform.b * x + transform.d * y + transform.f) * scaleY + (window.scrollY || 0);
+        this.element.style.left = Math.round(left + 8) + "px";
+        this.element.style.top = Math.round(top) + "px";
+    }
+
+    /**
+     * Removes the popover and its event listeners.
+     *
+     * @return {void} This function does not return anything.
+     */
+    destroy() {
+        this.unsubscribe.forEach((unsubscribe) => unsubscribe());
+        this.element.remove();
+        this.annotation = null;
+    }
+}
+
+/**
+ * A labeling session over a list of images, each with its own annotations.
+ * The session shows one image at a time in an Annotate instance and keeps the annotations, the undo history and
+ * the viewport of every image it has shown, so that they are restored when the user returns to an image.
+ * Neighboring images are loaded in advance, so that moving to the next image does not wait for the network.
+ */
+class AnnotationSession {
+    static EVENTS = ["image:beforeLeave", "image:change"]; // Event types that can be listened to with on(), once() and off()
+    static PREFETCH = 1; // Default number of images loaded in advance on each side of the current image
+    static KEYS = {
+        next: ["ArrowRight", "PageDown"],
+        previous: ["ArrowLeft", "PageUp"],
+        first: ["Home"],
+        last: ["End"],
+    }; // Default keyboard shortcuts for the navigation
+
+    /**
+     * Creates a session. Call open() to show the first image.
+     *
+     * @param {Annotate} annotate - The instance the images are shown in.
+     * @param {Object[]} images - The images, each with an 'src' URL or a 'tileSource' (see setTileSource()), and
+     *                            optionally an 'id' and the persisted 'annotations' records of the image.
+     *                            Other properties are kept, e.g. to identify the image in the application.
+     * @param {Object} [options] - 'prefetch' is the number of images loaded in advance on each side (default 1);
+     *                             'keys' overrides the shortcuts ({next, previous, first, last}, arrays of key
+     *                             names), or is false to disable them; 'loadAnnotations(image)' returns (a promise
+     *                             of) the records of an image without 'annotations'; 'crossOrigin' is the CORS setting
+     *                             of the images; 'warnBeforeUnload' asks the browser to confirm leaving the page while
+     *                             there are unsaved changes.
+     */
+    constructor(annotate, images, options = {}) {
+        this.annotate = annotate;
+        this.images = images;
+        this.options = {
+            prefetch: AnnotationSession.PREFETCH,
+            keys: AnnotationSession.KEYS,
+            loadAnnotations: null,
+            crossOrigin: null,
+            warnBeforeUnload: false,
+            ...options,
+        };
+        this.index = -1; // Index of the image currently shown, -1 before the first image was opened
+        this.states = new Map(); // Annotations, history and viewport of the images shown so far, by image
+        this.loading = new Map(); // Promises of the loaded (or loading) images, by image
+        this.openRequest = 0; // Incremented by every open(), so that only the last of overlapping calls wins
+        this.events = new AnnotationEmitter(this, AnnotationSession.EVENTS);
+
+        this.handleKeyDown = (evt) => {
+            var keys = this.options.keys;
+            if (!keys || evt.ctrlKey || evt.metaKey || evt.altKey || annotate.isEditableTarget(evt.target)) {
+                return;
+            }
+            if (!annotate.isKeyboardTarget()) {
+                // The keys scroll the page (or go to another session) unless the canvas has the focus or the pointer
+                return;
+            }
+            var action = ["next", "previous", "first", "last"].find(
+                (name) => keys[name] && keys[name].includes(evt.key)
+            );
+            if (action) {
+                evt.preventDefault();
+                this[action]();
+            }
+        };
+        this.handleBeforeUnload = (evt) => {
+            if (this.options.warnBeforeUnload && this.getDirtyImages().length > 0) {
+                evt.preventDefault();
+                evt.returnValue = "";
+            }
+        };
+        document.addEventListener("keydown", this.handleKeyDown, false);
+        if (typeof window !== "undefined" && window.addEventListener) {
+            window.addEventListener("beforeunload", this.handleBeforeUnload);
+        }
+    }
+
+    /**
+     * @return {Object|null} The image currently shown, or null before the first image was opened.
+     */
+    get current() {
+        return this.images[this.index] || null;
+    }
+
+    /**
+     * Shows an image. The state of the current image is kept, and the state of the new image is restored if it was
+     * shown before. Listeners of 'image:beforeLeave' can keep the current image, e.g. after asking the user whether
+     * to leave unsaved changes. 'image:change' is emitted once the new image is shown.
+     *
+     * @param {number|string} target - The index of the image, or its 'id'.
+     * @return {Promise<boolean>} True if the image is shown, false if a listener or a later open() call prevented it.
+     * @throws {Error} If there is no such image (the promise is rejected).
+     */
+    async open(target) {
+        var index = typeof target === "number" ? target : this.images.findIndex((image) => image.id === target);
+        var image = this.images[index];
+        if (!image) {
+            throw new Error(`No image ${JSON.stringify(target)} in the session`);
+        }
+        if (index === this.index) {
+            // Cancels an image that is still loading
+            this.openRequest++;
+            return true;
+        }
+        if (this.current) {
+            var event = this.events.emit("image:beforeLeave", {
+                image: this.current,
+                index: this.index,
+                dirty: this.isDirty(this.index),
+                next: image,
+                nextIndex: index,
+            });
+            if (event.defaultPrevented) {
+                return false;
+            }
+        }
+
+        var request = ++this.openRequest;
+        var [frame, records] = await Promise.all([this.loadImage(image), this.loadRecords(image)]);
+        if (request !== this.openRequest) {
+            // The user moved on to another image while this one was loading
+            return false;
+        }
+
+        var previousIndex = this.index;
+        this.saveState();
+        this.index = index;
+        this.restoreState(image, frame, records);
+        this.prefetch();
+        this.events.emit("image:change", {
+            image: image,
+            index: index,
+            previous: this.images[previousIndex] || null,
+            previousIndex: previousIndex,
+        });
+        return true;
+    }
+
+    /**
+     * Shows the next image. Nothing happens on the last image.
+     *
+     * @return {Promise<boolean>} True if the next image is shown.
+     */
+    next() {
+        return this.index < this.images.length - 1 ? this.open(this.index + 1) : Promise.resolve(false);
+    }
+
+    /**
+     * Shows the previous image. Nothing happens on the first image.
+     *
+     * @return {Promise<boolean>} True if the previous image is shown.
+     */
+    previous() {
+        return this.index > 0 ? this.open(this.index - 1) : Promise.resolve(false);
+    }
+
+    /**
+     * @return {Promise<boolean>} True if the first image is shown.
+     */
+    first() {
+        return this.images.length > 0 ? this.open(0) : Promise.resolve(false);
+    }
+
+    /**
+     * @return {Promise<boolean>} True if the last image is shown.
+     */
+    last() {
+        return this.images.length > 0 ? this.open(this.images.length - 1) : Promise.resolve(false);
+    }
+
+    /**
+     * Returns the annotations of an image. For the current image, these are the annotations of the Annotate instance.
+     *
+     * @param {number} index - The index of the image.
+     * @return {Object[]|null} The annotations, or null if the image was not shown yet.
+     */
+    getAnnotations(index) {
+        if (index === this.index) {
+            return this.annotate.annotations;
+        }
+        var state = this.states.get(this.images[index]);
+        return state ? state.annotations : null;
+    }
+
+    /**
+     * Checks whether an image has changes that have not been persisted yet ('unsaved', 'edited' or 'deleted'
+     * annotations). Images that were not shown yet have no changes.
+     *
+     * @param {number} [index] - The index of the image, the current image by default.
+     * @return {boolean} True if the image has unsaved changes.
+     */
+    isDirty(index = this.index) {
+        var annotations = this.getAnnotations(index) || [];
+        return annotations.some((annotation) => Annotate.DIRTY_STATES.includes(annotation.state));
+    }
+
+    /**
+     * @return {Object[]} The images with unsaved changes, see isDirty().
+     */
+    getDirtyImages() {
+        return this.images.filter((image, index) => this.isDirty(index));
+    }
+
+    /**
+     * Loads an image, or returns the promise of an image that is already loading or loaded.
+     *
+     * @param {Object} image - The image entry.
+     * @return {Promise<HTMLImageElement|null>} The loaded image, or null for images with a tile source.
+     */
+    loadImage(image) {
+        if (image.tileSource) {
+            return Promise.resolve(null);
+        }
+        if (!this.loading.has(image)) {
+            var promise = AnnotationTileSource.loadImage(image.src, this.options.crossOrigin);
+            // A failed image is loaded again the next time it is needed
+            promise.catch(() => this.loading.delete(image));
+            this.loading.set(image, promise);
+        }
+        return this.loading.get(image);
+    }
+
+    /**
+     * Returns the persisted annotation records of an image that was not shown yet.
+     *
+     * @param {Object} image - The image entry.
+     * @return {Promise<Object[]|null>} The records, or null if the image was shown before and has its own state.
+     */
+    async loadRecords(image) {
+        if (this.states.has(image)) {
+            return null;
+        }
+        if (image.annotations) {
+            return image.annotations;
+        }
+        return this.options.loadAnnotations ? (await this.options.loadAnnotations(image)) || [] : [];
+    }
+
+    /**
+     * Loads the neighbors of the current image in advance, and forgets the loaded images that are further away.
+     *
+     * @return {void} This function does not return anything.
+     */
+    prefetch() {
+        var range = Math.max(0, this.options.prefetch);
+        for (var image of Array.from(this.loading.keys())) {
+            if (Math.abs(this.images.indexOf(image) - this.index) > range) {
+                this.loading.delete(image);
+            }
+        }
+        for (var offset = 1; offset <= range; offset++) {
+            for (var neighbor of [this.images[this.index + offset], this.images[this.index - offset]]) {
+                if (neighbor) {
+                    this.loadImage(neighbor).catch(() => {});
+                }
+            }
+        }
+    }
+
+    /**
+     * Keeps the annotations, history and viewport of the current image.
+     *
+     * @return {void} This function does not return anything.
+     */
+    saveState() {
+        if (!this.current) {
+            return;
+        }
+        var annotate = this.annotate;
+        var transform = annotate.ctx.getTransform();
+        annotate.cancelInteraction();
+        annotate.cancelPolygon();
+        annotate.clearHover();
+        annotate.select(null);
+        this.states.set(this.current, {
+            annotations: annotate.annotations,
+            history: annotate.history,
+            viewport: [transform.a, transform.b, transform.c, transform.d, transform.e, transform.f],
+        });
+    }
+
+    /**
+     * Shows an image in the Annotate instance, with the state it had when it was shown last,
+     * or with the annotations created from its records.
+     *
+     * @param {Object} image - The image entry.
+     * @param {HTMLImageElement|null} frame - The loaded image, or null if the image has a tile source.
+     * @param {Object[]|null} records - The persisted records, or null if the image was shown before.
+     * @return {void} This function does not return anything.
+     */
+    restoreState(image, frame, records) {
+        var annotate = this.annotate;
+        var state = this.states.get(image);
+
+        // The image is shown first, so that the annotations created from its records are relative to its size
+        annotate.annotations = state ? state.annotations : [];
+        annotate.invalidateSpatialIndex();
+        if (image.tileSource) {
+            annotate.setTileSource(image.tileSource);
+        } else {
+            annotate.setFrame(frame);
+        }
+        if (!state) {
+            var history = new AnnotationHistory(annotate.history.limit);
+            state = {
+                annotations: records.map((record) => annotate.createAnnotationFromRecord(record)),
+                history: history,
+                viewport: null,
+            };
+            this.states.set(image, state);
+            annotate.annotations = state.annotations;
+        }
+
+        annotate.history = state.history;
+        if (state.viewport) {
+            annotate.ctx.setTransform(...state.viewport);
+        }
+        annotate.redraw();
+    }
+
+    /**
+     * Adds a listener for an event of this session.
+     * Events: 'image:beforeLeave' (vetoable, with the 'image', 'index' and 'dirty' flag of the current image and the
+     * 'next' image and 'nextIndex') and 'image:change' (with the 'image', 'index', 'previous' and 'previousIndex').
+     *
+     * @param {string} type - The event type, see AnnotationSession.EVENTS.
+     * @param {Function} listener - Called with the event object.
+     * @return {Function} A function that removes the listener again.
+     * @throws {Error} If the event type is unknown.
+     */
+    on(type, listener) {
+        return this.events.on(type, listener);
+    }
+
+    /**
+     * Removes a listener added with on() or once().
+     *
+     * @param {string} type - The event type, see AnnotationSession.EVENTS.
+     * @param {Function} listener - The listener to remove.
+     * @return {void} This function does not return anything.
+     */
+    off(type, listener) {
+        this.events.off(type, listener);
+    }
+
+    /**
+     * Adds a listener that is removed after the next event of the type.
+     *
+     * @param {string} type - The event type, see AnnotationSession.EVENTS.
+     * @param {Function} listener - Called with the event object.
+     * @return {Function} A function that removes the listener again.
+     */
+    once(type, listener) {
+        return this.events.once(type, listener);
+    }
+
+    /**
+     * Removes the keyboard shortcuts and the unload warning of the session.
+     * The Annotate instance keeps showing the current image.
+     *
+     * @return {void} This function does not return anything.
+     */
+    destroy() {
+        document.removeEventListener("keydown", this.handleKeyDown, false);
+        if (typeof window !== "undefined" && window.removeEventListener) {
+            window.removeEventListener("beforeunload", this.handleBeforeUnload);
+        }
+        this.loading.clear();
+    }
+}
+
+/**
+ * Timeline for annotating videos as sequences of frames.
+ * Boxes drawn while a timeline is attached become tracks: one annotation that spans frames, with the boxes the
+ * user drew or edited as keyframes, and boxes interpolated linearly between them. The annotation always shows the
+ * box of the current frame, and is hidden on frames before its first keyframe or after the end of the track.
+ * Annotations without a track (e.g. polygons) are shown on every frame.
+ */
+class AnnotationTimeline {
+    static EVENTS = ["frame:change", "playback:change"]; // Event types that can be listened to with on(), once() and off()
+    static FPS = 10; // Default playback speed, in frames per second
+    static PREFETCH = 10; // Default number of frames loaded in advance
+
+    /**
+     * Creates a timeline and attaches it to an Annotate instance. Call seek() to show the first frame.
+     *
+     * @param {Annotate} annotate - The instance the frames are shown in.
+     * @param {Array<string|Object>} frames - The frames, as image URLs or objects with an 'src' URL.
+     * @param {Object} [options] - 'fps' is the playback speed (default 10), 'prefetch' the number of frames loaded
+     *                             in advance (default 10), 'loop' restarts the playback at the first frame,
+     *                             'crossOrigin' is the CORS setting of the frame images.
+     */
+    constructor(annotate, frames, options = {}) {
+        this.annotate = annotate;
+        this.frames = frames.map((frame) => (typeof frame === "string" ? { src: frame } : frame));
+        this.options = {
+            fps: AnnotationTimeline.FPS,
+            prefetch: AnnotationTimeline.PREFETCH,
+            loop: false,
+            crossOrigin: null,
+            ...options,
+        };
+        this.frame = -1; // Index of the frame currently shown, -1 before the first seek()
+        this.playing = false;
+        this.loading = new Map(); // Promises of the loaded (or loading) frame images, by frame index
+        this.seekRequest = 0; // Incremented by every seek(), so that only the last of overlapping calls wins
+        this.events = new AnnotationEmitter(this, AnnotationTimeline.EVENTS);
+
+        // The first free track ID
+        this.nextTrackId =
+            annotate.annotations.reduce(
+                (max, annotation) => Math.max(max, annotation.track ? annotation.track.id : 0),
+                0
+            ) + 1;
+
+        annotate.timeline = this;
+    }
+
+    /**
+     * Shows a frame: the frame image is drawn and every track shows its box of the frame.
+     * The viewport is kept if the frame has the same size as the previous one.
+     *
+     * @param {number} frame - The index of the frame.
+     * @return {Promise<boolean>} True if the frame is shown, false if a later seek() call replaced it.
+     * @throws {Error} If there is no such frame (the promise is rejected).
+     */
+    async seek(frame) {
+        if (!this.frames[frame]) {
+            throw new Error(`No frame ${frame} in the timeline`);
+        }
+        var request = ++this.seekRequest;
+        var image = await this.loadFrame(frame);
+        if (request !== this.seekRequest) {
+            return false;
+        }
+
+        var annotate = this.annotate;
+        var width = image.naturalWidth || image.width;
+        var height = image.naturalHeight || image.height;
+        if (!annotate.tileSource && annotate.canvas.width === width && annotate.canvas.height === height) {
+            annotate.frame = image;
+        } else {
+            annotate.setFrame(image);
+        }
+
+        var previous = this.frame;
+        this.frame = frame;
+
+        // Set the tracks to their boxes on the frame, clear the hover of hidden boxes and redraw
+        annotate.refresh();
+        if (annotate.selectedAnnotation && annotate.selectedAnnotation.hidden) {
+            annotate.select(null);
+        }
+        this.prefetch();
+        this.events.emit("frame:change", { frame: frame, previous: previous });
+        return true;
+    }
+
+    /**
+     * Starts the playback from the current frame. It stops at the last frame, unless the 'loop' option is set.
+     *
+     * @param {number} [fps] - The playback speed, in frames per second. Defaults to the 'fps' option.
+     * @return {void} This function does not return anything.
+     */
+    play(fps = this.options.fps) {
+        if (this.playing) {
+            return;
+        }
+        this.playing = true;
+        this.events.emit("playback:change", { playing: true });
+        this.runPlayback(fps, this.seekRequest);
+    }
+
+    /**
+     * Stops the playback at the current frame.
+     *
+     * @return {void} This function does not return anything.
+     */
+    pause() {
+        if (!this.playing) {
+            return;
+        }
+        this.playing = false;
+        this.events.emit("playback:change", { playing: false });
+    }
+
+    /**
+     * Shows one frame after the other until the playback is paused or another seek() call takes over.
+     *
+     * @param {number} fps - The playback speed, in frames per second.
+     * @param {number} request - The seek request the playback continues from.
+     * @return {Promise<void>} Resolved when the playback stopped.
+     */
+    async runPlayback(fps, request) {
+        while (this.playing && this.seekRequest === request) {
+            var started = Date.now();
+            var next = this.frame + 1;
+            if (next >= this.frames.length) {
+                if (!this.options.loop) {
+                    this.pause();
+                    return;
+                }
+                next = 0;
+            }
+            if (!(await this.seek(next))) {
+                return;
+            }
+            request = this.seekRequest;
+            await new Promise((resolve) => setTimeout(resolve, Math.max(0, 1000 / fps - (Date.now() - started))));
+        }
+    }
+
+    /**
+     * Loads the image of a frame, or returns the promise of an image that is already loading or loaded.
+     *
+     * @param {number} frame - The index of the frame.
+     * @return {Promise<HTMLImageElement>} The loaded image.
+     */
+    loadFrame(frame) {
+        if (!this.loading.has(frame)) {
+            var promise = AnnotationTileSource.loadImage(this.frames[frame].src, this.options.crossOrigin);
+            // A failed frame is loaded again the next time it is needed
+            promise.catch(() => this.loading.delete(frame));
+            this.loading.set(frame, promise);
+        }
+        return this.loading.get(frame);
+    }
+
+    /**
+     * Loads the frames after the current one in advance, and forgets the frames that are far behind or ahead.
+     *
+     * @return {void} This function does not return anything.
+     */
+    prefetch() {
+        var range = Math.max(0, this.options.prefetch);
+        for (var frame of Array.from(this.loading.keys())) {
+            if (frame < this.frame - 1 || frame > this.frame + range) {
+                this.loading.delete(frame);
+            }
+        }
+        for (var next = this.frame + 1; next <= Math.min(this.frame + range, this.frames.length - 1); next++) {
+            this.loadFrame(next).catch(() => {});
+        }
+    }
+
+    /**
+     * Returns the box of a track on a frame.
+     * Between two keyframes, 'start' and 'end' are interpolated linearly; after the last keyframe, the box of the
+     * last keyframe is kept until the end of the track.
+     *
+     * @param {Object} annotation - The annotation of the track.
+     * @param {number} frame - The index of the frame.
+     * @return {Object|null} The box ('start', 'end' and 'keyframe', true if the box is a keyframe), or null if the
+     *                       track does not exist on the frame.
+     */
+    getTrackBox(annotation, frame) {
+        var track = annotation.track;
+        var keyframes = track.keyframes;
+        if (keyframes.length === 0 || frame < keyframes[0].frame) {
+            return null;
+        }
+        if (track.endFrame !== null && frame > track.endFrame) {
+            return null;
+        }
+        var index = keyframes.findIndex((keyframe) => keyframe.frame > frame);
+        var previous = keyframes[(index === -1 ? keyframes.length : index) - 1];
+        var next = index === -1 ? null : keyframes[index];
+        if (previous.frame === frame || !next) {
+            return {
+                start: { ...previous.start },
+                end: { ...previous.end },
+                keyframe: previous.frame === frame,
+            };
+        }
+        var t = (frame - previous.frame) / (next.frame - previous.frame);
+        var lerp = (a, b) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+        return { start: lerp(previous.start, next.start), end: lerp(previous.end, next.end), keyframe: false };
+    }
+
+    /**
+     * Sets the box of a track annotation to its box on the current frame, or hides it if the track does not exist
+     * on the frame. This is not an edit: the annotation is not marked as 'edited' and nothing is recorded.
+     *
+     * @param {Object} annotation - The annotation. Annotations without a track are left as they are.
+     * @return {void} This function does not return anything.
+     */
+    applyFrame(annotation) {
+        if (!annotation.track) {
+            return;
+        }
+        var box = this.getTrackBox(annotation, this.frame);
+        annotation.hidden = !box;
+        if (box) {
+            annotation.start = box.start;
+            annotation.end = box.end;
+            this.annotate.updateRelativeCoordinates(annotation);
+        }
+    }
+
+    /**
+     * Turns a new box into a track that starts on the current frame. Called by Annotate.addAnnotation().
+     *
+     * @param {Object} annotation - The new annotation. Polygons, rotated boxes, masks and annotations that already
+     *                              have a track are kept.
+     * @return {void} This function does not return anything.
+     */
+    initTrack(annotation) {
+        if (
+            annotation.track ||
+            this.annotate.isPolygon(annotation) ||
+            this.annotate.isRotated(annotation) ||
+            this.annotate.isMask(annotation) ||
+            this.frame === -1
+        ) {
+            return;
+        }
+        annotation.track = {
+            id: this.nextTrackId++,
+            keyframes: [{ frame: this.frame, start: { ...annotation.start }, end: { ...annotation.end } }],
+            endFrame: null,
+        };
+    }
+
+    /**
+     * Makes the box of a track on the current frame a keyframe, if the user changed it.
+     * Called by Annotate.commitChange() before the change is recorded, so that undo and redo include the keyframe.
+     *
+     * @param {Object} annotation - The changed annotation.
+     * @return {void} This function does not return anything.
+     */
+    recordKeyframe(annotation) {
+        if (!annotation.track) {
+            return;
+        }
+        var box = this.getTrackBox(annotation, this.frame);
+        if (!box || (this.samePoint(box.start, annotation.start) && this.samePoint(box.end, annotation.end))) {
+            return;
+        }
+        var keyframes = annotation.track.keyframes.filter((keyframe) => keyframe.frame !== this.frame);
+        keyframes.push({ frame: this.frame, start: { ...annotation.start }, end: { ...annotation.end } });
+        annotation.track.keyframes = keyframes.sort((a, b) => a.frame - b.frame);
+    }
+
+    /**
+     * @param {Object} a - A point.
+     * @param {Object} b - Another point.
+     * @return {boolean} True if the points are the same, apart from floating point noise.
+     */
+    samePoint(a, b) {
+        return Math.abs(a.x - b.x) < 1e-6 && Math.abs(a.y - b.y) < 1e-6;
+    }
+
+    /**
+     * Ends a track on a frame: the annotation is hidden on the following frames, and their keyframes are dropped.
+     * The change is recorded in the history.
+     *
+     * @param {Object} annotation - The annotation of the track.
+     * @param {number} [frame] - The last frame of the track, the current frame by default.
+     * @return {boolean} True if the track was ended, false if the frame is before the first keyframe of the track,
+     *                   nothing changed or a listener rejected it.
+     */
+    endTrack(annotation, frame = this.frame) {
+        var annotate = this.annotate;
+        if (frame < annotation.track.keyframes[0].frame) {
+            // A track needs at least one keyframe, delete the annotation to remove the whole track
+            return false;
+        }
+        var before = annotate.captureAnnotationState(annotation);
+        annotation.track.endFrame = frame;
+        annotation.track.keyframes = annotation.track.keyframes.filter((keyframe) => keyframe.frame <= frame);
+        annotation.state = "edited";
+        var ended = annotate.commitChange("end", annotation, before);
+        this.applyFrame(annotation);
+        annotate.redraw();
+        return ended;
+    }
+
+    /**
+     * Splits a track on the current frame: the track ends on the previous frame, and a new track with the same class
+     * and attributes continues from the current frame with the remaining keyframes. Both changes are undone together.
+     *
+     * @param {Object} annotation - The annotation of the track.
+     * @return {Object|null} The annotation of the new track, or null if the track does not exist on the current frame,
+     *                       starts on it, or a listener rejected the change.
+     */
+    splitTrack(annotation) {
+        var annotate = this.annotate;
+        var track = annotation.track;
+        var box = this.getTrackBox(annotation, this.frame);
+        if (!box || track.keyframes[0].frame === this.frame) {
+            return null;
+        }
+
+        // The second part starts with the box of the current frame as a keyframe
+        var second = annotate.buildAnnotation({
+            type: "box",
+            start: box.start,
+            end: box.end,
+            name: annotation.name,
+            class_id: annotation.class_id,
+            annotationColor: annotation.annotationColor,
+            attributes: annotation.attributes,
+        });
+        second.track = {
+            id: this.nextTrackId++,
+            keyframes: [
+                { frame: this.frame, start: box.start, end: box.end },
+                ...track.keyframes.filter((keyframe) => keyframe.frame > this.frame),
+            ].map((keyframe) => Annotate.cloneData(keyframe)),
+            endFrame: track.endFrame,
+        };
+
+        // The first part keeps its path up to the previous frame
+        var before = annotate.captureAnnotationState(annotation);
+        var last = this.getTrackBox(annotation, this.frame - 1);
+        track.keyframes = track.keyframes.filter((keyframe) => keyframe.frame < this.frame - 1);
+        track.keyframes.push({ frame: this.frame - 1, start: last.start, end: last.end });
+        track.endFrame = this.frame - 1;
+        annotation.state = "edited";
+        if (!annotate.commitChange("split", annotation, before)) {
+            return null;
+        }
+        if (!annotate.addAnnotation(second, "split")) {
+            // Roll back the first part, without leaving it to be undone or redone
+            var split = annotate.getGeometrySnapshot(annotation);
+            annotate.history.discardLast();
+            annotate.restoreAnnotationState(annotation, before);
+            var change = { annotation: annotation, before: split, after: annotate.getGeometrySnapshot(annotation) };
+            annotate.notifyChange("update", [change], "split");
+            return null;
+        }
+        annotate.history.group(2);
+        this.applyFrame(annotation);
+        annotate.redraw();
+        return second;
+    }
+
+    /**
+     * Lists the boxes of every track on every frame it exists on, e.g. to export video annotations.
+     * Deleted annotations and tracks without keyframes are left out.
+     *
+     * @return {Object[]} The tracks, each with its 'id', 'name', 'class_id', 'attributes' (if any) and 'frames':
+     *                    the box of each frame with 'frame', 'start', 'end' and 'keyframe' (false if interpolated).
+     */
+    exportTracks() {
+        return this.annotate.annotations
+            .filter(
+                (annotation) =>
+                    annotation.track && annotation.track.keyframes.length > 0 && annotation.state !== "deleted"
+            )
+            .map((annotation) => {
+                var track = annotation.track;
+                var last = track.endFrame !== null ? track.endFrame : this.frames.length - 1;
+                var frames = [];
+                for (var frame = track.keyframes[0].frame; frame <= last; frame++) {
+                    frames.push({ frame: frame, ...this.getTrackBox(annotation, frame) });
+                }
+                var exported = {
+                    id: track.id,
+                    name: annotation.name,
+                    class_id: annotation.class_id,
+                    frames: frames,
+                };
+                if (annotation.attributes) {
+                    exported.attributes = Annotate.cloneData(annotation.attributes);
+                }
+                return exported;
+            });
+    }
+
+    /**
+     * Adds a listener for an event of this timeline.
+     * Events: 'frame:change' (with the 'frame' and the 'previous' frame) and 'playback:change' (with 'playing').
+     *
+     * @param {string} type - The event type, see AnnotationTimeline.EVENTS.
+     * @param {Function} listener - Called with the event object.
+     * @return {Function} A function that removes the listener again.
+     * @throws {Error} If the event type is unknown.
+     */
+    on(type, listener) {
+        return this.events.on(type, listener);
+    }
+
+    /**
+     * Removes a listener added with on() or once().
+     *
+     * @param {string} type - The event type, see AnnotationTimeline.EVENTS.
+     * @param {Function} listener - The listener to remove.
+     * @return {void} This function does not return anything.
+     */
+    off(type, listener) {
+        this.events.off(type, listener);
+    }
+
+    /**
+     * Adds a listener that is removed after the next event of the type.
+     *
+     * @param {string} type - The event type, see AnnotationTimeline.EVENTS.
+     * @param {Function} listener - Called with the event object.
+     * @return {Function} A function that removes the listener again.
+     */
+    once(type, listener) {
+        return this.events.once(type, listener);
+    }
+
+    /**
+     * Stops the playback and detaches the timeline from the Annotate instance.
+     * The annotations keep their tracks and the box of the current frame.
+     *
+     * @return {void} This function does not return anything.
+     */
+    destroy() {
+        this.pause();
+        this.seekRequest++;
+        this.loading.clear();
+        if (this.annotate.timeline === this) {
+            this.annotate.timeline = null;
+        }
+    }
+}
+
+/**
+ * Real-time collaboration of several users on the annotations of the same image.
+ * Every change to the annotations is an operation: an upsert (the whole annotation data) or a delete of the
+ * annotation with a 'uid'. Operations carry the vector clock of the site that made them. Each annotation keeps the
+ * last operation applied to it, and an incoming operation only wins if it happened after it; of two concurrent
+ * operations, the one with the larger clock sum wins, and the larger site ID on ties (last writer wins). All sites
+ * therefore end up with the same annotations, whatever order the operations arrive in.
+ * Besides the operations, the sites exchange their presence: the user, the cursor, the selected annotation and
+ * the annotation the user is dragging, which is locked for everyone else.
+ * Messages are sent through a transport, see AnnotationLoopbackTransport and AnnotationWebSocketTransport.
+ */
+class AnnotationCollaboration {
+    static EVENTS = ["operation", "conflict", "peer:join", "peer:change", "peer:leave"]; // Event types that can be listened to with on(), once() and off()
+    static PRESENCE_INTERVAL = 50; // Minimum time between two cursor updates sent, in milliseconds
+    static PRESENCE_HEARTBEAT = 5000; // Time after which the presence is sent again without changes, in milliseconds
+    static PEER_TIMEOUT = 15000; // Time after which a silent peer is dropped and its lock released, in milliseconds
+    static PEER_COLORS = ["#E91E63", "#3F51B5", "#009688", "#FF9800", "#9C27B0", "#795548", "#607D8B", "#4CAF50"]; // Default colors of the users
+    static IGNORED_REASONS = ["remote", "sync", "load"]; // Reasons of changes that are not sent to the other sites
+
+    /**
+     * Creates a collaboration and attaches it to an Annotate instance (or an AnnotationModel, without presence).
+     * Annotations that exist already are shared with the other sites: annotations with a persistence 'ID' are
+     * identified by it, so that sites that loaded the same annotations agree on them.
+     *
+     * @param {AnnotationModel} annotate - The instance whose annotations are shared.
+     * @param {Object} transport - The transport, with 'connect(handlers)', 'send(message)' and 'close()'.
+     *                             'handlers.open()' is called when the connection is (re-)established and
+     *                             'handlers.message(message)' for every message of another site.
+     * @param {Object} [options] - 'site' is the unique ID of this site (random by default), 'user' is shown to the
+     *                             other users, with a 'name' and a 'color'.
+     */
+    constructor(annotate, transport, options = {}) {
+        this.annotate = annotate;
+        this.transport = transport;
+        this.site = options.site || Math.random().toString(36).slice(2, 10);
+        this.user = {
+            name: this.site,
+            color: AnnotationCollaboration.PEER_COLORS[AnnotationCollaboration.hash(this.site)],
+            ...options.user,
+        };
+        this.clock = {}; // Vector clock: the number of operations seen from every site, by site ID
+        this.latest = new Map(); // The last operation applied to every annotation, by uid
+        this.log = []; // All operations applied, local and remote, in the order they were applied
+        this.peers = new Map(); // Presence of the other sites, by site ID
+        this.presence = { cursor: null, selection: null, lock: null }; // Presence of this site
+        this.presenceSent = 0; // Time the presence was last sent
+        this.presenceTimer = null; // Pending presence update, while updates are throttled
+        this.nextUid = 1;
+        this.events = new AnnotationEmitter(this, AnnotationCollaboration.EVENTS);
+
+        // Share the existing annotations
+        for (var annotation of annotate.annotations) {
+            if (annotation.uid === undefined && annotation.ID !== null && annotation.ID !== undefined) {
+                // The same on every site, so it has no site and an empty clock: any change wins over it
+                annotation.uid = "id:" + annotation.ID;
+                var data = annotate.captureAnnotationState(annotation);
+                delete data.ID;
+                this.latest.set(annotation.uid, {
+                    type: "upsert",
+                    uid: annotation.uid,
+                    site: "",
+                    clock: {},
+                    data: data,
+                });
+            } else if (annotation.state !== "deleted") {
+                this.recordLocal(annotation, "upsert");
+            }
+        }
+
+        this.removeListeners = ["create", "update", "delete"]
+            .map((kind) => annotate.on("annotation:" + kind, (event) => this.handleLocalChange(kind, event)))
+            .concat([annotate.on("selection:change", (event) => this.updatePresence({ selection: event.annotation }))]);
+
+        if (annotate.canvas && annotate.canvas.addEventListener) {
+            ["pointerdown", "pointermove", "pointerup", "pointercancel", "pointerleave"].forEach((type) =>
+                annotate.canvas.addEventListener(type, this.handlePointer, false)
+            );
+        }
+        this.heartbeat = setInterval(() => this.checkPeers(), AnnotationCollaboration.PRESENCE_HEARTBEAT);
+
+        annotate.collaboration = this;
+        transport.connect({ open: () => this.handleOpen(), message: (message) => this.receive(message) });
+    }
+
+    /**
+     * Picks a default color for a site ID.
+     *
+     * @param {string} site - The site ID.
+     * @return {number} An index into PEER_COLORS.
+     */
+    static hash(site) {
+        var hash = 0;
+        for (var i = 0; i < site.length; i++) {
+            hash = (hash * 31 + site.charCodeAt(i)) >>> 0;
+        }
+        return hash % AnnotationCollaboration.PEER_COLORS.length;
+    }
+
+    /**
+     * Compares two vector clocks.
+     *
+     * @param {Object} a - A vector clock, the number of operations by site ID.
+     * @param {Object} b - Another vector clock.
+     * @return {number|null} -1 if 'a' happened before 'b', 1 if after, 0 if they are equal,
+     *                       null if they are concurrent.
+     */
+    static compareClocks(a, b) {
+        var before = false;
+        var after = false;
+        for (var site of new Set(Object.keys(a).concat(Object.keys(b)))) {
+            var difference = (a[site] || 0) - (b[site] || 0);
+            before = before || difference < 0;
+            after = after || difference > 0;
+        }
+        return before && after ? null : before ? -1 : after ? 1 : 0;
+    }
+
+    /**
+     * Decides whether an operation overrides the last operation applied to its annotation.
+     *
+     * @param {Object} operation - The incoming operation.
+     * @param {Object} current - The last operation applied to the annotation.
+     * @return {boolean} True if the incoming operation wins.
+     */
+    static wins(operation, current) {
+        var order = AnnotationCollaboration.compareClocks(operation.clock, current.clock);
+        if (order !== null) {
+            return order > 0;
+        }
+        var sum = (clock) => Object.values(clock).reduce((total, count) => total + count, 0);
+        var difference = sum(operation.clock) - sum(current.clock);
+        return difference !== 0 ? difference > 0 : operation.site > current.site;
+    }
+
+    /**
+     * Returns the annotation with a uid, or null.
+     *
+     * @param {string|null} uid - The uid of the annotation.
+     * @return {Object|null} The annotation, if it is part of the annotations array.
+     */
+    findAnnotation(uid) {
+        if (uid === null || uid === undefined) {
+            return null;
+        }
+        return this.annotate.annotations.find((annotation) => annotation.uid === uid) || null;
+    }
+
+    /**
+     * Checks whether another user is dragging an annotation. Locked annotations cannot be edited.
+     *
+     * @param {Object} annotation - The annotation object.
+     * @return {boolean} True if the annotation is locked by another user.
+     */
+    isLocked(annotation) {
+        for (var peer of this.peers.values()) {
+            if (annotation.uid !== undefined && peer.lock === annotation.uid) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Returns the presence of the other users.
+     *
+     * @return {Object[]} One object per site, with the 'site', the 'user' ('name' and 'color'), the 'cursor' (image
+     *                    coordinates, or null), and the uid of the 'selection' and of the locked annotation ('lock').
+     */
+    getPeers() {
+        return Array.from(this.peers.values());
+    }
+
+    /**
+     * Returns the operation log: all operations applied to the annotations of this site, local and remote.
+     * Every operation has the 'type' ("upsert" or "delete"), the 'uid' of the annotation, the 'site' that made it,
+     * its vector 'clock' and, for upserts, the annotation 'data'.
+     *
+     * @return {Object[]} The operations, in the order they were applied.
+     */
+    getLog() {
+        return this.log.slice();
+    }
+
+    /**
+     * Creates an operation for a local change, applies it to the version of the annotation and sends it.
+     *
+     * @param {Object} annotation - The changed annotation.
+     * @param {string} type - "upsert" or "delete".
+     * @return {Object} The operation.
+     */
+    recordLocal(annotation, type) {
+        if (annotation.uid === undefined) {
+            annotation.uid = this.site + ":" + this.nextUid++;
+        }
+        this.clock[this.site] = (this.clock[this.site] || 0) + 1;
+        var operation = { type: type, uid: annotation.uid, site: this.site, clock: { ...this.clock } };
+        if (type === "upsert") {
+            operation.data = this.annotate.captureAnnotationState(annotation);
+            delete operation.data.ID; // Assigned by the persistence of each site
+        }
+        this.latest.set(operation.uid, operation);
+        this.log.push(operation);
+        this.transport.send({ type: "operation", operation: operation });
+        this.events.emit("operation", { operation: operation, local: true });
+        return operation;
+    }
+
+    /**
+     * Turns the changes announced by the annotation events into operations.
+     *
+     * @param {string} kind - "create", "update" or "delete".
+     * @param {Object} event - The annotation event.
+     * @return {void} This function does not return anything.
+     */
+    handleLocalChange(kind, event) {
+        if (AnnotationCollaboration.IGNORED_REASONS.includes(event.reason)) {
+            return;
+        }
+        for (var annotation of event.annotations) {
+            this.recordLocal(annotation, kind === "delete" ? "delete" : "upsert");
+        }
+    }
+
+    /**
+     * Handles a message of another site.
+     *
+     * @param {Object} message - The message, with a 'type' of "operation", "state", "hello", "presence" or "leave".
+     * @return {void} This function does not return anything.
+     */
+    receive(message) {
+        switch (message.type) {
+            case "operation":
+                this.applyRemote([message.operation]);
+                break;
+            case "state":
+                this.applyRemote(message.operations);
+                break;
+            case "hello":
+                // A site joined: send it the last operation of every annotation, and who is here
+                this.transport.send({ type: "state", operations: Array.from(this.latest.values()) });
+                this.sendPresence();
+                break;
+            case "presence":
+                this.updatePeer(message);
+                break;
+            case "leave":
+                this.removePeer(message.site);
+                break;
+        }
+    }
+
+    /**
+     * Applies the operations of other sites that win over the last operation of their annotation.
+     *
+     * @param {Object[]} operations - The operations.
+     * @return {void} This function does not return anything.
+     */
+    applyRemote(operations) {
+        var annotate = this.annotate;
+        var before = new Map(); // The geometry of the changed annotations before the operations, by annotation
+        for (var operation of operations) {
+            for (var site of Object.keys(operation.clock)) {
+                this.clock[site] = Math.max(this.clock[site] || 0, operation.clock[site]);
+            }
+            var current = this.latest.get(operation.uid);
+            if (current) {
+                var applied = AnnotationCollaboration.wins(operation, current);
+                if (AnnotationCollaboration.compareClocks(operation.clock, current.clock) === null) {
+                    // Concurrent changes of the same annotation, e.g. both users moved it
+                    this.events.emit("conflict", {
+                        uid: operation.uid,
+                        local: current,
+                        remote: operation,
+                        applied: applied,
+                    });
+                }
+                if (!applied) {
+                    continue;
+                }
+            }
+            this.latest.set(operation.uid, operation);
+            this.log.push(operation);
+
+            var annotation = this.findAnnotation(operation.uid);
+            if (annotation && !before.has(annotation)) {
+                before.set(
+                    annotation,
+                    annotate.isVisible(annotation) ? annotate.getGeometrySnapshot(annotation) : null
+                );
+            }
+            if (operation.type === "delete") {
+                if (annotation) {
+                    annotation.state = "deleted";
+                }
+            } else if (annotation) {
+                annotate.restoreAnnotationState(annotation, operation.data);
+            } else {
+                annotation = AnnotationModel.cloneData(operation.data);
+                annotation.ID = null;
+                annotate.applyClass(annotation);
+                annotate.annotations.push(annotation);
+                annotate.appendToSpatialIndex(annotation);
+                before.set(annotation, null);
+            }
+            this.events.emit("operation", { operation: operation, local: false });
+        }
+
+        if (before.size > 0) {
+            annotate.refresh();
+            annotate.notifyChanges(Array.from(before.keys()), Array.from(before.values()), "remote");
+        }
+    }
+
+    /**
+     * Announces this site to the others when the transport is connected, and asks them for their state.
+     *
+     * @return {void} This function does not return anything.
+     */
+    handleOpen() {
+        this.transport.send({ type: "hello", site: this.site });
+        this.transport.send({ type: "state", operations: Array.from(this.latest.values()) });
+        this.sendPresence();
+    }
+
+    /**
+     * Tracks the cursor and the annotation being dragged from the pointer events of the canvas.
+     *
+     * @param {PointerEvent} evt - The pointer event.
+     * @return {void} This function does not return anything.
+     */
+    handlePointer = (evt) => {
+        var annotate = this.annotate;
+        var cursor = null;
+        if (evt.type !== "pointerleave") {
+            var pt = annotate.ctx.transformedPoint(annotate.lastX, annotate.lastY);
+            cursor = { x: pt.x, y: pt.y };
+        }
+        var edited = annotate.getEditedAnnotation();
+        this.updatePresence({ cursor: cursor, lock: edited });
+    };
+
+    /**
+     * Updates the presence of this site and sends it. Cursor updates are throttled to PRESENCE_INTERVAL,
+     * changes of the selection or the lock are sent immediately.
+     *
+     * @param {Object} changes - The new 'cursor', or the 'selection' or 'lock' annotation (or null).
+     * @return {void} This function does not return anything.
+     */
+    updatePresence(changes) {
+        var presence = { ...this.presence };
+        if ("cursor" in changes) {
+            presence.cursor = changes.cursor;
+        }
+        for (var key of ["selection", "lock"]) {
+            if (key in changes) {
+                presence[key] = changes[key] && changes[key].uid !== undefined ? changes[key].uid : null;
+            }
+        }
+        var urgent = presence.selection !== this.presence.selection || presence.lock !== this.presence.lock;
+        this.presence = presence;
+
+        var wait = this.presenceSent + AnnotationCollaboration.PRESENCE_INTERVAL - Date.now();
+        if (urgent || wait <= 0) {
+            this.sendPresence();
+        } else if (!this.presenceTimer) {
+            this.presenceTimer = setTimeout(() => this.sendPresence(), wait);
+        }
+    }
+
+    /**
+     * Sends the presence of this site.
+     *
+     * @return {void} This function does not return anything.
+     */
+    sendPresence() {
+        clearTimeout(this.presenceTimer);
+        this.presenceTimer = null;
+        this.presenceSent = Date.now();
+        this.transport.send({ type: "presence", site: this.site, user: this.user, ...this.presence });
+    }
+
+    /**
+     * Records the presence of another site and redraws the canvas.
+     *
+     * @param {Object} message - The presence message.
+     * @return {void} This function does not return anything.
+     */
+    updatePeer(message) {
+        var joined = !this.peers.has(message.site);
+        var peer = {
+            site: message.site,
+            user: message.user,
+            cursor: message.cursor,
+            selection: message.selection,
+            lock: message.lock,
+            seen: Date.now(),
+        };
+        this.peers.set(message.site, peer);
+        this.events.emit(joined ? "peer:join" : "peer:change", { peer: peer });
+        this.redraw();
+    }
+
+    /**
+     * Forgets another site, which releases its lock.
+     *
+     * @param {string} site - The site ID.
+     * @return {void} This function does not return anything.
+     */
+    removePeer(site) {
+        var peer = this.peers.get(site);
+        if (peer) {
+            this.peers.delete(site);
+            this.events.emit("peer:leave", { peer: peer });
+            this.redraw();
+        }
+    }
+
+    /**
+     * Sends the presence again, so the other sites know this site is still there, and drops the sites that were
+     * not heard of for PEER_TIMEOUT.
+     *
+     * @return {void} This function does not return anything.
+     */
+    checkPeers() {
+        this.sendPresence();
+        for (var peer of this.getPeers()) {
+            if (Date.now() - peer.seen > AnnotationCollaboration.PEER_TIMEOUT) {
+                this.removePeer(peer.site);
+            }
+        }
+    }
+
+    /**
+     * Redraws the canvas, if there is one, in the next animation frame.
+     *
+     * @return {void} This function does not return anything.
+     */
+    redraw() {
+        if (typeof this.annotate.scheduleRedraw === "function") {
+            this.annotate.scheduleRedraw();
+        }
+    }
+
+    /**
+     * Adds a listener for an event of the collaboration.
+     * Events: 'operation' (with the 'operation' and whether it is 'local'), 'conflict' (with the 'uid' of the
+     * annotation, the 'local' and the 'remote' operation and whether the remote one was 'applied'), and
+     * 'peer:join', 'peer:change' and 'peer:leave' (with the 'peer', see getPeers()).
+     *
+     * @param {string} type - The event type, see AnnotationCollaboration.EVENTS.
+     * @param {Function} listener - Called with the event object.
+     * @return {Function} A function that removes the listener again.
+     * @throws {Error} If the event type is unknown.
+     */
+    on(type, listener) {
+        return this.events.on(type, listener);
+    }
+
+    /**
+     * Removes a listener added with on() or once().
+     *
+     * @param {string} type - The event type, see AnnotationCollaboration.EVENTS.
+     * @param {Function} listener - The listener to remove.
+     * @return {void} This function does not return anything.
+     */
+    off(type, listener) {
+        this.events.off(type, listener);
+    }
+
+    /**
+     * Adds a listener that is removed after the next event of the type.
+     *
+     * @param {string} type - The event type, see AnnotationCollaboration.EVENTS.
+     * @param {Function} listener - Called with the event object.
+     * @return {Function} A function that removes the listener again.
+     */
+    once(type, listener) {
+        return this.events.once(type, listener);
+    }
+
+    /**
+     * Leaves the collaboration: the other sites are told, the transport is closed and the collaboration is
+     * detached from the Annotate instance. The annotations are kept.
+     *
+     * @return {void} This function does not return anything.
+     */
+    destroy() {
+        this.transport.send({ type: "leave", site: this.site });
+        this.transport.close();
+        clearInterval(this.heartbeat);
+        clearTimeout(this.presenceTimer);
+        this.removeListeners.forEach((remove) => remove());
+        if (this.annotate.canvas && this.annotate.canvas.removeEventListener) {
+            ["pointerdown", "pointermove", "pointerup", "pointercancel", "pointerleave"].forEach((type) =>
+                this.annotate.canvas.removeEventListener(type, this.handlePointer, false)
+            );
+        }
+        this.peers.clear();
+        if (this.annotate.collaboration === this) {
+            this.annotate.collaboration = null;
+        }
+        this.redraw();
+    }
+}
+
+/**
+ * In-process transport for AnnotationCollaboration, e.g. for tests and demos with two canvases on one page.
+ * All transports created with the same channel deliver their messages to each other. Messages are copied and
+ * delivered asynchronously, like over a network.
+ */
+class AnnotationLoopbackTransport {
+    /**
+     * Creates a transport.
+     *
+     * @param {AnnotationLoopbackTransport} [channel] - Another transport to join the channel of. Without it,
+     *                                                  the transport starts a new channel.
+     * @param {Object} [options] - 'delay' is the time a message takes to arrive, in milliseconds (default 0).
+     */
+    constructor(channel = null, options = {}) {
+        this.peers = channel ? channel.peers : new Set();
+        this.delay = options.delay || 0;
+        this.handlers = null;
+    }
+
+    /**
+     * Joins the channel.
+     *
+     * @param {Object} handlers - 'open()' is called once joined, 'message(message)' for every message.
+     * @return {void} This function does not return anything.
+     */
+    connect(handlers) {
+        this.handlers = handlers;
+        this.peers.add(this);
+        setTimeout(() => this.handlers && this.handlers.open(), this.delay);
+    }
+
+    /**
+     * Delivers a message to the other transports of the channel.
+     *
+     * @param {Object} message - The message, a JSON-compatible object.
+     * @return {void} This function does not return anything.
+     */
+    send(message) {
+        var text = JSON.stringify(message);
+        this.peers.forEach((peer) => {
+            if (peer !== this) {
+                setTimeout(() => peer.handlers && peer.handlers.message(JSON.parse(text)), this.delay);
+            }
+        });
+    }
+
+    /**
+     * Leaves the channel.
+     *
+     * @return {void} This function does not return anything.
+     */
+    close() {
+        this.peers.delete(this);
+        this.handlers = null;
+    }
+}
+
+/**
+ * WebSocket transport for AnnotationCollaboration. Messages are sent as JSON text. The server has to relay every
+ * message to the other clients of the same image (e.g. a room per image URL), but not back to the sender.
+ * Messages sent while the connection is down are queued, and the connection is re-established after a delay.
+ */
+class AnnotationWebSocketTransport {
+    static RECONNECT_DELAY = 1000; // Default time before reconnecting after the connection was lost, in milliseconds
+    static QUEUE_LIMIT = 1000; // Default maximum number of messages queued while disconnected, the oldest are dropped
+    static LATEST_ONLY_TYPES = ["presence", "state"]; // Message types that replace the queued message of the same type
+
+    /**
+     * Creates a transport. The connection is opened by connect().
+     *
+     * @param {string} url - The URL of the WebSocket server, e.g. "wss://example.com/collaborate/image-42".
+     * @param {Object} [options] - 'reconnectDelay' is the time before reconnecting in milliseconds, or false to not
+     *                             reconnect; 'queueLimit' is the maximum number of messages queued while
+     *                             disconnected; 'protocols' are passed to the WebSocket.
+     */
+    constructor(url, options = {}) {
+        this.url = url;
+        this.options = {
+            reconnectDelay: AnnotationWebSocketTransport.RECONNECT_DELAY,
+            queueLimit: AnnotationWebSocketTransport.QUEUE_LIMIT,
+            protocols: undefined,
+            ...options,
+        };
+        this.socket = null;
+        this.handlers = null;
+        this.queue = []; // Messages sent while the connection is not open, with their 'type' and 'text'
+        this.closed = false;
+        this.reconnectTimer = null;
+    }
+
+    /**
+     * Opens the connection.
+     *
+     * @param {Object} handlers - 'open()' is called whenever the connection is (re-)established,
+     *                            'message(message)' for every message.
+     * @return {void} This function does not return anything.
+     */
+    connect(handlers) {
+        this.handlers = handlers;
+        this.closed = false;
+        this.socket = new WebSocket(this.url, this.options.protocols);
+        this.socket.onopen = () => {
+            this.queue.splice(0).forEach((queued) => this.socket.send(queued.text));
+            this.handlers.open();
+        };
+        this.socket.onmessage = (event) => {
+            try {
+                var message = JSON.parse(event.data);
+            } catch (error) {
+                console.warn("Ignoring a malformed collaboration message", error);
+                return;
+            }
+            this.handlers.message(message);
+        };
+        this.socket.onclose = () => {
+            if (!this.closed && this.options.reconnectDelay !== false) {
+                this.reconnectTimer = setTimeout(() => this.connect(this.handlers), this.options.reconnectDelay);
+            }
+        };
+    }
+
+    /**
+     * Sends a message, or queues it until the connection is open. Of the messages that describe a current state
+     * (LATEST_ONLY_TYPES, e.g. the cursor position), only the latest one is queued. Beyond the 'queueLimit', the
+     * oldest messages are dropped; the collaboration sends its whole state again when the connection is reopened.
+     *
+     * @param {Object} message - The message, a JSON-compatible object.
+     * @return {void} This function does not return anything.
+     */
+    send(message) {
+        var text = JSON.stringify(message);
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(text);
+            return;
+        }
+        if (AnnotationWebSocketTransport.LATEST_ONLY_TYPES.includes(message.type)) {
+            this.queue = this.queue.filter((queued) => queued.type !== message.type);
+        }
+        this.queue.push({ type: message.type, text: text });
+        if (this.queue.length > this.options.queueLimit) {
+            this.queue.splice(0, this.queue.length - this.options.queueLimit);
+        }
+    }
+
+    /**
+     * Closes the connection for good.
+     *
+     * @return {void} This function does not return anything.
+     */
+    close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) {
+            this.socket.close();
+        }
+    }
+}
+
+/**
+ * 2D affine transformation matrix, as used by the canvas: a point (x, y) is transformed to
+ * (a * x + c * y + e, b * x + d * y + f). It replaces SVGMatrix for tracking the canvas transformation,
+ * so that it also works without a DOM (e.g. with an OffscreenCanvas in a worker).
+ * Like SVGMatrix, the operations return new matrices and leave the matrix unchanged.
+ */
+class AnnotationMatrix {
+    /**
+     * Creates a matrix, the identity matrix by default.
+     *
+     * @param {number} [a] - Horizontal scaling.
+     * @param {number} [b] - Vertical skewing.
+     * @param {number} [c] - Horizontal skewing.
+     * @param {number} [d] - Vertical scaling.
+     * @param {number} [e] - Horizontal translation.
+     * @param {number} [f] - Vertical translation.
+     */
+    constructor(a = 1, b = 0, c = 0, d = 1, e = 0, f = 0) {
+        this.a = a;
+        this.b = b;
+        this.c = c;
+        this.d = d;
+        this.e = e;
+        this.f = f;
+    }
+
+    /**
+     * Multiplies the matrix with another one (this * other), so that 'other' is applied first.
+     *
+     * @param {Object} other - The matrix to multiply with, any object with 'a' to 'f' properties.
+     * @return {AnnotationMatrix} The product.
+     */
+    multiply(other) {
+        return new AnnotationMatrix(
+            this.a * other.a + this.c * other.b,
+            this.b * other.a + this.d * other.b,
+            this.a * other.c + this.c * other.d,
+            this.b * other.c + this.d * other.d,
+            this.a * other.e + this.c * other.f + this.e,
+            this.b * other.e + this.d * other.f + this.f
+        );
+    }
+
+    /**
+     * Returns the matrix followed by a translation.
+     *
+     * @param {number} dx - The horizontal translation.
+     * @param {number} dy - The vertical translation.
+     * @return {AnnotationMatrix} The translated matrix.
+     */
+    translate(dx, dy) {
+        return this.multiply(new AnnotationMatrix(1, 0, 0, 1, dx, dy));
+    }
+
+    /**
+     * Returns the matrix followed by a scaling.
+     *
+     * @param {number} sx - The horizontal scale factor.
+     * @param {number} sy - The vertical scale factor.
+     * @return {AnnotationMatrix} The scaled matrix.
+     */
+    scaleNonUniform(sx, sy) {
+        return this.multiply(new AnnotationMatrix(sx, 0, 0, sy, 0, 0));
+    }
+
+    /**
+     * Returns the matrix followed by a rotation.
+     *
+     * @param {number} degrees - The rotation angle, in degrees (like SVGMatrix, unlike the canvas).
+     * @return {AnnotationMatrix} The rotated matrix.
+     */
+    rotate(degrees) {
+        var radians = (degrees * Math.PI) / 180;
+        var cos = Math.cos(radians);
+        var sin = Math.sin(radians);
+        return this.multiply(new AnnotationMatrix(cos, sin, -sin, cos, 0, 0));
+    }
+
+    /**
+     * Returns the inverse of the matrix.
+     *
+     * @return {AnnotationMatrix} The inverse matrix.
+     * @throws {Error} If the matrix is not invertible (e.g. scaled by 0).
+     */
+    inverse() {
+        var determinant = this.a * this.d - this.b * this.c;
+        if (determinant === 0) {
+            throw new Error("The matrix is not invertible");
+        }
+        return new AnnotationMatrix(
+            this.d / determinant,
+            -this.b / determinant,
+            -this.c / determinant,
+            this.a / determinant,
+            (this.c * this.f - this.d * this.e) / determinant,
+            (this.b * this.e - this.a * this.f) / determinant
+        );
+    }
+
+    /**
+     * Transforms a point with the matrix.
+     *
+     * @param {number} x - The x-coordinate of the point.
+     * @param {number} y - The y-coordinate of the point.
+     * @return {Object} The transformed point, with 'x' and 'y' coordinates.
+     */
+    transformPoint(x, y) {
+        return { x: this.a * x + this.c * y + this.e, y: this.b * x + this.d * y + this.f };
+    }
+}
+
+/**
+ * Geometry helpers for annotations, which only work on plain coordinates.
+ * Boxes have 'start' and 'end' points in any order; polygons additionally have a list of 'points'.
+ * Absolute coordinates are image pixels, relative coordinates are fractions of the image size.
+ */
+class AnnotationGeometry {
+    /**
+     * Normalizes the corners of a box, so that 'start' is the top-left and 'end' the bottom-right corner.
+     *
+     * @param {Object} start - A corner of the box, with 'x' and 'y' coordinates.
+     * @param {Object} end - The opposite corner, with 'x' and 'y' coordinates.
+     * @return {Object} The 'start' and 'end' points of the normalized box.
+     */
+    static normalizeBox(start, end) {
+        return {
+            start: { x: Math.min(start.x, end.x), y: Math.min(start.y, end.y) },
+            end: { x: Math.max(start.x, end.x), y: Math.max(start.y, end.y) },
+        };
+    }
+
+    /**
+     * Calculates the normalized bounds and the size of an annotation.
+     *
+     * @param {Object} annotation - The annotation, with 'start' and 'end' points.
+     * @return {Object} The start coordinates (startX, startY), end coordinates (endX, endY),
+     *                  and dimensions (width, height) of the annotation.
+     */
+    static getDimensions(annotation) {
+        var { start, end } = AnnotationGeometry.normalizeBox(annotation.start, annotation.end);
+        return {
+            startX: start.x,
+            startY: start.y,
+            width: end.x - start.x,
+            height: end.y - start.y,
+            endX: end.x,
+            endY: end.y,
+        };
+    }
+
+    /**
+     * Calculates the bounding box of a list of points.
+     *
+     * @param {Object[]} points - The points, each with 'x' and 'y' coordinates.
+     * @return {Object} The top-left ('start') and bottom-right ('end') corner of the bounding box.
+     */
+    static getBounds(points) {
+        var xs = points.map((p) => p.x);
+        var ys = points.map((p) => p.y);
+        return {
+            start: { x: Math.min(...xs), y: Math.min(...ys) },
+            end: { x: Math.max(...xs), y: Math.max(...ys) },
+        };
+    }
+
+    /**
+     * Constrains a point to the image boundaries.
+     *
+     * @param {Object} point - The point, with 'x' and 'y' coordinates.
+     * @param {Object} size - The 'width' and 'height' of the image.
+     * @return {Object} A new point inside the image.
+     */
+    static clampPoint(point, size) {
+        return {
+            x: Math.max(0, Math.min(point.x, size.width)),
+            y: Math.max(0, Math.min(point.y, size.height)),
+        };
+    }
+
+    /**
+     * Converts a point in image pixels to relative coordinates.
+     *
+     * @param {Object} point - The point, with 'x' and 'y' coordinates in pixels.
+     * @param {Object} size - The 'width' and 'height' of the image.
+     * @return {Object} The point as fractions of the image size.
+     */
+    static toRelative(point, size) {
+        return { x: point.x / size.width, y: point.y / size.height };
+    }
+
+    /**
+     * Converts a point in relative coordinates to image pixels.
+     *
+     * @param {Object} point - The point, with 'x' and 'y' as fractions of the image size.
+     * @param {Object} size - The 'width' and 'height' of the image.
+     * @return {Object} The point in pixels.
+     */
+    static toAbsolute(point, size) {
+        return { x: point.x * size.width, y: point.y * size.height };
+    }
+
+    /**
+     * Determines whether a point lies inside a polygon, using the even-odd (ray casting) rule.
+     *
+     * @param {number} x - The x-coordinate of the point.
+     * @param {number} y - The y-coordinate of the point.
+     * @param {Object[]} points - The vertices of the polygon, each with 'x' and 'y' coordinates.
+     * @return {boolean} True if the point is inside the polygon, false otherwise.
+     */
+    static isPointInPolygon(x, y, points) {
+        var inside = false;
+        for (var i = 0, j = points.length - 1; i < points.length; j = i++) {
+            var a = points[i];
+            var b = points[j];
+            if (a.y > y !== b.y > y && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Projects a point onto a line segment.
+     *
+     * @param {number} x - The x-coordinate of the point.
+     * @param {number} y - The y-coordinate of the point.
+     * @param {Object} a - The start of the segment, with 'x' and 'y' coordinates.
+     * @param {Object} b - The end of the segment, with 'x' and 'y' coordinates.
+     * @return {Object} The closest point on the segment ('x', 'y') and its distance to the given point ('distance').
+     */
+    static projectOnSegment(x, y, a, b) {
+        var lengthSquared = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+        var t = lengthSquared === 0 ? 0 : ((x - a.x) * (b.x - a.x) + (y - a.y) * (b.y - a.y)) / lengthSquared;
+        t = Math.max(0, Math.min(1, t));
+        var px = a.x + t * (b.x - a.x);
+        var py = a.y + t * (b.y - a.y);
+        return { x: px, y: py, distance: Math.hypot(x - px, y - py) };
+    }
+
+    /**
+     * Finds the polygon edge closest to a point, if it is within a distance.
+     *
+     * @param {number} x - The x-coordinate of the point.
+     * @param {number} y - The y-coordinate of the point.
+     * @param {Object[]} points - The vertices of the polygon.
+     * @param {number} threshold - The maximum distance between the point and the edge.
+     * @return {Object|null} The index of the edge's first vertex ('index') and the closest point on the edge
+     *                       ('x', 'y', 'distance'), or null if no edge is close enough.
+     */
+    static findPolygonEdge(x, y, points, threshold) {
+        var closest = null;
+        for (var i = 0; i < points.length; i++) {
+            var projection = AnnotationGeometry.projectOnSegment(x, y, points[i], points[(i + 1) % points.length]);
+            if (projection.distance <= threshold && (!closest || projection.distance < closest.distance)) {
+                closest = { index: i, ...projection };
+            }
+        }
+        return closest;
+    }
+
+    /**
+     * Finds the closest snap of coordinates of a shape on one axis to a set of lines and a grid.
+     *
+     * @param {number[]} values - The coordinates of the shape on the axis, e.g. its left edge, center and right edge.
+     * @param {number[]} lines - The coordinates of the lines to snap to.
+     * @param {number} threshold - The maximum distance between a coordinate and the line it snaps to.
+     * @param {number} [grid] - The spacing of the grid lines to snap to, 0 for no grid.
+     * @return {Object|null} The 'offset' to add to the coordinates and the 'line' snapped to, or null if no line
+     *                       is close enough.
+     */
+    static snap(values, lines, threshold, grid = 0) {
+        var best = null;
+        values.forEach((value) => {
+            var candidates = grid > 0 ? lines.concat(Math.round(value / grid) * grid) : lines;
+            candidates.forEach((line) => {
+                var offset = line - value;
+                if (Math.abs(offset) <= threshold && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+                    best = { offset: offset, line: line };
+                }
+            });
+        });
+        return best;
+    }
+
+    /**
+     * Rotates a point around a center.
+     *
+     * @param {Object} point - The point, with 'x' and 'y' coordinates.
+     * @param {Object} center - The center of the rotation.
+     * @param {number} angle - The angle in degrees, clockwise on the screen (the y-axis points down).
+     * @return {Object} The rotated point.
+     */
+    static rotatePoint(point, center, angle) {
+        var radians = (angle * Math.PI) / 180;
+        var cos = Math.cos(radians);
+        var sin = Math.sin(radians);
+        var dx = point.x - center.x;
+        var dy = point.y - center.y;
+        return { x: center.x + dx * cos - dy * sin, y: center.y + dx * sin + dy * cos };
+    }
+
+    /**
+     * @param {number} angle - An angle in degrees.
+     * @return {number} The same angle between -180 (exclusive) and 180 (inclusive) degrees.
+     */
+    static normalizeAngle(angle) {
+        var normalized = angle % 360;
+        if (normalized > 180) {
+            normalized -= 360;
+        } else if (normalized <= -180) {
+            normalized += 360;
+        }
+        return normalized;
+    }
+
+    /**
+     * Calculates the corners of a rotated box.
+     *
+     * @param {Object} box - The rotated box, with 'center', 'width', 'height' and 'angle' (in degrees).
+     * @return {Object[]} The top-left, top-right, bottom-right and bottom-left corner, as seen in the frame of
+     *                    the box (e.g. the top-left corner is the bottom-right one after a rotation by 180 degrees).
+     */
+    static getCorners(box) {
+        var { center, width, height, angle } = box;
+        return [
+            [-1, -1],
+            [1, -1],
+            [1, 1],
+            [-1, 1],
+        ].map(([sx, sy]) =>
+            AnnotationGeometry.rotatePoint(
+                { x: center.x + (sx * width) / 2, y: center.y + (sy * height) / 2 },
+                center,
+                angle
+            )
+        );
+    }
+
+    /**
+     * Converts a point into the frame of a rotated box: relative to its center, with the x-axis along its width.
+     *
+     * @param {Object} box - The rotated box, with 'center' and 'angle'.
+     * @param {number} x - The x-coordinate of the point.
+     * @param {number} y - The y-coordinate of the point.
+     * @return {Object} The point in the frame of the box.
+     */
+    static toBoxFrame(box, x, y) {
+        var point = AnnotationGeometry.rotatePoint({ x: x, y: y }, box.center, -box.angle);
+        return { x: point.x - box.center.x, y: point.y - box.center.y };
+    }
+
+    /**
+     * Fits a rotated box to four corners, in the order of getCorners(). The width is the distance of the first two
+     * corners, the height that of the second two, and the angle is the direction from the first to the second.
+     *
+     * @param {Object[]} corners - The four corners.
+     * @return {Object} The rotated box, with 'center', 'width', 'height' and 'angle' (in degrees).
+     */
+    static fromCorners(corners) {
+        var [a, b, c] = corners;
+        return {
+            center: {
+                x: corners.reduce((sum, p) => sum + p.x, 0) / 4,
+                y: corners.reduce((sum, p) => sum + p.y, 0) / 4,
+            },
+            width: Math.hypot(b.x - a.x, b.y - a.y),
+            height: Math.hypot(c.x - b.x, c.y - b.y),
+            angle: AnnotationGeometry.normalizeAngle((Math.atan2(b.y - a.y, b.x - a.x) * 180) / Math.PI),
+        };
+    }
+
+    /**
+     * Checks whether four points are the corners of a rectangle, in either direction: its diagonals have the same
+     * length and the same midpoint.
+     *
+     * @param {Object[]} points - The points.
+     * @param {number} [tolerance] - The allowed difference, relative to the length of the diagonals.
+     * @return {boolean} True if the points form a rectangle.
+     */
+    static isRectangle(points, tolerance = 0.01) {
+        if (points.length !== 4) {
+            return false;
+        }
+        var [a, b, c, d] = points;
+        var first = Math.hypot(c.x - a.x, c.y - a.y);
+        var second = Math.hypot(d.x - b.x, d.y - b.y);
+        var offset = Math.hypot(a.x + c.x - b.x - d.x, a.y + c.y - b.y - d.y) / 2;
+        var limit = tolerance * Math.max(first, second);
+        return first > 0 && Math.abs(first - second) <= limit && offset <= limit;
+    }
+
+    /**
+     * Checks whether every edge of a closed outline is horizontal or vertical.
+     *
+     * @param {Object[]} points - The points, in order around the outline.
+     * @return {boolean} True if all edges are parallel to the axes.
+     */
+    static isAxisAligned(points) {
+        return points.every((point, index) => {
+            var next = points[(index + 1) % points.length];
+            return point.x === next.x || point.y === next.y;
+        });
+    }
+
+    /**
+     * Checks whether a point hits an annotation. Boxes are hit within their bounds extended by the threshold,
+     * rotated boxes within their rotated outline extended by the threshold, and polygons inside their outline or
+     * within the threshold of one of their edges.
+     *
+     * @param {Object} annotation - The annotation.
+     * @param {number} x - The x-coordinate of the point.
+     * @param {number} y - The y-coordinate of the point.
+     * @param {number} [threshold] - The distance around the annotation that still counts as a hit.
+     * @return {boolean} True if the point hits the annotation.
+     */
+    static hitTest(annotation, x, y, threshold = 0) {
+        if (annotation.type === "polygon") {
+            return (
+                AnnotationGeometry.isPointInPolygon(x, y, annotation.points) ||
+                !!AnnotationGeometry.findPolygonEdge(x, y, annotation.points, threshold)
+            );
+        }
+        if (annotation.type === "rotated") {
+            var local = AnnotationGeometry.toBoxFrame(annotation, x, y);
+            return (
+                Math.abs(local.x) <= annotation.width / 2 + threshold &&
+                Math.abs(local.y) <= annotation.height / 2 + threshold
+            );
+        }
+        var { startX, startY, endX, endY } = AnnotationGeometry.getDimensions(annotation);
+        return x >= startX - threshold && x <= endX + threshold && y >= startY - threshold && y <= endY + threshold;
+    }
+
+    /**
+     * Calculates the intersection over union of the bounding boxes of two annotations.
+     *
+     * @param {Object} a - An annotation (or geometry), with 'start' and 'end' points.
+     * @param {Object} b - Another annotation (or geometry), with 'start' and 'end' points.
+     * @return {number} The area of the intersection divided by the area of the union, from 0 (disjoint) to 1 (equal).
+     */
+    static iou(a, b) {
+        var first = AnnotationGeometry.getDimensions(a);
+        var second = AnnotationGeometry.getDimensions(b);
+        var width = Math.min(first.endX, second.endX) - Math.max(first.startX, second.startX);
+        var height = Math.min(first.endY, second.endY) - Math.max(first.startY, second.startY);
+        var intersection = width > 0 && height > 0 ? width * height : 0;
+        var union = first.width * first.height + second.width * second.height - intersection;
+        return union > 0 ? intersection / union : 0;
+    }
+}
+
+/**
+ * Pixel masks: bitmaps of the pixels of an image that belong to a class, and their conversion from and to
+ * COCO run-length encoding (RLE). A bitmap is an object with the 'width' and 'height' of the image and a 'data'
+ * array with one value per pixel (row by row), 1 for pixels in the mask and 0 for all others.
+ * Mask annotations store their pixels as uncompressed RLE ({size: [height, width], counts}), which is small,
+ * can be copied cheaply into the history and persisted as JSON.
+ */
+class AnnotationMask {
+    /**
+     * @param {number} width - The width of the bitmap, in pixels.
+     * @param {number} height - The height of the bitmap, in pixels.
+     * @return {Object} An empty bitmap.
+     */
+    static create(width, height) {
+        return { width: width, height: height, data: new Uint8Array(width * height) };
+    }
+
+    /**
+     * @param {Object} bitmap - The bitmap to copy.
+     * @return {Object} A copy of the bitmap.
+     */
+    static clone(bitmap) {
+        return { width: bitmap.width, height: bitmap.height, data: bitmap.data.slice() };
+    }
+
+    /**
+     * Encodes a bitmap as uncompressed COCO RLE. The pixels are read column by column, and the counts alternate
+     * between runs of pixels outside and inside the mask, starting with the pixels outside.
+     *
+     * @param {Object} bitmap - The bitmap to encode.
+     * @return {Object} The RLE, with 'size' ([height, width]) and 'counts'.
+     */
+    static encode(bitmap) {
+        var { width, height, data } = bitmap;
+        var counts = [];
+        var value = 0;
+        var run = 0;
+        for (var x = 0; x < width; x++) {
+            for (var y = 0; y < height; y++) {
+                var pixel = data[y * width + x] ? 1 : 0;
+                if (pixel !== value) {
+                    counts.push(run);
+                    value = pixel;
+                    run = 0;
+                }
+                run++;
+            }
+        }
+        counts.push(run);
+        return { size: [height, width], counts: counts };
+    }
+
+    /**
+     * Decodes COCO RLE into a bitmap. Both uncompressed counts and the compressed string counts of
+     * the COCO API are supported.
+     *
+     * @param {Object} rle - The RLE, with 'size' ([height, width]) and 'counts'.
+     * @return {Object} The bitmap.
+     */
+    static decode(rle) {
+        var [height, width] = rle.size;
+        var bitmap = AnnotationMask.create(width, height);
+        var counts = AnnotationMask.getCounts(rle);
+        var position = 0;
+        counts.forEach((count, index) => {
+            if (index % 2 === 1) {
+                for (var i = position; i < position + count; i++) {
+                    // The runs are column-major, the bitmap is row-major
+                    bitmap.data[(i % height) * width + Math.floor(i / height)] = 1;
+                }
+            }
+            position += count;
+        });
+        return bitmap;
+    }
+
+    /**
+     * @param {Object} rle - The RLE, with uncompressed or compressed 'counts'.
+     * @return {number[]} The uncompressed counts.
+     */
+    static getCounts(rle) {
+        return typeof rle.counts === "string" ? AnnotationMask.decompressCounts(rle.counts) : rle.counts;
+    }
+
+    /**
+     * Decompresses the counts of compressed COCO RLE, as written by the COCO API (pycocotools): each count is stored
+     * as a difference to the count two positions earlier, in chunks of 5 bits per character.
+     *
+     * @param {string} text - The compressed counts.
+     * @return {number[]} The uncompressed counts.
+     */
+    static decompressCounts(text) {
+        var counts = [];
+        var position = 0;
+        while (position < text.length) {
+            var value = 0;
+            var shift = 0;
+            var more = true;
+            while (more) {
+                var chunk = text.charCodeAt(position++) - 48;
+                value |= (chunk & 0x1f) << shift;
+                more = (chunk & 0x20) !== 0;
+                shift += 5;
+                if (!more && chunk & 0x10) {
+                    value |= -1 << shift;
+                }
+            }
+            if (counts.length > 2) {
+                value += counts[counts.length - 2];
+            }
+            counts.push(value);
+        }
+        return counts;
+    }
+
+    /**
+     * Checks that an object is valid COCO RLE.
+     *
+     * @param {*} rle - The object to check.
+     * @return {string|null} The problem found, or null if the RLE is valid.
+     */
+    static validate(rle) {
+        if (!rle || !Array.isArray(rle.size) || rle.size.length !== 2) {
+            return "'size' must be an array [height, width]";
+        }
+        if (!rle.size.every((value) => Number.isInteger(value) && value > 0)) {
+            return "'size' must contain positive integers";
+        }
+        if (typeof rle.counts !== "string" && !Array.isArray(rle.counts)) {
+            return "'counts' must be an array or a compressed string";
+        }
+        var counts = AnnotationMask.getCounts(rle);
+        if (!counts.every((count) => Number.isInteger(count) && count >= 0)) {
+            return "'counts' must contain non-negative integers";
+        }
+        if (counts.reduce((sum, count) => sum + count, 0) !== rle.size[0] * rle.size[1]) {
+            return "'counts' must add up to the number of pixels";
+        }
+        return null;
+    }
+
+    /**
+     * @param {Object} rle - The RLE, with 'size' and 'counts'.
+     * @return {number} The number of pixels in the mask.
+     */
+    static getArea(rle) {
+        return AnnotationMask.getCounts(rle).reduce((sum, count, index) => (index % 2 === 1 ? sum + count : sum), 0);
+    }
+
+    /**
+     * Calculates the bounding box of the pixels in a mask. The end is exclusive, so that a single pixel at (x, y)
+     * has the bounds (x, y) to (x + 1, y + 1).
+     *
+     * @param {Object} bitmap - The bitmap.
+     * @return {Object|null} The bounds with 'start' and 'end' points, or null if the mask is empty.
+     */
+    static getBounds(bitmap) {
+        var { width, height, data } = bitmap;
+        var minX = width;
+        var minY = height;
+        var maxX = -1;
+        var maxY = -1;
+        for (var y = 0; y < height; y++) {
+            for (var x = 0; x < width; x++) {
+                if (data[y * width + x]) {
+                    minX = Math.min(minX, x);
+                    maxX = Math.max(maxX, x);
+                    minY = Math.min(minY, y);
+                    maxY = y;
+                }
+            }
+        }
+        return maxX === -1 ? null : { start: { x: minX, y: minY }, end: { x: maxX + 1, y: maxY + 1 } };
+    }
+
+    /**
+     * Sets the pixels within a radius around a line segment, as painted by a round brush moved from one point
+     * to another.
+     *
+     * @param {Object} bitmap - The bitmap to paint into.
+     * @param {Object} from - The start of the stroke segment, in pixels.
+     * @param {Object} to - The end of the stroke segment, in pixels. Pass the same point to paint a single dot.
+     * @param {number} radius - The radius of the brush, in pixels.
+     * @param {number} value - The value to set, 1 to paint and 0 to erase.
+     * @return {Object|null} The changed area ({x, y, width, height}), or null if no pixel changed.
+     */
+    static paintLine(bitmap, from, to, radius, value) {
+        var { width, height, data } = bitmap;
+        var left = Math.max(0, Math.floor(Math.min(from.x, to.x) - radius));
+        var top = Math.max(0, Math.floor(Math.min(from.y, to.y) - radius));
+        var right = Math.min(width - 1, Math.ceil(Math.max(from.x, to.x) + radius));
+        var bottom = Math.min(height - 1, Math.ceil(Math.max(from.y, to.y) + radius));
+        var changed = null;
+        for (var y = top; y <= bottom; y++) {
+            for (var x = left; x <= right; x++) {
+                // Pixels are hit at their center
+                var projection = AnnotationGeometry.projectOnSegment(x + 0.5, y + 0.5, from, to);
+                var index = y * width + x;
+                if (projection.distance <= radius && data[index] !== value) {
+                    data[index] = value;
+                    changed = AnnotationMask.extendArea(changed, x, y);
+                }
+            }
+        }
+        return changed;
+    }
+
+    /**
+     * Sets the connected area of pixels that have the same value as the pixel at a point, like the paint bucket of
+     * an image editor. Pixels are connected to their four direct neighbours.
+     *
+     * @param {Object} bitmap - The bitmap to fill.
+     * @param {Object} point - A point in the area to fill, in pixels.
+     * @param {number} value - The value to set, 1 to fill and 0 to clear.
+     * @return {Object|null} The changed area ({x, y, width, height}), or null if no pixel changed.
+     */
+    static floodFill(bitmap, point, value) {
+        var { width, height, data } = bitmap;
+        var x = Math.floor(point.x);
+        var y = Math.floor(point.y);
+        if (x < 0 || y < 0 || x >= width || y >= height || data[y * width + x] === value) {
+            return null;
+        }
+        var target = data[y * width + x];
+        var changed = null;
+        var stack = [y * width + x];
+        while (stack.length > 0) {
+            var index = stack.pop();
+            if (data[index] !== target) {
+                continue;
+            }
+            data[index] = value;
+            x = index % width;
+            y = (index - x) / width;
+            changed = AnnotationMask.extendArea(changed, x, y);
+            if (x > 0) {
+                stack.push(index - 1);
+            }
+            if (x < width - 1) {
+                stack.push(index + 1);
+            }
+            if (y > 0) {
+                stack.push(index - width);
+            }
+            if (y < height - 1) {
+                stack.push(index + width);
+            }
+        }
+        return changed;
+    }
+
+    /**
+     * Scales a bitmap to another size, with nearest neighbour sampling.
+     *
+     * @param {Object} bitmap - The bitmap to scale.
+     * @param {number} width - The new width, in pixels.
+     * @param {number} height - The new height, in pixels.
+     * @return {Object} The scaled bitmap, or the bitmap itself if it already has the size.
+     */
+    static resize(bitmap, width, height) {
+        if (bitmap.width === width && bitmap.height === height) {
+            return bitmap;
+        }
+        var resized = AnnotationMask.create(width, height);
+        for (var y = 0; y < height; y++) {
+            var row = Math.floor(((y + 0.5) * bitmap.height) / height) * bitmap.width;
+            for (var x = 0; x < width; x++) {
+                resized.data[y * width + x] = bitmap.data[row + Math.floor(((x + 0.5) * bitmap.width) / width)];
+            }
+        }
+        return resized;
+    }
+
+    /**
+     * @param {Object|null} area - The area to extend ({x, y, width, height}), or null for an empty area.
+     * @param {number} x - The x-coordinate of a pixel to include.
+     * @param {number} y - The y-coordinate of a pixel to include.
+     * @return {Object} The extended area.
+     */
+    static extendArea(area, x, y) {
+        if (!area) {
+            return { x: x, y: y, width: 1, height: 1 };
+        }
+        var right = Math.max(area.x + area.width, x + 1);
+        var bottom = Math.max(area.y + area.height, y + 1);
+        area.x = Math.min(area.x, x);
+        area.y = Math.min(area.y, y);
+        area.width = right - area.x;
+        area.height = bottom - area.y;
+        return area;
+    }
+}
+
+/**
+ * Display adjustments of a background image: brightness, contrast, gamma, inversion, grayscale, single color
+ * channels and auto-levels. They only change how the pixels are shown, never the image, the annotations or exports.
+ * Adjustments are an object with:
+ * - 'brightness': added to every value, from -1 (black) to 1 (white). 0 by default.
+ * - 'contrast': from -1 (flat gray) to 1 (twice the contrast). 0 by default.
+ * - 'gamma': values are raised to the power of 1 / gamma, so a gamma above 1 brightens dark tones. 1 by default.
+ * - 'invert': shows the negative of the image.
+ * - 'grayscale': shows the luminance (Rec. 601) of the image.
+ * - 'channel': "red", "green" or "blue" to show one channel in gray, null (default) for all channels.
+ * - 'autoLevels': stretches the values from the darkest to the brightest pixels (ignoring AUTO_LEVELS_CLIP of
+ *   them on each end) to the full range, computed from the histogram of the image.
+ * The values are mapped in this order: channel or grayscale, auto-levels, brightness, contrast, gamma, inversion.
+ */
+class AnnotationImageAdjustments {
+    static DEFAULTS = {
+        brightness: 0,
+        contrast: 0,
+        gamma: 1,
+        invert: false,
+        grayscale: false,
+        channel: null,
+        autoLevels: false,
+    };
+    static CHANNELS = ["red", "green", "blue"];
+    static AUTO_LEVELS_CLIP = 0.005; // Fraction of the darkest and of the brightest values ignored by auto-levels
+
+    /**
+     * Merges adjustments into others and checks them.
+     *
+     * @param {Object} adjustments - The adjustments to change, see the class description.
+     * @param {Object} [base=AnnotationImageAdjustments.DEFAULTS] - The adjustments to start from.
+     * @return {Object} The complete adjustments.
+     * @throws {Error} If an adjustment is unknown or has an invalid value.
+     */
+    static normalize(adjustments, base = AnnotationImageAdjustments.DEFAULTS) {
+        var normalized = { ...base };
+        for (var [key, value] of Object.entries(adjustments || {})) {
+            if (!(key in AnnotationImageAdjustments.DEFAULTS)) {
+                throw new Error(
+                    `Unknown image adjustment "${key}", expected one of: ${Object.keys(
+                        AnnotationImageAdjustments.DEFAULTS
+                    ).join(", ")}`
+                );
+            }
+            normalized[key] = value;
+        }
+        for (var key of ["brightness", "contrast"]) {
+            if (typeof normalized[key] !== "number" || !(normalized[key] >= -1 && normalized[key] <= 1)) {
+                throw new Error(`The ${key} must be a number from -1 to 1`);
+            }
+        }
+        if (typeof normalized.gamma !== "number" || !(normalized.gamma > 0) || !isFinite(normalized.gamma)) {
+            throw new Error("The gamma must be a positive number");
+        }
+        if (normalized.channel !== null && !AnnotationImageAdjustments.CHANNELS.includes(normalized.channel)) {
+            throw new Error(
+                `Unknown channel "${normalized.channel}", expected one of: ${AnnotationImageAdjustments.CHANNELS.join(
+                    ", "
+                )}`
+            );
+        }
+        normalized.invert = !!normalized.invert;
+        normalized.grayscale = !!normalized.grayscale;
+        normalized.autoLevels = !!normalized.autoLevels;
+        return normalized;
+    }
+
+    /**
+     * @param {Object} adjustments - The complete adjustments.
+     * @return {boolean} True if the adjustments do not change the image.
+     */
+    static isIdentity(adjustments) {
+        return Object.entries(AnnotationImageAdjustments.DEFAULTS).every(([key, value]) => adjustments[key] === value);
+    }
+
+    /**
+     * Counts the values of the red, green and blue channels of pixels. The alpha channel is ignored.
+     *
+     * @param {Uint8ClampedArray} data - The RGBA pixels, as in ImageData.
+     * @return {Uint32Array} The number of channel values for each value from 0 to 255.
+     */
+    static getHistogram(data) {
+        var histogram = new Uint32Array(256);
+        for (var i = 0; i < data.length; i += 4) {
+            histogram[data[i]]++;
+            histogram[data[i + 1]]++;
+            histogram[data[i + 2]]++;
+        }
+        return histogram;
+    }
+
+    /**
+     * Finds the range of values that auto-levels stretch to the full range.
+     *
+     * @param {Uint32Array} histogram - The histogram, see getHistogram().
+     * @param {number} [clip=AnnotationImageAdjustments.AUTO_LEVELS_CLIP] - The fraction of values to ignore on each end.
+     * @return {Object} The 'low' and 'high' values, or 0 and 255 if all values are (almost) the same.
+     */
+    static getLevels(histogram, clip = AnnotationImageAdjustments.AUTO_LEVELS_CLIP) {
+        var total = histogram.reduce((sum, count) => sum + count, 0);
+        var ignored = total * clip;
+        var low = 0;
+        var count = histogram[low];
+        while (low < 255 && count <= ignored) {
+            count += histogram[++low];
+        }
+        var high = 255;
+        count = histogram[high];
+        while (high > 0 && count <= ignored) {
+            count += histogram[--high];
+        }
+        return high > low ? { low: low, high: high } : { low: 0, high: 255 };
+    }
+
+    /**
+     * Creates the table that maps each value to its adjusted value, for all steps after the channel selection.
+     *
+     * @param {Object} adjustments - The complete adjustments.
+     * @param {Object} [levels={ low: 0, high: 255 }] - The range of values to stretch to the full range.
+     * @return {Uint8ClampedArray} The adjusted value for each value from 0 to 255.
+     */
+    static createLookupTable(adjustments, levels = { low: 0, high: 255 }) {
+        var table = new Uint8ClampedArray(256);
+        for (var i = 0; i < 256; i++) {
+            var value = (i - levels.low) / (levels.high - levels.low);
+            value += adjustments.brightness;
+            value = (value - 0.5) * (1 + adjustments.contrast) + 0.5;
+            value = Math.pow(Math.min(Math.max(value, 0), 1), 1 / adjustments.gamma);
+            if (adjustments.invert) {
+                value = 1 - value;
+            }
+            table[i] = Math.round(value * 255);
+        }
+        return table;
+    }
+
+    /**
+     * Adjusts pixels in place.
+     *
+     * @param {ImageData} imageData - The pixels to adjust.
+     * @param {Object} adjustments - The complete adjustments.
+     * @return {ImageData} The same pixels, adjusted.
+     */
+    static apply(imageData, adjustments) {
+        var data = imageData.data;
+        var channel = AnnotationImageAdjustments.CHANNELS.indexOf(adjustments.channel);
+        if (channel !== -1 || adjustments.grayscale) {
+            for (var i = 0; i < data.length; i += 4) {
+                var value =
+                    channel !== -1 ? data[i + channel] : 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+                data[i] = data[i + 1] = data[i + 2] = value;
+            }
+        }
+        var levels = adjustments.autoLevels
+            ? AnnotationImageAdjustments.getLevels(AnnotationImageAdjustments.getHistogram(data))
+            : undefined;
+        var table = AnnotationImageAdjustments.createLookupTable(adjustments, levels);
+        for (var i = 0; i < data.length; i += 4) {
+            data[i] = table[data[i]];
+            data[i + 1] = table[data[i + 1]];
+            data[i + 2] = table[data[i + 2]];
+        }
+        return imageData;
+    }
+}
+
+/**
+ * The annotations of an image, without a canvas: the annotation store, the class registry and attributes,
+ * geometry (normalization, relative coordinates, hit-testing), the undo/redo history, import/export,
+ * persistence, selection and the events about them. It does not use the DOM, so it works in Node.js,
+ * in workers (e.g. to render into an OffscreenCanvas) and in tests.
+ * Annotate extends the model with a canvas view that draws the annotations and edits them with the pointer.
+ * The model has nothing to draw: redraw() and refresh() are hooks for views.
+ */
+class AnnotationModel {
+    static DEFAULT_COLOR = "#FF0000"; // Red
+    static SHAPE_TYPES = ["box", "polygon", "rotated", "mask"]; // Types of annotations
+    static DRAWING_MODES = ["box", "polygon", "rotated", "brush", "eraser", "fill"]; // Supported shapes and mask tools for new annotations
+    static MASK_TOOLS = ["brush", "eraser", "fill"]; // Drawing modes that edit the pixel mask of the active class
+    static HISTORY_DEPTH = 100; // Default number of changes that can be undone
+    static TRANSIENT_PROPERTIES = ["selected", "hidden"]; // Annotation properties that only reflect the UI state
+    static DIRTY_STATES = ["unsaved", "edited", "deleted"]; // States of annotations that need to be persisted
+    static SYNC_BATCH_SIZE = 20; // Number of annotations persisted in parallel by sync()
+    static INDEX_CELL_SIZE = 128; // Size (in image pixels) of the grid cells of the spatial index
+    static VIEWPORT_MARGIN = 200; // Image pixels around the visible area whose annotations are drawn (names, handles)
+    static CLASS_HOTKEYS = ["1", "2", "3", "4", "5", "6", "7", "8", "9", "0"]; // Default hotkeys of registered classes
+    static ATTRIBUTE_TYPES = ["boolean", "enum", "number", "text"]; // Types of annotation attributes in class schemas
+    static REVIEW_STATUSES = ["approved", "rejected", "needs-fix"]; // Results of the quality review of an annotation
+    static VALIDATION_RULES = [
+        "minSize",
+        "maxSize",
+        "aspectRatio",
+        "overlap",
+        "requiredAttributes",
+        "classCount",
+        "outOfBounds",
+    ]; // Types of validation rules
+    static VALIDATION_SEVERITIES = ["block", "warn"]; // Whether failing a validation rule rejects the change or only warns
+    static VALIDATED_CHANGES = ["draw", "move", "resize", "rotate", "reshape", "relabel"]; // Changes that blocking validation rules can reject
+    static GEOMETRY_VALIDATION_RULES = ["minSize", "maxSize", "aspectRatio", "outOfBounds"]; // Rules that only depend on the shape, not checked on relabeling
+    static DEFAULT_VALIDATION_RULES = [{ type: "minSize", width: 0.01, height: 0.01, unit: "fraction" }]; // At least 1% of the image size in both directions
+    static EVENTS = [
+        "annotation:beforeCreate",
+        "annotation:create",
+        "annotation:beforeUpdate",
+        "annotation:update",
+        "annotation:beforeDelete",
+        "annotation:delete",
+        "selection:change",
+        "class:change",
+        "review:change",
+        "validation:block",
+    ]; // Event types that can be listened to with on(), once() and off()
+
+    /**
+     * Creates an empty annotation model.
+     *
+     * @param {Object} [options] - 'width' and 'height' are the size of the image in pixels, see setImageSize().
+     *                             'className', 'classId' and 'color' are the class new annotations are created with,
+     *                             unless classes are registered with setClasses().
+     */
+    constructor(options = {}) {
+        // Size of the image the annotations are drawn on, see getImageSize().
+        this.imageSize = { width: options.width || 0, height: options.height || 0 };
+
+        // The current ontology setting, class ID and color of new annotations.
+        this.currentOntology = options.className ?? null;
+        this.currentClassId = options.classId ?? null;
+        this.annotationColor = options.color || AnnotationModel.DEFAULT_COLOR;
+
+        // Array to store the annotation objects.
+        this.annotations = [];
+
+        // Undo/redo history of all changes to the annotations. The depth can be changed with 'history.limit'.
+        this.history = new AnnotationHistory(AnnotationModel.HISTORY_DEPTH);
+
+        // Persistence adapter used by sync(), see setPersistenceAdapter().
+        this.persistenceAdapter = null;
+
+        // The records last written to or read from the persistence adapter, as JSON, by annotation.
+        this.persistedRecords = new WeakMap();
+
+        // The last persistence error of annotations that could not be synchronized, by annotation.
+        this.syncErrors = new Map();
+
+        // The annotations whose record is being created by the persistence adapter, see isPersisted().
+        this.creatingRecords = new Set();
+
+        // The promise of the synchronization that is currently running, if any.
+        this.syncPromise = null;
+
+        // Listeners for the events of this instance, see on(), once() and off().
+        this.events = new AnnotationEmitter(this, this.constructor.EVENTS);
+
+        // The annotation last pressed by the user, or null. Unlike 'selected', this does not follow the hover state.
+        this.selectedAnnotation = null;
+
+        // Grid index of the annotation bounding boxes, used for hit-testing and for drawing only visible annotations.
+        this.spatialIndex = new AnnotationSpatialIndex(AnnotationModel.INDEX_CELL_SIZE);
+
+        // The annotations array the spatial index was built from, and whether annotations were removed or reordered
+        // since, see invalidateSpatialIndex().
+        this.indexedAnnotations = null;
+        this.spatialIndexStale = true;
+
+        // Registered classes with their 'id', 'name', 'color', 'hotkey' and 'shape', see setClasses().
+        this.classes = [];
+
+        // The video timeline attached to this instance, see AnnotationTimeline. Its tracks record keyframes on changes.
+        this.timeline = null;
+
+        // The real-time collaboration attached to this instance, see AnnotationCollaboration.
+        this.collaboration = null;
+
+        // Predictions with a lower confidence are not shown, see setConfidenceThreshold().
+        this.confidenceThreshold = 0;
+
+        // Decoded pixels of mask annotations ('mask' and 'bitmap'), by annotation, see getMaskBitmap().
+        this.maskBitmaps = new WeakMap();
+
+        // Rules the annotations are checked against, see setValidationRules().
+        this.validationRules = AnnotationModel.DEFAULT_VALIDATION_RULES.map((rule) =>
+            this.normalizeValidationRule(rule)
+        );
+
+        // The issues found by the last validate(), by annotation, or null if the annotations changed since.
+        this.validationIssues = null;
+    }
+
+    /**
+     * Sets the size of the image the annotations are drawn on. Views use the size of their canvas or tile source
+     * instead. The absolute coordinates of the annotations are kept, their relative coordinates are recalculated.
+     *
+     * @param {number} width - The width of the image, in pixels.
+     * @param {number} height - The height of the image, in pixels.
+     * @return {void} This function does not return anything.
+     */
+    setImageSize(width, height) {
+        this.imageSize = { width: width, height: height };
+        this.validationIssues = null;
+        this.annotations.forEach((annotation) => this.updateRelativeCoordinates(annotation));
+    }
+
+    /**
+     * Returns the size of the image the annotations are drawn on.
+     * Annotation coordinates are absolute pixel coordinates within this size.
+     *
+     * @return {Object} An object with the 'width' and 'height' of the image.
+     */
+    getImageSize() {
+        return { width: this.imageSize.width, height: this.imageSize.height };
+    }
+
+    /**
+     * Finds the topmost annotation at a point. Only the annotations near the point are checked, as found by the
+     * spatial index. They are checked from the top of the stacking order down (annotations later in the annotations
+     * array are drawn on top), and the first one hit wins, see AnnotationGeometry.hitTest().
+     * Annotations that are not displayed (see isDisplayed()) and masks, which lie under all other annotations,
+     * are ignored.
+     *
+     * @param {number} x - The x-coordinate, in image pixels.
+     * @param {number} y - The y-coordinate, in image pixels.
+     * @param {number} [threshold] - The distance around annotations that still counts as a hit.
+     * @return {Object|null} The annotation at the point, or null.
+     */
+    hitTest(x, y, threshold = 0) {
+        // The candidates' bounding boxes, extended by the threshold, contain the coordinates
+        var candidates = this.getSpatialIndex().search(x - threshold, y - threshold, x + threshold, y + threshold);
+        for (var i = candidates.length - 1; i >= 0; i--) {
+            var annotation = candidates[i];
+            if (!this.isDisplayed(annotation) || this.isMask(annotation)) {
+                continue;
+            }
+            if (AnnotationGeometry.hitTest(annotation, x, y, threshold)) {
+                return annotation;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Calculates and returns the dimensions of a given annotation.
+     * It computes the start and end coordinates, width, and height of the annotation,
+     * ensuring that start coordinates are the top-left point and end coordinates are the bottom-right point.
+     * This function is useful for operations that require knowledge of the exact size and position of an annotation.
+     *
+     * @param {Object} annotation - The annotation object to calculate dimensions for.
+     *                              It should have 'start' and 'end' properties, each with 'x' and 'y' coordinates.
+     * @return {Object} An object containing the start coordinates (startX, startY), end coordinates (endX, endY),
+     *                  and dimensions (width, height) of the annotation.
+     */
+    getAnnotationDimensions(annotation) {
+        return AnnotationGeometry.getDimensions(annotation);
+    }
+
+    /**
+     * Checks whether the given annotation is a polygon.
+     * Annotations without a 'type' property are rectangles, as created by earlier versions.
+     *
+     * @param {Object} annotation - The annotation object to check.
+     * @return {boolean} True if the annotation is a polygon, false otherwise.
+     */
+    isPolygon(annotation) {
+        return !!annotation && annotation.type === "polygon";
+    }
+
+    /**
+     * @param {Object} annotation - The annotation object to check.
+     * @return {boolean} True if the annotation is a pixel mask, see AnnotationMask.
+     */
+    isMask(annotation) {
+        return !!annotation && annotation.type === "mask";
+    }
+
+    /**
+     * @param {Object} annotation - The annotation object to check.
+     * @return {boolean} True if the annotation is a rotated box, with 'center', 'width', 'height' and 'angle'.
+     */
+    isRotated(annotation) {
+        return !!annotation && annotation.type === "rotated";
+    }
+
+    /**
+     * Constrains a point to the image boundaries.
+     *
+     * @param {Object} point - The point to constrain, with 'x' and 'y' coordinates.
+     * @return {Object} A new point with 'x' and 'y' coordinates inside the image.
+     */
+    clampPoint(point) {
+        return AnnotationGeometry.clampPoint(point, this.getImageSize());
+    }
+
+    /**
+     * Returns a copy of the geometry of an annotation.
+     * The copy contains the 'start' and 'end' points and, for polygons, the list of vertices, for rotated boxes
+     * the center, size and angle, for masks the RLE.
+     *
+     * @param {Object} annotation - The annotation object to copy the geometry from.
+     * @return {Object} An object with 'start', 'end' and optionally 'points', 'center', 'width', 'height', 'angle' or
+     *                  'mask' properties.
+     */
+    getGeometrySnapshot(annotation) {
+        var snapshot = {
+            start: { x: annotation.start.x, y: annotation.start.y },
+            end: { x: annotation.end.x, y: annotation.end.y },
+        };
+        if (annotation.points) {
+            snapshot.points = annotation.points.map((p) => ({ x: p.x, y: p.y }));
+        }
+        if (annotation.center) {
+            snapshot.center = { x: annotation.center.x, y: annotation.center.y };
+            snapshot.width = annotation.width;
+            snapshot.height = annotation.height;
+            snapshot.angle = annotation.angle;
+        }
+        if (annotation.mask) {
+            snapshot.mask = AnnotationModel.cloneData(annotation.mask);
+        }
+        return snapshot;
+    }
+
+    /**
+     * Recalculates the relative (percentage) coordinates of an annotation from its absolute coordinates.
+     * This keeps 'start_relativ', 'end_relativ' and, for polygons, 'points_relativ' in sync after an edit,
+     * and updates the annotation in the spatial index.
+     *
+     * @param {Object} annotation - The annotation object to update.
+     * @return {void} This function does not return anything.
+     */
+    updateRelativeCoordinates(annotation) {
+        var image = this.getImageSize();
+        var toRelative = (p) => AnnotationGeometry.toRelative(p, image);
+        annotation.start_relativ = toRelative(annotation.start);
+        annotation.end_relativ = toRelative(annotation.end);
+        if (annotation.points) {
+            annotation.points_relativ = annotation.points.map(toRelative);
+        }
+
+        // Every change of the geometry ends up here, so this keeps the spatial index up to date
+        this.updateSpatialIndex(annotation);
+    }
+
+    /**
+     * Updates the bounding box ('start' and 'end') of a polygon from its vertices.
+     * Polygons keep a bounding box so that code working with rectangles (e.g. name placement) keeps working.
+     *
+     * @param {Object} annotation - The polygon annotation to update.
+     * @return {void} This function does not return anything.
+     */
+    updatePolygonBounds(annotation) {
+        var bounds = AnnotationGeometry.getBounds(annotation.points);
+        annotation.start = bounds.start;
+        annotation.end = bounds.end;
+        this.updateRelativeCoordinates(annotation);
+    }
+
+    /**
+     * Updates the bounding box ('start' and 'end') of a rotated box from its corners.
+     *
+     * @param {Object} annotation - The rotated box to update.
+     * @return {void} This function does not return anything.
+     */
+    updateRotatedBounds(annotation) {
+        var bounds = AnnotationGeometry.getBounds(AnnotationGeometry.getCorners(annotation));
+        annotation.start = bounds.start;
+        annotation.end = bounds.end;
+        this.updateRelativeCoordinates(annotation);
+    }
+
+    /**
+     * Updates the bounding box ('start' and 'end') of a mask from its pixels. An empty mask has an empty box at (0, 0).
+     *
+     * @param {Object} annotation - The mask annotation to update.
+     * @return {void} This function does not return anything.
+     */
+    updateMaskBounds(annotation) {
+        var bounds = AnnotationMask.getBounds(this.getMaskBitmap(annotation)) || {
+            start: { x: 0, y: 0 },
+            end: { x: 0, y: 0 },
+        };
+        annotation.start = bounds.start;
+        annotation.end = bounds.end;
+        this.updateRelativeCoordinates(annotation);
+    }
+
+    /**
+     * Returns the pixels of a mask annotation. The RLE in 'mask' is decoded once and cached until it is replaced,
+     * e.g. by an edit, undo or redo.
+     *
+     * @param {Object} annotation - The mask annotation.
+     * @return {Object} The bitmap of the mask, see AnnotationMask. It must not be modified.
+     */
+    getMaskBitmap(annotation) {
+        var cached = this.maskBitmaps.get(annotation);
+        if (!cached || cached.mask !== annotation.mask) {
+            cached = { mask: annotation.mask, bitmap: AnnotationMask.decode(annotation.mask) };
+            this.maskBitmaps.set(annotation, cached);
+        }
+        return cached.bitmap;
+    }
+
+    /**
+     * Determines whether a point lies inside a polygon, using the even-odd (ray casting) rule.
+     *
+     * @param {number} x - The x-coordinate of the point.
+     * @param {number} y - The y-coordinate of the point.
+     * @param {Object[]} points - The vertices of the polygon, each with 'x' and 'y' coordinates.
+     * @return {boolean} True if the point is inside the polygon, false otherwise.
+     */
+    isPointInPolygon(x, y, points) {
+        return AnnotationGeometry.isPointInPolygon(x, y, points);
+    }
+
+    /**
+     * Projects a point onto a line segment.
+     *
+     * @param {number} x - The x-coordinate of the point.
+     * @param {number} y - The y-coordinate of the point.
+     * @param {Object} a - The start of the segment, with 'x' and 'y' coordinates.
+     * @param {Object} b - The end of the segment, with 'x' and 'y' coordinates.
+     * @return {Object} The closest point on the segment ('x', 'y') and its distance to the given point ('distance').
+     */
+    projectOnSegment(x, y, a, b) {
+        return AnnotationGeometry.projectOnSegment(x, y, a, b);
+    }
+
+    /**
+     * Removes all annotations.
+     * This function clears the internal annotations array and then calls refresh() to update the views.
+     * It effectively erases all drawn annotations, leaving the canvas blank or displaying only non-annotation graphics.
+     * Annotations that are persisted (see isPersisted()) are kept as 'deleted' instead, so that the next sync()
+     * removes them. Listeners of 'annotation:beforeDelete' can reject the removal.
+     *
+     * @return {boolean} True if the annotations were removed, false if a listener rejected the removal.
+     */
+    removeAnnotations() {
+        var changes = this.annotations
+            .filter((annotation) => this.isVisible(annotation))
+            .map((annotation) => ({
+                annotation: annotation,
+                before: this.getGeometrySnapshot(annotation),
+                after: null,
+            }));
+        if (changes.length > 0 && !this.confirmChange("delete", changes, "clear")) {
+            return false;
+        }
+
+        // Remember the removed annotations and their states, so that removing them can be undone
+        if (this.annotations.length > 0) {
+            this.history.push({
+                type: "clear",
+                annotations: this.annotations,
+                states: this.annotations.map((annotation) => annotation.state),
+            });
+        }
+
+        // Clear the annotations array
+        this.annotations = this.getClearedAnnotations(this.annotations);
+
+        // Update the views to reflect the removal of annotations
+        this.refresh();
+        this.notifyChange("delete", changes, "clear");
+        return true;
+    }
+
+    /**
+     * Marks annotations as deleted for removeAnnotations(). Persisted annotations (see isPersisted()) have to be
+     * removed by the persistence adapter, so they are kept as 'deleted' until the next sync(); all others are dropped.
+     *
+     * @param {Object[]} annotations - The annotations to remove.
+     * @return {Object[]} The annotations to keep as 'deleted'.
+     */
+    getClearedAnnotations(annotations) {
+        var persisted = annotations.filter((annotation) => this.isPersisted(annotation));
+        persisted.forEach((annotation) => (annotation.state = "deleted"));
+        return persisted;
+    }
+
+    /**
+     * Registers the classes that can be annotated. Each class has an 'id' and a 'name', and optionally a 'color'
+     * (defaults to DEFAULT_COLOR), a 'hotkey' that activates it (the first ten classes default to the keys
+     * "1" to "9" and "0", pass null for none), a 'shape' (a drawing mode, e.g. "box", "polygon" or "brush") that is
+     * drawn while it is active,
+     * and an 'attributes' schema that describes the attributes of its annotations (see setAttribute()).
+     * The names and colors of all annotations of registered classes are updated to match the registry.
+     * The active class is kept if it is still registered, otherwise the first class becomes active.
+     *
+     * @param {Object[]} classes - The classes, each with 'id', 'name' and optionally 'color', 'hotkey', 'shape' and
+     *                            'attributes'.
+     * @return {void} This function does not return anything.
+     * @throws {Error} If a class has no ID or name, an unknown shape, an ID or hotkey that is already used,
+     *                 or an invalid attribute schema.
+     */
+    setClasses(classes) {
+        var ids = new Set();
+        var hotkeys = new Set(
+            classes.filter((item) => item.hotkey !== undefined && item.hotkey !== null).map((item) => item.hotkey)
+        );
+        var defaultHotkeys = AnnotationModel.CLASS_HOTKEYS.filter((hotkey) => !hotkeys.has(hotkey));
+        var registry = classes.map((item, index) => {
+            if (item.id === undefined || item.id === null || !item.name) {
+                throw new Error(`Class ${index} needs an 'id' and a 'name'`);
+            }
+            if (ids.has(String(item.id))) {
+                throw new Error(`Class ID "${item.id}" is used more than once`);
+            }
+            if (
+                item.shape !== undefined &&
+                item.shape !== null &&
+                !AnnotationModel.DRAWING_MODES.includes(item.shape)
+            ) {
+                throw new Error(`Unknown shape "${item.shape}" of class "${item.name}"`);
+            }
+            ids.add(String(item.id));
+
+            var hotkey = item.hotkey === undefined ? defaultHotkeys.shift() || null : item.hotkey;
+            if (hotkey !== null && classes.some((other, i) => i !== index && other.hotkey === hotkey)) {
+                throw new Error(`Hotkey "${hotkey}" is used by more than one class`);
+            }
+            return {
+                id: item.id,
+                name: item.name,
+                color: item.color || AnnotationModel.DEFAULT_COLOR,
+                hotkey: hotkey,
+                shape: item.shape || null,
+                attributes: this.normalizeAttributeSchema(item.attributes || [], item.name),
+            };
+        });
+
+        this.classes = registry;
+        this.validationIssues = null;
+        this.annotations.forEach((annotation) => this.applyClass(annotation));
+        if (this.getClass(this.currentClassId)) {
+            this.setActiveClass(this.currentClassId);
+        } else if (registry.length > 0) {
+            this.setActiveClass(registry[0].id);
+        }
+        this.redraw();
+    }
+
+    /**
+     * Returns the registered classes, see setClasses().
+     *
+     * @return {Object[]} The classes, each with 'id', 'name', 'color', 'hotkey', 'shape' and 'attributes'.
+     */
+    getClasses() {
+        return this.classes.map((item) => AnnotationModel.cloneData(item));
+    }
+
+    /**
+     * Looks up a registered class by its ID. IDs are compared as strings, so 1 and "1" are the same class.
+     *
+     * @param {Number|string} classId - The class ID to look up.
+     * @return {Object|null} The class, or null if no class with this ID is registered.
+     */
+    getClass(classId) {
+        if (classId === undefined || classId === null) {
+            return null;
+        }
+        return this.classes.find((item) => String(item.id) === String(classId)) || null;
+    }
+
+    /**
+     * Looks up the registered class activated by a key. Letters match regardless of case.
+     *
+     * @param {string} key - The key, as given by the 'key' property of keyboard events.
+     * @return {Object|null} The class, or null if no class has this hotkey.
+     */
+    getClassByHotkey(key) {
+        var lowerKey = String(key).toLowerCase();
+        return (
+            this.classes.find((item) => item.hotkey !== null && String(item.hotkey).toLowerCase() === lowerKey) || null
+        );
+    }
+
+    /**
+     * Makes a registered class the one that new annotations are drawn with.
+     * Emits 'class:change' if the class changed.
+     *
+     * @param {Number|string} classId - The ID of the class to activate.
+     * @return {void} This function does not return anything.
+     * @throws {Error} If no class with this ID is registered.
+     */
+    setActiveClass(classId) {
+        var item = this.getClass(classId);
+        if (!item) {
+            throw new Error(`Unknown class "${classId}", register it with setClasses() first`);
+        }
+        var previousClassId = this.currentClassId;
+        this.currentOntology = item.name;
+        this.currentClassId = item.id;
+        this.annotationColor = item.color;
+        if (String(previousClassId) !== String(item.id)) {
+            this.events.emit("class:change", {
+                class: AnnotationModel.cloneData(item),
+                previousClassId: previousClassId,
+            });
+        }
+    }
+
+    /**
+     * Returns the active class, see setActiveClass().
+     *
+     * @return {Object|null} The active class, or null if it is not registered.
+     */
+    getActiveClass() {
+        var item = this.getClass(this.currentClassId);
+        return item ? AnnotationModel.cloneData(item) : null;
+    }
+
+    /**
+     * Changes the class of an annotation to a registered class, taking over its name and color.
+     * The change is recorded in the history like relabelAnnotation().
+     *
+     * @param {Object} annotation - The annotation object to relabel.
+     * @param {Number|string} classId - The ID of the new class.
+     * @return {boolean} True if the annotation was relabeled, false if a listener rejected it.
+     * @throws {Error} If no class with this ID is registered.
+     */
+    relabel(annotation, classId) {
+        var item = this.getClass(classId);
+        if (!item) {
+            throw new Error(`Unknown class "${classId}", register it with setClasses() first`);
+        }
+        return this.relabelAnnotation(annotation, item.name, item.id, item.color);
+    }
+
+    /**
+     * Checks and completes the attribute schema of a class.
+     * Every attribute has a 'name' and a 'type' ("boolean", "enum", "number" or "text"), and optionally a 'label',
+     * a 'default' value, a 'required' flag, 'options' (the allowed values, required for enums) and 'min'/'max'
+     * (numbers). Booleans default to false, all other types to null (not set).
+     *
+     * @param {Object[]} schema - The attribute definitions.
+     * @param {string} className - The name of the class, used in error messages.
+     * @return {Object[]} The completed attribute definitions.
+     * @throws {Error} If an attribute has no name, an unknown type, a name that is already used or an invalid default.
+     */
+    normalizeAttributeSchema(schema, className) {
+        var names = new Set();
+        return schema.map((attribute, index) => {
+            if (!attribute.name) {
+                throw new Error(`Attribute ${index} of class "${className}" needs a 'name'`);
+            }
+            if (names.has(attribute.name)) {
+                throw new Error(`Attribute "${attribute.name}" of class "${className}" is defined more than once`);
+            }
+            if (!AnnotationModel.ATTRIBUTE_TYPES.includes(attribute.type)) {
+                throw new Error(
+                    `Unknown type "${attribute.type}" of attribute "${attribute.name}", ` +
+                        `expected one of: ${AnnotationModel.ATTRIBUTE_TYPES.join(", ")}`
+                );
+            }
+            if (attribute.type === "enum" && !(Array.isArray(attribute.options) && attribute.options.length > 0)) {
+                throw new Error(`Enum attribute "${attribute.name}" of class "${className}" needs 'options'`);
+            }
+            names.add(attribute.name);
+
+            var definition = {
+                name: attribute.name,
+                type: attribute.type,
+                label: attribute.label || attribute.name,
+                required: !!attribute.required,
+                default: null,
+            };
+            if (attribute.type === "enum") {
+                definition.options = attribute.options.slice();
+            }
+            if (attribute.type === "number") {
+                definition.min = typeof attribute.min === "number" ? attribute.min : null;
+                definition.max = typeof attribute.max === "number" ? attribute.max : null;
+            }
+            var defaultValue =
+                attribute.default !== undefined ? attribute.default : attribute.type === "boolean" ? false : null;
+            definition.default = this.coerceAttribute(definition, defaultValue);
+            if (definition.default === undefined) {
+                throw new Error(`Invalid default ${JSON.stringify(defaultValue)} of attribute "${attribute.name}"`);
+            }
+            return definition;
+        });
+    }
+
+    /**
+     * Returns the attribute schema of a class, see setClasses().
+     *
+     * @param {Number|string} classId - The class ID.
+     * @return {Object[]} The attribute definitions, or an empty array if the class has none or is not registered.
+     */
+    getAttributeSchema(classId) {
+        var item = this.getClass(classId);
+        return item ? item.attributes : [];
+    }
+
+    /**
+     * Converts a value to the type of an attribute. Strings are accepted for all types, as imported files
+     * may store every value as text (e.g. "true" or "1" for booleans).
+     *
+     * @param {Object} definition - The attribute definition.
+     * @param {*} value - The value to convert. null, undefined and empty strings (except for text attributes)
+     *                    mean that the attribute is not set.
+     * @return {*} The converted value, or undefined if the value is not valid for the attribute.
+     */
+    coerceAttribute(definition, value) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        if (definition.type !== "text" && typeof value === "string" && value.trim() === "") {
+            // Empty fields and empty elements of imported files leave the attribute unset
+            return null;
+        }
+        switch (definition.type) {
+            case "boolean":
+                if (typeof value === "boolean") {
+                    return value;
+                }
+                var text = String(value).trim().toLowerCase();
+                if (["true", "1", "yes"].includes(text)) {
+                    return true;
+                }
+                return ["false", "0", "no"].includes(text) ? false : undefined;
+            case "enum":
+                return definition.options.find((item) => String(item) === String(value));
+            case "number":
+                var number = typeof value === "number" || typeof value === "string" ? Number(value) : NaN;
+                if (!isFinite(number)) {
+                    return undefined;
+                }
+                if (
+                    (definition.min !== null && number < definition.min) ||
+                    (definition.max !== null && number > definition.max)
+                ) {
+                    return undefined;
+                }
+                return number;
+            default:
+                return typeof value === "object" ? undefined : String(value);
+        }
+    }
+
+    /**
+     * Builds the attributes of an annotation of a class: the defaults of the class schema, overridden by the given
+     * values. Values of attributes in the schema are converted to their type, other values are kept as they are.
+     *
+     * @param {Number|string} classId - The class ID of the annotation.
+     * @param {Object} [values] - The attribute values, by name.
+     * @return {Object} The 'attributes' and the 'errors' (messages for values that are not valid for their attribute).
+     */
+    normalizeAttributes(classId, values) {
+        var schema = this.getAttributeSchema(classId);
+        var attributes = {};
+        var errors = [];
+        for (var definition of schema) {
+            attributes[definition.name] = definition.default;
+        }
+        for (var [name, value] of Object.entries(values || {})) {
+            var match = schema.find((item) => item.name === name);
+            var coerced = match ? this.coerceAttribute(match, value) : AnnotationModel.cloneData(value);
+            if (coerced === undefined) {
+                errors.push(`Invalid value ${JSON.stringify(value)} for attribute "${name}"`);
+            } else {
+                attributes[name] = coerced;
+            }
+        }
+        return { attributes: attributes, errors: errors };
+    }
+
+    /**
+     * Fills in the attributes of an annotation from the schema of its class, keeping the values it already has.
+     * Annotations without attributes and without a class schema get no 'attributes' property.
+     *
+     * @param {Object} annotation - The annotation object.
+     * @param {Object} [values] - Attribute values to set, by name. Invalid values are replaced by the default.
+     * @return {void} This function does not return anything.
+     */
+    initAttributes(annotation, values = annotation.attributes) {
+        var attributes = this.normalizeAttributes(annotation.class_id, values).attributes;
+        if (Object.keys(attributes).length > 0) {
+            annotation.attributes = attributes;
+        }
+    }
+
+    /**
+     * Sets an attribute of an annotation, see setAttributes().
+     *
+     * @param {Object} annotation - The annotation object.
+     * @param {string} name - The attribute name.
+     * @param {*} value - The new value, or null to unset the attribute.
+     * @return {boolean} True if the attribute was changed, false if it already had this value or a listener rejected it.
+     * @throws {Error} If the class schema has no such attribute or the value is not valid for it.
+     */
+    setAttribute(annotation, name, value) {
+        return this.setAttributes(annotation, { [name]: value });
+    }
+
+    /**
+     * Sets attributes of an annotation. Values are checked against the schema of its class; annotations of classes
+     * without a schema accept any attributes. Like a move, the change marks the annotation as 'edited',
+     * is recorded in the history and emits 'annotation:update' with the reason "attributes".
+     *
+     * @param {Object} annotation - The annotation object.
+     * @param {Object} values - The new attribute values, by name.
+     * @return {boolean} True if an attribute was changed, false if nothing changed or a listener rejected it.
+     * @throws {Error} If the class schema has no such attribute or a value is not valid for it.
+     */
+    setAttributes(annotation, values) {
+        var schema = this.getAttributeSchema(annotation.class_id);
+        var changed = {};
+        for (var [name, value] of Object.entries(values)) {
+            var definition = schema.find((item) => item.name === name);
+            if (schema.length > 0 && !definition) {
+                throw new Error(`Class "${annotation.name}" has no attribute "${name}"`);
+            }
+            var coerced = definition ? this.coerceAttribute(definition, value) : AnnotationModel.cloneData(value);
+            if (coerced === undefined) {
+                throw new Error(`Invalid value ${JSON.stringify(value)} for attribute "${name}"`);
+            }
+            if (!annotation.attributes || JSON.stringify(annotation.attributes[name]) !== JSON.stringify(coerced)) {
+                changed[name] = coerced;
+            }
+        }
+        if (Object.keys(changed).length === 0) {
+            return false;
+        }
+
+        var before = this.captureAnnotationState(annotation);
+        annotation.attributes = {
+            ...this.normalizeAttributes(annotation.class_id, annotation.attributes).attributes,
+            ...changed,
+        };
+        annotation.state = "edited";
+        var updated = this.commitChange("attributes", annotation, before);
+        this.redraw();
+        return updated;
+    }
+
+    /**
+     * Returns the required attributes of an annotation that are not set (null or an empty text).
+     *
+     * @param {Object} annotation - The annotation object.
+     * @return {string[]} The names of the missing attributes.
+     */
+    getMissingAttributes(annotation) {
+        var values = annotation.attributes || {};
+        return this.getAttributeSchema(annotation.class_id)
+            .filter((definition) => definition.required)
+            .filter((definition) => {
+                var value = definition.name in values ? values[definition.name] : definition.default;
+                return value === null || value === undefined || value === "";
+            })
+            .map((definition) => definition.name);
+    }
+
+    /**
+     * Sets the name and color of an annotation to those of its registered class.
+     * The annotation is not marked as 'edited', since the class registry is not stored with the annotations.
+     *
+     * @param {Object} annotation - The annotation object to update. Annotations of unregistered classes are kept.
+     * @return {void} This function does not return anything.
+     */
+    applyClass(annotation) {
+        var item = this.getClass(annotation.class_id);
+        if (item) {
+            annotation.name = item.name;
+            annotation.annotationColor = item.color;
+        }
+    }
+
+    /**
+     * Returns the color used for a class: the color of the registered class, or else the color of
+     * an existing annotation of that class.
+     * Falls back to the current annotation color for classes that have no annotations yet.
+     *
+     * @param {Number} classId - The class ID to look up.
+     * @return {string} The color in HEX format.
+     */
+    getClassColor(classId) {
+        if (this.getClass(classId)) {
+            return this.getClass(classId).color;
+        }
+        var annotation = this.annotations.find((a) => String(a.class_id) === String(classId) && a.annotationColor);
+        return annotation ? annotation.annotationColor : this.annotationColor;
+    }
+
+    /**
+     * Creates a new annotation object from a shape description.
+     * The corners of boxes are normalized (see AnnotationGeometry.normalizeBox()), the relative coordinates are
+     * calculated from the absolute ones, and the annotation starts out as 'unsaved'.
+     *
+     * @param {Object} shape - The shape, with 'type' (see SHAPE_TYPES), 'start' and 'end' (boxes), 'points'
+     *                         (polygons), 'center', 'width', 'height' and 'angle' in degrees (rotated boxes) or
+     *                         COCO RLE 'mask' (masks, see AnnotationMask), 'name' and 'class_id'.
+     *                         'annotationColor' defaults to the color of the class, 'attributes' to the defaults of
+     *                         the class schema.
+     * @return {Object} The new annotation object. It is not yet added to the annotations array.
+     */
+    buildAnnotation(shape) {
+        var annotation = {
+            type: AnnotationModel.SHAPE_TYPES.includes(shape.type) ? shape.type : "box",
+            name: shape.name,
+            class_id: shape.class_id,
+            annotationColor: shape.annotationColor || this.getClassColor(shape.class_id),
+            state: "unsaved",
+            ID: null,
+        };
+        this.applyClass(annotation);
+        this.initAttributes(annotation, shape.attributes);
+        if (annotation.type === "polygon") {
+            annotation.points = shape.points.map((p) => ({ x: p.x, y: p.y }));
+            this.updatePolygonBounds(annotation);
+        } else if (annotation.type === "rotated") {
+            annotation.center = { x: shape.center.x, y: shape.center.y };
+            annotation.width = shape.width;
+            annotation.height = shape.height;
+            annotation.angle = AnnotationGeometry.normalizeAngle(shape.angle || 0);
+            this.updateRotatedBounds(annotation);
+        } else if (annotation.type === "mask") {
+            annotation.mask = { size: shape.mask.size.slice(), counts: AnnotationMask.getCounts(shape.mask).slice() };
+            this.updateMaskBounds(annotation);
+        } else {
+            var box = AnnotationGeometry.normalizeBox(shape.start, shape.end);
+            annotation.start = box.start;
+            annotation.end = box.end;
+            this.updateRelativeCoordinates(annotation);
+        }
+        return annotation;
+    }
+
+    /**
+     * Exports the annotations in a common annotation file format.
+     * Deleted annotations, hidden ones (e.g. video tracks that do not exist on the current frame) and predictions
+     * that were not accepted are not exported.
+     *
+     * @param {string} format - One of "coco" (COCO JSON), "yolo" (YOLO txt), "voc" (Pascal VOC XML), "dota" (DOTA txt)
+     *                          or "xywha" (xywhθ txt), see AnnotationFormats for which shapes each format supports.
+     * @param {Object} [options] - 'fileName' is written as the image file name (COCO and Pascal VOC).
+     * @return {string} The exported annotations.
+     */
+    exportAnnotations(format, options = {}) {
+        var shapes = this.annotations.filter(
+            (a) => a.state !== "deleted" && !a.hidden && !this.isPrediction(a) && a.start && a.end
+        );
+        return AnnotationFormats.serialize(format, shapes, { ...this.getImageSize(), fileName: options.fileName });
+    }
+
+    /**
+     * Imports annotations from a common annotation file format and adds them as new, 'unsaved' annotations.
+     * Coordinates are scaled to the current image size. The import is recorded as a single change in the history.
+     * Nothing is imported if the data contains any error.
+     *
+     * @param {string|Object} data - The annotations to import. COCO data can be passed as JSON text or object.
+     * @param {string} format - One of "coco" (COCO JSON), "yolo" (YOLO txt), "voc" (Pascal VOC XML), "dota" (DOTA txt)
+     *                          or "xywha" (xywhθ txt).
+     * @param {Object} [options] - 'classes' ([{id, name}]) maps YOLO and xywhθ class IDs to names and Pascal VOC and
+     *                             DOTA names to IDs,
+     *                             defaults to the registered classes (see setClasses());
+     *                             'imageId' selects the image of a COCO file with more than one image.
+     * @return {Object[]} The imported annotations, or an empty array if a listener rejected the import.
+     * @throws {AnnotationFormatError} If the data is malformed. Its 'errors' list every problem by line or object.
+     */
+    importAnnotations(data, format, options = {}) {
+        if (!options.classes && this.classes.length > 0) {
+            options = { ...options, classes: this.classes };
+        }
+        var shapes = AnnotationFormats.parse(format, data, this.getImageSize(), options);
+        var errors = [];
+        shapes.forEach((shape, index) => {
+            for (var message of this.normalizeAttributes(shape.class_id, shape.attributes).errors) {
+                errors.push({ index: index, message: message });
+            }
+        });
+        if (errors.length > 0) {
+            throw new AnnotationFormatError(format, errors);
+        }
+        var imported = shapes.map((shape) => this.buildAnnotation(shape));
+        return this.addAnnotations(imported, "import");
+    }
+
+    /**
+     * Adds a list of new annotations to the annotations array. They are offered to the listeners of
+     * 'annotation:beforeCreate' together and recorded as a single change in the history.
+     *
+     * @param {Object[]} annotations - The annotation objects to add.
+     * @param {string} reason - Why the annotations are created, passed to the listeners (e.g. "import").
+     * @return {Object[]} The added annotations, or an empty array if a listener rejected them.
+     */
+    addAnnotations(annotations, reason) {
+        if (annotations.length === 0) {
+            return [];
+        }
+        var changes = annotations.map((annotation) => ({
+            annotation: annotation,
+            before: null,
+            after: this.getGeometrySnapshot(annotation),
+        }));
+        if (!this.confirmChange("create", changes, reason)) {
+            return [];
+        }
+        var entries = annotations.map((annotation) => {
+            this.annotations.push(annotation);
+            this.appendToSpatialIndex(annotation);
+            return { type: "create", annotation: annotation, index: this.annotations.length - 1 };
+        });
+        this.history.push({ type: "batch", entries: entries });
+        this.redraw();
+        this.notifyChange("create", changes, reason);
+        return annotations;
+    }
+
+    /**
+     * Adds the output of a model (e.g. an object detector) as predictions to review.
+     * Predictions are annotations in the 'predicted' state, with a 'confidence' and a 'source'. They are not
+     * exported or persisted until they are accepted (see acceptPrediction()), and predictions below the
+     * confidence threshold (see setConfidenceThreshold()) are not shown.
+     * The original geometry and class are kept in 'prediction', to tell how much they were edited after
+     * accepting them (see getProvenance()). The predictions are recorded as a single change in the history.
+     *
+     * @param {Object[]} shapes - The predicted shapes, as passed to buildAnnotation(), each with a 'confidence'
+     *                            between 0 and 1 and optionally a 'source' (defaults to "model").
+     * @return {Object[]} The added predictions, or an empty array if a listener rejected them.
+     * @throws {AnnotationFormatError} If a shape has no valid confidence or invalid attributes.
+     */
+    addPredictions(shapes) {
+        var errors = [];
+        shapes.forEach((shape, index) => {
+            if (typeof shape.confidence !== "number" || !(shape.confidence >= 0 && shape.confidence <= 1)) {
+                errors.push({ index: index, message: "'confidence' must be a number between 0 and 1" });
+            }
+            for (var message of this.normalizeAttributes(shape.class_id, shape.attributes).errors) {
+                errors.push({ index: index, message: message });
+            }
+        });
+        if (errors.length > 0) {
+            throw new AnnotationFormatError("predictions", errors);
+        }
+
+        var predictions = shapes.map((shape) => {
+            var annotation = this.buildAnnotation(shape);
+            annotation.state = "predicted";
+            annotation.source = shape.source || "model";
+            annotation.confidence = shape.confidence;
+            annotation.prediction = {
+                status: "pending",
+                class_id: annotation.class_id,
+                ...this.getGeometrySnapshot(annotation),
+            };
+            return annotation;
+        });
+        return this.addAnnotations(predictions, "prediction");
+    }
+
+    /**
+     * Imports the output of a model from a common annotation file format and adds it as predictions,
+     * see addPredictions(). The confidence is read from the 'score' of COCO detection results and from the value
+     * after the coordinates of YOLO predictions.
+     *
+     * @param {string|Object|Object[]} data - The predictions to import, see importAnnotations().
+     * @param {string} format - "coco" (COCO JSON or detection results) or "yolo" (YOLO txt).
+     * @param {Object} [options] - The options of importAnnotations().
+     * @return {Object[]} The added predictions, or an empty array if a listener rejected them.
+     * @throws {AnnotationFormatError} If the data is malformed or a prediction has no confidence.
+     */
+    importPredictions(data, format, options = {}) {
+        if (!options.classes && this.classes.length > 0) {
+            options = { ...options, classes: this.classes };
+        }
+        return this.addPredictions(AnnotationFormats.parse(format, data, this.getImageSize(), options));
+    }
+
+    /**
+     * @param {Object} annotation - The annotation object.
+     * @return {boolean} True if the annotation is a prediction that was neither accepted nor rejected yet.
+     */
+    isPrediction(annotation) {
+        return annotation.state === "predicted";
+    }
+
+    /**
+     * Hides the predictions whose confidence is below a threshold. The filter applies immediately, and
+     * acceptPredictions() accepts the predictions above it by default.
+     *
+     * @param {number} threshold - The minimum confidence of shown predictions, between 0 and 1.
+     * @return {void} This function does not return anything.
+     * @throws {Error} If the threshold is not a number between 0 and 1.
+     */
+    setConfidenceThreshold(threshold) {
+        if (typeof threshold !== "number" || !(threshold >= 0 && threshold <= 1)) {
+            throw new Error("The confidence threshold must be a number between 0 and 1");
+        }
+        this.confidenceThreshold = threshold;
+        this.refresh();
+    }
+
+    /**
+     * Accepts a prediction: it becomes a normal 'unsaved' annotation that is exported and persisted.
+     * Its 'source', 'confidence' and 'prediction' are kept, see getProvenance().
+     *
+     * @param {Object} annotation - The prediction to accept.
+     * @return {boolean} True if the prediction was accepted, false if it is no pending prediction or a listener
+     *                   rejected the change.
+     */
+    acceptPrediction(annotation) {
+        if (!this.isPrediction(annotation)) {
+            return false;
+        }
+        var before = this.captureAnnotationState(annotation);
+        annotation.state = "unsaved";
+        annotation.prediction.status = "accepted";
+        var accepted = this.commitChange("accept", annotation, before);
+        this.redraw();
+        return accepted;
+    }
+
+    /**
+     * Rejects a prediction, which removes it like a deleted annotation.
+     *
+     * @param {Object} annotation - The prediction to reject.
+     * @return {boolean} True if the prediction was rejected, false if it is no pending prediction or a listener
+     *                   rejected the change.
+     */
+    rejectPrediction(annotation) {
+        if (!this.isPrediction(annotation)) {
+            return false;
+        }
+        var before = this.captureAnnotationState(annotation);
+        annotation.state = "deleted";
+        annotation.prediction.status = "rejected";
+        var rejected = this.commitChange("reject", annotation, before);
+        this.redraw();
+        return rejected;
+    }
+
+    /**
+     * Accepts all predictions with at least the given confidence, as a single change in the history that is
+     * announced with a single 'annotation:update'. Hidden predictions (e.g. video tracks that do not exist on the
+     * current frame) are not accepted. Listeners of 'annotation:beforeUpdate' can reject accepting them.
+     *
+     * @param {number} [threshold] - The minimum confidence, defaults to the confidence threshold.
+     * @return {Object[]} The accepted predictions, empty if a listener rejected accepting them.
+     */
+    acceptPredictions(threshold = this.confidenceThreshold) {
+        var candidates = this.annotations.filter(
+            (annotation) => this.isPrediction(annotation) && !annotation.hidden && annotation.confidence >= threshold
+        );
+        var changes = candidates.map((annotation) => {
+            var geometry = this.getGeometrySnapshot(annotation);
+            return { annotation: annotation, before: geometry, after: geometry };
+        });
+        if (changes.length === 0 || !this.confirmChange("update", changes, "accept")) {
+            return [];
+        }
+
+        for (var annotation of candidates) {
+            var before = this.captureAnnotationState(annotation);
+            annotation.state = "unsaved";
+            annotation.prediction.status = "accepted";
+            if (this.timeline) {
+                this.timeline.recordKeyframe(annotation);
+            }
+            var after = this.captureAnnotationState(annotation);
+            this.history.push({ type: "accept", annotation: annotation, before: before, after: after });
+        }
+        this.history.group(candidates.length);
+        this.notifyChange("update", changes, "accept");
+        this.redraw();
+        return candidates;
+    }
+
+    /**
+     * Tells where an annotation came from and how much it was edited since it was predicted.
+     *
+     * @param {Object} annotation - The annotation object.
+     * @return {Object|null} Null for annotations that were not predicted. Otherwise the 'source', 'confidence' and
+     *                       'status' ("pending", "accepted" or "rejected") of the prediction, whether the annotation
+     *                       was 'edited' since (geometry or class), whether it was 'relabeled', and the 'iou' of its
+     *                       bounding box with the predicted one (1 if the geometry is unchanged).
+     */
+    getProvenance(annotation) {
+        var prediction = annotation.prediction;
+        if (!prediction) {
+            return null;
+        }
+        var geometry = this.getGeometrySnapshot(prediction);
+        var relabeled = annotation.class_id !== prediction.class_id;
+        var reshaped = JSON.stringify(this.getGeometrySnapshot(annotation)) !== JSON.stringify(geometry);
+        return {
+            source: annotation.source,
+            confidence: annotation.confidence,
+            status: prediction.status,
+            edited: relabeled || reshaped,
+            relabeled: relabeled,
+            iou: reshaped ? AnnotationGeometry.iou(annotation, prediction) : 1,
+        };
+    }
+
+    /**
+     * Summarizes the review of the predictions of the image.
+     * Rejected predictions are counted until sync() removes them.
+     *
+     * @return {Object} The number of 'pending', 'accepted' and 'rejected' predictions, how many of the accepted ones
+     *                  were 'edited' and 'relabeled', and the 'meanIoU' of the accepted ones with their prediction
+     *                  (null if none was accepted).
+     */
+    getPredictionStats() {
+        var stats = { pending: 0, accepted: 0, rejected: 0, edited: 0, relabeled: 0, meanIoU: null };
+        var iouSum = 0;
+        for (var annotation of this.annotations) {
+            var provenance = this.getProvenance(annotation);
+            if (!provenance) {
+                continue;
+            }
+            stats[provenance.status]++;
+            if (provenance.status === "accepted") {
+                stats.edited += provenance.edited ? 1 : 0;
+                stats.relabeled += provenance.relabeled ? 1 : 0;
+                iouSum += provenance.iou;
+            }
+        }
+        if (stats.accepted > 0) {
+            stats.meanIoU = iouSum / stats.accepted;
+        }
+        return stats;
+    }
+
+    /**
+     * Returns the review status of an annotation, see setReviewStatus().
+     *
+     * @param {Object} annotation - The annotation object.
+     * @return {string|null} "approved", "rejected", "needs-fix", or null if the annotation was not reviewed.
+     */
+    getReviewStatus(annotation) {
+        return (annotation.review && annotation.review.status) || null;
+    }
+
+    /**
+     * Sets the result of the quality review of an annotation. The review is stored in 'review' (with the 'status'
+     * and the 'comments'), so it is persisted and exported with the annotation, and it can be undone.
+     * Emits 'annotation:update' (reason "review") and 'review:change'.
+     *
+     * @param {Object} annotation - The annotation object to review. Pending predictions cannot be reviewed.
+     * @param {string|null} status - One of REVIEW_STATUSES, or null to clear the review status.
+     * @return {boolean} True if the status was changed, false if nothing changed, the annotation is a prediction or
+     *                   a listener rejected the change.
+     * @throws {Error} If the status is unknown.
+     */
+    setReviewStatus(annotation, status) {
+        if (status !== null && !AnnotationModel.REVIEW_STATUSES.includes(status)) {
+            throw new Error(
+                `Unknown review status "${status}", expected one of: ${AnnotationModel.REVIEW_STATUSES.join(", ")}`
+            );
+        }
+        var previous = this.getReviewStatus(annotation);
+        if (this.isPrediction(annotation) || status === previous) {
+            return false;
+        }
+        var before = this.captureAnnotationState(annotation);
+        annotation.review = { comments: [], ...annotation.review, status: status };
+        annotation.state = "edited";
+        if (!this.commitChange("review", annotation, before)) {
+            return false;
+        }
+        this.redraw();
+        this.events.emit("review:change", {
+            annotation: annotation,
+            status: status,
+            previous: previous,
+            comment: null,
+        });
+        return true;
+    }
+
+    /**
+     * Adds a comment to the review thread of an annotation.
+     * Emits 'annotation:update' (reason "comment") and 'review:change'.
+     *
+     * @param {Object} annotation - The annotation object to comment on. Pending predictions cannot be commented on.
+     * @param {string} text - The text of the comment.
+     * @param {string} [author] - Who wrote the comment.
+     * @return {Object|null} The comment, with 'text', 'author' and 'time' (ISO 8601), or null if the annotation is a
+     *                       prediction or a listener rejected the change.
+     */
+    addReviewComment(annotation, text, author = null) {
+        if (this.isPrediction(annotation)) {
+            return null;
+        }
+        var comment = { text: String(text), author: author, time: new Date().toISOString() };
+        var before = this.captureAnnotationState(annotation);
+        var review = annotation.review || { status: null, comments: [] };
+        annotation.review = { ...review, comments: review.comments.concat([comment]) };
+        annotation.state = "edited";
+        if (!this.commitChange("comment", annotation, before)) {
+            return null;
+        }
+        var status = this.getReviewStatus(annotation);
+        this.events.emit("review:change", {
+            annotation: annotation,
+            status: status,
+            previous: status,
+            comment: comment,
+        });
+        return comment;
+    }
+
+    /**
+     * Finds the next annotation without a review status, in the order of the annotations array.
+     * Only displayed annotations are considered (see isDisplayed()), and pending predictions are skipped.
+     *
+     * @param {Object|null} [after] - The annotation to search after, by default the selected annotation.
+     *                                The search wraps around to the first annotation.
+     * @return {Object|null} The next unreviewed annotation, or null if every annotation was reviewed.
+     */
+    findNextUnreviewed(after = this.selectedAnnotation) {
+        var candidates = this.annotations.filter(
+            (annotation) => this.isDisplayed(annotation) && !this.isPrediction(annotation)
+        );
+        var start = candidates.indexOf(after) + 1;
+        for (var i = 0; i < candidates.length; i++) {
+            var annotation = candidates[(start + i) % candidates.length];
+            if (!this.getReviewStatus(annotation)) {
+                return annotation;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Exports the results of the quality review: the number of annotations per review status and, for every
+     * annotation, its ID, class, geometry, review status and comments. Deleted and hidden annotations and pending
+     * predictions are left out.
+     *
+     * @return {Object} The 'summary' ('approved', 'rejected', 'needs-fix' and 'unreviewed' counts) and the
+     *                  'annotations'.
+     */
+    exportReview() {
+        var summary = { unreviewed: 0 };
+        AnnotationModel.REVIEW_STATUSES.forEach((status) => (summary[status] = 0));
+        var annotations = this.annotations
+            .filter((annotation) => this.isVisible(annotation) && !this.isPrediction(annotation))
+            .map((annotation) => {
+                var status = this.getReviewStatus(annotation);
+                summary[status || "unreviewed"]++;
+                return {
+                    ID: annotation.ID,
+                    name: annotation.name,
+                    class_id: annotation.class_id,
+                    ...this.getGeometrySnapshot(annotation),
+                    status: status,
+                    comments: annotation.review ? AnnotationModel.cloneData(annotation.review.comments) : [],
+                };
+            });
+        return { summary: summary, annotations: annotations };
+    }
+
+    /**
+     * Sets the rules the annotations are checked against, replacing DEFAULT_VALIDATION_RULES.
+     * A rule with the severity "block" rejects drawing and editing changes (see VALIDATED_CHANGES) that make an
+     * annotation fail it, and is reported as an error by validate(). Annotations that already failed a rule before
+     * an edit (e.g. imported ones) can still be edited. A rule with the severity "warn" is only
+     * reported as a warning. The types of rules are:
+     * - "minSize" and "maxSize": limits of the 'width' and the 'height', in pixels or, with the 'unit' "fraction",
+     *   as a fraction of the image size. Rotated boxes are measured along their own axes.
+     * - "aspectRatio": the 'min' and 'max' of the width divided by the height.
+     * - "overlap": the largest intersection over union of the bounding boxes of two annotations of the same class,
+     *   'maxIoU' (0.5 by default).
+     * - "requiredAttributes": the required attributes of the class schema are set, see getMissingAttributes().
+     *   Attributes are filled in after drawing, so this rule never rejects changes.
+     * - "classCount": the 'min' and 'max' number of annotations of a class. Only the maximum rejects changes, when an
+     *   annotation is drawn or relabeled.
+     * - "outOfBounds": no point lies outside the image by more than 'tolerance' pixels (0 by default).
+     * Masks are only checked for required attributes and class counts.
+     *
+     * @param {Object[]} rules - The rules, each with a 'type' (see VALIDATION_RULES), the 'severity' ("block" by
+     *                           default), optionally the IDs of the 'classes' it applies to (all classes by default)
+     *                           and a 'message' that replaces the generated description of the problem.
+     * @return {void} This function does not return anything.
+     * @throws {Error} If a rule has an unknown type, severity or unit.
+     */
+    setValidationRules(rules) {
+        this.validationRules = rules.map((rule) => this.normalizeValidationRule(rule));
+        this.validationIssues = null;
+        this.redraw();
+    }
+
+    /**
+     * Returns the validation rules, see setValidationRules().
+     *
+     * @return {Object[]} The rules, with their defaults filled in.
+     */
+    getValidationRules() {
+        return this.validationRules.map((rule) => AnnotationModel.cloneData(rule));
+    }
+
+    /**
+     * Checks a validation rule and fills in its defaults, see setValidationRules().
+     *
+     * @param {Object} rule - The rule to normalize.
+     * @return {Object} The normalized rule.
+     * @throws {Error} If the rule has an unknown type, severity or unit.
+     */
+    normalizeValidationRule(rule) {
+        if (!AnnotationModel.VALIDATION_RULES.includes(rule.type)) {
+            throw new Error(
+                `Unknown validation rule "${rule.type}", expected one of: ${AnnotationModel.VALIDATION_RULES.join(", ")}`
+            );
+        }
+        var severity = rule.severity || "block";
+        if (!AnnotationModel.VALIDATION_SEVERITIES.includes(severity)) {
+            throw new Error(
+                `Unknown severity "${severity}" of validation rule "${rule.type}", expected one of: ` +
+                    AnnotationModel.VALIDATION_SEVERITIES.join(", ")
+            );
+        }
+        var normalized = {
+            ...AnnotationModel.cloneData(rule),
+            severity: severity,
+            classes: rule.classes ? rule.classes.map(String) : null,
+        };
+        if (rule.type === "minSize" || rule.type === "maxSize") {
+            normalized.unit = rule.unit || "pixels";
+            if (normalized.unit !== "pixels" && normalized.unit !== "fraction") {
+                throw new Error(
+                    `Unknown unit "${rule.unit}" of validation rule "${rule.type}", expected pixels or fraction`
+                );
+            }
+        } else if (rule.type === "overlap") {
+            normalized.maxIoU = rule.maxIoU ?? 0.5;
+        } else if (rule.type === "outOfBounds") {
+            normalized.tolerance = rule.tolerance ?? 0;
+        }
+        return normalized;
+    }
+
+    /**
+     * Checks whether the validation rules apply to an annotation: it is neither deleted nor hidden, nor a prediction
+     * (predictions are checked once they are accepted).
+     *
+     * @param {Object} annotation - The annotation object.
+     * @return {boolean} True if the annotation is validated.
+     */
+    isValidated(annotation) {
+        return annotation.state !== "deleted" && !annotation.hidden && !this.isPrediction(annotation);
+    }
+
+    /**
+     * Checks all annotations against the validation rules (see setValidationRules()), e.g. before saving them.
+     * Deleted and hidden annotations and predictions are left out.
+     *
+     * @return {Object} The report: 'valid' is false if any blocking rule failed, 'errors' lists the failures of
+     *                  blocking rules and 'warnings' those of the other rules. Every issue has the 'type' and
+     *                  'severity' of the 'rule', a 'message', the 'annotation' (null for a class with too few
+     *                  annotations), its 'class_id' and, for overlaps, the 'related' annotation.
+     */
+    validate() {
+        var annotations = this.annotations.filter((annotation) => this.isValidated(annotation));
+        var issues = annotations
+            .flatMap((annotation) => this.checkAnnotation(annotation))
+            .concat(this.getClassCountIssues(annotations));
+
+        this.validationIssues = new Map();
+        for (var issue of issues.filter((issue) => issue.annotation)) {
+            if (!this.validationIssues.has(issue.annotation)) {
+                this.validationIssues.set(issue.annotation, []);
+            }
+            this.validationIssues.get(issue.annotation).push(issue);
+        }
+
+        return {
+            valid: !issues.some((issue) => issue.severity === "block"),
+            errors: issues.filter((issue) => issue.severity === "block"),
+            warnings: issues.filter((issue) => issue.severity === "warn"),
+        };
+    }
+
+    /**
+     * Returns the validation issues of an annotation, as found by validate(). The annotations are validated again
+     * only after they changed.
+     *
+     * @param {Object} annotation - The annotation object.
+     * @return {Object[]} The issues of the annotation, see validate(). Empty if it passes all rules.
+     */
+    getValidationIssues(annotation) {
+        if (!this.validationIssues) {
+            this.validate();
+        }
+        return this.validationIssues.get(annotation) || [];
+    }
+
+    /**
+     * Checks created or edited annotations against the blocking validation rules, see confirmChange().
+     * Only the failures that the change causes count: rules that an edited annotation already failed with its
+     * geometry before the change are skipped. Relabeling does not change the shape, so it skips the rules about it
+     * (GEOMETRY_VALIDATION_RULES).
+     *
+     * @param {Object[]} changes - The changes, see getChangeDetail(). The annotations have the geometry and class
+     *                             after the change.
+     * @param {string} reason - What caused the change, see VALIDATED_CHANGES.
+     * @return {Object[]} The issues that reject the change, see validate().
+     */
+    checkChanges(changes, reason) {
+        var rules = this.validationRules.filter(
+            (rule) =>
+                rule.severity === "block" &&
+                rule.type !== "requiredAttributes" &&
+                !(reason === "relabel" && AnnotationModel.GEOMETRY_VALIDATION_RULES.includes(rule.type))
+        );
+        var annotations = changes.map((change) => change.annotation);
+        var issues = changes.flatMap((change) => {
+            var created = this.checkAnnotation(change.annotation, rules);
+            // Relabeling keeps the geometry, so the failures of the class rules that are left are new
+            if (!change.before || reason === "relabel" || created.length === 0) {
+                return created;
+            }
+            var failed = this.checkAnnotation(change.annotation, rules, change.before).map((issue) => issue.rule);
+            return created.filter((issue) => !failed.includes(issue.rule));
+        });
+        if (reason === "draw" || reason === "relabel") {
+            // The changed annotations are counted last, so that they are the ones above the maximum of their class
+            var others = this.annotations.filter(
+                (annotation) => !annotations.includes(annotation) && this.isValidated(annotation)
+            );
+            issues = issues.concat(
+                this.getClassCountIssues(others.concat(annotations), rules).filter((issue) =>
+                    annotations.includes(issue.annotation)
+                )
+            );
+        }
+        return issues;
+    }
+
+    /**
+     * Checks an annotation against the validation rules that apply to single annotations (all but "classCount").
+     *
+     * @param {Object} annotation - The annotation object.
+     * @param {Object[]} [rules] - The rules to check, by default all rules.
+     * @param {Object} [geometry] - A geometry snapshot to check instead of the current geometry of the annotation,
+     *                              see getGeometrySnapshot().
+     * @return {Object[]} The issues of the annotation, see validate().
+     */
+    checkAnnotation(annotation, rules = this.validationRules, geometry = null) {
+        var issues = [];
+        var shape = geometry ? { ...annotation, ...geometry } : annotation;
+        for (var rule of rules) {
+            if (rule.type === "classCount" || (rule.classes && !rule.classes.includes(String(annotation.class_id)))) {
+                continue;
+            }
+            var failure = this.checkValidationRule(rule, shape, annotation);
+            if (failure) {
+                issues.push(this.createValidationIssue(rule, annotation, failure));
+            }
+        }
+        return issues;
+    }
+
+    /**
+     * Checks an annotation against a validation rule that applies to single annotations.
+     *
+     * @param {Object} rule - The rule, see setValidationRules().
+     * @param {Object} annotation - The annotation object, or a copy of it with another geometry.
+     * @param {Object} [original=annotation] - The annotation object itself, which does not overlap with itself.
+     * @return {Object|null} The failure, with a 'message' and the 'related' annotation of overlaps, or null if the
+     *                       annotation passes the rule.
+     */
+    checkValidationRule(rule, annotation, original = annotation) {
+        if (rule.type === "requiredAttributes") {
+            var missing = this.getMissingAttributes(annotation);
+            return missing.length > 0 ? { message: `Missing required attributes: ${missing.join(", ")}` } : null;
+        }
+        if (this.isMask(annotation)) {
+            // Masks are painted within the image, and their shape is not a box
+            return null;
+        }
+
+        var image = this.getImageSize();
+        var { width, height } = this.isRotated(annotation) ? annotation : this.getAnnotationDimensions(annotation);
+        if (rule.type === "minSize" || rule.type === "maxSize") {
+            var scale = rule.unit === "fraction" ? image : { width: 1, height: 1 };
+            var sizes = { width: width, height: height };
+            for (var axis of ["width", "height"]) {
+                var limit = rule[axis] * scale[axis];
+                if (
+                    rule[axis] === undefined ||
+                    (rule.type === "minSize" ? sizes[axis] >= limit : sizes[axis] <= limit)
+                ) {
+                    continue;
+                }
+                var comparison = rule.type === "minSize" ? "below the minimum" : "above the maximum";
+                return {
+                    message: `The ${axis} of ${+sizes[axis].toFixed(1)} px is ${comparison} of ${+limit.toFixed(1)} px`,
+                };
+            }
+        } else if (rule.type === "aspectRatio") {
+            var ratio = height > 0 ? width / height : Infinity;
+            if ((rule.min !== undefined && ratio < rule.min) || (rule.max !== undefined && ratio > rule.max)) {
+                return {
+                    message: `The aspect ratio of ${ratio.toFixed(2)} is outside of ${rule.min ?? 0} to ${rule.max ?? "\u221E"}`,
+                };
+            }
+        } else if (rule.type === "overlap") {
+            var bounds = this.getAnnotationBounds(annotation);
+            var related = null;
+            var worst = rule.maxIoU;
+            for (var other of this.getSpatialIndex().search(bounds.minX, bounds.minY, bounds.maxX, bounds.maxY)) {
+                if (
+                    other === original ||
+                    String(other.class_id) !== String(annotation.class_id) ||
+                    this.isMask(other) ||
+                    !this.isValidated(other)
+                ) {
+                    continue;
+                }
+                var iou = AnnotationGeometry.iou(annotation, other);
+                if (iou > worst) {
+                    related = other;
+                    worst = iou;
+                }
+            }
+            if (related) {
+                return {
+                    message: `Overlaps another "${annotation.name}" with an IoU of ${worst.toFixed(2)}, more than ${rule.maxIoU}`,
+                    related: related,
+                };
+            }
+        } else if (rule.type === "outOfBounds" && image.width > 0 && image.height > 0) {
+            var points = this.isPolygon(annotation)
+                ? annotation.points
+                : this.isRotated(annotation)
+                  ? AnnotationGeometry.getCorners(annotation)
+                  : [annotation.start, annotation.end];
+            var tolerance = rule.tolerance;
+            if (
+                points.some(
+                    (point) =>
+                        point.x < -tolerance ||
+                        point.y < -tolerance ||
+                        point.x > image.width + tolerance ||
+                        point.y > image.height + tolerance
+                )
+            ) {
+                return { message: "Lies outside of the image" };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Checks the number of annotations per class against the "classCount" validation rules. Of the annotations
+     * above the maximum of a class, the last ones in the list fail the rule.
+     *
+     * @param {Object[]} annotations - The annotations to count.
+     * @param {Object[]} [rules] - The rules to check, by default all rules.
+     * @return {Object[]} The issues, see validate().
+     */
+    getClassCountIssues(annotations, rules = this.validationRules) {
+        var issues = [];
+        var members = new Map();
+        annotations.forEach((annotation) => {
+            var classId = String(annotation.class_id);
+            if (!members.has(classId)) {
+                members.set(classId, []);
+            }
+            members.get(classId).push(annotation);
+        });
+        for (var rule of rules.filter((rule) => rule.type === "classCount")) {
+            // Without a list of classes, every registered class and every class with annotations is counted
+            var classIds = rule.classes || [
+                ...new Set([...this.classes.map((item) => String(item.id)), ...members.keys()]),
+            ];
+            for (var classId of classIds) {
+                var found = members.get(classId) || [];
+                var item = this.getClass(classId);
+                var name = item ? item.name : found.length > 0 ? found[0].name : classId;
+                if (rule.max !== undefined && found.length > rule.max) {
+                    found.slice(rule.max).forEach((annotation) =>
+                        issues.push(
+                            this.createValidationIssue(rule, annotation, {
+                                message: `More than ${rule.max} annotations of "${name}"`,
+                            })
+                        )
+                    );
+                }
+                if (rule.min !== undefined && found.length < rule.min) {
+                    issues.push(
+                        this.createValidationIssue(rule, null, {
+                            message: `At least ${rule.min} annotations of "${name}" are required, found ${found.length}`,
+                            class_id: item ? item.id : classId,
+                        })
+                    );
+                }
+            }
+        }
+        return issues;
+    }
+
+    /**
+     * @param {Object} rule - The failed validation rule.
+     * @param {Object|null} annotation - The annotation that failed it, or null if it is about a class.
+     * @param {Object} failure - The 'message', and optionally the 'related' annotation or the 'class_id'.
+     * @return {Object} The issue, see validate().
+     */
+    createValidationIssue(rule, annotation, failure) {
+        return {
+            type: rule.type,
+            severity: rule.severity,
+            message: rule.message || failure.message,
+            annotation: annotation,
+            class_id: annotation ? annotation.class_id : failure.class_id,
+            related: failure.related || null,
+            rule: rule,
+        };
+    }
+
+    /**
+     * Returns the mask of a class: the mask annotation that holds the pixels of the class painted so far.
+     *
+     * @param {Number} classId - The class ID.
+     * @return {Object|null} The mask annotation, or null if the class has no mask yet. Deleted masks and
+     *                       predictions are ignored.
+     */
+    getMask(classId) {
+        return (
+            this.annotations.find(
+                (annotation) =>
+                    this.isMask(annotation) &&
+                    String(annotation.class_id) === String(classId) &&
+                    annotation.state !== "deleted" &&
+                    !this.isPrediction(annotation)
+            ) || null
+        );
+    }
+
+    /**
+     * Replaces the pixels of the mask of a class and records the change in the history. If the class has no mask yet,
+     * a mask annotation is created. A changed mask is marked as 'edited', a mask without pixels is deleted.
+     *
+     * @param {Number} classId - The class ID.
+     * @param {Object} bitmap - The new pixels, with the size of the image, see AnnotationMask. The bitmap is cached
+     *                         as the pixels of the mask, so it must not be modified afterwards.
+     * @param {string} [reason] - The kind of change passed to the listeners, e.g. "paint", "erase" or "fill".
+     * @return {Object|null} The mask annotation, or null if the pixels did not change, no mask is created for
+     *                       an empty bitmap, or a listener rejected the change. A deleted mask is returned too.
+     */
+    setMaskBitmap(classId, bitmap, reason = "paint") {
+        var mask = AnnotationMask.encode(bitmap);
+        var annotation = this.getMask(classId);
+        if (!annotation) {
+            if (AnnotationMask.getArea(mask) === 0) {
+                return null;
+            }
+            annotation = this.buildAnnotation({
+                type: "mask",
+                mask: mask,
+                name: String(classId) === String(this.currentClassId) ? this.currentOntology : String(classId),
+                class_id: classId,
+            });
+            this.maskBitmaps.set(annotation, { mask: annotation.mask, bitmap: bitmap });
+            var created = this.addAnnotation(annotation, reason);
+            this.redraw();
+            return created;
+        }
+        if (JSON.stringify(annotation.mask) === JSON.stringify(mask)) {
+            return null;
+        }
+
+        var before = this.captureAnnotationState(annotation);
+        var empty = AnnotationMask.getArea(mask) === 0;
+        annotation.mask = mask;
+        this.maskBitmaps.set(annotation, { mask: mask, bitmap: bitmap });
+        this.updateMaskBounds(annotation);
+        annotation.state = empty ? "deleted" : "edited";
+        var changed = this.commitChange(empty ? "delete" : reason, annotation, before);
+        this.redraw();
+        return changed ? annotation : null;
+    }
+
+    /**
+     * Returns a copy of the pixels of the mask of a class, to be edited and passed to setMaskBitmap().
+     *
+     * @param {Number} classId - The class ID.
+     * @return {Object} The bitmap, see AnnotationMask. It is empty if the class has no mask yet.
+     */
+    copyMaskBitmap(classId) {
+        var annotation = this.getMask(classId);
+        if (annotation) {
+            return AnnotationMask.clone(this.getMaskBitmap(annotation));
+        }
+        var image = this.getImageSize();
+        return AnnotationMask.create(image.width, image.height);
+    }
+
+    /**
+     * Paints a brush stroke into the mask of a class, as a single change in the history.
+     *
+     * @param {Number} classId - The class ID.
+     * @param {Object[]} points - The points of the stroke, in image pixels. A single point paints a dot.
+     * @param {number} radius - The radius of the brush, in image pixels.
+     * @return {Object|null} The mask annotation, see setMaskBitmap().
+     */
+    paintMask(classId, points, radius) {
+        var bitmap = this.copyMaskBitmap(classId);
+        points.forEach((point, i) => AnnotationMask.paintLine(bitmap, points[Math.max(0, i - 1)], point, radius, 1));
+        return this.setMaskBitmap(classId, bitmap, "paint");
+    }
+
+    /**
+     * Erases the pixels along a brush stroke from the mask of a class, as a single change in the history.
+     *
+     * @param {Number} classId - The class ID.
+     * @param {Object[]} points - The points of the stroke, in image pixels. A single point erases a dot.
+     * @param {number} radius - The radius of the eraser, in image pixels.
+     * @return {Object|null} The mask annotation, see setMaskBitmap().
+     */
+    eraseMask(classId, points, radius) {
+        var bitmap = this.copyMaskBitmap(classId);
+        points.forEach((point, i) => AnnotationMask.paintLine(bitmap, points[Math.max(0, i - 1)], point, radius, 0));
+        return this.setMaskBitmap(classId, bitmap, "erase");
+    }
+
+    /**
+     * Adds the area around a point that is enclosed by the mask of a class (or by the image border) to the mask.
+     *
+     * @param {Number} classId - The class ID.
+     * @param {Object} point - A point in the area to fill, in image pixels.
+     * @return {Object|null} The mask annotation, see setMaskBitmap().
+     */
+    fillMask(classId, point) {
+        var bitmap = this.copyMaskBitmap(classId);
+        AnnotationMask.floodFill(bitmap, point, 1);
+        return this.setMaskBitmap(classId, bitmap, "fill");
+    }
+
+    /**
+     * Combines the masks into a label map: an image with the class ID of every pixel, 0 for the background.
+     * Where masks overlap, the mask later in the annotations array wins. Like exportAnnotations(), deleted and hidden
+     * masks and predictions are left out.
+     *
+     * @return {Object} The label map, with the 'width' and 'height' of the image and a Uint8Array of labels ('data',
+     *                  row by row).
+     * @throws {Error} If a mask has a class ID that is not an integer from 1 to 255.
+     */
+    getLabelMap() {
+        var image = this.getImageSize();
+        var labels = new Uint8Array(image.width * image.height);
+        for (var annotation of this.annotations) {
+            if (!this.isMask(annotation) || !this.isDisplayed(annotation) || this.isPrediction(annotation)) {
+                continue;
+            }
+            var label = Number(annotation.class_id);
+            if (!Number.isInteger(label) || label < 1 || label > 255) {
+                throw new Error(`The class ID ${annotation.class_id} does not fit into a label map, expected 1 to 255`);
+            }
+            var bitmap = AnnotationMask.resize(this.getMaskBitmap(annotation), image.width, image.height);
+            bitmap.data.forEach((value, index) => {
+                if (value) {
+                    labels[index] = label;
+                }
+            });
+        }
+        return { width: image.width, height: image.height, data: labels };
+    }
+
+    /**
+     * Imports a label map (see getLabelMap()) and adds a new 'unsaved' mask for every label other than 0.
+     * The label map is scaled to the image size, and the import is recorded as a single change in the history.
+     *
+     * @param {Object} labelMap - The label map, with 'width', 'height' and the label of every pixel ('data', row by row).
+     * @return {Object[]} The imported masks, or an empty array if a listener rejected the import.
+     */
+    importLabelMap(labelMap) {
+        var image = this.getImageSize();
+        var bitmaps = new Map();
+        labelMap.data.forEach((label, index) => {
+            if (!label) {
+                return;
+            }
+            if (!bitmaps.has(label)) {
+                bitmaps.set(label, AnnotationMask.create(labelMap.width, labelMap.height));
+            }
+            bitmaps.get(label).data[index] = 1;
+        });
+        var masks = Array.from(bitmaps.keys())
+            .sort((a, b) => a - b)
+            .map((label) =>
+                this.buildAnnotation({
+                    type: "mask",
+                    mask: AnnotationMask.encode(AnnotationMask.resize(bitmaps.get(label), image.width, image.height)),
+                    name: AnnotationFormats.findClassName(this.classes, label) ?? String(label),
+                    class_id: label,
+                })
+            );
+        return this.addAnnotations(masks, "import");
+    }
+
+    /**
+     * Sets the persistence adapter used by sync() and loadAnnotations().
+     * An adapter is an object with the methods 'create(record)', 'update(record)', 'remove(record)' and 'list()',
+     * all returning promises. 'create' resolves to the created record (or its ID); the ID is written into the
+     * 'ID' property of the annotation. See AnnotationMemoryAdapter and AnnotationRestAdapter.
+     *
+     * @param {Object|null} adapter - The persistence adapter, or null to disable persistence.
+     * @return {void} This function does not return anything.
+     */
+    setPersistenceAdapter(adapter) {
+        this.persistenceAdapter = adapter;
+    }
+
+    /**
+     * Returns the record of an annotation as sent to the persistence adapter.
+     * The record contains all annotation data except the local 'state' and UI related properties.
+     *
+     * @param {Object} annotation - The annotation object.
+     * @return {Object} The record.
+     */
+    getRecord(annotation) {
+        var record = this.captureAnnotationState(annotation);
+        delete record.state;
+        return record;
+    }
+
+    /**
+     * Returns the record data of an annotation as JSON, without the 'ID'.
+     * Used to detect whether an annotation changed compared to the persisted data.
+     *
+     * @param {Object} annotation - The annotation object.
+     * @return {string} The record data as JSON.
+     */
+    getRecordJSON(annotation) {
+        var record = this.getRecord(annotation);
+        delete record.ID;
+        return JSON.stringify(record);
+    }
+
+    /**
+     * Checks whether an annotation has a record in the persistence adapter: it has an ID, or sync() is creating its
+     * record. Such an annotation has to be kept as 'deleted' when it is removed, so that the next sync() removes the
+     * record instead of leaving it behind.
+     *
+     * @param {Object} annotation - The annotation object.
+     * @return {boolean} True if the annotation has or is getting a record.
+     */
+    isPersisted(annotation) {
+        return (annotation.ID !== null && annotation.ID !== undefined) || this.creatingRecords.has(annotation);
+    }
+
+    /**
+     * Returns the annotations whose changes have not been persisted yet,
+     * i.e. the annotations in the 'unsaved', 'edited' or 'deleted' state.
+     *
+     * @return {Object[]} The annotations that sync() would persist.
+     */
+    getPendingChanges() {
+        return this.annotations.filter((annotation) => AnnotationModel.DIRTY_STATES.includes(annotation.state));
+    }
+
+    /**
+     * @return {boolean} True if there are changes that have not been persisted yet.
+     */
+    hasUnsavedChanges() {
+        return this.getPendingChanges().length > 0;
+    }
+
+    /**
+     * Persists all pending changes through the persistence adapter.
+     * 'unsaved' annotations (and 'edited' ones without an ID) are created, 'edited' ones are updated and 'deleted'
+     * ones are removed. The annotations are sent in batches of SYNC_BATCH_SIZE. On success, the ID assigned by the
+     * adapter is written into 'ID', the state becomes 'saved', and removed annotations are dropped from the
+     * annotations array. Annotations that fail keep their state, so they are retried by the next sync(); their
+     * error is available through 'syncErrors'.
+     * Calling sync() while a synchronization is running returns the promise of the running one.
+     *
+     * @return {Promise<Object>} Resolves to the 'created', 'updated' and 'removed' annotations and the 'failed' ones
+     *                           (as {annotation, error}).
+     */
+    sync() {
+        if (!this.persistenceAdapter) {
+            return Promise.reject(new Error("No persistence adapter set, call setPersistenceAdapter() first"));
+        }
+        if (!this.syncPromise) {
+            this.syncPromise = this.syncPendingChanges().finally(() => {
+                this.syncPromise = null;
+            });
+        }
+        return this.syncPromise;
+    }
+
+    /**
+     * Persists the pending changes batch by batch. Called by sync().
+     *
+     * @return {Promise<Object>} The result of the synchronization, see sync().
+     */
+    async syncPendingChanges() {
+        var result = { created: [], updated: [], removed: [], failed: [] };
+        var pending = this.getPendingChanges();
+
+        for (var i = 0; i < pending.length; i += AnnotationModel.SYNC_BATCH_SIZE) {
+            var batch = pending.slice(i, i + AnnotationModel.SYNC_BATCH_SIZE);
+            await Promise.all(batch.map((annotation) => this.syncAnnotation(annotation, result)));
+        }
+
+        if (pending.length > 0) {
+            this.refresh();
+            this.notifyChange(
+                "update",
+                result.created.concat(result.updated).map((annotation) => {
+                    var geometry = this.getGeometrySnapshot(annotation);
+                    return { annotation: annotation, before: geometry, after: geometry };
+                }),
+                "sync"
+            );
+        }
+        return result;
+    }
+
+    /**
+     * Persists the pending change of a single annotation and records the outcome in the result.
+     *
+     * @param {Object} annotation - The annotation to persist.
+     * @param {Object} result - The result of the running synchronization, see sync().
+     * @return {Promise<void>}
+     */
+    async syncAnnotation(annotation, result) {
+        var adapter = this.persistenceAdapter;
+        var state = annotation.state;
+        var record = this.getRecord(annotation);
+        var sentJSON = this.getRecordJSON(annotation);
+        var hasId = annotation.ID !== null && annotation.ID !== undefined;
+
+        try {
+            if (state === "deleted") {
+                if (hasId) {
+                    await adapter.remove(record);
+                }
+                annotation.ID = null;
+
+                // The deletion is persisted, so the annotation is dropped unless it was restored in the meantime
+                if (annotation.state === "deleted") {
+                    var index = this.annotations.indexOf(annotation);
+                    if (index !== -1) {
+                        this.annotations.splice(index, 1);
+                        this.invalidateSpatialIndex();
+                    }
+                    this.history.forget(annotation);
+                }
+                this.persistedRecords.delete(annotation);
+                this.syncErrors.delete(annotation);
+                result.removed.push(annotation);
+                return;
+            }
+
+            if (hasId) {
+                await adapter.update(record);
+                result.updated.push(annotation);
+            } else {
+                this.creatingRecords.add(annotation);
+                try {
+                    var response = await adapter.create(record);
+                } finally {
+                    this.creatingRecords.delete(annotation);
+                }
+                annotation.ID =
+                    response !== null && typeof response === "object" ? (response.ID ?? response.id) : response;
+                result.created.push(annotation);
+            }
+
+            // Only mark the annotation as saved if it was not changed while the request was running
+            this.persistedRecords.set(annotation, sentJSON);
+            this.syncErrors.delete(annotation);
+            if (annotation.state === state && this.getRecordJSON(annotation) === sentJSON) {
+                annotation.state = "saved";
+            }
+        } catch (error) {
+            this.syncErrors.set(annotation, error);
+            result.failed.push({ annotation: annotation, error: error });
+        }
+    }
+
+    /**
+     * Replaces the annotations with the records listed by the persistence adapter.
+     * The loaded annotations are in the 'saved' state, and the undo history is cleared.
+     *
+     * @return {Promise<Object[]>} The loaded annotations.
+     */
+    async loadAnnotations() {
+        if (!this.persistenceAdapter) {
+            throw new Error("No persistence adapter set, call setPersistenceAdapter() first");
+        }
+        var records = await this.persistenceAdapter.list();
+        var previous = this.annotations;
+        var previousGeometry = previous.map((annotation) =>
+            this.isVisible(annotation) ? this.getGeometrySnapshot(annotation) : null
+        );
+
+        this.annotations = records.map((record) => this.createAnnotationFromRecord(record));
+        this.history.clear();
+        this.syncErrors.clear();
+        this.refresh();
+
+        // Listeners see the replaced annotations as deleted and the loaded ones as created
+        this.notifyChanges(
+            previous.concat(this.annotations),
+            previousGeometry.concat(this.annotations.map(() => null)),
+            "load"
+        );
+        return this.annotations;
+    }
+
+    /**
+     * Creates a 'saved' annotation from a persisted record, e.g. one returned by a persistence adapter.
+     * The record is copied, and the relative coordinates and the class color are filled in.
+     * The annotation is not yet added to the annotations array.
+     *
+     * @param {Object} record - The persisted annotation record.
+     * @return {Object} The annotation object.
+     */
+    createAnnotationFromRecord(record) {
+        var annotation = AnnotationModel.cloneData(record);
+        if (this.isPolygon(annotation)) {
+            this.updatePolygonBounds(annotation);
+        } else if (this.isRotated(annotation)) {
+            this.updateRotatedBounds(annotation);
+        } else {
+            this.updateRelativeCoordinates(annotation);
+        }
+        annotation.annotationColor = annotation.annotationColor || this.getClassColor(annotation.class_id);
+        this.applyClass(annotation);
+        annotation.state = "saved";
+        this.persistedRecords.set(annotation, this.getRecordJSON(annotation));
+        return annotation;
+    }
+
+    /**
+     * Adds a new annotation to the annotations array and records its creation in the history.
+     * Missing attributes are set to the defaults of the class schema, and boxes become tracks if a video timeline is
+     * attached. Listeners of 'annotation:beforeCreate' can reject the annotation.
+     *
+     * @param {Object} annotation - The annotation object to add.
+     * @param {string} [reason] - Why the annotation is created, passed to the listeners (e.g. "draw").
+     * @return {Object|null} The added annotation, or null if a listener rejected it.
+     */
+    addAnnotation(annotation, reason = "draw") {
+        this.initAttributes(annotation);
+        if (this.timeline) {
+            this.timeline.initTrack(annotation);
+        }
+        var changes = [{ annotation: annotation, before: null, after: this.getGeometrySnapshot(annotation) }];
+        if (!this.confirmChange("create", changes, reason)) {
+            return null;
+        }
+        this.annotations.push(annotation);
+        this.appendToSpatialIndex(annotation);
+        this.history.push({ type: "create", annotation: annotation, index: this.annotations.length - 1 });
+        this.notifyChange("create", changes, reason);
+        return annotation;
+    }
+
+    /**
+     * Changes the class of an existing annotation and records the change in the history.
+     * Attributes of the new class schema that the annotation does not have yet are set to their defaults.
+     *
+     * @param {Object} annotation - The annotation object to relabel.
+     * @param {string} className - The new class name.
+     * @param {Number} classId - The new class ID.
+     * @param {string} annotationColor - The new color, specified in HEX format (e.g., "#FF0000").
+     * @return {boolean} True if the annotation was relabeled, false if nothing changed or a listener rejected it.
+     */
+    relabelAnnotation(annotation, className, classId, annotationColor) {
+        var before = this.captureAnnotationState(annotation);
+        annotation.name = className;
+        annotation.class_id = classId;
+        annotation.annotationColor = annotationColor;
+        this.initAttributes(annotation);
+        annotation.state = "edited";
+        var relabeled = this.commitChange("relabel", annotation, before);
+        this.redraw();
+        return relabeled;
+    }
+
+    /**
+     * Creates a deep copy of plain annotation data (objects, arrays, typed arrays and primitive values).
+     *
+     * @param {*} value - The value to copy.
+     * @return {*} The copied value.
+     */
+    static cloneData(value) {
+        if (Array.isArray(value)) {
+            return value.map((item) => AnnotationModel.cloneData(item));
+        }
+        if (ArrayBuffer.isView(value)) {
+            return value.slice();
+        }
+        if (value && typeof value === "object") {
+            var copy = {};
+            for (var key of Object.keys(value)) {
+                copy[key] = AnnotationModel.cloneData(value[key]);
+            }
+            return copy;
+        }
+        return value;
+    }
+
+    /**
+     * Takes a snapshot of all data of an annotation, including its geometry, class and 'state'.
+     * Properties that only reflect the UI state (e.g. 'selected') are not part of the snapshot.
+     *
+     * @param {Object} annotation - The annotation object to take the snapshot of.
+     * @return {Object} A deep copy of the annotation data.
+     */
+    captureAnnotationState(annotation) {
+        var snapshot = {};
+        for (var key of Object.keys(annotation)) {
+            if (!AnnotationModel.TRANSIENT_PROPERTIES.includes(key)) {
+                snapshot[key] = AnnotationModel.cloneData(annotation[key]);
+            }
+        }
+        return snapshot;
+    }
+
+    /**
+     * Restores the data of an annotation from a snapshot taken with 'captureAnnotationState'.
+     * The annotation object itself is kept, so that references to it stay valid.
+     *
+     * @param {Object} annotation - The annotation object to restore.
+     * @param {Object} snapshot - The snapshot to restore the data from.
+     * @return {void} This function does not return anything.
+     */
+    restoreAnnotationState(annotation, snapshot) {
+        // The 'ID' is assigned by the persistence adapter and is not part of the undoable data
+        var id = annotation.ID;
+        for (var key of Object.keys(annotation)) {
+            if (!AnnotationModel.TRANSIENT_PROPERTIES.includes(key) && !(key in snapshot)) {
+                delete annotation[key];
+            }
+        }
+        Object.assign(annotation, AnnotationModel.cloneData(snapshot));
+        annotation.ID = id;
+        this.applyClass(annotation);
+        this.updateSpatialIndex(annotation);
+
+        // An annotation restored to 'saved' differs from the persisted data if it was synchronized in between
+        if (annotation.state === "saved" && this.persistedRecords.get(annotation) !== this.getRecordJSON(annotation)) {
+            annotation.state = "edited";
+        }
+    }
+
+    /**
+     * Commits a change that was applied to an existing annotation: the change is offered to the listeners of
+     * 'annotation:beforeUpdate' (or 'annotation:beforeDelete'), recorded in the history and announced with
+     * 'annotation:update' (or 'annotation:delete'). If a listener rejects the change, the annotation is restored.
+     * Nothing happens if the annotation data does not differ from the snapshot.
+     *
+     * @param {string} type - The kind of change, e.g. "move", "resize", "reshape", "delete", "relabel", "review",
+     *                        "accept" or "reject" (a rejected prediction is deleted).
+     * @param {Object} annotation - The annotation object that was changed.
+     * @param {Object} before - The snapshot of the annotation taken before the change.
+     * @return {boolean} True if the change was committed, false if nothing changed or a listener rejected it.
+     */
+    commitChange(type, annotation, before) {
+        var kind = type === "delete" || type === "reject" ? "delete" : "update";
+        if (this.timeline && kind !== "delete") {
+            this.timeline.recordKeyframe(annotation);
+        }
+        var after = this.captureAnnotationState(annotation);
+        if (JSON.stringify(before) === JSON.stringify(after)) {
+            return false;
+        }
+
+        var changes = [
+            {
+                annotation: annotation,
+                before: this.getGeometrySnapshot(before),
+                after: kind === "delete" ? null : this.getGeometrySnapshot(annotation),
+            },
+        ];
+        if (!this.confirmChange(kind, changes, type)) {
+            this.restoreAnnotationState(annotation, before);
+            return false;
+        }
+
+        this.history.push({ type: type, annotation: annotation, before: before, after: after });
+        this.notifyChange(kind, changes, type);
+        return true;
+    }
+
+    /**
+     * Reverts or re-applies a change recorded in the history.
+     *
+     * @param {Object} entry - The history entry to apply.
+     * @param {boolean} isUndo - True to revert the change, false to re-apply it.
+     * @return {void} This function does not return anything.
+     */
+    applyHistoryEntry(entry, isUndo) {
+        this.invalidateSpatialIndex();
+        switch (entry.type) {
+            case "create":
+                if (isUndo && this.isPersisted(entry.annotation)) {
+                    // The annotation was already persisted, so it has to be deleted rather than dropped
+                    entry.persistedState = entry.annotation.state;
+                    entry.annotation.state = "deleted";
+                } else if (isUndo) {
+                    this.annotations.splice(this.annotations.indexOf(entry.annotation), 1);
+                } else if (this.annotations.includes(entry.annotation)) {
+                    entry.annotation.state = entry.persistedState;
+                } else {
+                    this.annotations.splice(Math.min(entry.index, this.annotations.length), 0, entry.annotation);
+                }
+                break;
+            case "clear":
+                if (isUndo) {
+                    entry.annotations.forEach((annotation, index) => (annotation.state = entry.states[index]));
+                    this.annotations = entry.annotations;
+                } else {
+                    this.annotations = this.getClearedAnnotations(entry.annotations);
+                }
+                break;
+            case "batch":
+                var entries = isUndo ? entry.entries.slice().reverse() : entry.entries;
+                entries.forEach((item) => this.applyHistoryEntry(item, isUndo));
+                break;
+            default:
+                this.restoreAnnotationState(entry.annotation, isUndo ? entry.before : entry.after);
+        }
+    }
+
+    /**
+     * Reverts the most recent change to the annotations.
+     * This includes the 'state' of the annotation, so an undone edit restores e.g. 'unsaved' instead of 'edited'.
+     *
+     * @return {boolean} True if a change was undone, false if there was nothing to undo.
+     */
+    undo() {
+        var entry = this.history.undo();
+        if (!entry) {
+            return false;
+        }
+        this.applyHistoryChange(entry, true);
+        return true;
+    }
+
+    /**
+     * Re-applies the most recently undone change to the annotations.
+     *
+     * @return {boolean} True if a change was redone, false if there was nothing to redo.
+     */
+    redo() {
+        var entry = this.history.redo();
+        if (!entry) {
+            return false;
+        }
+        this.applyHistoryChange(entry, false);
+        return true;
+    }
+
+    /**
+     * @return {boolean} True if there is a change that can be undone.
+     */
+    canUndo() {
+        return this.history.canUndo();
+    }
+
+    /**
+     * @return {boolean} True if there is an undone change that can be redone.
+     */
+    canRedo() {
+        return this.history.canRedo();
+    }
+
+    /**
+     * Applies an undone or redone history entry, updates the views and notifies the listeners.
+     * Undo and redo cannot be rejected by listeners; their events have the reason "undo" or "redo".
+     *
+     * @param {Object} entry - The history entry to apply.
+     * @param {boolean} isUndo - True to revert the change, false to re-apply it.
+     * @return {void} This function does not return anything.
+     */
+    applyHistoryChange(entry, isUndo) {
+        var annotations = this.getHistoryEntryAnnotations(entry);
+        var before = annotations.map((annotation) =>
+            this.isVisible(annotation) ? this.getGeometrySnapshot(annotation) : null
+        );
+        this.applyHistoryEntry(entry, isUndo);
+        this.refresh();
+        this.notifyChanges(annotations, before, isUndo ? "undo" : "redo");
+    }
+
+    /**
+     * Returns the annotations affected by a history entry.
+     *
+     * @param {Object} entry - The history entry.
+     * @return {Object[]} The affected annotations, without duplicates.
+     */
+    getHistoryEntryAnnotations(entry) {
+        switch (entry.type) {
+            case "clear":
+                return entry.annotations.slice();
+            case "batch":
+                return Array.from(new Set(entry.entries.flatMap((item) => this.getHistoryEntryAnnotations(item))));
+            default:
+                return [entry.annotation];
+        }
+    }
+
+    /**
+     * Adds a listener for an event of this instance.
+     * Events: 'annotation:create', 'annotation:update' and 'annotation:delete' (with the vetoable
+     * 'annotation:beforeCreate', 'annotation:beforeUpdate' and 'annotation:beforeDelete'),
+     * 'selection:change', 'hover:change', 'viewport:change' and 'class:change'.
+     *
+     * @param {string} type - The event type, see AnnotationModel.EVENTS.
+     * @param {Function} listener - Called with the event object.
+     * @return {Function} A function that removes the listener again.
+     * @throws {Error} If the event type is unknown.
+     */
+    on(type, listener) {
+        return this.events.on(type, listener);
+    }
+
+    /**
+     * Removes a listener added with on() or once().
+     *
+     * @param {string} type - The event type, see AnnotationModel.EVENTS.
+     * @param {Function} listener - The listener to remove.
+     * @return {void} This function does not return anything.
+     */
+    off(type, listener) {
+        this.events.off(type, listener);
+    }
+
+    /**
+     * Adds a listener that is removed after the next event of the type.
+     *
+     * @param {string} type - The event type, see AnnotationModel.EVENTS.
+     * @param {Function} listener - Called with the event object.
+     * @return {Function} A function that removes the listener again.
+     */
+    once(type, listener) {
+        return this.events.once(type, listener);
+    }
+
+    /**
+     * Checks whether an annotation is shown, i.e. part of the annotations array, not deleted and not hidden
+     * (e.g. a video track on a frame outside of the track).
+     *
+     * @param {Object} annotation - The annotation object to check.
+     * @return {boolean} True if the annotation is shown.
+     */
+    isVisible(annotation) {
+        return annotation.state !== "deleted" && !annotation.hidden && this.annotations.includes(annotation);
+    }
+
+    /**
+     * Checks whether an annotation is drawn and can be hit: it is neither deleted nor hidden, nor a prediction
+     * below the confidence threshold (see setConfidenceThreshold()).
+     *
+     * @param {Object} annotation - The annotation object.
+     * @return {boolean} True if the annotation is displayed.
+     */
+    isDisplayed(annotation) {
+        return (
+            annotation.state !== "deleted" &&
+            !annotation.hidden &&
+            !(this.isPrediction(annotation) && annotation.confidence < this.confidenceThreshold)
+        );
+    }
+
+    /**
+     * Builds the data of an annotation event from a list of changes.
+     * Every change holds the 'annotation' and copies of its geometry 'before' and 'after' the change
+     * (null for created and deleted annotations). 'annotation', 'before' and 'after' of the event are
+     * those of the first change, for the common case of a single annotation.
+     *
+     * @param {Object[]} changes - The changes, each with 'annotation', 'before' and 'after'.
+     * @param {string} reason - What caused the change, e.g. "draw", "move", "import" or "undo".
+     * @return {Object} The event data.
+     */
+    getChangeDetail(changes, reason) {
+        return {
+            reason: reason,
+            annotation: changes[0].annotation,
+            annotations: changes.map((change) => change.annotation),
+            before: changes[0].before,
+            after: changes[0].after,
+            changes: changes,
+        };
+    }
+
+    /**
+     * Offers a change to the listeners of the matching vetoable event,
+     * e.g. 'annotation:beforeUpdate' for an update. Drawing and editing changes (see VALIDATED_CHANGES) that
+     * fail a blocking validation rule are rejected before, and announced with 'validation:block'.
+     *
+     * @param {string} kind - The kind of change: "create", "update" or "delete".
+     * @param {Object[]} changes - The changes, see getChangeDetail().
+     * @param {string} reason - What caused the change.
+     * @return {boolean} True if the change may be applied, false if a listener rejected it.
+     */
+    confirmChange(kind, changes, reason) {
+        if (kind !== "delete" && AnnotationModel.VALIDATED_CHANGES.includes(reason)) {
+            var issues = this.checkChanges(changes, reason);
+            if (issues.length > 0) {
+                this.events.emit("validation:block", {
+                    reason: reason,
+                    annotation: issues[0].annotation,
+                    issues: issues,
+                });
+                return false;
+            }
+        }
+        var type = "annotation:before" + kind.charAt(0).toUpperCase() + kind.slice(1);
+        return !this.events.emit(type, this.getChangeDetail(changes, reason)).defaultPrevented;
+    }
+
+    /**
+     * Announces applied changes with the matching event (e.g. 'annotation:update').
+     * Deleting the selected annotation clears the selection.
+     *
+     * @param {string} kind - The kind of change: "create", "update" or "delete".
+     * @param {Object[]} changes - The changes, see getChangeDetail(). Nothing is announced if it is empty.
+     * @param {string} reason - What caused the change.
+     * @return {void} This function does not return anything.
+     */
+    notifyChange(kind, changes, reason) {
+        if (changes.length === 0) {
+            return;
+        }
+        this.validationIssues = null;
+        var detail = this.getChangeDetail(changes, reason);
+        if (kind === "delete" && detail.annotations.includes(this.selectedAnnotation)) {
+            this.select(null);
+        }
+        this.events.emit("annotation:" + kind, detail);
+    }
+
+    /**
+     * Announces the changes of a list of annotations by comparing them to their geometry before the change.
+     * Annotations that appeared are announced as created, those that disappeared as deleted,
+     * and those that are still shown as updated.
+     *
+     * @param {Object[]} annotations - The affected annotations.
+     * @param {Array<Object|null>} before - The geometry of each annotation before the change,
+     *                                      or null if it was not shown.
+     * @param {string} reason - What caused the change.
+     * @return {void} This function does not return anything.
+     */
+    notifyChanges(annotations, before, reason) {
+        var changes = { create: [], update: [], delete: [] };
+        annotations.forEach((annotation, i) => {
+            var after = this.isVisible(annotation) ? this.getGeometrySnapshot(annotation) : null;
+            var kind = before[i] && after ? "update" : after ? "create" : before[i] ? "delete" : null;
+            if (kind) {
+                changes[kind].push({ annotation: annotation, before: before[i], after: after });
+            }
+        });
+        for (var kind of ["delete", "create", "update"]) {
+            this.notifyChange(kind, changes[kind], reason);
+        }
+    }
+
+    /**
+     * Selects an annotation, or clears the selection with null, and emits 'selection:change'.
+     * Pressing an annotation selects it, pressing an empty spot of the canvas clears the selection.
+     *
+     * @param {Object|null} annotation - The annotation to select, or null.
+     * @return {void} This function does not return anything.
+     */
+    select(annotation) {
+        if (annotation === this.selectedAnnotation) {
+            return;
+        }
+        var previous = this.selectedAnnotation;
+        this.selectedAnnotation = annotation;
+        this.events.emit("selection:change", { annotation: annotation, previous: previous });
+    }
+
+    /**
+     * Returns the bounding box of an annotation in the form used by the spatial index.
+     *
+     * @param {Object} annotation - The annotation object, with 'start' and 'end'.
+     * @return {Object} The bounding box, with 'minX', 'minY', 'maxX' and 'maxY'.
+     */
+    getAnnotationBounds(annotation) {
+        var { startX, startY, endX, endY } = this.getAnnotationDimensions(annotation);
+        return { minX: startX, minY: startY, maxX: endX, maxY: endY };
+    }
+
+    /**
+     * Returns the spatial index of the annotations.
+     * The index is rebuilt if annotations were added to or removed from the annotations array (or the array was
+     * replaced) since it was built. Geometry changes are applied as they happen, see updateSpatialIndex().
+     *
+     * @return {AnnotationSpatialIndex} The up to date spatial index.
+     */
+    getSpatialIndex() {
+        if (this.spatialIndexStale || this.indexedAnnotations !== this.annotations) {
+            this.rebuildSpatialIndex();
+        }
+        return this.spatialIndex;
+    }
+
+    /**
+     * Marks the spatial index as outdated, so that it is rebuilt when it is used next. Call this after removing,
+     * inserting or reordering annotations in the annotations array, other than pushing them with addAnnotation().
+     *
+     * @return {void} This function does not return anything.
+     */
+    invalidateSpatialIndex() {
+        this.spatialIndexStale = true;
+    }
+
+    /**
+     * Rebuilds the spatial index from the annotations array. The position in the array is the stacking order.
+     * Call this after changing the geometry of annotations directly, without the methods of this class.
+     *
+     * @return {void} This function does not return anything.
+     */
+    rebuildSpatialIndex() {
+        this.spatialIndex.clear();
+        this.annotations.forEach((annotation, order) => {
+            if (annotation.start && annotation.end) {
+                this.spatialIndex.insert(annotation, this.getAnnotationBounds(annotation), order);
+            }
+        });
+        this.indexedAnnotations = this.annotations;
+        this.spatialIndexStale = false;
+    }
+
+    /**
+     * Adds an annotation that was just pushed onto the annotations array to the spatial index,
+     * on top of the stacking order. If the index is outdated anyway, it is rebuilt when it is used next.
+     *
+     * @param {Object} annotation - The annotation that was pushed.
+     * @return {void} This function does not return anything.
+     */
+    appendToSpatialIndex(annotation) {
+        if (!this.spatialIndexStale && this.indexedAnnotations === this.annotations) {
+            this.spatialIndex.insert(annotation, this.getAnnotationBounds(annotation), this.annotations.length - 1);
+        }
+    }
+
+    /**
+     * Updates the bounding box of an indexed annotation after its geometry changed.
+     * Annotations that are not indexed (e.g. not yet added) are ignored.
+     *
+     * @param {Object} annotation - The changed annotation.
+     * @return {void} This function does not return anything.
+     */
+    updateSpatialIndex(annotation) {
+        if (annotation.start && annotation.end) {
+            this.spatialIndex.update(annotation, this.getAnnotationBounds(annotation));
+        }
+    }
+
+    /**
+     * Returns the annotations that are (at least partially) within a visible area, extended by VIEWPORT_MARGIN
+     * so that names and handles of annotations just outside of it are still drawn.
+     *
+     * @param {Object} topLeft - The top-left corner of the visible area, in image coordinates.
+     * @param {Object} bottomRight - The bottom-right corner of the visible area, in image coordinates.
+     * @return {Object[]} The annotations, bottom to top in stacking order.
+     */
+    getVisibleAnnotations(topLeft, bottomRight) {
+        var image = this.getImageSize();
+        var minX = Math.max(0, topLeft.x - AnnotationModel.VIEWPORT_MARGIN);
+        var minY = Math.max(0, topLeft.y - AnnotationModel.VIEWPORT_MARGIN);
+        var maxX = Math.min(image.width, bottomRight.x + AnnotationModel.VIEWPORT_MARGIN);
+        var maxY = Math.min(image.height, bottomRight.y + AnnotationModel.VIEWPORT_MARGIN);
+
+        // If the whole image is visible, so are all annotations
+        if (minX <= 0 && minY <= 0 && maxX >= image.width && maxY >= image.height) {
+            return this.annotations;
+        }
+        return this.getSpatialIndex().search(minX, minY, maxX, maxY);
+    }
+
+    /**
+     * Brings the views up to date after annotations were added to or removed from the annotations array as a whole
+     * (undo, redo, removing all annotations, loading and synchronizing them).
+     * The spatial index is rebuilt when it is used next. With a video timeline, the tracks are set to their boxes on
+     * the current frame.
+     *
+     * @return {void} This function does not return anything.
+     */
+    refresh() {
+        this.validationIssues = null;
+        this.invalidateSpatialIndex();
+        if (this.timeline) {
+            // Undo and redo restore the keyframes, but also the box of the frame the change was made on
+            this.annotations.forEach((annotation) => this.timeline.applyFrame(annotation));
+        }
+        this.redraw();
+    }
+
+    /**
+     * Called after every change that affects the display of the annotations. The model has nothing to draw,
+     * views override it.
+     *
+     * @return {void} This function does not return anything.
+     */
+    redraw() {}
+}
+
+/**
+ * Canvas view of an annotation model: draws the image and the annotations, and lets the user draw, select, move,
+ * resize and delete annotations with the mouse, touch or a pen, and zoom and pan the view.
+ */
+class Annotate extends AnnotationModel {
+    // Constants
+    static MAX_ZOOM = 5; // Default maximum zoom, 500%
+    static MIN_ZOOM = 0.2; // Default minimum zoom, 20%
+    static SCALE_FACTOR = 1.1;
+    static HANDLE_SIZE = 10; // Half the size of the hitbox of handles, in screen pixels, larger than the handles for easier hovering
+    static LABEL_PADDING = 3; // Space around the text of the labels within their badge, in screen pixels
+    static LABEL_MAX_SHIFTS = 3; // Times a label is moved by its height to get out of the way of other labels
+    static POLYGON_MIN_VERTICES = 3; // A polygon needs at least a triangle
+    static POLYGON_DUPLICATE_DISTANCE = 2; // Consecutive vertices closer than this (in pixels) are merged
+    static TOUCH_HIT_AREA_SCALE = 2; // Handles and annotation edges are easier to hit with a finger
+    static LONG_PRESS_DELAY = 500; // Milliseconds a touch or pen contact has to be held still to start panning
+    static LONG_PRESS_TOLERANCE = 10; // Pixels a contact may move and still count as held still or as a tap
+    static DOUBLE_TAP_DELAY = 300; // Maximum milliseconds between two taps of a double-tap
+    static WHEEL_PIXELS_PER_CLICK = 40; // Wheel delta (in pixels) that zooms by one click
+    static TILE_CACHE_SIZE = 256; // Number of tiles of a tiled image kept in memory
+    static SNAP_THRESHOLD = 8; // Screen pixels within which edges snap, at any zoom level
+    static SNAP_GUIDE_COLOR = "#00BFFF"; // Color of the guide lines of active snaps
+    static CROSSHAIR_COLOR = "rgba(255, 255, 255, 0.8)"; // Default color of the crosshair lines
+    static CROSSHAIR_LINE_WIDTH = 1; // Default width of the crosshair lines, in screen pixels
+    static LOUPE_SIZE = 160; // Default width and height of the magnifier loupe, in screen pixels
+    static LOUPE_ZOOM = 4; // Default magnification of the loupe, relative to the zoom of the canvas
+    static LOUPE_OFFSET = 24; // Distance between the cursor and the loupe, in screen pixels
+    static VIEWPORT_ANIMATION_DURATION = 300; // Default duration of animated viewport changes, in milliseconds
+    static ZOOM_TO_ANNOTATION_PADDING = 40; // Default space around an annotation zoomed to, in canvas pixels
+    static PREDICTION_MIN_OPACITY = 0.3; // Opacity of predictions with a confidence of 0, rising to 1 for a confidence of 1
+    static REVIEW_COLORS = { approved: "#2E7D32", rejected: "#D50000", "needs-fix": "#FF8F00" }; // Badge colors by review status
+    static REVIEW_SYMBOLS = { approved: "\u2713", rejected: "\u2715", "needs-fix": "!" }; // Badge symbols by review status
+    static REVIEW_BADGE_SIZE = 16; // Size of the review status badges, in screen pixels
+    static REVIEW_OUTLINE_WIDTH = 6; // Width of the outline around rejected annotations, in screen pixels
+    static REVIEW_HOTKEYS = { a: "approved", r: "rejected", f: "needs-fix" }; // Keys that set the review status in review mode
+    static NEXT_UNREVIEWED_HOTKEY = "n"; // Key that goes to the next unreviewed annotation in review mode
+    static VALIDATION_COLORS = { block: "#D50000", warn: "#FFAB00" }; // Outline colors of annotations that fail validation rules, by severity
+    static VALIDATION_OUTLINE_WIDTH = 3; // Width of the outline around annotations that fail validation rules, in screen pixels
+    static VALIDATION_LINE_DASH = [6, 4]; // Dash pattern of that outline, in screen pixels
+    static COLLABORATOR_CURSOR_RADIUS = 5; // Radius of the cursors of other users, in screen pixels
+    static COLLABORATOR_FONT_SIZE = 12; // Font size of the names of other users, in screen pixels
+    static COLLABORATOR_MARGIN = 6; // Space between an annotation and the outline of another user's selection, in screen pixels
+    static BRUSH_RADIUS = 10; // Default radius of the mask brush and eraser, in image pixels
+    static ROTATION_HANDLE_DISTANCE = 30; // Distance of the rotation handle of rotated boxes from their top edge, in screen pixels
+    static RESIZE_HANDLES = [
+        "right-middle",
+        "bottom-right",
+        "bottom-middle",
+        "bottom-left",
+        "left-middle",
+        "top-left",
+        "top-middle",
+        "top-right",
+    ]; // Resize handles clockwise in steps of 45 degrees, used to turn the cursors of rotated boxes
+    static DEFAULT_THEME = {
+        default: { lineWidth: 2, lineDash: [], opacity: 1, labelBackground: null },
+        unsaved: {},
+        edited: {},
+        prediction: { lineDash: [8, 4] },
+        locked: { lineDash: [4, 4], opacity: 0.5 },
+        selected: { lineWidth: 3 },
+        hovered: { lineWidth: 3 },
+    }; // Styles of the annotations by state, see setTheme()
+    static EVENTS = [...AnnotationModel.EVENTS, "hover:change", "viewport:change", "cursor:move"]; // Event types that can be listened to with on(), once() and off()
+
+    /**
+     * Constructor for the canvas annotation manager.
+     * Initializes the canvas with specified settings and prepares it for drawing and managing annotations.
+     *
+     * @param {string|HTMLCanvasElement|OffscreenCanvas} canvasId - The ID of the canvas element in the DOM,
+     *                                                              or the canvas itself.
+     * @param {boolean} shouldShowAnnotations - Flag to indicate whether annotations names should be displayed.
+     * @param {string} currentClassName - The current ontology setting, used for categorizing annotations.
+     * @param {Number} currentClassId - The current class ID, used for identifying the class of annotations.
+     * @param {string} annotationColor - The color for annotations, specified in HEX format (e.g., "#FF0000").
+     * @param {number} handleDrawingSizeHovered - The size of the handle when hovered over, in screen pixels.
+     * @param {number} handleDrawingSize - The size of the handle when not hovered over, in screen pixels.
+     * @param {number} annotationDetectionThreshold - The size of the area around an annotation where the cursor is considered to be hovering over it, in screen pixels.
+     * @param {string} font - The font style for annotation names, with the size in screen pixels.
+     * @param {string|null} fillStyle - The color of the label text, or null for black or white, whichever contrasts
+     *                                  more with the badge.
+     * @param {number} zoomLevel - The zoom clicks of a click on the canvas, if 'clickToZoom' is set.
+     * @param {string} transparency - The opacity of the fill of the annotations, as two hex digits (e.g. "50").
+     *
+     */
+    constructor(
+        canvasId,
+        shouldShowAnnotations,
+        currentClassName,
+        currentClassId,
+        annotationColor,
+        handleDrawingSizeHovered = 14,
+        handleDrawingSize = 10,
+        annotationDetectionThreshold = 10,
+        font = "16px Arial",
+        fillStyle = null,
+        zoomLevel = 1,
+        transparency = "50"
+    ) {
+        super();
+
+        // Initialize properties with provided values
+        this.shouldShowAnnotations = shouldShowAnnotations; // Whether to show annotation names
+        this.currentOntology = currentClassName; // Current ontology setting
+        this.currentClassId = currentClassId; // Current class ID for annotations
+        this.annotationColor = annotationColor; // Color for drawing annotations
+        this.handleDrawingSizeHovered = handleDrawingSizeHovered; // Size of the handle when hovered
+        this.handleDrawingSize = handleDrawingSize; // Size of the handle when not hovered
+        this.annotationDetectionThreshold = annotationDetectionThreshold; // Size of the area around an annotation where the cursor is considered to be hovering over it
+        this.font = font; // Font style for annotation names
+        this.fillStyle = fillStyle; // Color of the label text, or null for contrast with the badge
+        this.zoomLevel = zoomLevel; // Zoom clicks of a click on the canvas, if 'clickToZoom' is set
+        this.transparency = transparency; // Transparency for the annotations
+        this.theme = Annotate.DEFAULT_THEME; // Styles of the annotations by state, see setTheme()
+
+        // Variables for interaction and calculations
+
+        // Represents the canvas element on the webpage, identified by the provided canvasId.
+        this.canvas = typeof canvasId === "string" ? document.getElementById(canvasId) : canvasId;
+
+        // The context of the canvas, used for drawing operations.
+        this.ctx = this.canvas.getContext("2d");
+
+        // Image object used for background or other frame-like purposes on the canvas.
+        // Without a DOM (e.g. in a worker), there is no background until setFrame() is called.
+        this.frame = typeof Image !== "undefined" ? new Image() : null;
+
+        // Display adjustments of the background frame, see setImageAdjustments().
+        this.imageAdjustments = AnnotationImageAdjustments.DEFAULTS;
+
+        // The background frame with the image adjustments applied, kept between redraws, see getDisplayFrame().
+        this.adjustedFrame = null;
+
+        // Horizontal scaling factor for resizing elements on the canvas.
+        this.scaleX = null;
+
+        // Vertical scaling factor for resizing elements on the canvas.
+        this.scaleY = null;
+
+        // Flag indicating whether the user is currently drawing on the canvas.
+        this.isDrawing = false;
+
+        // Flag indicating whether an element on the canvas is being moved.
+        this.isMoving = false;
+
+        // Flag indicating whether an element on the canvas is being resized.
+        this.isResizing = false;
+
+        // Reference to the annotation object currently hovered over by the mouse.
+        this.hoveredAnnotation = null;
+
+        // Reference to the handle of the annotation being hovered over.
+        this.hoveredHandle = null;
+
+        // Reference to the handle of the annotation currently selected.
+        this.selectedHandle = null;
+
+        // Reference to the annotation object currently being moved.
+        this.movingAnnotation = null;
+
+        // Stores the last known position of the mouse or a moved object.
+        this.lastKnownPosition = null;
+
+        // Flag indicating whether a new annotation is currently being drawn.
+        this.isDrawingAnnotation = false;
+
+        // Stores the starting point coordinates for a new annotation.
+        this.newAnnotationStart = null;
+
+        // Stores the last X-coordinate during a drawing or moving operation.
+        this.lastX = null;
+
+        // Stores the last Y-coordinate during a drawing or moving operation.
+        this.lastY = null;
+
+        // Stores the starting point of a drag operation.
+        this.dragStart = null;
+
+        // Stores the current point during a drag operation.
+        this.dragged = null;
+
+        // The shape that is created when drawing a new annotation ("box" or "polygon").
+        this.drawingMode = "box";
+
+        // Vertices of the polygon currently being drawn, or null if no polygon is in progress.
+        this.polygonDraft = null;
+
+        // Point where the current move operation started, in canvas coordinates.
+        this.moveStartPoint = null;
+
+        // Copy of the geometry of the annotation being moved, taken when the move started.
+        this.moveOriginalGeometry = null;
+
+        // Snapshot of the annotation being moved or resized, taken when the interaction started.
+        this.interactionSnapshot = null;
+
+        // Positions of the pointers (mouse, touches, pen) currently pressed on the canvas, by pointer ID.
+        this.activePointers = new Map();
+
+        // The type of the last pointer used on the canvas ("mouse", "touch" or "pen").
+        this.pointerType = "mouse";
+
+        // State of the current two-finger pinch gesture, or null if there is none.
+        this.pinch = null;
+
+        // Timer that starts panning when a touch or pen contact is held still.
+        this.longPressTimer = null;
+
+        // Position where the current pointer was pressed, used to detect long presses.
+        this.pointerDownPosition = null;
+
+        // Time and position of the last tap, used to detect double-taps.
+        this.lastTap = null;
+
+        // Flag indicating whether the current pointer placed a polygon vertex, which is removed if the pointer is cancelled.
+        this.addedPolygonVertex = false;
+
+        // The viewport (zoom scale and translation) at the last redraw, used to detect viewport changes.
+        this.lastViewport = { scale: 1, x: 0, y: 0 };
+
+        // Tiled image drawn instead of 'frame', see setTileSource().
+        this.tileSource = null;
+
+        // Loaded tiles of the tiled image, the least recently used ones are dropped first.
+        this.tileCache = new AnnotationTileCache(Annotate.TILE_CACHE_SIZE);
+
+        // Flag indicating whether a redraw is scheduled for the next animation frame (e.g. after a tile loaded).
+        this.redrawScheduled = false;
+
+        // Popover that edits the attributes of the selected annotation, see setAttributeEditor().
+        this.attributeEditor = null;
+
+        // Snapping settings while drawing, moving and resizing, or null if snapping is off, see setSnapping().
+        this.snapping = null;
+
+        // Lines the edited shape currently snaps to, drawn as guides ({axis: "x" or "y", value}).
+        this.snapGuides = [];
+
+        // Flag indicating whether snapping is turned off temporarily, while the Alt key is held.
+        this.snapBypassed = false;
+
+        // Crosshair settings, or null if the crosshair is off, see setCrosshair().
+        this.crosshair = null;
+
+        // Magnifier loupe settings, or null if the loupe is off, see setLoupe().
+        this.loupe = null;
+
+        // Flag indicating whether the pointer is over the canvas (or captured by it).
+        this.pointerInside = false;
+
+        // The cursor position in image coordinates at the last 'cursor:move', or null if the pointer is not over the canvas.
+        this.cursorPoint = null;
+
+        // The (snapped) point the annotation or polygon being drawn currently ends at, see getDrawingPreview().
+        this.drawingCursor = null;
+
+        // Range of the zoom, relative to the scale at which the whole image fits, see setZoomLimits().
+        this.minZoom = Annotate.MIN_ZOOM;
+        this.maxZoom = Annotate.MAX_ZOOM;
+
+        // Flag indicating whether a click on the canvas zooms in by 'zoomLevel' (out with the shift key).
+        this.clickToZoom = false;
+
+        // The running viewport animation ('frame' request and the 'resolve' function of its promise), or null.
+        this.viewportAnimation = null;
+
+        // Flag indicating whether the canvas is in review mode, see setReviewMode().
+        this.reviewMode = false;
+
+        // Radius of the mask brush and eraser, in image pixels, see setBrushRadius().
+        this.brushRadius = Annotate.BRUSH_RADIUS;
+
+        // The brush or eraser stroke in progress ('classId', 'bitmap' being painted, 'value', last 'point' and
+        // its rendered 'layer'), or null.
+        this.maskStroke = null;
+
+        // Rendered masks (the canvas and pixels of each mask in its class color), by annotation, see drawMasks().
+        this.maskLayers = new WeakMap();
+
+        // Function that returns the label text of an annotation, or null for its name, see setLabelFormatter().
+        this.labelFormatter = null;
+
+        // Text colors that contrast with the colors of label badges, by badge color, see getContrastColor().
+        this.contrastColors = new Map();
+
+        this.initCanvas(); // initialize the canvas
+    }
+
+    /**
+     * Initializes the canvas and sets up various event listeners for drawing, moving, and resizing annotations.
+     * It handles mouse interactions for dragging the canvas, drawing annotations, and moving or resizing existing annotations.
+     * Additionally, it listens for keyboard events to delete annotations and manages zooming through mouse wheel events.
+     *
+     * @return {void} This function does not return anything.
+     */
+    initCanvas() {
+        // Initialize canvas and context
+        this.trackTransforms();
+
+        if (typeof document === "undefined" || !this.canvas.style) {
+            // An OffscreenCanvas (e.g. in a worker) only renders, it has no input events
+            return;
+        }
+
+        // Let the canvas handle all touch gestures, instead of the browser scrolling or zooming the page
+        this.canvas.style.touchAction = "none";
+
+        // Pointer events cover mouse, touch and pen input
+        this.canvas.addEventListener("pointerdown", this.handlePointerDown, false);
+        this.canvas.addEventListener("pointermove", this.handlePointerMove, false);
+        this.canvas.addEventListener("pointerup", this.handlePointerUp, false);
+        this.canvas.addEventListener("pointercancel", this.handlePointerCancel, false);
+        this.canvas.addEventListener("pointerleave", this.handlePointerLeave, false);
+
+        // Keyboard shortcuts are handled on the document, for the canvas with the focus or under the pointer
+        document.addEventListener("keydown", this.handleKeyDown, false);
+
+        // Double-clicks close polygons and insert vertices on polygon edges. Touch input uses double-taps instead.
+        this.canvas.addEventListener("dblclick", this.handleDblClick, false);
+
+        this.canvas.addEventListener("wheel", this.handleScroll, { passive: false });
+
+        // Make the canvas focusable, so that clicking it directs the keyboard shortcuts to it
+        if (!this.canvas.hasAttribute || !this.canvas.hasAttribute("tabindex")) {
+            this.canvas.tabIndex = 0;
+        }
+    }
+
+    /**
+     * Removes the event listeners of the canvas and the keyboard shortcuts, and stops running timers and
+     * animations, e.g. before the canvas is removed from the page. The canvas keeps showing its last drawing.
+     *
+     * @return {void} This function does not return anything.
+     */
+    destroy() {
+        this.cancelInteraction();
+        this.stopViewportAnimation();
+        clearTimeout(this.longPressTimer);
+        if (typeof document === "undefined" || !this.canvas.style) {
+            return;
+        }
+        this.canvas.removeEventListener("pointerdown", this.handlePointerDown, false);
+        this.canvas.removeEventListener("pointermove", this.handlePointerMove, false);
+        this.canvas.removeEventListener("pointerup", this.handlePointerUp, false);
+        this.canvas.removeEventListener("pointercancel", this.handlePointerCancel, false);
+        this.canvas.removeEventListener("pointerleave", this.handlePointerLeave, false);
+        this.canvas.removeEventListener("dblclick", this.handleDblClick, false);
+        this.canvas.removeEventListener("wheel", this.handleScroll, { passive: false });
+        document.removeEventListener("keydown", this.handleKeyDown, false);
+    }
+
+    /**
+     * Checks whether keyboard shortcuts are meant for this canvas: it has the focus, or the pointer is over it.
+     * With several canvases on a page, a key press only changes the annotations of one of them.
+     *
+     * @return {boolean} True if the canvas handles keyboard shortcuts.
+     */
+    isKeyboardTarget() {
+        return this.pointerInside || document.activeElement === this.canvas;
+    }
+
+    /**
+     * Handles the keyboard shortcuts of the canvas: undo and redo, closing or discarding polygons, reviewing,
+     * accepting and rejecting predictions, class hotkeys and deleting annotations or polygon vertices.
+     *
+     * @param {KeyboardEvent} evt - The 'keydown' event of the document.
+     * @return {void} This function does not return anything.
+     */
+    handleKeyDown = (evt) => {
+        if (this.isEditableTarget(evt.target) || !this.isKeyboardTarget()) {
+            // Typing into a form field must not change the annotations, nor may keys meant for another canvas
+            return;
+        }
+        var isUndoShortcut = (evt.ctrlKey || evt.metaKey) && evt.key.toLowerCase() === "z";
+        var isRedoShortcut = (evt.ctrlKey || evt.metaKey) && evt.key.toLowerCase() === "y";
+
+        if (isUndoShortcut || isRedoShortcut) {
+            // 'Ctrl+Z' undoes the last change, 'Ctrl+Shift+Z' (or 'Ctrl+Y') redoes it
+            evt.preventDefault();
+            if (isUndoShortcut && !evt.shiftKey) {
+                this.undo();
+            } else {
+                this.redo();
+            }
+        } else if (this.polygonDraft && evt.key === "Enter") {
+            // 'Enter' closes the polygon currently being drawn, 'Escape' discards it
+            this.finishPolygon();
+        } else if (this.polygonDraft && evt.key === "Escape") {
+            this.cancelPolygon();
+        } else if (this.reviewMode) {
+            // In review mode, letter keys review the hovered (or else the selected) annotation
+            var key = evt.ctrlKey || evt.metaKey || evt.altKey ? null : evt.key.toLowerCase();
+            var annotation = this.hoveredAnnotation || this.selectedAnnotation;
+            if (key === Annotate.NEXT_UNREVIEWED_HOTKEY) {
+                this.goToNextUnreviewed();
+            } else if (annotation && Annotate.REVIEW_HOTKEYS[key]) {
+                this.setReviewStatus(annotation, Annotate.REVIEW_HOTKEYS[key]);
+            }
+        } else if (this.hoveredAnnotation && this.isPrediction(this.hoveredAnnotation)) {
+            // 'Enter' accepts the hovered prediction, 'Delete' or 'Backspace' rejects it
+            if (evt.key === "Enter") {
+                this.acceptPrediction(this.hoveredAnnotation);
+            } else if (evt.key === "Delete" || evt.key === "Backspace") {
+                this.rejectPrediction(this.hoveredAnnotation);
+            }
+        } else if (!evt.ctrlKey && !evt.metaKey && !evt.altKey && this.getClassByHotkey(evt.key)) {
+            // The hotkey of a registered class makes it the active class
+            this.setActiveClass(this.getClassByHotkey(evt.key).id);
+        } else if (evt.key === "Delete" || evt.key === "Backspace") {
+            // Check if the pressed key is either 'Delete' or 'Backspace'
+            if (this.hoveredAnnotation && this.getVertexIndex(this.hoveredHandle) !== -1) {
+                // If a polygon vertex is hovered, remove only that vertex
+                this.removePolygonVertex(this.hoveredAnnotation, this.getVertexIndex(this.hoveredHandle));
+            } else if (this.hoveredAnnotation && this.isEditable(this.hoveredAnnotation)) {
+                // If there's an annotation currently being hovered over (and not locked by another user)
+                // Change the state of the hovered annotation to 'deleted'
+                var before = this.captureAnnotationState(this.hoveredAnnotation);
+                this.hoveredAnnotation.state = "deleted";
+                this.commitChange("delete", this.hoveredAnnotation, before);
+
+                // Redraw the canvas to reflect the deletion of the annotation
+                this.redraw();
+            }
+        }
+    };
+
+    /**
+     * Handles a double-click on the canvas. Touch input uses double-taps instead, see handlePointerUp().
+     *
+     * @param {MouseEvent} evt - The 'dblclick' event.
+     * @return {void} This function does not return anything.
+     */
+    handleDblClick = (evt) => {
+        if (this.pointerType !== "touch") {
+            this.handleDoubleClick();
+        }
+    };
+
+    /**
+     * Updates the last known pointer position ('lastX', 'lastY') from a pointer or wheel event.
+     * The position is given in canvas pixels, adjusted for the scaling of the canvas element on the page.
+     *
+     * @param {Event} evt - The pointer or wheel event.
+     * @return {void} This function does not return anything.
+     */
+    updatePointerPosition(evt) {
+        var position = this.getCanvasPosition(evt);
+        this.lastX = position.x;
+        this.lastY = position.y;
+        this.pointerInside = true;
+
+        // Holding Alt turns snapping off while it is held
+        this.snapBypassed = !!evt.altKey;
+    }
+
+    /**
+     * Calculates the position of a pointer or wheel event in canvas pixels,
+     * adjusted for the scaling of the canvas element on the page.
+     *
+     * @param {Event} evt - The pointer or wheel event.
+     * @return {Object} The position, with 'x' and 'y' coordinates.
+     */
+    getCanvasPosition(evt) {
+        this.scaleX = this.canvas.clientWidth / this.canvas.width;
+        this.scaleY = this.canvas.clientHeight / this.canvas.height;
+        return {
+            x: (evt.offsetX || evt.pageX - this.canvas.offsetLeft) / this.scaleX,
+            y: (evt.offsetY || evt.pageY - this.canvas.offsetTop) / this.scaleY,
+        };
+    }
+
+    /**
+     * Checks whether a keyboard event target is a form field or editable element, whose key presses
+     * are meant for typing and not as shortcuts.
+     *
+     * @param {EventTarget} target - The target of the keyboard event.
+     * @return {boolean} True if the target accepts text input, false otherwise.
+     */
+    isEditableTarget(target) {
+        if (!target) {
+            return false;
+        }
+        return (
+            !!target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(String(target.tagName).toUpperCase())
+        );
+    }
+
+    /**
+     * Handles a pointer (mouse, touch or pen) being pressed on the canvas.
+     * A single pointer starts drawing, moving or resizing annotations, or panning with the shift key.
+     * A second touch pointer switches to a pinch gesture for zooming and panning.
+     * On touch and pen input, holding the pointer still for LONG_PRESS_DELAY starts panning instead.
+     *
+     * @param {PointerEvent} evt - The 'pointerdown' event.
+     * @return {void} This function does not return anything.
+     */
+    handlePointerDown = (evt) => {
+        // Only the primary button of a mouse draws and edits, pens and touches always use their contact
+        if (evt.pointerType === "mouse" && evt.button !== 0) {
+            return;
+        }
+
+        // The user takes over from a running viewport animation
+        this.stopViewportAnimation();
+
+        // Keep receiving the events of this pointer, even when it leaves the canvas
+        this.canvas.setPointerCapture(evt.pointerId);
+        this.pointerType = evt.pointerType;
+        this.activePointers.set(evt.pointerId, this.getCanvasPosition(evt));
+
+        if (this.activePointers.size === 2 && evt.pointerType === "touch") {
+            // A second finger turns the interaction of the first one into a pinch gesture
+            this.cancelInteraction();
+            this.startPinch();
+            return;
+        }
+        if (this.activePointers.size > 1 || this.pinch) {
+            return;
+        }
+
+        this.updatePointerPosition(evt);
+        this.pointerDownPosition = { x: this.lastX, y: this.lastY };
+
+        // Touch and pen input have no hover, so the hover state is updated at the position of the contact
+        if (evt.pointerType !== "mouse") {
+            this.updateHover();
+        }
+
+        if (evt.pointerType !== "mouse") {
+            // Holding a touch or pen contact still starts panning, the replacement for shift-dragging
+            clearTimeout(this.longPressTimer);
+            this.longPressTimer = setTimeout(() => {
+                this.cancelInteraction();
+                this.startPanning();
+            }, Annotate.LONG_PRESS_DELAY);
+        }
+
+        if (evt.shiftKey && !this.isResizing) {
+            // Check if shift key is pressed and not currently resizing an annotation
+            this.startPanning();
+        } else {
+            this.startInteraction();
+        }
+    };
+
+    /**
+     * Handles a pointer moving over the canvas.
+     * Depending on the current interaction, this updates the pinch gesture, pans the canvas,
+     * or moves, resizes or draws annotations. Without an interaction, it updates the hover state.
+     *
+     * @param {PointerEvent} evt - The 'pointermove' event.
+     * @return {void} This function does not return anything.
+     */
+    handlePointerMove = (evt) => {
+        if (this.activePointers.has(evt.pointerId)) {
+            this.activePointers.set(evt.pointerId, this.getCanvasPosition(evt));
+        }
+        if (this.pinch) {
+            // The gesture continues until all fingers are lifted, but only two fingers zoom and pan
+            if (this.activePointers.size === 2) {
+                this.updatePinch();
+            }
+            return;
+        }
+        if (this.activePointers.size > 1) {
+            return;
+        }
+
+        this.updatePointerPosition(evt);
+
+        // A long press only counts while the contact stays (almost) still
+        if (
+            this.longPressTimer &&
+            this.pointerDownPosition &&
+            Math.hypot(this.lastX - this.pointerDownPosition.x, this.lastY - this.pointerDownPosition.y) >
+                Annotate.LONG_PRESS_TOLERANCE / this.scaleX
+        ) {
+            clearTimeout(this.longPressTimer);
+            this.longPressTimer = null;
+        }
+
+        this.updateInteraction();
+        this.updateCursor();
+    };
+
+    /**
+     * Handles a pointer being released over the canvas, finishing the current interaction.
+     *
+     * @param {PointerEvent} evt - The 'pointerup' event.
+     * @return {void} This function does not return anything.
+     */
+    handlePointerUp = (evt) => {
+        if (!this.activePointers.delete(evt.pointerId)) {
+            return;
+        }
+        this.canvas.releasePointerCapture(evt.pointerId);
+        clearTimeout(this.longPressTimer);
+        this.longPressTimer = null;
+
+        if (this.pinch) {
+            // The gesture ends when the last finger is lifted, remaining fingers do not start a new interaction
+            if (this.activePointers.size === 0) {
+                this.pinch = null;
+                this.resetInteractionFlags();
+            }
+            return;
+        }
+
+        this.updatePointerPosition(evt);
+        this.finishInteraction(evt);
+
+        // Two quick taps at the same position count as a double-click on touch devices
+        if (evt.pointerType === "touch") {
+            var now = Date.now();
+            var lastTap = this.lastTap;
+            this.lastTap = { time: now, x: this.lastX, y: this.lastY };
+            if (
+                lastTap &&
+                now - lastTap.time < Annotate.DOUBLE_TAP_DELAY &&
+                Math.hypot(this.lastX - lastTap.x, this.lastY - lastTap.y) < Annotate.LONG_PRESS_TOLERANCE / this.scaleX
+            ) {
+                this.lastTap = null;
+                this.handleDoubleClick();
+            }
+        }
+    };
+
+    /**
+     * Handles a pointer being cancelled by the browser (e.g. when the touch turns into a system gesture).
+     * The current interaction is reverted, since it was not completed.
+     *
+     * @param {PointerEvent} evt - The 'pointercancel' event.
+     * @return {void} This function does not return anything.
+     */
+    handlePointerCancel = (evt) => {
+        if (!this.activePointers.delete(evt.pointerId)) {
+            return;
+        }
+        clearTimeout(this.longPressTimer);
+        this.longPressTimer = null;
+        if (this.activePointers.size === 0) {
+            this.pinch = null;
+        }
+        this.cancelInteraction();
+        this.resetInteractionFlags();
+        this.dragStart = null;
+        this.redraw();
+    };
+
+    /**
+     * Handles the pointer leaving the canvas: hides the crosshair and announces that the cursor left.
+     *
+     * @return {void} This function does not return anything.
+     */
+    handlePointerLeave = () => {
+        this.pointerInside = false;
+        if (this.crosshair) {
+            this.redraw();
+        } else {
+            this.updateCursor();
+        }
+    };
+
+    /**
+     * Handles a double-click (or a double-tap on touch devices).
+     * Closes the polygon being drawn, or inserts a vertex on the edge of the hovered polygon.
+     *
+     * @return {void} This function does not return anything.
+     */
+    handleDoubleClick() {
+        if (this.polygonDraft) {
+            // Double-clicking closes the polygon currently being drawn
+            this.finishPolygon();
+        } else if (this.hoveredAnnotation && this.isPrediction(this.hoveredAnnotation) && !this.reviewMode) {
+            // Double-clicking a prediction accepts it, except in review mode
+            this.acceptPrediction(this.hoveredAnnotation);
+        } else if (
+            this.isPolygon(this.hoveredAnnotation) &&
+            this.isEditable(this.hoveredAnnotation) &&
+            !this.hoveredHandle
+        ) {
+            // Double-clicking on an edge of a polygon inserts a new vertex there
+            var pt = this.ctx.transformedPoint(this.lastX, this.lastY);
+            this.insertPolygonVertex(this.hoveredAnnotation, pt.x, pt.y);
+        }
+    }
+
+    /**
+     * Starts panning the canvas from the last known pointer position.
+     *
+     * @return {void} This function does not return anything.
+     */
+    startPanning() {
+        // Disable text selection on the body to avoid user select issues during dragging
+        document.body.style.mozUserSelect =
+            document.body.style.webkitUserSelect =
+            document.body.style.userSelect =
+                "none";
+
+        // Set the starting point for canvas dragging
+        this.dragStart = this.ctx.transformedPoint(this.lastX, this.lastY);
+        this.dragged = false;
+        this.canvas.style.cursor = "grabbing";
+    }
+
+    /**
+     * Starts drawing, moving or resizing an annotation at the last known pointer position,
+     * depending on what is hovered there.
+     *
+     * @return {void} This function does not return anything.
+     */
+    startInteraction() {
+        if (this.polygonDraft) {
+            // While a polygon is being drawn, every click adds another vertex
+            var pt = this.snapPoint(this.ctx.transformedPoint(this.lastX, this.lastY));
+            this.polygonDraft.push(this.clampPoint(pt));
+            this.addedPolygonVertex = true;
+            this.drawingCursor = pt;
+            this.redraw();
+        } else if (this.isMaskTool() && this.currentOntology !== null && !this.reviewMode) {
+            // The mask tools paint the pixels of the active class, annotations underneath are not pressed
+            this.select(null);
+            this.startMaskStroke(this.ctx.transformedPoint(this.lastX, this.lastY));
+        } else if (this.hoveredAnnotation && !this.isEditable(this.hoveredAnnotation)) {
+            // Predictions and annotations in review mode can be selected, but not edited
+            this.select(this.hoveredAnnotation);
+        } else if (this.hoveredAnnotation) {
+            // Check if any annotation is currently hovered, pressing it also selects it
+            this.select(this.hoveredAnnotation);
+            if (this.hoveredHandle) {
+                // If hovering over a resize handle, start resizing mode
+                this.isResizing = true;
+                this.selectedHandle = this.hoveredHandle;
+                this.interactionSnapshot = this.captureAnnotationState(this.hoveredAnnotation);
+            } else {
+                // If hovering over an annotation but not a handle, start moving mode
+                this.isMoving = true;
+                this.movingAnnotation = this.hoveredAnnotation;
+                this.interactionSnapshot = this.captureAnnotationState(this.movingAnnotation);
+
+                // Remember where the move started and the geometry at that time,
+                // so the annotation can be translated by the total pointer offset
+                var pt = this.ctx.transformedPoint(this.lastX, this.lastY);
+                this.moveStartPoint = { x: pt.x, y: pt.y };
+                this.moveOriginalGeometry = this.getGeometrySnapshot(this.movingAnnotation);
+            }
+        } else if (this.currentOntology !== null && !this.reviewMode) {
+            // If an ontology is selected, start drawing a new annotation
+            this.select(null);
+            var pt = this.snapPoint(this.ctx.transformedPoint(this.lastX, this.lastY));
+            if (this.drawingMode === "polygon") {
+                // Polygons are drawn vertex by vertex, starting with this click
+                this.polygonDraft = [this.clampPoint(pt)];
+                this.addedPolygonVertex = true;
+            } else {
+                this.isDrawingAnnotation = true;
+                this.newAnnotationStart = { x: pt.x, y: pt.y };
+            }
+        } else {
+            // If none of the above, reset interaction flags
+            this.select(null);
+            this.isMoving = false;
+            this.isDrawing = false;
+            this.isResizing = false;
+        }
+    }
+
+    /**
+     * Reverts the interaction started by the current pointer, e.g. when it turns into a pinch gesture or a long press.
+     * A moved or resized annotation is restored, a box being drawn is dropped, and a polygon vertex placed by
+     * the pointer is removed again.
+     *
+     * @return {void} This function does not return anything.
+     */
+    cancelInteraction() {
+        var annotation = this.isResizing ? this.hoveredAnnotation : this.movingAnnotation;
+        if (this.interactionSnapshot && annotation) {
+            this.restoreAnnotationState(annotation, this.interactionSnapshot);
+        }
+        if (this.addedPolygonVertex && this.polygonDraft) {
+            this.polygonDraft.pop();
+            if (this.polygonDraft.length === 0) {
+                this.polygonDraft = null;
+            }
+        }
+        this.addedPolygonVertex = false;
+        this.resetInteractionFlags();
+        this.redraw();
+    }
+
+    /**
+     * Returns the midpoint and distance of the two pointers of a pinch gesture.
+     *
+     * @return {Object} The midpoint ('x', 'y') and 'distance' of the pointers, in canvas pixels.
+     */
+    getPinchGeometry() {
+        var [a, b] = Array.from(this.activePointers.values());
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, distance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y)) };
+    }
+
+    /**
+     * Starts a two-finger pinch gesture.
+     *
+     * @return {void} This function does not return anything.
+     */
+    startPinch() {
+        clearTimeout(this.longPressTimer);
+        this.longPressTimer = null;
+        this.dragStart = null;
+        this.pinch = this.getPinchGeometry();
+    }
+
+    /**
+     * Updates the pinch gesture: the canvas follows the midpoint of the two fingers,
+     * and zooms in or out around it as the fingers move apart or together.
+     *
+     * @return {void} This function does not return anything.
+     */
+    updatePinch() {
+        var current = this.getPinchGeometry();
+
+        // Pan, so that the image point under the previous midpoint moves to the current midpoint
+        var from = this.ctx.transformedPoint(this.pinch.x, this.pinch.y);
+        var to = this.ctx.transformedPoint(current.x, current.y);
+        this.ctx.translate(to.x - from.x, to.y - from.y);
+
+        // Zoom around the current midpoint by the change of the finger distance
+        this.lastX = current.x;
+        this.lastY = current.y;
+        this.zoom(Math.log(current.distance / this.pinch.distance) / Math.log(Annotate.SCALE_FACTOR));
+
+        this.pinch = current;
+    }
+
+    /**
+     * Returns the size of the hit area of handles, which is larger for touch input.
+     * The hit area has the same size on the screen at any zoom level.
+     *
+     * @return {number} The handle hit area size, in image pixels.
+     */
+    getHandleHitSize() {
+        var size =
+            this.pointerType === "touch" ? Annotate.HANDLE_SIZE * Annotate.TOUCH_HIT_AREA_SCALE : Annotate.HANDLE_SIZE;
+        return size * this.getScreenPixelSize();
+    }
+
+    /**
+     * Returns the size of the area around an annotation where the pointer counts as hovering it,
+     * which is larger for touch input. The area has the same size on the screen at any zoom level.
+     *
+     * @return {number} The detection threshold, in image pixels.
+     */
+    getDetectionThreshold() {
+        var threshold =
+            this.pointerType === "touch"
+                ? this.annotationDetectionThreshold * Annotate.TOUCH_HIT_AREA_SCALE
+                : this.annotationDetectionThreshold;
+        return threshold * this.getScreenPixelSize();
+    }
+
+    /**
+     * Updates the hover state (hovered annotation, hovered handle and cursor style) for the last known pointer position.
+     *
+     * @return {boolean} True if the hovered annotation or handle changed.
+     */
+    updateHover() {
+        var pt = this.ctx.transformedPoint(this.lastX, this.lastY);
+
+        // Detect if the cursor is hovering over an annotation, and over which of its handles
+        // Only editable annotations have handles, see isEditable(). The mask tools hover nothing.
+        var annotation = this.isMaskTool() ? null : this.isHoveringOverAnnotation(pt.x, pt.y);
+        var editable = annotation && this.isEditable(annotation);
+        var changed = this.setHover(annotation, editable ? this.isHoveringOverHandle(pt.x, pt.y, annotation) : null);
+
+        // Set cursor style based on hover state
+        if (this.hoveredHandle) {
+            this.setCursor(this.hoveredHandle, this.isRotated(annotation) ? annotation.angle : 0);
+        } else if (this.hoveredAnnotation && !editable) {
+            this.canvas.style.cursor = "pointer";
+        } else if (this.hoveredAnnotation) {
+            this.canvas.style.cursor = "move";
+        } else if (this.isMaskTool()) {
+            this.canvas.style.cursor = "crosshair";
+        } else {
+            this.canvas.style.cursor = "default";
+        }
+        return changed;
+    }
+
+    /**
+     * Continues the current interaction for the last known pointer position:
+     * panning the canvas, moving, resizing or drawing an annotation, or previewing the polygon being drawn.
+     *
+     * @return {void} This function does not return anything.
+     */
+    updateInteraction() {
+        // Mark the action as a drag operation
+        this.dragged = true;
+
+        // Handle canvas dragging if it has been initiated
+        if (this.dragStart) {
+            var pt = this.ctx.transformedPoint(this.lastX, this.lastY);
+            this.ctx.translate(pt.x - this.dragStart.x, pt.y - this.dragStart.y);
+        }
+
+        // Update the current point for various interactions
+        pt = this.ctx.transformedPoint(this.lastX, this.lastY);
+
+        // New annotations are drawn to the snapped point. The guides are collected again for every move.
+        this.snapGuides = [];
+        if (this.isDrawingAnnotation || this.polygonDraft) {
+            pt = this.snapPoint(pt);
+        }
+        this.drawingCursor = this.isDrawingAnnotation || this.polygonDraft ? pt : null;
+
+        // Continue the brush or eraser stroke
+        if (this.maskStroke) {
+            this.continueMaskStroke(pt);
+        }
+
+        // Handle hover interactions unless resizing is in progress.
+        // Merely moving the pointer only redraws if the hover state changed, or to move the brush outline
+        // or the crosshair. Moving and drawing annotations redraw below.
+        var hoverChanged = !this.isResizing && this.updateHover();
+        if (
+            !this.isResizing &&
+            !this.movingAnnotation &&
+            !this.isDrawingAnnotation &&
+            (hoverChanged || this.dragStart || this.polygonDraft || this.isMaskTool() || this.crosshair)
+        ) {
+            this.redraw();
+        }
+
+        // Handle moving annotations
+        if (this.movingAnnotation) {
+            // Translate the annotation by the total offset since the move started,
+            // constrained so that the whole shape stays within the image boundaries
+            var original = this.moveOriginalGeometry;
+            var image = this.getImageSize();
+            var dx = pt.x - this.moveStartPoint.x;
+            var dy = pt.y - this.moveStartPoint.y;
+
+            // Snap the edges or the center of the shape
+            dx += this.snapAxis("x", this.getSnapValues(original, "x", dx), this.movingAnnotation);
+            dy += this.snapAxis("y", this.getSnapValues(original, "y", dy), this.movingAnnotation);
+            dx = Math.max(-original.start.x, Math.min(dx, image.width - original.end.x));
+            dy = Math.max(-original.start.y, Math.min(dy, image.height - original.end.y));
+
+            this.movingAnnotation.start = { x: original.start.x + dx, y: original.start.y + dy };
+            this.movingAnnotation.end = { x: original.end.x + dx, y: original.end.y + dy };
+            if (original.points) {
+                this.movingAnnotation.points = original.points.map((p) => ({ x: p.x + dx, y: p.y + dy }));
+            }
+            if (original.center) {
+                this.movingAnnotation.center = { x: original.center.x + dx, y: original.center.y + dy };
+            }
+            this.updateRelativeCoordinates(this.movingAnnotation);
+
+            // Apply the new coordinates and mark the annotation as edited
+            this.movingAnnotation.state = "edited";
+            this.redraw();
+        }
+
+        // Handle dragging a single polygon vertex
+        if (this.isResizing && this.getVertexIndex(this.selectedHandle) !== -1) {
+            var pt = this.snapPoint(this.ctx.transformedPoint(this.lastX, this.lastY), this.hoveredAnnotation);
+            this.hoveredAnnotation.points[this.getVertexIndex(this.selectedHandle)] = this.clampPoint(pt);
+            this.updatePolygonBounds(this.hoveredAnnotation);
+
+            // Apply the new coordinates and mark the annotation as edited
+            this.hoveredAnnotation.state = "edited";
+            this.redraw();
+        } else if (this.isResizing && this.isRotated(this.hoveredAnnotation)) {
+            // Resize or rotate a rotated box in its own frame. Its edges are not axis-aligned, so they do not snap.
+            this.resizeRotatedBox(this.hoveredAnnotation, this.selectedHandle, pt);
+
+            // Apply the new coordinates and mark the annotation as edited
+            this.hoveredAnnotation.state = "edited";
+            this.redraw();
+        } else if (this.isResizing) {
+            // Handle resizing annotations, snapping the edges moved by the handle
+            var axes =
+                (/left|right/.test(this.selectedHandle) ? "x" : "") +
+                (/top|bottom/.test(this.selectedHandle) ? "y" : "");
+            var pt = this.snapPoint(this.ctx.transformedPoint(this.lastX, this.lastY), this.hoveredAnnotation, axes);
+
+            var newStartX = this.hoveredAnnotation.start.x;
+            var newStartY = this.hoveredAnnotation.start.y;
+            var newEndX = this.hoveredAnnotation.end.x;
+            var newEndY = this.hoveredAnnotation.end.y;
+
+            switch (this.selectedHandle) {
+                case "top-left":
+                    newStartX = pt.x;
+                    newStartY = pt.y;
+                    break;
+                case "top-right":
+                    newEndX = pt.x;
+                    newStartY = pt.y;
+                    break;
+                case "bottom-left":
+                    newStartX = pt.x;
+                    newEndY = pt.y;
+                    break;
+                case "bottom-right":
+                    newEndX = pt.x;
+                    newEndY = pt.y;
+                    break;
+                case "top-middle":
+                    newStartY = pt.y;
+                    break;
+                case "bottom-middle":
+                    newEndY = pt.y;
+                    break;
+                case "left-middle":
+                    newStartX = pt.x;
+                    break;
+                case "right-middle":
+                    newEndX = pt.x;
+                    break;
+            }
+
+            // Constrain to image boundaries
+            var image = this.getImageSize();
+            newStartX = Math.max(0, Math.min(newStartX, image.width));
+            newStartY = Math.max(0, Math.min(newStartY, image.height));
+            newEndX = Math.max(0, Math.min(newEndX, image.width));
+            newEndY = Math.max(0, Math.min(newEndY, image.height));
+
+            this.hoveredAnnotation.start.x = newStartX;
+            this.hoveredAnnotation.start.y = newStartY;
+            this.hoveredAnnotation.end.x = newEndX;
+            this.hoveredAnnotation.end.y = newEndY;
+
+            this.updateRelativeCoordinates(this.hoveredAnnotation);
+
+            // Apply the new coordinates and mark the annotation as edited
+            this.hoveredAnnotation.state = "edited";
+            this.redraw();
+        }
+
+        // The polygon being drawn is previewed by redraw(), with a rubber band edge to the cursor
+        if (this.polygonDraft) {
+            this.canvas.style.cursor = "crosshair";
+        }
+
+        // Preview the annotation being drawn
+        if (this.isDrawingAnnotation) {
+            this.redraw();
+        }
+    }
+
+    /**
+     * Finishes the current interaction when the pointer is released:
+     * creates the annotation being drawn, and records a finished move or resize in the history.
+     *
+     * @param {PointerEvent} evt - The 'pointerup' event.
+     * @return {void} This function does not return anything.
+     */
+    finishInteraction(evt) {
+        // Reset the starting point for dragging
+        this.dragStart = null;
+        this.addedPolygonVertex = false;
+
+        // If click-to-zoom is enabled and the canvas wasn't dragged, execute zooming based on the shift key state.
+        // Clicks that place polygon vertices and taps on touch devices never zoom.
+        if (this.clickToZoom && !this.dragged && !this.polygonDraft && evt.pointerType === "mouse") {
+            this.zoom(evt.shiftKey ? -this.zoomLevel : this.zoomLevel);
+        }
+
+        // Finalize drawing a new annotation
+        if (this.isDrawingAnnotation) {
+            // Transform the current mouse position to canvas coordinates
+            var pt = this.snapPoint(this.ctx.transformedPoint(this.lastX, this.lastY));
+
+            // Normalize the start and end coordinates of the annotation
+            let normalizedStart = {
+                x: Math.min(this.newAnnotationStart.x, pt.x),
+                y: Math.min(this.newAnnotationStart.y, pt.y),
+            };
+
+            let normalizedEnd = {
+                x: Math.max(this.newAnnotationStart.x, pt.x),
+                y: Math.max(this.newAnnotationStart.y, pt.y),
+            };
+
+            // Calculate the dimensions of the new annotation
+            var width = normalizedEnd.x - normalizedStart.x;
+            var height = normalizedEnd.y - normalizedStart.y;
+
+            // A click without dragging draws nothing. Annotations that fail a blocking validation rule (e.g. the
+            // minimum size) are rejected by addAnnotation(), see setValidationRules().
+            var image = this.getImageSize();
+            if (width > 0 && height > 0 && this.drawingMode === "rotated") {
+                // Rotated boxes are drawn unrotated, and turned with their rotation handle afterwards
+                this.addAnnotation(
+                    this.buildAnnotation({
+                        type: "rotated",
+                        center: { x: normalizedStart.x + width / 2, y: normalizedStart.y + height / 2 },
+                        width: width,
+                        height: height,
+                        angle: 0,
+                        name: this.currentOntology,
+                        class_id: this.currentClassId,
+                        annotationColor: this.annotationColor,
+                    })
+                );
+                this.redraw();
+            } else if (width > 0 && height > 0) {
+                // Convert coordinates to relative (percentage) values
+                let relativ_start = {
+                    x: normalizedStart.x / image.width,
+                    y: normalizedStart.y / image.height,
+                };
+                let relativ_end = {
+                    x: normalizedEnd.x / image.width,
+                    y: normalizedEnd.y / image.height,
+                };
+
+                // Add the new annotation to the annotations array, unless a listener rejects it
+                this.addAnnotation({
+                    type: "box",
+                    start_relativ: relativ_start,
+                    end_relativ: relativ_end,
+                    start: normalizedStart,
+                    end: normalizedEnd,
+                    name: this.currentOntology,
+                    class_id: this.currentClassId,
+                    annotationColor: this.annotationColor,
+                    state: "unsaved",
+                    ID: null,
+                });
+
+                // Redraw the canvas to reflect the new annotation
+                this.redraw();
+            }
+        }
+
+        // Record the finished brush or eraser stroke in the history, as a single change
+        if (this.maskStroke) {
+            this.finishMaskStroke();
+        }
+
+        // Record the finished move, resize or rotation in the history.
+        // If a listener rejects it, the annotation has been restored and is redrawn.
+        if (
+            this.interactionSnapshot &&
+            !this.commitChange(
+                this.isResizing ? (this.selectedHandle === "rotate" ? "rotate" : "resize") : "move",
+                this.isResizing ? this.hoveredAnnotation : this.movingAnnotation,
+                this.interactionSnapshot
+            )
+        ) {
+            this.redraw();
+        }
+
+        // Reset interaction flags to their default state, and remove the guides of the snaps
+        var hadGuides = this.snapGuides.length > 0;
+        this.resetInteractionFlags();
+        if (hadGuides) {
+            this.redraw();
+        }
+    }
+
+    /**
+     * Resets various interaction flags and state variables related to canvas and annotation interactions.
+     * This function is typically called after completing an interaction like drawing, moving, or resizing an annotation,
+     * or after completing canvas dragging. It ensures that all interaction-related states are reset to their default (inactive) values.
+     *
+     * @return {void} This function does not return anything.
+     */
+    resetInteractionFlags() {
+        this.isDraggingCanvas = false; // Reset the flag indicating if the canvas is being dragged
+        this.isResizingAnnotationFlag = false; // Reset the flag indicating if an annotation is being resized
+        this.isMovingAnnotationFlag = false; // Reset the flag indicating if an annotation is being moved
+        this.movingAnnotation = null; // Clear the reference to any annotation that was being moved
+        this.isResizing = false; // Reset the flag indicating if a resizing operation is active
+        this.isDrawingAnnotation = false; // Reset the flag indicating if a new annotation is being drawn
+        this.newAnnotationStart = null; // Clear the starting point of a new annotation
+        this.selectedHandle = null; // Clear the reference to any selected resize handle
+        this.moveStartPoint = null; // Clear the starting point of a move operation
+        this.moveOriginalGeometry = null; // Clear the geometry copy taken when the move started
+        this.interactionSnapshot = null; // Clear the snapshot taken when the move or resize started
+        this.snapGuides = []; // Clear the guide lines of the snaps
+        this.maskStroke = null; // Drop the brush or eraser stroke in progress, if it was not recorded
+        this.drawingCursor = null; // Clear the end of the preview of the annotation being drawn
+    }
+
+    /**
+     * Sets the shape that is created when the user draws a new annotation.
+     * Switching the mode discards a polygon that is still being drawn.
+     *
+     * @param {string} mode - Either "box" for rectangles, "polygon" for free-form polygons, "rotated" for rotated
+     *                        boxes (drawn like rectangles, then turned with their rotation handle), or one of the
+     *                        mask tools "brush", "eraser" and "fill" that edit the mask of the active class.
+     * @return {void} This function does not return anything.
+     */
+    setDrawingMode(mode) {
+        if (!Annotate.DRAWING_MODES.includes(mode)) {
+            throw new Error(`Unknown drawing mode "${mode}", expected one of: ${Annotate.DRAWING_MODES.join(", ")}`);
+        }
+        this.cancelPolygon();
+        this.drawingMode = mode;
+    }
+
+    /**
+     * Parses the vertex index out of a polygon handle name such as "vertex-3".
+     *
+     * @param {string|null} handle - The handle identifier.
+     * @return {number} The vertex index, or -1 if the handle is not a polygon vertex.
+     */
+    getVertexIndex(handle) {
+        if (typeof handle !== "string" || !handle.startsWith("vertex-")) {
+            return -1;
+        }
+        return parseInt(handle.slice("vertex-".length), 10);
+    }
+
+    /**
+     * Finds the polygon edge closest to a point, if it is within the annotation detection threshold.
+     *
+     * @param {number} x - The x-coordinate relative to the canvas.
+     * @param {number} y - The y-coordinate relative to the canvas.
+     * @param {Object} annotation - The polygon annotation whose edges are checked.
+     * @return {Object|null} The index of the edge's first vertex ('index') and the closest point on the edge
+     *                       ('x', 'y', 'distance'), or null if no edge is close enough.
+     */
+    findPolygonEdge(x, y, annotation) {
+        return AnnotationGeometry.findPolygonEdge(x, y, annotation.points, this.getDetectionThreshold());
+    }
+
+    /**
+     * Inserts a new vertex into a polygon on the edge closest to the given point.
+     *
+     * @param {Object} annotation - The polygon annotation to modify.
+     * @param {number} x - The x-coordinate relative to the canvas.
+     * @param {number} y - The y-coordinate relative to the canvas.
+     * @return {boolean} True if a vertex was inserted, false if the point is not close to any edge
+     *                   or a listener rejected the change.
+     */
+    insertPolygonVertex(annotation, x, y) {
+        var edge = this.findPolygonEdge(x, y, annotation);
+        if (!edge) {
+            return false;
+        }
+        var before = this.captureAnnotationState(annotation);
+        annotation.points.splice(edge.index + 1, 0, { x: edge.x, y: edge.y });
+        this.updatePolygonBounds(annotation);
+        annotation.state = "edited";
+        var inserted = this.commitChange("reshape", annotation, before);
+        this.redraw();
+        return inserted;
+    }
+
+    /**
+     * Removes a vertex from a polygon.
+     * Vertices are only removed as long as the polygon keeps the minimum number of vertices, otherwise the removal
+     * is announced with 'validation:block'.
+     *
+     * @param {Object} annotation - The polygon annotation to modify.
+     * @param {number} index - The index of the vertex to remove.
+     * @return {boolean} True if the vertex was removed, false otherwise (e.g. if a listener rejected the change).
+     */
+    removePolygonVertex(annotation, index) {
+        if (annotation.points.length <= Annotate.POLYGON_MIN_VERTICES) {
+            this.blockPolygonChange(annotation, "reshape");
+            return false;
+        }
+        var before = this.captureAnnotationState(annotation);
+        annotation.points.splice(index, 1);
+        this.updatePolygonBounds(annotation);
+        annotation.state = "edited";
+        var removed = this.commitChange("reshape", annotation, before);
+        if (this.hoveredAnnotation === annotation) {
+            this.setHover(annotation, null);
+        }
+        this.redraw();
+        return removed;
+    }
+
+    /**
+     * Closes the polygon currently being drawn and adds it to the annotations.
+     * Consecutive vertices that are almost identical (e.g. from the clicks of a double-click) are merged.
+     * Polygons with too few vertices or that fail a blocking validation rule (see setValidationRules()) are discarded
+     * and announced with 'validation:block'.
+     *
+     * @return {void} This function does not return anything.
+     */
+    finishPolygon() {
+        if (!this.polygonDraft) {
+            return;
+        }
+
+        // Merge vertices that are closer than the duplicate distance to their predecessor
+        var points = [];
+        for (var point of this.polygonDraft) {
+            var previous = points[points.length - 1];
+            if (
+                !previous ||
+                Math.hypot(point.x - previous.x, point.y - previous.y) > Annotate.POLYGON_DUPLICATE_DISTANCE
+            ) {
+                points.push(point);
+            }
+        }
+        this.polygonDraft = null;
+
+        var polygon = {
+            type: "polygon",
+            points: points,
+            name: this.currentOntology,
+            class_id: this.currentClassId,
+            annotationColor: this.annotationColor,
+            state: "unsaved",
+            ID: null,
+        };
+
+        if (points.length >= Annotate.POLYGON_MIN_VERTICES) {
+            this.updatePolygonBounds(polygon);
+            this.addAnnotation(polygon);
+        } else {
+            this.blockPolygonChange(polygon, "draw");
+        }
+
+        this.redraw();
+    }
+
+    /**
+     * Announces with 'validation:block' that a polygon was not created or a vertex not removed, because the polygon
+     * would have fewer than POLYGON_MIN_VERTICES vertices. The issue has the type "minVertices" and no rule.
+     *
+     * @param {Object} annotation - The polygon annotation.
+     * @param {string} reason - The rejected change, "draw" or "reshape".
+     * @return {void} This function does not return anything.
+     */
+    blockPolygonChange(annotation, reason) {
+        this.events.emit("validation:block", {
+            reason: reason,
+            annotation: annotation,
+            issues: [
+                {
+                    type: "minVertices",
+                    severity: "block",
+                    message: `A polygon needs at least ${Annotate.POLYGON_MIN_VERTICES} vertices`,
+                    annotation: annotation,
+                    class_id: annotation.class_id,
+                    related: null,
+                    rule: null,
+                },
+            ],
+        });
+    }
+
+    /**
+     * Discards the polygon currently being drawn, if any.
+     *
+     * @return {void} This function does not return anything.
+     */
+    cancelPolygon() {
+        if (!this.polygonDraft) {
+            return;
+        }
+        this.polygonDraft = null;
+        this.redraw();
+    }
+
+    /**
+     * @param {string} [mode] - The drawing mode to check, defaults to the current one.
+     * @return {boolean} True if the mode is a mask tool ("brush", "eraser" or "fill"), see setDrawingMode().
+     */
+    isMaskTool(mode = this.drawingMode) {
+        return AnnotationModel.MASK_TOOLS.includes(mode);
+    }
+
+    /**
+     * Sets the radius of the mask brush and eraser.
+     *
+     * @param {number} radius - The radius, in image pixels.
+     * @return {void} This function does not return anything.
+     * @throws {Error} If the radius is not a positive number.
+     */
+    setBrushRadius(radius) {
+        if (typeof radius !== "number" || !(radius > 0)) {
+            throw new Error("The brush radius must be a positive number");
+        }
+        this.brushRadius = radius;
+        this.redraw();
+    }
+
+    /**
+     * Starts painting or erasing the mask of the active class at a point, or fills the area around it with the
+     * "fill" tool. A stroke paints into a copy of the mask, which is recorded when the pointer is released.
+     *
+     * @param {Object} point - The point, in image pixels.
+     * @return {void} This function does not return anything.
+     */
+    startMaskStroke(point) {
+        if (this.drawingMode === "fill") {
+            this.fillMask(this.currentClassId, point);
+            return;
+        }
+        var annotation = this.getMask(this.currentClassId);
+        var bitmap = this.copyMaskBitmap(this.currentClassId);
+        var color = annotation ? annotation.annotationColor : this.getClassColor(this.currentClassId);
+        this.maskStroke = {
+            classId: this.currentClassId,
+            annotation: annotation,
+            bitmap: bitmap,
+            value: this.drawingMode === "brush" ? 1 : 0,
+            point: point,
+            layer: this.createMaskLayer(bitmap, color),
+        };
+        this.continueMaskStroke(point);
+        this.redraw();
+    }
+
+    /**
+     * Continues the brush or eraser stroke to a point, and updates the changed part of its rendered layer.
+     *
+     * @param {Object} point - The point, in image pixels.
+     * @return {void} This function does not return anything.
+     */
+    continueMaskStroke(point) {
+        var stroke = this.maskStroke;
+        var area = AnnotationMask.paintLine(stroke.bitmap, stroke.point, point, this.brushRadius, stroke.value);
+        stroke.point = { x: point.x, y: point.y };
+        if (area) {
+            this.renderMaskLayer(stroke.layer, area);
+        }
+    }
+
+    /**
+     * Records the finished brush or eraser stroke in the history, see setMaskBitmap().
+     *
+     * @return {void} This function does not return anything.
+     */
+    finishMaskStroke() {
+        var stroke = this.maskStroke;
+        this.maskStroke = null;
+        var annotation = this.setMaskBitmap(stroke.classId, stroke.bitmap, stroke.value ? "paint" : "erase");
+        if (annotation) {
+            // The layer already shows the new pixels of the mask, see drawMasks()
+            this.maskLayers.set(annotation, stroke.layer);
+        } else {
+            this.redraw();
+        }
+    }
+
+    /**
+     * Creates a canvas that is not part of the page, e.g. to render masks or label maps.
+     *
+     * @param {number} width - The width of the canvas, in pixels.
+     * @param {number} height - The height of the canvas, in pixels.
+     * @return {HTMLCanvasElement|OffscreenCanvas} The canvas.
+     */
+    createCanvas(width, height) {
+        if (typeof document === "undefined") {
+            return new OffscreenCanvas(width, height);
+        }
+        var canvas = document.createElement("canvas");
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    /**
+     * Renders the pixels of a mask in a color, into a canvas of the size of the mask.
+     *
+     * @param {Object} bitmap - The pixels of the mask, see AnnotationMask.
+     * @param {string} color - The color of the mask, a CSS color.
+     * @return {Object} The layer, with the 'canvas', its pixels ('imageData'), the 'bitmap' and the 'color'.
+     */
+    createMaskLayer(bitmap, color) {
+        var canvas = this.createCanvas(bitmap.width, bitmap.height);
+        var ctx = canvas.getContext("2d");
+
+        // Let the canvas turn the CSS color into its red, green and blue values
+        ctx.fillStyle = color;
+        ctx.fillRect(0, 0, 1, 1);
+        var rgb = ctx.getImageData(0, 0, 1, 1).data.slice(0, 3);
+
+        var layer = {
+            canvas: canvas,
+            ctx: ctx,
+            imageData: ctx.createImageData(bitmap.width, bitmap.height),
+            rgb: rgb,
+            bitmap: bitmap,
+            color: color,
+        };
+        this.renderMaskLayer(layer, { x: 0, y: 0, width: bitmap.width, height: bitmap.height });
+        return layer;
+    }
+
+    /**
+     * Renders a part of a mask layer again, after its pixels changed.
+     *
+     * @param {Object} layer - The layer, see createMaskLayer().
+     * @param {Object} area - The part to render ({x, y, width, height}), in pixels.
+     * @return {void} This function does not return anything.
+     */
+    renderMaskLayer(layer, area) {
+        var { width, data } = layer.bitmap;
+        var pixels = layer.imageData.data;
+        for (var y = area.y; y < area.y + area.height; y++) {
+            for (var x = area.x; x < area.x + area.width; x++) {
+                var index = y * width + x;
+                pixels.set(layer.rgb, index * 4);
+                pixels[index * 4 + 3] = data[index] ? 255 : 0;
+            }
+        }
+        layer.ctx.putImageData(layer.imageData, 0, 0, area.x, area.y, area.width, area.height);
+    }
+
+    /**
+     * Exports the masks as a PNG label map, a grayscale image whose value is the class ID of each pixel
+     * (0 for the background), see getLabelMap().
+     *
+     * @return {Promise<Blob>} The PNG image.
+     * @throws {Error} If a mask has a class ID that is not an integer from 1 to 255.
+     */
+    exportLabelMapPNG() {
+        var labelMap = this.getLabelMap();
+        var canvas = this.createCanvas(labelMap.width, labelMap.height);
+        var ctx = canvas.getContext("2d");
+        var imageData = ctx.createImageData(labelMap.width, labelMap.height);
+        labelMap.data.forEach((label, index) => {
+            imageData.data.fill(label, index * 4, index * 4 + 3);
+            imageData.data[index * 4 + 3] = 255;
+        });
+        ctx.putImageData(imageData, 0, 0);
+        if (canvas.convertToBlob) {
+            return canvas.convertToBlob({ type: "image/png" });
+        }
+        return new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+    }
+
+    /**
+     * Imports a PNG label map, as written by exportLabelMapPNG(), see importLabelMap().
+     * The labels are read from the red channel, so grayscale and indexed color label maps both work.
+     *
+     * @param {string|Blob|CanvasImageSource} source - The URL of the image, the image file, or a loaded image.
+     * @return {Promise<Object[]>} The imported masks.
+     */
+    importLabelMapPNG(source) {
+        // Images are decoded without color conversion, which would change the labels
+        var options = { colorSpaceConversion: "none", premultiplyAlpha: "none" };
+        var image;
+        if (typeof source === "string") {
+            image = fetch(source)
+                .then((response) => {
+                    if (!response.ok) {
+                        throw new Error(`Could not load label map ${source}`);
+                    }
+                    return response.blob();
+                })
+                .then((blob) => createImageBitmap(blob, options));
+        } else if (typeof Blob !== "undefined" && source instanceof Blob) {
+            image = createImageBitmap(source, options);
+        } else {
+            image = Promise.resolve(source);
+        }
+        return image.then((image) => {
+            var width = image.naturalWidth || image.width;
+            var height = image.naturalHeight || image.height;
+            var ctx = this.createCanvas(width, height).getContext("2d");
+            ctx.drawImage(image, 0, 0);
+            var pixels = ctx.getImageData(0, 0, width, height).data;
+            var labels = new Uint8Array(width * height);
+            for (var i = 0; i < labels.length; i++) {
+                labels[i] = pixels[i * 4];
+            }
+            return this.importLabelMap({ width: width, height: height, data: labels });
+        });
+    }
+
+    /**
+     * Sets the function that returns the text of the labels drawn next to the annotations (if
+     * 'shouldShowAnnotations' is set). The text can contain more than the name, e.g. the class ID, the confidence
+     * of predictions, the track ID of video annotations or attributes.
+     *
+     * @param {Function|null} formatter - Called with the annotation, returns the label text. An empty string, null
+     *                                    or undefined draws no label. Pass null to label annotations with their name.
+     * @return {void} This function does not return anything.
+     */
+    setLabelFormatter(formatter) {
+        this.labelFormatter = formatter;
+        this.redraw();
+    }
+
+    /**
+     * @param {Object} annotation - The annotation object.
+     * @return {string} The text of the label of the annotation, see setLabelFormatter(). Empty for no label.
+     */
+    getLabelText(annotation) {
+        var text = this.labelFormatter ? this.labelFormatter(annotation) : annotation.name;
+        return text === null || text === undefined ? "" : String(text);
+    }
+
+    /**
+     * Draws the labels of annotations: their text (see getLabelText()) on a badge in the color of the annotation,
+     * with the style of the annotation (see getStyle()). Labels have the same size on the screen at any zoom level.
+     * A label sits on top of the annotation, inside its top edge if there is no space above it in view, or below it
+     * if the annotation is too small. Labels are placed from the top of the stacking order down, and a label that
+     * would overlap one placed before moves to another of these positions, or else up or down by its height.
+     *
+     * @param {Object[]} annotations - The annotations to label, bottom to top in stacking order.
+     * @param {Object} topLeft - The top-left corner of the visible area, in image coordinates.
+     * @param {Object} bottomRight - The bottom-right corner of the visible area, in image coordinates.
+     * @return {void} This function does not return anything.
+     */
+    drawLabels(annotations, topLeft, bottomRight) {
+        var pixel = this.getScreenPixelSize();
+        var padding = Annotate.LABEL_PADDING;
+        var placed = [];
+        this.ctx.save();
+        for (var annotation of annotations.slice().reverse()) {
+            var text = this.getLabelText(annotation);
+            if (text === "") {
+                continue;
+            }
+            var style = this.getStyle(annotation);
+            this.ctx.font = style.font;
+            var metrics = this.ctx.measureText(text);
+            var ascent = metrics.fontBoundingBoxAscent ?? metrics.actualBoundingBoxAscent ?? 0;
+            var descent = metrics.fontBoundingBoxDescent ?? metrics.actualBoundingBoxDescent ?? 0;
+            var label = {
+                width: (metrics.width + 2 * padding) * pixel,
+                height: (ascent + descent + 2 * padding) * pixel,
+            };
+            Object.assign(label, this.placeLabel(annotation, label, placed, topLeft, bottomRight));
+            placed.push(label);
+
+            // Draw in screen pixels from the top-left corner of the badge
+            var background = style.labelBackground || annotation.annotationColor || Annotate.DEFAULT_COLOR;
+            this.ctx.save();
+            this.ctx.translate(label.x, label.y);
+            this.ctx.scale(pixel, pixel);
+            this.ctx.globalAlpha = style.opacity;
+            this.ctx.fillStyle = background;
+            this.ctx.fillRect(0, 0, label.width / pixel, label.height / pixel);
+            this.ctx.fillStyle = style.labelColor || this.getContrastColor(background);
+            this.ctx.fillText(text, padding, padding + ascent);
+            this.ctx.restore();
+        }
+        this.ctx.restore();
+    }
+
+    /**
+     * Finds the position of the label of an annotation, see drawLabels().
+     *
+     * @param {Object} annotation - The annotation object.
+     * @param {Object} size - The 'width' and 'height' of the label, in image coordinates.
+     * @param {Object[]} placed - The labels placed so far, each with 'x', 'y', 'width' and 'height'.
+     * @param {Object} topLeft - The top-left corner of the visible area, in image coordinates.
+     * @param {Object} bottomRight - The bottom-right corner of the visible area, in image coordinates.
+     * @return {Object} The top-left corner of the label ('x' and 'y'), in image coordinates.
+     */
+    placeLabel(annotation, size, placed, topLeft, bottomRight) {
+        var { startX, startY, endY, width, height } = this.getAnnotationDimensions(annotation);
+
+        // Aligned with the left edge of the annotation, but kept in view horizontally
+        var x = Math.max(Math.min(startX, bottomRight.x - size.width), topLeft.x);
+
+        // Above the annotation, inside its top edge, and below it, as far as they are in view
+        var candidates = [
+            { y: startY - size.height, direction: -1 },
+            { y: startY, direction: 1, inside: true },
+            { y: endY, direction: 1 },
+        ].filter(
+            (candidate) =>
+                (!candidate.inside || (width >= size.width && height >= 2 * size.height)) &&
+                candidate.y >= topLeft.y &&
+                candidate.y + size.height <= bottomRight.y
+        );
+        if (candidates.length === 0) {
+            candidates = [{ y: startY, direction: 1 }];
+        }
+
+        var overlaps = (y) =>
+            placed.some(
+                (other) =>
+                    x < other.x + other.width &&
+                    x + size.width > other.x &&
+                    y < other.y + other.height &&
+                    y + size.height > other.y
+            );
+        var free = candidates.find((candidate) => !overlaps(candidate.y));
+        if (free) {
+            return { x: x, y: free.y };
+        }
+
+        // Move the preferred position away from the annotation until the label is clear of the others
+        var y = candidates[0].y;
+        for (var i = 0; i < Annotate.LABEL_MAX_SHIFTS && overlaps(y); i++) {
+            y += candidates[0].direction * size.height;
+        }
+        return { x: x, y: y };
+    }
+
+    /**
+     * Returns a text color that is readable on a background color: black on light colors and white on dark ones,
+     * by the relative luminance of the color (as defined by WCAG).
+     *
+     * @param {string} color - The background color, any CSS color.
+     * @return {string} "#000000" or "#FFFFFF".
+     */
+    getContrastColor(color) {
+        if (!this.contrastColors.has(color)) {
+            // Let the canvas turn the CSS color into hex or rgba() notation
+            this.ctx.save();
+            this.ctx.fillStyle = "#000000";
+            this.ctx.fillStyle = color;
+            var normalized = String(this.ctx.fillStyle);
+            this.ctx.restore();
+
+            var channels = [0, 0, 0];
+            var hex = /^#([0-9a-f]{6})$/i.exec(normalized);
+            var rgb = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i.exec(normalized);
+            if (hex) {
+                channels = [0, 2, 4].map((i) => parseInt(hex[1].slice(i, i + 2), 16));
+            } else if (rgb) {
+                channels = rgb.slice(1, 4).map(Number);
+            }
+            var [r, g, b] = channels.map((channel) => {
+                var value = channel / 255;
+                return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+            });
+            var luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+            this.contrastColors.set(color, luminance > 0.179 ? "#000000" : "#FFFFFF");
+        }
+        return this.contrastColors.get(color);
+    }
+
+    /**
      * Checks whether the provided x and y coordinates are hovering over any of the annotations.
-     * Iterates through the list of annotations in reverse order (to prioritize elements drawn last/on top),
-     * and determines if the provided coordinates fall within the extended boundary of any annotation.
+     * Only the annotations near the coordinates are checked, as found by the spatial index. They are checked from
+     * the top of the stacking order down (annotations later in the annotations array are drawn on top), and the
+     * first one whose extended boundary contains the coordinates wins. Deleted annotations are ignored.
      * The function also updates the 'selected' state of the annotations based on the hover check.
      *
-     * @param {number} x - The x-coordinate relative to the canvas to check for hovering.
-     * @param {number} y - The y-coordinate relative to the canvas to check for hovering.
-     * @return {Object|null} Returns the annotation object that is being hovered over, if any, otherwise null.
+     * @param {number} x - The x-coordinate relative to the canvas to check for hovering.
+     * @param {number} y - The y-coordinate relative to the canvas to check for hovering.
+     * @return {Object|null} Returns the annotation object that is being hovered over, if any, otherwise null.
+     */
+    isHoveringOverAnnotation(x, y) {
+        var hovered = this.hitTest(x, y, this.getDetectionThreshold());
+
+        // The rotation handle of a rotated box lies outside of the box, so the box stays hovered over it
+        var current = this.hoveredAnnotation;
+        if (
+            this.isRotated(current) &&
+            this.isEditable(current) &&
+            this.annotations.includes(current) &&
+            this.isDisplayed(current) &&
+            this.isHoveringOverHandle(x, y, current) === "rotate"
+        ) {
+            hovered = current;
+        }
+
+        if (this.hoveredAnnotation && this.hoveredAnnotation !== hovered) {
+            this.hoveredAnnotation.selected = false;
+        }
+        if (hovered) {
+            hovered.selected = true;
+        }
+        return hovered;
+    }
+
+    /**
+     * Determines if the provided x and y coordinates are hovering over any of the resize handles of a given annotation.
+     * The function checks each handle's position (top-left, top-right, bottom-left, bottom-right, top-middle, bottom-middle,
+     * left-middle, right-middle) against the coordinates. It uses a predefined handle size to establish the hover area.
+     * For polygons, every vertex is a handle, named 'vertex-<index>'. Rotated boxes have their handles on their
+     * rotated outline, and a 'rotate' handle above their top edge, see getRotatedHandles().
+     *
+     * @param {number} x - The x-coordinate relative to the canvas, used to check if it's over a handle.
+     * @param {number} y - The y-coordinate relative to the canvas, used to check if it's over a handle.
+     * @param {Object} annotation - The annotation object whose handles are being checked.
+     * @return {string|null} Returns a string representing the handle being hovered over (e.g., 'top-left'), or null if none.
+     */
+    isHoveringOverHandle(x, y, annotation) {
+        var handleSize = this.getHandleHitSize();
+        if (this.isPolygon(annotation)) {
+            // Check the vertices in reverse order, so the vertex drawn last wins
+            for (var i = annotation.points.length - 1; i >= 0; i--) {
+                var point = annotation.points[i];
+                if (Math.abs(x - point.x) <= handleSize && Math.abs(y - point.y) <= handleSize) {
+                    return "vertex-" + i;
+                }
+            }
+            return null;
+        }
+        if (this.isRotated(annotation)) {
+            for (var [name, position] of Object.entries(this.getRotatedHandles(annotation))) {
+                if (Math.abs(x - position.x) <= handleSize && Math.abs(y - position.y) <= handleSize) {
+                    return name;
+                }
+            }
+            return null;
+        }
+
+        const { startX, startY, width, height } = this.getAnnotationDimensions(annotation);
+
+        // Top-left handle
+        if (
+            x >= startX - handleSize &&
+            x <= startX + handleSize &&
+            y >= startY - handleSize &&
+            y <= startY + handleSize
+        ) {
+            return "top-left";
+        }
+        // Top-right handle
+        if (
+            x >= startX + width - handleSize &&
+            x <= startX + width + handleSize &&
+            y >= startY - handleSize &&
+            y <= startY + handleSize
+        ) {
+            return "top-right";
+        }
+        // Bottom-left handle
+        if (
+            x >= startX - handleSize &&
+            x <= startX + handleSize &&
+            y >= startY + height - handleSize &&
+            y <= startY + height + handleSize
+        ) {
+            return "bottom-left";
+        }
+        // Bottom-right handle
+        if (
+            x >= startX + width - handleSize &&
+            x <= startX + width + handleSize &&
+            y >= startY + height - handleSize &&
+            y <= startY + height + handleSize
+        ) {
+            return "bottom-right";
+        }
+        // Top-middle handle
+        if (
+            x >= startX + width / 2 - handleSize &&
+            x <= startX + width / 2 + handleSize &&
+            y >= startY - handleSize &&
+            y <= startY + handleSize
+        ) {
+            return "top-middle";
+        }
+        // Bottom-middle handle
+        if (
+            x >= startX + width / 2 - handleSize &&
+            x <= startX + width / 2 + handleSize &&
+            y >= startY + height - handleSize &&
+            y <= startY + height + handleSize
+        ) {
+            return "bottom-middle";
+        }
+        // Left-middle handle
+        if (
+            x >= startX - handleSize &&
+            x <= startX + handleSize &&
+            y >= startY + height / 2 - handleSize &&
+            y <= startY + height / 2 + handleSize
+        ) {
+            return "left-middle";
+        }
+        // Right-middle handle
+        if (
+            x >= startX + width - handleSize &&
+            x <= startX + width + handleSize &&
+            y >= startY + height / 2 - handleSize &&
+            y <= startY + height / 2 + handleSize
+        ) {
+            return "right-middle";
+        }
+        return null;
+    }
+
+    /**
+     * Calculates the positions of the handles of a rotated box: the rotation handle first, so that it wins over
+     * the resize handles of small boxes, then the corners and the middles of the edges.
+     *
+     * @param {Object} annotation - The rotated box.
+     * @return {Object} The handle positions, by handle name ('rotate' and the names of the resize handles).
+     */
+    getRotatedHandles(annotation) {
+        var { center, width, height, angle } = annotation;
+        var offsets = {
+            rotate: { x: 0, y: -height / 2 - Annotate.ROTATION_HANDLE_DISTANCE * this.getScreenPixelSize() },
+            "top-left": { x: -width / 2, y: -height / 2 },
+            "top-right": { x: width / 2, y: -height / 2 },
+            "bottom-left": { x: -width / 2, y: height / 2 },
+            "bottom-right": { x: width / 2, y: height / 2 },
+            "top-middle": { x: 0, y: -height / 2 },
+            "bottom-middle": { x: 0, y: height / 2 },
+            "left-middle": { x: -width / 2, y: 0 },
+            "right-middle": { x: width / 2, y: 0 },
+        };
+        var handles = {};
+        for (var [name, offset] of Object.entries(offsets)) {
+            handles[name] = AnnotationGeometry.rotatePoint(
+                { x: center.x + offset.x, y: center.y + offset.y },
+                center,
+                angle
+            );
+        }
+        return handles;
+    }
+
+    /**
+     * Resizes a rotated box with one of its handles, in the frame of the box: the opposite edges stay in place.
+     * The 'rotate' handle turns the box around its center towards the point.
+     *
+     * @param {Object} annotation - The rotated box.
+     * @param {string} handle - The dragged handle, see getRotatedHandles().
+     * @param {Object} point - The position of the pointer, in image pixels.
+     * @return {void} This function does not return anything.
+     */
+    resizeRotatedBox(annotation, handle, point) {
+        if (handle === "rotate") {
+            // The handle is above the top edge, so a pointer straight above the center means no rotation
+            var direction = Math.atan2(point.y - annotation.center.y, point.x - annotation.center.x);
+            annotation.angle = AnnotationGeometry.normalizeAngle((direction * 180) / Math.PI + 90);
+        } else {
+            var local = AnnotationGeometry.toBoxFrame(annotation, point.x, point.y);
+            var left = -annotation.width / 2;
+            var right = annotation.width / 2;
+            var top = -annotation.height / 2;
+            var bottom = annotation.height / 2;
+
+            // The edges moved by the handle follow the pointer, but do not cross the opposite edges
+            if (/left/.test(handle)) {
+                left = Math.min(local.x, right - 1);
+            }
+            if (/right/.test(handle)) {
+                right = Math.max(local.x, left + 1);
+            }
+            if (/top/.test(handle)) {
+                top = Math.min(local.y, bottom - 1);
+            }
+            if (/bottom/.test(handle)) {
+                bottom = Math.max(local.y, top + 1);
+            }
+            var center = annotation.center;
+            annotation.center = AnnotationGeometry.rotatePoint(
+                { x: center.x + (left + right) / 2, y: center.y + (top + bottom) / 2 },
+                center,
+                annotation.angle
+            );
+            annotation.width = right - left;
+            annotation.height = bottom - top;
+        }
+        this.updateRotatedBounds(annotation);
+    }
+
+    /**
+     * Adjusts the zoom level of the canvas based on the number of 'clicks'.
+     * A 'click' represents a discrete zoom in or out action, typically triggered by a mouse wheel movement.
+     * The function calculates the new zoom level based on a predefined scale factor and applies it if within
+     * allowed zoom boundaries. It ensures that the zooming is centered around the current mouse position.
+     *
+     * @param {number} clicks - The number of zoom 'clicks'. Positive values zoom in, negative values zoom out.
+     */
+    zoom = (clicks) => {
+        var pt = this.ctx.transformedPoint(this.lastX, this.lastY);
+        this.ctx.translate(pt.x, pt.y);
+        var factor = Math.pow(Annotate.SCALE_FACTOR, clicks);
+
+        // Calculate the potential next zoom level
+        var currentScaleX = this.ctx.getTransform().a;
+        var currentScaleY = this.ctx.getTransform().d;
+        var potentialScaleX = currentScaleX * factor;
+        var potentialScaleY = currentScaleY * factor;
+
+        // Check if the potential zoom level is within the defined limits
+        var limits = this.getZoomLimits();
+        if (
+            potentialScaleX > limits.min &&
+            potentialScaleX < limits.max &&
+            potentialScaleY > limits.min &&
+            potentialScaleY < limits.max
+        ) {
+            this.ctx.scale(factor, factor);
+        }
+
+        this.ctx.translate(-pt.x, -pt.y);
+        this.redraw();
+    };
+
+    /**
+     * Returns the range of the zoom scale (screen pixels per image pixel).
+     * 'minZoom' and 'maxZoom' (see setZoomLimits()) are relative to the scale at which the whole image fits (see getBaseScale()) when
+     * zooming out, and to the full resolution when zooming in, so that tiled images can always be zoomed from the
+     * overview down to their full resolution.
+     *
+     * @return {Object} The 'min' and 'max' zoom scale.
+     */
+    getZoomLimits() {
+        var base = this.getBaseScale();
+        return { min: this.minZoom * Math.min(1, base), max: this.maxZoom * Math.max(1, base) };
+    }
+
+    /**
+     * Sets the range of the zoom of this instance, see getZoomLimits(). The defaults are MIN_ZOOM and MAX_ZOOM.
+     * If the current zoom is outside of the new range, the view is zoomed into it.
+     *
+     * @param {number} min - The minimum zoom, e.g. 0.5 to zoom out to half the size at which the image fits.
+     * @param {number} max - The maximum zoom, e.g. 10 to zoom in to 10 times the full resolution.
+     * @return {void} This function does not return anything.
+     * @throws {Error} If the limits are not positive numbers with min <= max.
+     */
+    setZoomLimits(min, max) {
+        if (!(min > 0) || !(max >= min)) {
+            throw new Error("The zoom limits must be positive numbers, with the minimum not above the maximum");
+        }
+        this.minZoom = min;
+        this.maxZoom = max;
+        var viewport = this.getViewport();
+        var limits = this.getZoomLimits();
+        if (viewport.scale < limits.min || viewport.scale > limits.max) {
+            this.setViewport(viewport);
+        }
+    }
+
+    /**
+     * Returns the current viewport: the zoom scale (screen pixels per image pixel) and the translation of
+     * the image, in canvas pixels.
+     *
+     * @return {Object} The viewport, with 'scale', 'x' and 'y'.
+     */
+    getViewport() {
+        var transform = this.ctx.getTransform();
+        return { scale: transform.a, x: transform.e, y: transform.f };
+    }
+
+    /**
+     * Sets the viewport, e.g. one saved with getViewport(). The scale is limited to the zoom limits, around the
+     * center of the canvas.
+     *
+     * @param {Object} viewport - The viewport, with 'scale', 'x' and 'y', see getViewport().
+     * @param {Object} [options] - 'animate' to animate the change, over 'duration' milliseconds
+     *                             (VIEWPORT_ANIMATION_DURATION by default).
+     * @return {Promise<Object>} Resolves to the viewport when it is reached, or when the animation is interrupted.
+     * @throws {Error} If the viewport has no positive scale or no finite translation.
+     */
+    setViewport(viewport, options = {}) {
+        if (!(viewport.scale > 0) || !Number.isFinite(viewport.x) || !Number.isFinite(viewport.y)) {
+            throw new Error("The viewport needs a positive 'scale' and finite 'x' and 'y' coordinates");
+        }
+        var center = {
+            x: (this.canvas.width / 2 - viewport.x) / viewport.scale,
+            y: (this.canvas.height / 2 - viewport.y) / viewport.scale,
+        };
+        return this.animateViewport(this.getCenteredViewport(viewport.scale, center), options);
+    }
+
+    /**
+     * Zooms and pans so that the whole image fits into the canvas, centered.
+     *
+     * @param {Object} [options] - 'padding' is the space around the image, in canvas pixels (0 by default),
+     *                             'animate' and 'duration' are used as by setViewport().
+     * @return {Promise<Object>} Resolves to the new viewport, see setViewport().
+     */
+    fitToImage(options = {}) {
+        var image = this.getImageSize();
+        var padding = options.padding || 0;
+        var scale = Math.min(
+            (this.canvas.width - 2 * padding) / image.width,
+            (this.canvas.height - 2 * padding) / image.height
+        );
+        return this.animateViewport(
+            this.getCenteredViewport(scale, { x: image.width / 2, y: image.height / 2 }),
+            options
+        );
+    }
+
+    /**
+     * Zooms to a scale, centered on a point of the image.
+     *
+     * @param {number} scale - The zoom scale, in screen pixels per image pixel. It is limited to the zoom limits.
+     * @param {Object} [center] - The image point shown at the center of the canvas, with 'x' and 'y' coordinates.
+     *                            By default, the point currently at the center stays there.
+     * @param {Object} [options] - 'animate' and 'duration', see setViewport().
+     * @return {Promise<Object>} Resolves to the new viewport, see setViewport().
+     */
+    zoomTo(scale, center, options = {}) {
+        if (!(scale > 0)) {
+            throw new Error("The zoom scale must be a positive number");
+        }
+        if (!center) {
+            center = this.ctx.transformedPoint(this.canvas.width / 2, this.canvas.height / 2);
+        }
+        return this.animateViewport(this.getCenteredViewport(scale, center), options);
+    }
+
+    /**
+     * Zooms and pans so that an annotation fills the canvas, centered.
+     *
+     * @param {Object} annotation - The annotation to zoom to.
+     * @param {number} [padding] - The space around the annotation, in canvas pixels
+     *                             (ZOOM_TO_ANNOTATION_PADDING by default).
+     * @param {Object} [options] - 'animate' and 'duration', see setViewport().
+     * @return {Promise<Object>} Resolves to the new viewport, see setViewport().
+     */
+    zoomToAnnotation(annotation, padding = Annotate.ZOOM_TO_ANNOTATION_PADDING, options = {}) {
+        var { startX, startY, width, height } = this.getAnnotationDimensions(annotation);
+        var scale = Math.min(
+            (this.canvas.width - 2 * padding) / Math.max(width, 1),
+            (this.canvas.height - 2 * padding) / Math.max(height, 1)
+        );
+        return this.animateViewport(
+            this.getCenteredViewport(scale, { x: startX + width / 2, y: startY + height / 2 }),
+            options
+        );
+    }
+
+    /**
+     * Pans the view.
+     *
+     * @param {number} dx - The horizontal distance, in canvas pixels. Positive values move the image to the right.
+     * @param {number} dy - The vertical distance, in canvas pixels. Positive values move the image down.
+     * @param {Object} [options] - 'animate' and 'duration', see setViewport().
+     * @return {Promise<Object>} Resolves to the new viewport, see setViewport().
+     */
+    panBy(dx, dy, options = {}) {
+        var viewport = this.getViewport();
+        return this.animateViewport({ scale: viewport.scale, x: viewport.x + dx, y: viewport.y + dy }, options);
+    }
+
+    /**
+     * Returns the viewport that shows an image point at the center of the canvas,
+     * at a scale limited to the zoom limits.
+     *
+     * @param {number} scale - The zoom scale.
+     * @param {Object} center - The image point, with 'x' and 'y' coordinates.
+     * @return {Object} The viewport, with 'scale', 'x' and 'y'.
+     */
+    getCenteredViewport(scale, center) {
+        var limits = this.getZoomLimits();
+        scale = Math.max(limits.min, Math.min(scale, limits.max));
+        return {
+            scale: scale,
+            x: this.canvas.width / 2 - center.x * scale,
+            y: this.canvas.height / 2 - center.y * scale,
+        };
+    }
+
+    /**
+     * Changes the viewport, right away or animated. A running animation is stopped first.
+     * During the animation, the scale changes geometrically and the image point at the center of the canvas
+     * moves linearly, so that zooming feels even.
+     *
+     * @param {Object} target - The viewport to change to, with 'scale', 'x' and 'y'.
+     * @param {Object} [options] - 'animate' and 'duration', see setViewport().
+     * @return {Promise<Object>} Resolves to the viewport when the animation ends or is interrupted.
+     */
+    animateViewport(target, options = {}) {
+        this.stopViewportAnimation();
+        var duration = options.animate ? (options.duration ?? Annotate.VIEWPORT_ANIMATION_DURATION) : 0;
+        if (!(duration > 0) || typeof requestAnimationFrame === "undefined") {
+            this.applyViewport(target);
+            return Promise.resolve(this.getViewport());
+        }
+
+        var from = this.getViewport();
+        var cx = this.canvas.width / 2;
+        var cy = this.canvas.height / 2;
+        var fromCenter = { x: (cx - from.x) / from.scale, y: (cy - from.y) / from.scale };
+        var toCenter = { x: (cx - target.x) / target.scale, y: (cy - target.y) / target.scale };
+        return new Promise((resolve) => {
+            var startTime = null;
+            var step = (time) => {
+                startTime = startTime ?? time;
+                var t = Math.min(1, (time - startTime) / duration);
+                if (t === 1) {
+                    this.viewportAnimation = null;
+                    this.applyViewport(target);
+                    resolve(this.getViewport());
+                    return;
+                }
+
+                // Ease out, so that the view slows down towards the target
+                var eased = t * (2 - t);
+                var scale = from.scale * Math.pow(target.scale / from.scale, eased);
+                var center = {
+                    x: fromCenter.x + (toCenter.x - fromCenter.x) * eased,
+                    y: fromCenter.y + (toCenter.y - fromCenter.y) * eased,
+                };
+                this.applyViewport({ scale: scale, x: cx - center.x * scale, y: cy - center.y * scale });
+                this.viewportAnimation.frame = requestAnimationFrame(step);
+            };
+            this.viewportAnimation = { frame: requestAnimationFrame(step), resolve: resolve };
+        });
+    }
+
+    /**
+     * Stops a running viewport animation where it is, e.g. when the user starts to zoom or pan.
+     * The promise of the animation resolves to the viewport reached.
+     *
+     * @return {void} This function does not return anything.
+     */
+    stopViewportAnimation() {
+        if (this.viewportAnimation) {
+            cancelAnimationFrame(this.viewportAnimation.frame);
+            this.viewportAnimation.resolve(this.getViewport());
+            this.viewportAnimation = null;
+        }
+    }
+
+    /**
+     * Sets the canvas transformation to a viewport and redraws.
+     *
+     * @param {Object} viewport - The viewport, with 'scale', 'x' and 'y'.
+     * @return {void} This function does not return anything.
+     */
+    applyViewport(viewport) {
+        this.ctx.setTransform(viewport.scale, 0, 0, viewport.scale, viewport.x, viewport.y);
+        this.redraw();
+    }
+
+    /**
+     * Returns the zoom scale of the default view (see resetTransform()).
+     * Without a tile source, the canvas has the size of the image and the scale is 1. With a tile source,
+     * it is the scale at which the whole image fits into the canvas.
+     *
+     * @return {number} The zoom scale, in screen pixels per image pixel.
+     */
+    getBaseScale() {
+        if (!this.tileSource) {
+            return 1;
+        }
+        var image = this.getImageSize();
+        return Math.min(this.canvas.width / image.width, this.canvas.height / image.height);
+    }
+
+    /**
+     * Handles the wheel event on the canvas for zooming purposes.
+     * This function calculates the zoom direction and magnitude from the wheel delta and calls the `zoom` method,
+     * centered around the pointer position. The delta is normalized for the different delta modes (pixels, lines,
+     * pages), so that mouse wheels and trackpads behave consistently. The function also prevents the default scroll
+     * action to avoid scrolling the entire page instead of zooming the canvas.
+     *
+     * @param {WheelEvent} evt - The wheel event triggered by user interaction with the mouse wheel or trackpad.
+     * @return {void} This function does not return anything.
+     */
+    handleScroll = (evt) => {
+        evt.preventDefault();
+        this.stopViewportAnimation();
+        this.updatePointerPosition(evt);
+
+        // One notch of a mouse wheel (about 120 pixels or 3 lines) zooms by 3 clicks
+        var delta =
+            evt.deltaMode === 1
+                ? -evt.deltaY
+                : evt.deltaMode === 2
+                  ? -evt.deltaY * 3
+                  : -evt.deltaY / Annotate.WHEEL_PIXELS_PER_CLICK;
+        if (delta) this.zoom(delta);
+    };
+
+    /**
+     * Enhances the canvas context by tracking transformations like scaling, rotation, and translation.
+     * This method overrides several canvas context methods (save, restore, scale, rotate, translate, transform, and setTransform)
+     * to maintain a record of transformations applied to the canvas. This is useful for operations like zooming and dragging,
+     * where an understanding of the transformed state is necessary. It also adds a 'transformedPoint' method to the context
+     * for converting coordinates in the transformed space.
+     */
+    trackTransforms() {
+        // Create a matrix to keep track of transformations
+        var xform = new AnnotationMatrix();
+
+        // Override the getTransform method to return the current transformation matrix
+        this.ctx.getTransform = function () {
+            return xform;
+        };
+
+        // Store the original transformations to restore later
+        var savedTransforms = [];
+        var save = this.ctx.save;
+
+        // Override the save method to include the current transformation matrix
+        this.ctx.save = () => {
+            savedTransforms.push(xform.translate(0, 0));
+            return save.call(this.ctx);
+        };
+
+        // Override the restore method to revert to the last saved transformation
+        var restore = this.ctx.restore;
+        this.ctx.restore = () => {
+            xform = savedTransforms.pop();
+            return restore.call(this.ctx);
+        };
+
+        // Override the scale method to update the transformation matrix
+        var scale = this.ctx.scale;
+        this.ctx.scale = (sx, sy) => {
+            xform = xform.scaleNonUniform(sx, sy);
+            return scale.call(this.ctx, sx, sy);
+        };
+
+        // Override the rotate method to update the transformation matrix
+        var rotate = this.ctx.rotate;
+        this.ctx.rotate = (radians) => {
+            xform = xform.rotate((radians * 180) / Math.PI);
+            return rotate.call(this.ctx, radians);
+        };
+
+        // Override the translate method to update the transformation matrix
+        var translate = this.ctx.translate;
+        this.ctx.translate = (dx, dy) => {
+            xform = xform.translate(dx, dy);
+            return translate.call(this.ctx, dx, dy);
+        };
+
+        // Override the transform method to update the transformation matrix
+        var transform = this.ctx.transform;
+        this.ctx.transform = (a, b, c, d, e, f) => {
+            xform = xform.multiply(new AnnotationMatrix(a, b, c, d, e, f));
+            return transform.call(this.ctx, a, b, c, d, e, f);
+        };
+
+        // Override the setTransform method to directly set the transformation matrix
+        var setTransform = this.ctx.setTransform;
+        this.ctx.setTransform = (a, b, c, d, e, f) => {
+            xform.a = a;
+            xform.b = b;
+            xform.c = c;
+            xform.d = d;
+            xform.e = e;
+            xform.f = f;
+            return setTransform.call(this.ctx, a, b, c, d, e, f);
+        };
+
+        // Add a method to transform a point using the inverse of the current transformation matrix
+        this.ctx.transformedPoint = (x, y) => {
+            return xform.inverse().transformPoint(x, y);
+        };
+    }
+
+    /**
+     * Sets the cursor style on the canvas based on the specified handle.
+     * The cursor style indicates the type of resizing operation that can be performed (e.g., diagonal, horizontal, vertical resizing).
+     * This visual cue helps users understand how they can interact with the annotation handles.
+     *
+     * @param {string} handle - The handle identifier which determines the cursor style.
+     *                          Possible values are 'top-left', 'bottom-right', 'top-right', 'bottom-left',
+     *                          'top-middle', 'bottom-middle', 'left-middle', 'right-middle', 'rotate' and
+     *                          'vertex-<index>'.
+     * @param {number} [angle] - The angle of a rotated box in degrees. The cursor of a resize handle points in
+     *                           the direction the handle resizes the rotated box in.
+     */
+    setCursor(handle, angle = 0) {
+        if (this.getVertexIndex(handle) !== -1) {
+            // Polygon vertices can be dragged in any direction
+            this.canvas.style.cursor = "crosshair";
+            return;
+        }
+        if (handle === "rotate") {
+            this.canvas.style.cursor = "grab";
+            return;
+        }
+        if (angle) {
+            // Use the cursor of the handle that points in the same direction on an unrotated box
+            var steps = Math.round(angle / 45);
+            var index = Annotate.RESIZE_HANDLES.indexOf(handle);
+            handle = Annotate.RESIZE_HANDLES[(((index + steps) % 8) + 8) % 8];
+        }
+
+        switch (handle) {
+            case "top-left":
+            case "bottom-right":
+                // Set the cursor for diagonal resizing (north-west/south-east)
+                this.canvas.style.cursor = "nwse-resize";
+                break;
+            case "top-right":
+            case "bottom-left":
+                // Set the cursor for diagonal resizing (north-east/south-west)
+                this.canvas.style.cursor = "nesw-resize";
+                break;
+            case "top-middle":
+            case "bottom-middle":
+                // Set the cursor for vertical resizing (north/south)
+                this.canvas.style.cursor = "ns-resize";
+                break;
+            case "left-middle":
+            case "right-middle":
+                // Set the cursor for horizontal resizing (east/west)
+                this.canvas.style.cursor = "ew-resize";
+                break;
+        }
+    }
+
+    /**
+     * Draws an annotation on the canvas.
+     * The function fills the annotation's area with a semi-transparent color and outlines it with a solid border.
+     * The color of the fill and border is taken from the annotation object, defaulting to red if not specified.
+     *
+     * @param {Object} annotation - The annotation object to be drawn.
+     *                              It must have 'start' and 'end' properties defining the coordinates,
+     *                              and an 'annotationColor' property for the color.
+     *                              Polygons are drawn from their 'points' property instead.
+     *                              The line width, dash pattern and opacity follow the state of the annotation,
+     *                              see getStyle(). Reviewed annotations have a badge with their review status,
+     *                              rejected ones also an outline. Annotations that fail validation rules have a
+     *                              dashed outline (see validate()). The pixels of masks are drawn under all other
+     *                              annotations by drawMasks(), so only their badge and outline are drawn here.
+     */
+    drawAnnotation(annotation) {
+        var status = this.getReviewStatus(annotation);
+        if (status === "rejected") {
+            this.drawReviewOutline(annotation);
+        }
+        if (!this.isMask(annotation)) {
+            this.drawShape(annotation);
+        }
+        var issues = this.getValidationIssues(annotation);
+        if (issues.length > 0) {
+            this.drawValidationOutline(
+                annotation,
+                issues.some((issue) => issue.severity === "block") ? "block" : "warn"
+            );
+        }
+        if (status) {
+            this.drawReviewBadge(annotation, status);
+        }
+    }
+
+    /**
+     * @param {Object} annotation - The prediction.
+     * @return {number} The opacity the prediction is drawn with, the lower the lower its confidence.
+     */
+    getPredictionOpacity(annotation) {
+        return Annotate.PREDICTION_MIN_OPACITY + (1 - Annotate.PREDICTION_MIN_OPACITY) * annotation.confidence;
+    }
+
+    /**
+     * Sets the styles the annotations are drawn with, by state. The styles of a state are merged into the default
+     * style ('default') and those of the states before it, in this order: 'unsaved', 'edited', 'prediction',
+     * 'locked' (by another user, see AnnotationCollaboration), 'selected' and 'hovered'.
+     * A style can have these properties, sizes are in screen pixels and stay the same at any zoom level:
+     * 'lineWidth', 'lineDash' (the dash pattern of the border, [] for a solid line), 'opacity' (of the whole
+     * annotation, from 0 to 1), 'fillOpacity' (of the fill, defaults to the 'transparency' of the constructor),
+     * 'font' (of the label, defaults to the 'font' of the constructor), 'labelColor' (the color of the label text,
+     * defaults to the 'fillStyle' of the constructor, or black or white by contrast) and 'labelBackground' (the color
+     * of the label badge, or null for the color of the annotation), see drawLabels().
+     *
+     * @param {Object} theme - The styles by state. States and properties that are left out keep the defaults of
+     *                         DEFAULT_THEME.
+     * @return {void} This function does not return anything.
+     * @throws {Error} If the theme contains an unknown state.
+     */
+    setTheme(theme) {
+        var states = Object.keys(Annotate.DEFAULT_THEME);
+        var unknown = Object.keys(theme).filter((state) => !states.includes(state));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown theme state "${unknown[0]}", expected one of: ${states.join(", ")}`);
+        }
+        this.theme = {};
+        for (var state of states) {
+            this.theme[state] = { ...Annotate.DEFAULT_THEME[state], ...theme[state] };
+        }
+        this.redraw();
+    }
+
+    /**
+     * Returns the style an annotation is drawn with, see setTheme(). The opacity of predictions is also lowered by
+     * their confidence.
+     *
+     * @param {Object|null} annotation - The annotation object, or null for the default style.
+     * @return {Object} The style, with all properties set.
+     */
+    getStyle(annotation) {
+        var style = {
+            fillOpacity: parseInt(this.transparency, 16) / 255,
+            font: this.font,
+            labelColor: this.fillStyle,
+            ...this.theme.default,
+        };
+        if (!annotation) {
+            return style;
+        }
+        var states = {
+            unsaved: annotation.state === "unsaved",
+            edited: annotation.state === "edited",
+            prediction: this.isPrediction(annotation),
+            locked: !!this.collaboration && this.collaboration.isLocked(annotation),
+            selected: annotation === this.selectedAnnotation,
+            hovered: annotation === this.hoveredAnnotation,
+        };
+        for (var [state, active] of Object.entries(states)) {
+            if (active) {
+                Object.assign(style, this.theme[state]);
+            }
+        }
+        if (states.prediction) {
+            style.opacity *= this.getPredictionOpacity(annotation);
+        }
+        return style;
+    }
+
+    /**
+     * Draws the outline that marks a rejected annotation, around its border.
+     *
+     * @param {Object} annotation - The rejected annotation.
+     * @return {void} This function does not return anything.
      */
-    isHoveringOverAnnotation(x, y) {
-        for (let annotation of this.annotations.reverse()) {
-            var { startX, startY, width, height } = this.getAnnotationDimensions(annotation);
+    drawReviewOutline(annotation) {
+        var { startX, startY, width, height } = this.getAnnotationDimensions(annotation);
+        this.ctx.save();
+        this.ctx.strokeStyle = Annotate.REVIEW_COLORS.rejected;
+        this.ctx.lineWidth = Annotate.REVIEW_OUTLINE_WIDTH * this.getScreenPixelSize();
+        this.ctx.beginPath();
+        if (this.isPolygon(annotation) || this.isRotated(annotation)) {
+            this.traceOutline(annotation);
+        } else {
+            this.ctx.rect(startX, startY, width, height);
+        }
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    /**
+     * Draws a dashed outline around an annotation that fails validation rules, see validate().
+     *
+     * @param {Object} annotation - The annotation.
+     * @param {string} severity - The most severe failure: "block" or "warn".
+     * @return {void} This function does not return anything.
+     */
+    drawValidationOutline(annotation, severity) {
+        var { startX, startY, width, height } = this.getAnnotationDimensions(annotation);
+        var pixel = this.getScreenPixelSize();
+        this.ctx.save();
+        this.ctx.strokeStyle = Annotate.VALIDATION_COLORS[severity];
+        this.ctx.lineWidth = Annotate.VALIDATION_OUTLINE_WIDTH * pixel;
+        this.ctx.setLineDash(Annotate.VALIDATION_LINE_DASH.map((length) => length * pixel));
+        this.ctx.beginPath();
+        if (this.isPolygon(annotation) || this.isRotated(annotation)) {
+            this.traceOutline(annotation);
+        } else {
+            this.ctx.rect(startX, startY, width, height);
+        }
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    /**
+     * Draws a badge with the review status in the top-right corner of an annotation.
+     *
+     * @param {Object} annotation - The reviewed annotation.
+     * @param {string} status - Its review status, see REVIEW_STATUSES.
+     * @return {void} This function does not return anything.
+     */
+    drawReviewBadge(annotation, status) {
+        var { endX, startY } = this.getAnnotationDimensions(annotation);
+        var size = Annotate.REVIEW_BADGE_SIZE * this.getScreenPixelSize();
+        this.ctx.save();
+        this.ctx.fillStyle = Annotate.REVIEW_COLORS[status];
+        this.ctx.fillRect(endX - size, startY, size, size);
+        this.ctx.fillStyle = "#FFFFFF";
+        this.ctx.font = `bold ${Math.round(size * 0.8)}px Arial`;
+        this.ctx.textAlign = "center";
+        this.ctx.textBaseline = "middle";
+        this.ctx.fillText(Annotate.REVIEW_SYMBOLS[status], endX - size / 2, startY + size / 2);
+        this.ctx.restore();
+    }
 
-            // Check if the coordinates are within the extended boundary of the annotation
+    /**
+     * Fills the area of an annotation and draws its border, see drawAnnotation().
+     *
+     * @param {Object} annotation - The annotation object to be drawn.
+     * @return {void} This function does not return anything.
+     */
+    drawShape(annotation) {
+        var style = this.getStyle(annotation);
+        var pixel = this.getScreenPixelSize();
+
+        // The color is taken from the annotation object, defaulting to red if not specified.
+        // It can be any CSS color, the transparency is applied as alpha.
+        var color = annotation.annotationColor || Annotate.DEFAULT_COLOR;
+        this.ctx.save();
+
+        // Trace the outline of the polygon, the rotated box or the rectangle
+        this.ctx.beginPath();
+        if (this.isPolygon(annotation) || this.isRotated(annotation)) {
+            this.traceOutline(annotation);
+        } else {
+            this.ctx.rect(
+                annotation.start.x,
+                annotation.start.y,
+                annotation.end.x - annotation.start.x,
+                annotation.end.y - annotation.start.y
+            );
+        }
+
+        // Fill it with a semi-transparent color
+        this.ctx.fillStyle = color;
+        this.ctx.globalAlpha = style.opacity * style.fillOpacity;
+        this.ctx.fill();
+
+        // Draw the border with the same color, but without the transparency of the fill
+        this.ctx.strokeStyle = color;
+        this.ctx.globalAlpha = style.opacity;
+        this.ctx.lineWidth = style.lineWidth * pixel; // Set the border thickness
+        this.ctx.setLineDash(style.lineDash.map((length) => length * pixel));
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    /**
+     * Adds the closed outline of a polygon or a rotated box to the current path.
+     *
+     * @param {Object} annotation - The polygon or rotated box.
+     * @return {void} This function does not return anything.
+     */
+    traceOutline(annotation) {
+        var points = this.isRotated(annotation) ? AnnotationGeometry.getCorners(annotation) : annotation.points;
+        points.forEach((p, i) => (i === 0 ? this.ctx.moveTo(p.x, p.y) : this.ctx.lineTo(p.x, p.y)));
+        this.ctx.closePath();
+    }
+
+    /**
+     * Draws the polygon that is currently being drawn.
+     * The placed vertices are connected by lines, and a rubber band edge follows the cursor.
+     *
+     * @param {Object} cursor - The current cursor position in canvas coordinates, with 'x' and 'y' coordinates.
+     * @return {void} This function does not return anything.
+     */
+    drawPolygonDraft(cursor) {
+        var pixel = this.getScreenPixelSize();
+        this.ctx.strokeStyle = this.annotationColor || Annotate.DEFAULT_COLOR;
+        this.ctx.lineWidth = this.getStyle(null).lineWidth * pixel; // Set the border thickness
+        this.ctx.beginPath();
+        this.polygonDraft.forEach((p, i) => (i === 0 ? this.ctx.moveTo(p.x, p.y) : this.ctx.lineTo(p.x, p.y)));
+        this.ctx.lineTo(cursor.x, cursor.y);
+        this.ctx.stroke();
+
+        // Mark the placed vertices
+        var size = this.handleDrawingSize * pixel;
+        this.ctx.fillStyle = this.annotationColor || Annotate.DEFAULT_COLOR;
+        for (var p of this.polygonDraft) {
+            this.ctx.fillRect(p.x - size / 2, p.y - size / 2, size, size);
+        }
+    }
+
+    /**
+     * Draws the masks among the given annotations, semi-transparent with the fill opacity of their style
+     * (see getStyle()). The stroke being painted is drawn on top of the other masks.
+     *
+     * @param {Object[]} annotations - The annotations to draw the masks of, bottom to top.
+     * @return {void} This function does not return anything.
+     */
+    drawMasks(annotations) {
+        var stroke = this.maskStroke;
+        this.ctx.save();
+        this.ctx.imageSmoothingEnabled = false; // Keep the pixels sharp when zoomed in
+        for (var annotation of annotations) {
             if (
-                x >= startX - this.annotationDetectionThreshold &&
-                x <= startX + width + this.annotationDetectionThreshold &&
-                y >= startY - this.annotationDetectionThreshold &&
-                y <= startY + height + this.annotationDetectionThreshold
+                !this.isMask(annotation) ||
+                !this.isDisplayed(annotation) ||
+                (stroke && stroke.annotation === annotation)
             ) {
-                annotation.selected = true;
-                return annotation;
-            } else {
-                annotation.selected = false;
+                continue;
             }
+            var style = this.getStyle(annotation);
+            this.ctx.globalAlpha = style.opacity * style.fillOpacity;
+            this.ctx.drawImage(this.getMaskLayer(annotation).canvas, 0, 0);
         }
-        return null;
+        if (stroke) {
+            style = this.getStyle(stroke.annotation);
+            this.ctx.globalAlpha = style.opacity * style.fillOpacity;
+            this.ctx.drawImage(stroke.layer.canvas, 0, 0);
+        }
+        this.ctx.restore();
     }
+
     /**
-     * Determines if the provided x and y coordinates are hovering over any of the resize handles of a given annotation.
-     * The function checks each handle's position (top-left, top-right, bottom-left, bottom-right, top-middle, bottom-middle,
-     * left-middle, right-middle) against the coordinates. It uses a predefined handle size to establish the hover area.
+     * Returns the rendered layer of a mask, rendering it again if its pixels or its color changed.
      *
-     * @param {number} x - The x-coordinate relative to the canvas, used to check if it's over a handle.
-     * @param {number} y - The y-coordinate relative to the canvas, used to check if it's over a handle.
-     * @param {Object} annotation - The annotation object whose handles are being checked.
-     * @return {string|null} Returns a string representing the handle being hovered over (e.g., 'top-left'), or null if none.
+     * @param {Object} annotation - The mask annotation.
+     * @return {Object} The layer, see createMaskLayer().
      */
-    isHoveringOverHandle(x, y, annotation) {
-        const { startX, startY, width, height } = this.getAnnotationDimensions(annotation);
+    getMaskLayer(annotation) {
+        var bitmap = this.getMaskBitmap(annotation);
+        var color = annotation.annotationColor || Annotate.DEFAULT_COLOR;
+        var layer = this.maskLayers.get(annotation);
+        if (!layer || layer.bitmap !== bitmap || layer.color !== color) {
+            layer = this.createMaskLayer(bitmap, color);
+            this.maskLayers.set(annotation, layer);
+        }
+        return layer;
+    }
 
-        // Top-left handle
+    /**
+     * Draws the outline of the brush or eraser around the cursor, with the size it paints.
+     *
+     * @return {void} This function does not return anything.
+     */
+    drawBrushOutline() {
         if (
-            x >= startX - Annotate.HANDLE_SIZE &&
-            x <= startX + Annotate.HANDLE_SIZE &&
-            y >= startY - Annotate.HANDLE_SIZE &&
-            y <= startY + Annotate.HANDLE_SIZE
+            (this.drawingMode !== "brush" && this.drawingMode !== "eraser") ||
+            this.lastX === null ||
+            this.currentOntology === null ||
+            this.reviewMode
         ) {
-            return "top-left";
+            return;
         }
-        // Top-right handle
-        if (
-            x >= startX + width - Annotate.HANDLE_SIZE &&
-            x <= startX + width + Annotate.HANDLE_SIZE &&
-            y >= startY - Annotate.HANDLE_SIZE &&
-            y <= startY + Annotate.HANDLE_SIZE
-        ) {
-            return "top-right";
+        var pt = this.ctx.transformedPoint(this.lastX, this.lastY);
+        var pixel = this.getScreenPixelSize();
+        this.ctx.save();
+        this.ctx.strokeStyle = this.annotationColor || Annotate.DEFAULT_COLOR;
+        this.ctx.lineWidth = 2 * pixel;
+        if (this.drawingMode === "eraser") {
+            this.ctx.setLineDash([4 * pixel, 4 * pixel]);
         }
-        // Bottom-left handle
-        if (
-            x >= startX - Annotate.HANDLE_SIZE &&
-            x <= startX + Annotate.HANDLE_SIZE &&
-            y >= startY + height - Annotate.HANDLE_SIZE &&
-            y <= startY + height + Annotate.HANDLE_SIZE
-        ) {
-            return "bottom-left";
+        this.ctx.beginPath();
+        this.ctx.arc(pt.x, pt.y, this.brushRadius, 0, 2 * Math.PI);
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    /**
+     * Enables or disables snapping while drawing, moving and resizing annotations.
+     * Edges snap to the edges and centers of the other annotations in view, to a pixel grid and to the image borders
+     * when they are within 'threshold' screen pixels, at any zoom level. Guide lines show the active snaps.
+     * Holding the Alt key turns snapping off temporarily.
+     *
+     * @param {boolean|Object} options - False to disable snapping, true for the defaults, or an object with
+     *                                   'threshold' (in screen pixels, SNAP_THRESHOLD by default), 'grid' (the grid
+     *                                   spacing in image pixels, 0 (default) for no grid), and 'annotations' and
+     *                                   'imageBorders' (whether to snap to them, both true by default).
+     * @return {void} This function does not return anything.
+     */
+    setSnapping(options) {
+        if (!options) {
+            this.snapping = null;
+            this.snapGuides = [];
+            this.redraw();
+            return;
         }
-        // Bottom-right handle
-        if (
-            x >= startX + width - Annotate.HANDLE_SIZE &&
-            x <= startX + width + Annotate.HANDLE_SIZE &&
-            y >= startY + height - Annotate.HANDLE_SIZE &&
-            y <= startY + height + Annotate.HANDLE_SIZE
-        ) {
-            return "bottom-right";
+        var settings = {
+            threshold: Annotate.SNAP_THRESHOLD,
+            grid: 0,
+            annotations: true,
+            imageBorders: true,
+            ...(options === true ? {} : options),
+        };
+        if (!(settings.threshold >= 0) || !(settings.grid >= 0)) {
+            throw new Error("The snapping threshold and grid must be numbers of at least 0");
         }
-        // Top-middle handle
-        if (
-            x >= startX + width / 2 - Annotate.HANDLE_SIZE &&
-            x <= startX + width / 2 + Annotate.HANDLE_SIZE &&
-            y >= startY - Annotate.HANDLE_SIZE &&
-            y <= startY + Annotate.HANDLE_SIZE
-        ) {
-            return "top-middle";
+        this.snapping = settings;
+    }
+
+    /**
+     * Checks whether edited shapes currently snap, i.e. snapping is enabled and Alt is not held.
+     *
+     * @return {boolean} True if snapping is active.
+     */
+    isSnapping() {
+        return !!this.snapping && !this.snapBypassed;
+    }
+
+    /**
+     * Returns the snapping threshold in image pixels, which corresponds to the threshold in screen pixels
+     * at the current zoom level and size of the canvas on the page.
+     *
+     * @return {number} The threshold, in image pixels.
+     */
+    getSnapThreshold() {
+        return this.snapping.threshold * this.getScreenPixelSize();
+    }
+
+    /**
+     * Returns the size of a screen pixel in image pixels, at the current zoom level and size of the canvas on the
+     * page. Lines and text that keep their size on the screen are drawn with it.
+     *
+     * @return {number} The size of a screen pixel, in image pixels.
+     */
+    getScreenPixelSize() {
+        var transform = this.ctx.getTransform();
+        return 1 / (Math.hypot(transform.a, transform.b) * (this.scaleX || 1));
+    }
+
+    /**
+     * Returns the lines that edited shapes snap to: the image borders, and the edges and centers of the other
+     * visible annotations.
+     *
+     * @param {Object|null} exclude - The annotation being edited, which does not snap to itself.
+     * @return {Object} The coordinates of the vertical lines ('x') and of the horizontal lines ('y').
+     */
+    getSnapLines(exclude) {
+        var lines = { x: [], y: [] };
+        if (this.snapping.imageBorders) {
+            var image = this.getImageSize();
+            lines.x.push(0, image.width);
+            lines.y.push(0, image.height);
         }
-        // Bottom-middle handle
-        if (
-            x >= startX + width / 2 - Annotate.HANDLE_SIZE &&
-            x <= startX + width / 2 + Annotate.HANDLE_SIZE &&
-            y >= startY + height - Annotate.HANDLE_SIZE &&
-            y <= startY + height + Annotate.HANDLE_SIZE
-        ) {
-            return "bottom-middle";
+        if (this.snapping.annotations) {
+            var topLeft = this.ctx.transformedPoint(0, 0);
+            var bottomRight = this.ctx.transformedPoint(this.canvas.width, this.canvas.height);
+            for (var annotation of this.getVisibleAnnotations(topLeft, bottomRight)) {
+                if (annotation === exclude || !this.isDisplayed(annotation)) {
+                    continue;
+                }
+                var { startX, startY, endX, endY } = this.getAnnotationDimensions(annotation);
+                lines.x.push(startX, (startX + endX) / 2, endX);
+                lines.y.push(startY, (startY + endY) / 2, endY);
+            }
         }
-        // Left-middle handle
-        if (
-            x >= startX - Annotate.HANDLE_SIZE &&
-            x <= startX + Annotate.HANDLE_SIZE &&
-            y >= startY + height / 2 - Annotate.HANDLE_SIZE &&
-            y <= startY + height / 2 + Annotate.HANDLE_SIZE
-        ) {
-            return "left-middle";
+        return lines;
+    }
+
+    /**
+     * Returns the coordinates of a shape on one axis that snap when it is moved: its edges and its center.
+     *
+     * @param {Object} geometry - The geometry of the shape, with 'start' and 'end' points.
+     * @param {string} axis - "x" or "y".
+     * @param {number} offset - The offset the shape is moved by on the axis.
+     * @return {number[]} The coordinates of the start edge, the center and the end edge.
+     */
+    getSnapValues(geometry, axis, offset) {
+        var start = Math.min(geometry.start[axis], geometry.end[axis]) + offset;
+        var end = Math.max(geometry.start[axis], geometry.end[axis]) + offset;
+        return [start, (start + end) / 2, end];
+    }
+
+    /**
+     * Snaps coordinates of the edited shape on one axis, if snapping is active.
+     * The closest snap within the threshold wins, and its guide line is shown.
+     *
+     * @param {string} axis - "x" or "y".
+     * @param {number[]} values - The coordinates of the shape on the axis, in image pixels.
+     * @param {Object|null} exclude - The annotation being edited, which does not snap to itself.
+     * @return {number} The offset to add to the coordinates, 0 if nothing is close enough.
+     */
+    snapAxis(axis, values, exclude) {
+        if (!this.isSnapping()) {
+            return 0;
+        }
+        var lines = this.getSnapLines(exclude)[axis];
+        var snap = AnnotationGeometry.snap(values, lines, this.getSnapThreshold(), this.snapping.grid);
+        if (!snap) {
+            return 0;
+        }
+        this.snapGuides.push({ axis: axis, value: snap.line });
+        return snap.offset;
+    }
+
+    /**
+     * Snaps a point, e.g. the corner of a box being drawn, if snapping is active.
+     *
+     * @param {Object} point - The point, with 'x' and 'y' coordinates in image pixels.
+     * @param {Object|null} [exclude] - The annotation being edited, which does not snap to itself.
+     * @param {string} [axes] - The axes to snap on: "xy" (default), "x" or "y".
+     * @return {Object} The snapped point.
+     */
+    snapPoint(point, exclude = null, axes = "xy") {
+        return {
+            x: axes.includes("x") ? point.x + this.snapAxis("x", [point.x], exclude) : point.x,
+            y: axes.includes("y") ? point.y + this.snapAxis("y", [point.y], exclude) : point.y,
+        };
+    }
+
+    /**
+     * Draws the guide lines of the active snaps across the visible area.
+     * The lines are one screen pixel wide at any zoom level.
+     *
+     * @param {Object} topLeft - The top-left corner of the visible area, in image coordinates.
+     * @param {Object} bottomRight - The bottom-right corner of the visible area, in image coordinates.
+     * @return {void} This function does not return anything.
+     */
+    drawSnapGuides(topLeft, bottomRight) {
+        if (this.snapGuides.length === 0) {
+            return;
+        }
+        var pixel = this.getScreenPixelSize();
+        this.ctx.save();
+        this.ctx.strokeStyle = Annotate.SNAP_GUIDE_COLOR;
+        this.ctx.lineWidth = pixel;
+        this.ctx.setLineDash([6 * pixel, 4 * pixel]);
+        this.ctx.beginPath();
+        for (var guide of this.snapGuides) {
+            if (guide.axis === "x") {
+                this.ctx.moveTo(guide.value, topLeft.y);
+                this.ctx.lineTo(guide.value, bottomRight.y);
+            } else {
+                this.ctx.moveTo(topLeft.x, guide.value);
+                this.ctx.lineTo(bottomRight.x, guide.value);
+            }
+        }
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    /**
+     * Shows or hides a crosshair: a horizontal and a vertical line across the whole canvas through the cursor,
+     * which helps to line up edges with the image.
+     *
+     * @param {boolean|Object} options - False to hide the crosshair, true for the defaults, or an object with 'color'
+     *                                   (CROSSHAIR_COLOR by default) and 'lineWidth' (in screen pixels,
+     *                                   CROSSHAIR_LINE_WIDTH by default).
+     * @return {void} This function does not return anything.
+     */
+    setCrosshair(options) {
+        this.crosshair = options
+            ? {
+                  color: Annotate.CROSSHAIR_COLOR,
+                  lineWidth: Annotate.CROSSHAIR_LINE_WIDTH,
+                  ...(options === true ? {} : options),
+              }
+            : null;
+        this.redraw();
+    }
+
+    /**
+     * Shows or hides the magnifier loupe: while an annotation is drawn or resized, an inset next to the cursor shows
+     * the image around the cursor magnified, with the edited shape and a crosshair on the cursor.
+     *
+     * @param {boolean|Object} options - False to hide the loupe, true for the defaults, or an object with 'size'
+     *                                   (the width and height, in screen pixels, LOUPE_SIZE by default), 'zoom'
+     *                                   (the magnification relative to the zoom of the canvas, LOUPE_ZOOM by
+     *                                   default) and 'offset' (the distance from the cursor, in screen pixels,
+     *                                   LOUPE_OFFSET by default).
+     * @return {void} This function does not return anything.
+     * @throws {Error} If the size or the zoom are not positive numbers.
+     */
+    setLoupe(options) {
+        if (!options) {
+            this.loupe = null;
+            this.redraw();
+            return;
+        }
+        var settings = {
+            size: Annotate.LOUPE_SIZE,
+            zoom: Annotate.LOUPE_ZOOM,
+            offset: Annotate.LOUPE_OFFSET,
+            ...(options === true ? {} : options),
+        };
+        if (!(settings.size > 0) || !(settings.zoom > 0)) {
+            throw new Error("The loupe size and zoom must be positive numbers");
+        }
+        this.loupe = settings;
+        this.redraw();
+    }
+
+    /**
+     * Returns the position of the cursor in image coordinates, through the tracked transformation of the canvas.
+     *
+     * @return {Object|null} The position, with 'x' and 'y', or null if the pointer is not over the canvas.
+     */
+    getCursorPoint() {
+        if (!this.pointerInside || this.lastX === null) {
+            return null;
+        }
+        var pt = this.ctx.transformedPoint(this.lastX, this.lastY);
+        return { x: pt.x, y: pt.y };
+    }
+
+    /**
+     * Emits 'cursor:move' if the position of the cursor in image coordinates changed since the last call. Called
+     * after pointer moves and after every redraw, so that zooming and panning under the cursor are covered.
+     *
+     * @return {void} This function does not return anything.
+     */
+    updateCursor() {
+        var point = this.getCursorPoint();
+        var previous = this.cursorPoint;
+        if (point === previous || (point && previous && point.x === previous.x && point.y === previous.y)) {
+            return;
+        }
+        this.cursorPoint = point;
+        var image = this.getImageSize();
+        this.events.emit("cursor:move", {
+            point: point,
+            inside: !!point && point.x >= 0 && point.y >= 0 && point.x < image.width && point.y < image.height,
+            previous: previous,
+        });
+    }
+
+    /**
+     * @return {Object} The annotation being drawn as a box from where it was started to the (snapped) cursor, used
+     *                  to preview it.
+     */
+    getDrawingPreview() {
+        return { start: this.newAnnotationStart, end: this.drawingCursor, annotationColor: this.annotationColor };
+    }
+
+    /**
+     * Draws the crosshair through the cursor across the visible area, see setCrosshair().
+     *
+     * @param {Object} topLeft - The top-left corner of the visible area, in image coordinates.
+     * @param {Object} bottomRight - The bottom-right corner of the visible area, in image coordinates.
+     * @return {void} This function does not return anything.
+     */
+    drawCrosshair(topLeft, bottomRight) {
+        var pt = this.getCursorPoint();
+        if (!this.crosshair || !pt) {
+            return;
+        }
+        this.ctx.save();
+        this.ctx.strokeStyle = this.crosshair.color;
+        this.ctx.lineWidth = this.crosshair.lineWidth * this.getScreenPixelSize();
+        this.ctx.beginPath();
+        this.ctx.moveTo(topLeft.x, pt.y);
+        this.ctx.lineTo(bottomRight.x, pt.y);
+        this.ctx.moveTo(pt.x, topLeft.y);
+        this.ctx.lineTo(pt.x, bottomRight.y);
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    /**
+     * Draws the magnifier loupe while an annotation is drawn or resized, see setLoupe(). The loupe sits above and to
+     * the right of the cursor, and moves to the other side where the canvas ends. Inside of it, the image and the
+     * edited shape are drawn again in image coordinates, with the transformation of the canvas magnified around the
+     * cursor, so that line widths and handles keep their size on the screen.
+     *
+     * @return {void} This function does not return anything.
+     */
+    drawLoupe() {
+        var cursor = this.getCursorPoint();
+        var edited = this.isResizing ? this.hoveredAnnotation : null;
+        if (!this.loupe || !cursor || !(edited || this.isDrawingAnnotation || this.polygonDraft)) {
+            return;
+        }
+        var point = this.drawingCursor || cursor;
+
+        // The loupe is placed in canvas pixels
+        var screen = this.scaleX || 1;
+        var size = this.loupe.size / screen;
+        var offset = this.loupe.offset / screen;
+        var x = this.lastX + offset + size <= this.canvas.width ? this.lastX + offset : this.lastX - offset - size;
+        var y = this.lastY - offset - size >= 0 ? this.lastY - offset - size : this.lastY + offset;
+        var transform = this.ctx.getTransform();
+        var scale = Math.hypot(transform.a, transform.b) * this.loupe.zoom;
+
+        this.ctx.save();
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.beginPath();
+        this.ctx.rect(x, y, size, size);
+        this.ctx.clip();
+        this.ctx.fillStyle = "#000000";
+        this.ctx.fillRect(x, y, size, size);
+
+        // Magnify the image around the point, showing its pixels sharply
+        this.ctx.translate(x + size / 2, y + size / 2);
+        this.ctx.scale(scale, scale);
+        this.ctx.translate(-point.x, -point.y);
+        this.ctx.imageSmoothingEnabled = false;
+        if (this.tileSource) {
+            this.drawTiles(this.ctx.transformedPoint(x, y), this.ctx.transformedPoint(x + size, y + size));
+        } else if (this.frame) {
+            this.ctx.drawImage(this.getDisplayFrame(), 0, 0, this.canvas.width, this.canvas.height);
+        }
+
+        // The edited shape, and the vertices of the polygon being drawn
+        if (edited) {
+            this.drawAnnotation(edited);
+        } else if (this.isDrawingAnnotation && this.drawingCursor) {
+            this.drawAnnotation(this.getDrawingPreview());
+        } else if (this.polygonDraft) {
+            this.drawPolygonDraft(point);
+        }
+
+        // A crosshair on the point, and the border of the loupe
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.strokeStyle = this.crosshair ? this.crosshair.color : Annotate.CROSSHAIR_COLOR;
+        this.ctx.lineWidth = 1 / screen;
+        this.ctx.beginPath();
+        this.ctx.moveTo(x, y + size / 2);
+        this.ctx.lineTo(x + size, y + size / 2);
+        this.ctx.moveTo(x + size / 2, y);
+        this.ctx.lineTo(x + size / 2, y + size);
+        this.ctx.stroke();
+        this.ctx.strokeStyle = "#FFFFFF";
+        this.ctx.lineWidth = 2 / screen;
+        this.ctx.strokeRect(x, y, size, size);
+        this.ctx.restore();
+    }
+
+    /**
+     * Draws the presence of the other users of the collaboration (see AnnotationCollaboration): the annotation
+     * each of them selected (dashed) or is dragging (solid), and their cursor with their name, in their color.
+     *
+     * @return {void} This function does not return anything.
+     */
+    drawCollaborators() {
+        var pixel = this.getScreenPixelSize();
+        this.ctx.save();
+        for (var peer of this.collaboration.getPeers()) {
+            this.ctx.strokeStyle = peer.user.color;
+            this.ctx.fillStyle = peer.user.color;
+
+            var annotation = this.collaboration.findAnnotation(peer.lock || peer.selection);
+            if (annotation && this.isDisplayed(annotation)) {
+                var { startX, startY, width, height } = this.getAnnotationDimensions(annotation);
+                var margin = Annotate.COLLABORATOR_MARGIN * pixel;
+                this.ctx.lineWidth = (peer.lock ? 3 : 2) * pixel;
+                this.ctx.setLineDash(peer.lock ? [] : [6 * pixel, 4 * pixel]);
+                this.ctx.strokeRect(startX - margin, startY - margin, width + 2 * margin, height + 2 * margin);
+            }
+
+            if (peer.cursor) {
+                this.ctx.beginPath();
+                this.ctx.arc(peer.cursor.x, peer.cursor.y, Annotate.COLLABORATOR_CURSOR_RADIUS * pixel, 0, 2 * Math.PI);
+                this.ctx.fill();
+                this.ctx.font = `${Annotate.COLLABORATOR_FONT_SIZE * pixel}px Arial`;
+                this.ctx.fillText(peer.user.name, peer.cursor.x + 8 * pixel, peer.cursor.y - 8 * pixel);
+            }
+        }
+        this.ctx.restore();
+    }
+
+    /**
+     * Returns the size of the image the annotations are drawn on.
+     * This is the canvas size, or the full-resolution size of the tiled image if a tile source is set.
+     *
+     * @return {Object} An object with the 'width' and 'height' of the image.
+     */
+    getImageSize() {
+        if (this.tileSource) {
+            return { width: this.tileSource.width, height: this.tileSource.height };
+        }
+        return { width: this.canvas.width, height: this.canvas.height };
+    }
+
+    /**
+     * Makes a registered class the one that new annotations are drawn with, see AnnotationModel.setActiveClass().
+     * If the class has a 'shape', the drawing mode is switched to it.
+     *
+     * @param {Number|string} classId - The ID of the class to activate.
+     * @return {void} This function does not return anything.
+     * @throws {Error} If no class with this ID is registered.
+     */
+    setActiveClass(classId) {
+        var item = this.getClass(classId);
+        if (item && item.shape && item.shape !== this.drawingMode) {
+            this.setDrawingMode(item.shape);
+        }
+        super.setActiveClass(classId);
+    }
+
+    /**
+     * Turns the review mode on or off. In review mode, annotations can be hovered, selected and reviewed
+     * (see setReviewStatus()), but nothing can be drawn and the geometry cannot be edited. The keys of
+     * REVIEW_HOTKEYS review the hovered (or else the selected) annotation, and NEXT_UNREVIEWED_HOTKEY goes to the
+     * next unreviewed annotation. Turning the review mode on discards a polygon that is being drawn.
+     *
+     * @param {boolean} enabled - True to turn the review mode on, false to turn it off.
+     * @return {void} This function does not return anything.
+     */
+    setReviewMode(enabled) {
+        this.reviewMode = !!enabled;
+        if (this.reviewMode) {
+            this.cancelPolygon();
         }
-        // Right-middle handle
-        if (
-            x >= startX + width - Annotate.HANDLE_SIZE &&
-            x <= startX + width + Annotate.HANDLE_SIZE &&
-            y >= startY + height / 2 - Annotate.HANDLE_SIZE &&
-            y <= startY + height / 2 + Annotate.HANDLE_SIZE
-        ) {
-            return "right-middle";
+        if (this.hoveredHandle) {
+            // The handles of the hovered annotation disappear
+            this.setHover(this.hoveredAnnotation, null);
         }
-        return null;
+        this.redraw();
     }
 
     /**
-     * Adjusts the zoom level of the canvas based on the number of 'clicks'.
-     * A 'click' represents a discrete zoom in or out action, typically triggered by a mouse wheel movement.
-     * The function calculates the new zoom level based on a predefined scale factor and applies it if within
-     * allowed zoom boundaries. It ensures that the zooming is centered around the current mouse position.
+     * Checks whether an annotation can be moved, resized, reshaped and deleted with the pointer and the keyboard.
+     * Predictions cannot be edited before they are accepted, no annotation can be edited in review mode, and
+     * annotations that another user is dragging are locked (see AnnotationCollaboration).
      *
-     * @param {number} clicks - The number of zoom 'clicks'. Positive values zoom in, negative values zoom out.
+     * @param {Object} annotation - The annotation object.
+     * @return {boolean} True if the annotation can be edited.
      */
-    zoom = (clicks) => {
-        var pt = this.ctx.transformedPoint(this.lastX, this.lastY);
-        this.ctx.translate(pt.x, pt.y);
-        var factor = Math.pow(Annotate.SCALE_FACTOR, clicks);
-
-        // Calculate the potential next zoom level
-        var currentScaleX = this.ctx.getTransform().a;
-        var currentScaleY = this.ctx.getTransform().d;
-        var potentialScaleX = currentScaleX * factor;
-        var potentialScaleY = currentScaleY * factor;
+    isEditable(annotation) {
+        return (
+            !this.reviewMode &&
+            !this.isPrediction(annotation) &&
+            !(this.collaboration && this.collaboration.isLocked(annotation))
+        );
+    }
 
-        // Check if the potential zoom level is within the defined limits
-        if (
-            potentialScaleX > Annotate.MIN_ZOOM &&
-            potentialScaleX < Annotate.MAX_ZOOM &&
-            potentialScaleY > Annotate.MIN_ZOOM &&
-            potentialScaleY < Annotate.MAX_ZOOM
-        ) {
-            this.ctx.scale(factor, factor);
+    /**
+     * Returns the annotation that is being moved, resized or reshaped with the pointer.
+     *
+     * @return {Object|null} The annotation being edited, or null.
+     */
+    getEditedAnnotation() {
+        if (this.isMoving) {
+            return this.movingAnnotation;
         }
-
-        this.ctx.translate(-pt.x, -pt.y);
-        this.redraw();
-    };
+        return this.isResizing ? this.hoveredAnnotation : null;
+    }
 
     /**
-     * Handles the scroll event on the canvas for zooming purposes.
-     * This function calculates the zoom direction and magnitude based on the scroll event delta and calls the `zoom` method.
-     * It normalizes the scroll delta to ensure consistent behavior across different browsers. The function also prevents
-     * the default scroll action to avoid scrolling the entire page instead of zooming the canvas.
+     * Selects the next annotation without a review status (see findNextUnreviewed()) and zooms to it.
      *
-     * @param {Event} evt - The scroll event triggered by user interaction with the mouse wheel or trackpad.
-     * @return {boolean} Returns false to prevent the default scroll behavior.
+     * @param {Object} [options] - The options of zoomToAnnotation(), e.g. 'animate'.
+     * @return {Object|null} The selected annotation, or null if every annotation was reviewed.
      */
-    handleScroll = (evt) => {
-        var delta = evt.wheelDelta ? evt.wheelDelta / 40 : evt.detail ? -evt.detail : 0;
-        if (delta) this.zoom(delta);
-        return evt.preventDefault() && false;
-    };
+    goToNextUnreviewed(options = {}) {
+        var annotation = this.findNextUnreviewed();
+        if (annotation) {
+            this.select(annotation);
+            this.zoomToAnnotation(annotation, Annotate.ZOOM_TO_ANNOTATION_PADDING, options);
+        }
+        return annotation;
+    }
 
     /**
-     * Enhances the canvas context by tracking transformations like scaling, rotation, and translation.
-     * This method overrides several canvas context methods (save, restore, scale, rotate, translate, transform, and setTransform)
-     * to maintain a record of transformations applied to the canvas. This is useful for operations like zooming and dragging,
-     * where an understanding of the transformed state is necessary. It also adds a 'transformedPoint' method to the context
-     * for converting coordinates in the transformed space.
+     * Enables or disables the built-in popover that edits the attributes of the selected annotation.
+     * The popover opens when an annotation of a class with attributes is selected.
+     *
+     * @param {boolean} enabled - True to enable the popover, false to remove it.
+     * @param {HTMLElement} [container] - The element the popover is added to, document.body by default.
+     * @return {void} This function does not return anything.
      */
-    trackTransforms() {
-        // Create an SVG matrix to keep track of transformations
-        var svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
-        var xform = svg.createSVGMatrix();
-
-        // Override the getTransform method to return the current transformation matrix
-        this.ctx.getTransform = function () {
-            return xform;
-        };
+    setAttributeEditor(enabled, container) {
+        if (this.attributeEditor) {
+            this.attributeEditor.destroy();
+            this.attributeEditor = null;
+        }
+        if (enabled) {
+            this.attributeEditor = new AnnotationAttributeEditor(this, container);
+            this.attributeEditor.open(this.selectedAnnotation);
+        }
+    }
 
-        // Store the original transformations to restore later
-        var savedTransforms = [];
-        var save = this.ctx.save;
+    /**
+     * Announces applied changes with the matching event (e.g. 'annotation:update'), see
+     * AnnotationModel.notifyChange(), and with the 'annotationChanged' document event.
+     *
+     * @param {string} kind - The kind of change: "create", "update" or "delete".
+     * @param {Object[]} changes - The changes, see getChangeDetail(). Nothing is announced if it is empty.
+     * @param {string} reason - What caused the change.
+     * @return {void} This function does not return anything.
+     */
+    notifyChange(kind, changes, reason) {
+        super.notifyChange(kind, changes, reason);
+        if (changes.length > 0) {
+            this.dispatchAnnotationChangeEvent({
+                type: "annotation:" + kind,
+                target: this,
+                ...this.getChangeDetail(changes, reason),
+            });
+        }
+    }
 
-        // Override the save method to include the current transformation matrix
-        this.ctx.save = () => {
-            savedTransforms.push(xform.translate(0, 0));
-            return save.call(this.ctx);
-        };
+    /**
+     * Updates the canvas after annotations were added or removed as a whole, see AnnotationModel.refresh().
+     * Hover references to annotations that are no longer part of the annotations array or no longer displayed
+     * (e.g. predictions below a raised confidence threshold) are cleared.
+     *
+     * @return {void} This function does not return anything.
+     */
+    refresh() {
+        if (
+            this.hoveredAnnotation &&
+            (!this.annotations.includes(this.hoveredAnnotation) || !this.isDisplayed(this.hoveredAnnotation))
+        ) {
+            this.clearHover();
+        }
+        super.refresh();
+    }
 
-        // Override the restore method to revert to the last saved transformation
-        var restore = this.ctx.restore;
-        this.ctx.restore = () => {
-            xform = savedTransforms.pop();
-            return restore.call(this.ctx);
-        };
+    /**
+     * Sets the hovered annotation and handle, and emits 'hover:change' if either of them changed.
+     *
+     * @param {Object|null} annotation - The hovered annotation, or null.
+     * @param {string|null} handle - The hovered handle of the annotation, or null.
+     * @return {boolean} True if the hovered annotation or handle changed.
+     */
+    setHover(annotation, handle) {
+        var previous = this.hoveredAnnotation;
+        var previousHandle = this.hoveredHandle;
+        this.hoveredAnnotation = annotation;
+        this.hoveredHandle = handle;
+        if (annotation === previous && handle === previousHandle) {
+            return false;
+        }
+        this.events.emit("hover:change", {
+            annotation: annotation,
+            handle: handle,
+            previous: previous,
+            previousHandle: previousHandle,
+        });
+        return true;
+    }
 
-        // Override the scale method to update the transformation matrix
-        var scale = this.ctx.scale;
-        this.ctx.scale = (sx, sy) => {
-            xform = xform.scaleNonUniform(sx, sy);
-            return scale.call(this.ctx, sx, sy);
-        };
+    /**
+     * Clears the reference to the hovered annotation and handle, and the 'selected' flag of the annotation.
+     *
+     * @return {void} This function does not return anything.
+     */
+    clearHover() {
+        if (this.hoveredAnnotation) {
+            this.hoveredAnnotation.selected = false;
+        }
+        this.setHover(null, null);
+    }
 
-        // Override the rotate method to update the transformation matrix
-        var rotate = this.ctx.rotate;
-        this.ctx.rotate = (radians) => {
-            xform = xform.rotate((radians * 180) / Math.PI);
-            return rotate.call(this.ctx, radians);
-        };
+    /**
+     * Emits 'viewport:change' if the zoom scale or translation changed since the last call.
+     * Called after every redraw, so that all ways of zooming and panning are covered.
+     *
+     * @return {void} This function does not return anything.
+     */
+    checkViewportChange() {
+        var viewport = this.getViewport();
+        var previous = this.lastViewport;
+        if (viewport.scale !== previous.scale || viewport.x !== previous.x || viewport.y !== previous.y) {
+            this.lastViewport = viewport;
+            this.events.emit("viewport:change", { viewport: viewport, previous: previous });
+        }
+    }
 
-        // Override the translate method to update the transformation matrix
-        var translate = this.ctx.translate;
-        this.ctx.translate = (dx, dy) => {
-            xform = xform.translate(dx, dy);
-            return translate.call(this.ctx, dx, dy);
-        };
+    /**
+     * Sets a tiled image to annotate instead of 'frame', e.g. a whole-slide or satellite image.
+     * The annotation coordinates are full-resolution image coordinates, independent of the canvas size and of
+     * the tiles shown. The canvas keeps its size; set it to the displayed size of the canvas element before.
+     * The view is reset to show the whole image.
+     *
+     * @param {AnnotationTileSource|null} tileSource - The tile source, or null to draw 'frame' again.
+     * @return {void} This function does not return anything.
+     */
+    setTileSource(tileSource) {
+        this.tileSource = tileSource;
+        this.tileCache.clear();
+        this.resetTransform();
+    }
 
-        // Override the transform method to update the transformation matrix
-        var transform = this.ctx.transform;
-        this.ctx.transform = (a, b, c, d, e, f) => {
-            var m2 = svg.createSVGMatrix();
-            m2.a = a;
-            m2.b = b;
-            m2.c = c;
-            m2.d = d;
-            m2.e = e;
-            m2.f = f;
-            xform = xform.multiply(m2);
-            return transform.call(this.ctx, a, b, c, d, e, f);
-        };
+    /**
+     * Replaces the background image. The canvas is resized to the natural size of the image, so that
+     * canvas pixels are image pixels, and the view is reset. A tile source set before is removed.
+     * A polygon that is still being drawn is discarded.
+     *
+     * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} image - The loaded image.
+     * @return {void} This function does not return anything.
+     */
+    setFrame(image) {
+        this.cancelPolygon();
+        this.tileSource = null;
+        this.tileCache.clear();
+        this.frame = image;
+        this.canvas.width = image.naturalWidth || image.width;
+        this.canvas.height = image.naturalHeight || image.height;
+        this.resetTransform();
+    }
 
-        // Override the setTransform method to directly set the transformation matrix
-        var setTransform = this.ctx.setTransform;
-        this.ctx.setTransform = (a, b, c, d, e, f) => {
-            xform.a = a;
-            xform.b = b;
-            xform.c = c;
-            xform.d = d;
-            xform.e = e;
-            xform.f = f;
-            return setTransform.call(this.ctx, a, b, c, d, e, f);
-        };
+    /**
+     * Changes how the background frame is shown: brightness, contrast, gamma, inversion, grayscale, a single color
+     * channel and auto-levels, see AnnotationImageAdjustments. The adjustments are merged into the current ones and
+     * kept when the frame is replaced. They only change the display: the annotations, their coordinates and all
+     * exports stay the same. Tiled images are shown unadjusted.
+     *
+     * @example
+     * annotate.setImageAdjustments({ brightness: 0.2, gamma: 1.5 });
+     * annotate.setImageAdjustments({ channel: "red" }); // Keeps the brightness and gamma
+     * annotate.setImageAdjustments(null); // Back to the original image
+     *
+     * @param {Object|null} adjustments - The adjustments to change, or null to reset all of them.
+     * @return {void} This function does not return anything.
+     * @throws {Error} If an adjustment is unknown or has an invalid value.
+     */
+    setImageAdjustments(adjustments) {
+        this.imageAdjustments = adjustments
+            ? AnnotationImageAdjustments.normalize(adjustments, this.imageAdjustments)
+            : AnnotationImageAdjustments.DEFAULTS;
+        this.redraw();
+    }
 
-        // Create an SVG point used for transforming points in the canvas
-        var pt = svg.createSVGPoint();
+    /**
+     * @return {Object} A copy of the current image adjustments.
+     */
+    getImageAdjustments() {
+        return { ...this.imageAdjustments };
+    }
 
-        // Add a method to transform a point using the current transformation matrix
-        this.ctx.transformedPoint = (x, y) => {
-            pt.x = x;
-            pt.y = y;
-            return pt.matrixTransform(xform.inverse());
-        };
+    /**
+     * Returns the background frame as it is drawn. With image adjustments, the pixels of the frame are adjusted
+     * once into a canvas of its natural size, which is reused until the frame, its source or the adjustments change,
+     * so redraws (e.g. on every pointer move) only copy it. The pixels of images from other origins cannot be read
+     * without CORS, so they are shown unadjusted.
+     *
+     * @return {HTMLImageElement|HTMLCanvasElement|ImageBitmap|OffscreenCanvas} The frame to draw.
+     */
+    getDisplayFrame() {
+        var frame = this.frame;
+        var width = frame.naturalWidth || frame.videoWidth || frame.width;
+        var height = frame.naturalHeight || frame.videoHeight || frame.height;
+        if (
+            AnnotationImageAdjustments.isIdentity(this.imageAdjustments) ||
+            frame.complete === false ||
+            !width ||
+            !height
+        ) {
+            return frame;
+        }
+        var key = JSON.stringify([frame.currentSrc || frame.src || null, width, height, this.imageAdjustments]);
+        if (!this.adjustedFrame || this.adjustedFrame.frame !== frame || this.adjustedFrame.key !== key) {
+            this.adjustedFrame = { frame: frame, key: key, canvas: null };
+            try {
+                var canvas = this.createCanvas(width, height);
+                var ctx = canvas.getContext("2d");
+                ctx.drawImage(frame, 0, 0, width, height);
+                var imageData = ctx.getImageData(0, 0, width, height);
+                ctx.putImageData(AnnotationImageAdjustments.apply(imageData, this.imageAdjustments), 0, 0);
+                this.adjustedFrame.canvas = canvas;
+            } catch (error) {
+                // The canvas is tainted by a cross-origin image, keep showing the frame as it is
+                console.warn("The image adjustments cannot be applied to this image:", error);
+            }
+        }
+        return this.adjustedFrame.canvas || frame;
     }
 
     /**
-     * Sets the cursor style on the canvas based on the specified handle.
-     * The cursor style indicates the type of resizing operation that can be performed (e.g., diagonal, horizontal, vertical resizing).
-     * This visual cue helps users understand how they can interact with the annotation handles.
+     * Draws the tiles of the tiled image that cover the visible area, at the level that matches the zoom scale.
+     * Tiles that are not loaded yet are requested, and replaced by the tiles of a lower level in the meantime.
      *
-     * @param {string} handle - The handle identifier which determines the cursor style.
-     *                          Possible values are 'top-left', 'bottom-right', 'top-right', 'bottom-left',
-     *                          'top-middle', 'bottom-middle', 'left-middle', 'right-middle'.
+     * @param {Object} topLeft - The top-left corner of the visible area, in image coordinates.
+     * @param {Object} bottomRight - The bottom-right corner of the visible area, in image coordinates.
+     * @return {void} This function does not return anything.
      */
-    setCursor(handle) {
-        switch (handle) {
-            case "top-left":
-            case "bottom-right":
-                // Set the cursor for diagonal resizing (north-west/south-east)
-                this.canvas.style.cursor = "nwse-resize";
-                break;
-            case "top-right":
-            case "bottom-left":
-                // Set the cursor for diagonal resizing (north-east/south-west)
-                this.canvas.style.cursor = "nesw-resize";
-                break;
-            case "top-middle":
-            case "bottom-middle":
-                // Set the cursor for vertical resizing (north/south)
-                this.canvas.style.cursor = "ns-resize";
-                break;
-            case "left-middle":
-            case "right-middle":
-                // Set the cursor for horizontal resizing (east/west)
-                this.canvas.style.cursor = "ew-resize";
-                break;
+    drawTiles(topLeft, bottomRight) {
+        var source = this.tileSource;
+        var bounds = { minX: topLeft.x, minY: topLeft.y, maxX: bottomRight.x, maxY: bottomRight.y };
+        if (bounds.maxX < 0 || bounds.maxY < 0 || bounds.minX > source.width || bounds.minY > source.height) {
+            return;
+        }
+        var level = source.getLevelForScale(this.ctx.getTransform().a);
+        var range = source.getTileRange(level, bounds);
+        var loaded = [];
+        var fallbacks = new Map();
+
+        for (var column = range.minColumn; column <= range.maxColumn; column++) {
+            for (var row = range.minRow; row <= range.maxRow; row++) {
+                var tile = this.requestTile(level, column, row);
+                if (tile.image) {
+                    loaded.push(tile);
+                    continue;
+                }
+                // Look for a loaded tile of a lower level that covers the missing one
+                for (var lower = level - 1; lower >= source.minLevel; lower--) {
+                    var shift = level - lower;
+                    var key = lower + "/" + (column >> shift) + "/" + (row >> shift);
+                    var parent = this.tileCache.get(key);
+                    if (parent && parent.image) {
+                        fallbacks.set(key, parent);
+                        break;
+                    }
+                }
+            }
+        }
+
+        // Lower levels first, so that the tiles of the current level are drawn on top of them
+        var tiles = Array.from(fallbacks.values()).sort((a, b) => a.level - b.level);
+        for (var tile of tiles.concat(loaded)) {
+            var rect = source.getTileRect(tile.level, tile.column, tile.row);
+            this.ctx.drawImage(tile.image, rect.x, rect.y, rect.width, rect.height);
         }
     }
 
     /**
-     * Draws an annotation on the canvas.
-     * The function fills the annotation's area with a semi-transparent color and outlines it with a solid border.
-     * The color of the fill and border is taken from the annotation object, defaulting to red if not specified.
+     * Returns a tile of the tiled image from the tile cache, and starts loading it if it is not cached.
+     * A redraw is scheduled once the tile is loaded.
      *
-     * @param {Object} annotation - The annotation object to be drawn.
-     *                              It must have 'start' and 'end' properties defining the coordinates,
-     *                              and an 'annotationColor' property for the color.
+     * @param {number} level - The level of the tile.
+     * @param {number} column - The column of the tile.
+     * @param {number} row - The row of the tile.
+     * @return {Object} The cached tile, with 'level', 'column', 'row', and 'image' once it is loaded
+     *                  (or 'error' if loading failed).
      */
-    drawAnnotation(annotation) {
-        // Fill the rectangle with a semi-transparent color
-        // The color is taken from the annotation object, defaulting to semi-transparent red if not specified.
-        this.ctx.fillStyle =
-            annotation.annotationColor + this.transparency || Annotate.DEFAULT_COLOR + this.transparency;
-        this.ctx.fillRect(
-            annotation.start.x,
-            annotation.start.y,
-            annotation.end.x - annotation.start.x,
-            annotation.end.y - annotation.start.y
-        );
+    requestTile(level, column, row) {
+        var key = level + "/" + column + "/" + row;
+        var tile = this.tileCache.get(key);
+        if (tile) {
+            return tile;
+        }
 
-        // Draw the border with a solid color
-        // The border color is the same as the fill but fully opaque.
-        this.ctx.strokeStyle = annotation.annotationColor || Annotate.DEFAULT_COLOR;
-        this.ctx.lineWidth = 4; // Set the border thickness
-        this.ctx.strokeRect(
-            annotation.start.x,
-            annotation.start.y,
-            annotation.end.x - annotation.start.x,
-            annotation.end.y - annotation.start.y
+        tile = { level: level, column: column, row: row, image: null, error: null };
+        this.tileCache.set(key, tile);
+        var source = this.tileSource;
+        source.loadTile(level, column, row).then(
+            (image) => {
+                tile.image = image;
+                if (tile.released) {
+                    // The tile was dropped from the cache while it was loading
+                    this.tileCache.release(tile);
+                } else if (this.tileSource === source) {
+                    this.scheduleRedraw();
+                }
+            },
+            (error) => {
+                // Failed tiles are not requested again until they are dropped from the cache
+                tile.error = error;
+            }
         );
+        return tile;
     }
 
     /**
-     * Removes all annotations from the canvas.
-     * This function clears the internal annotations array and then calls the redraw method to update the canvas display.
-     * It effectively erases all drawn annotations, leaving the canvas blank or displaying only non-annotation graphics.
+     * Redraws the canvas in the next animation frame. Multiple calls before that result in a single redraw.
+     *
+     * @return {void} This function does not return anything.
      */
-    removeAnnotations() {
-        // Clear the annotations array
-        this.annotations = [];
-
-        // Redraw the canvas to reflect the removal of annotations
-        // This ensures that the canvas display is updated to show no annotations.
-        this.redraw();
+    scheduleRedraw() {
+        if (this.redrawScheduled) {
+            return;
+        }
+        this.redrawScheduled = true;
+        var schedule = typeof requestAnimationFrame === "function" ? requestAnimationFrame : setTimeout;
+        schedule(() => {
+            this.redrawScheduled = false;
+            this.redraw();
+        });
     }
 
     /**
@@ -844,33 +10651,59 @@ class Annotate {
      * and sets it to the annotation's color otherwise.
      *
      * @param {string} handleName - The name of the handle for which the color is being set.
+     * @param {Object} annotation - The annotation the handle belongs to.
      */
-    setHandleColor(handleName) {
+    setHandleColor(handleName, annotation) {
         // Set the fill color for the handle
         // If the handle is the one being hovered over, set its color to red.
-        // Otherwise, use the color of the hovered annotation.
-        this.ctx.fillStyle =
-            this.hoveredHandle === handleName ? Annotate.DEFAULT_COLOR : this.hoveredAnnotation.annotationColor;
+        // Otherwise, use the color of the annotation.
+        this.ctx.fillStyle = this.hoveredHandle === handleName ? Annotate.DEFAULT_COLOR : annotation.annotationColor;
     }
 
     /**
-     * Draws a handle on the canvas at the specified coordinates.
+     * Draws a handle on the canvas, centered on the specified coordinates.
      * The size of the handle is adjusted based on whether it is currently being hovered over.
      * If the handle is being hovered over, it is drawn slightly larger for visual emphasis.
+     * Handles have the same size on the screen at any zoom level.
      *
      * @param {string} handleName - The name of the handle being drawn.
-     * @param {number} x - The x-coordinate on the canvas where the handle's top-left corner should be drawn.
-     * @param {number} y - The y-coordinate on the canvas where the handle's top-left corner should be drawn.
+     * @param {number} x - The x-coordinate on the canvas of the center of the handle.
+     * @param {number} y - The y-coordinate on the canvas of the center of the handle.
      */
     drawHandle(handleName, x, y) {
-        // Check if the current handle is being hovered over
-        if (this.hoveredHandle === handleName) {
-            // Draw a larger handle (40x40 px) for the hovered handle for emphasis
-            this.ctx.fillRect(x - 5, y - 5, this.handleDrawingSizeHovered, this.handleDrawingSizeHovered);
-        } else {
-            // Draw a regular handle (30x30 px) for non-hovered handles
-            this.ctx.fillRect(x, y, this.handleDrawingSize, this.handleDrawingSize);
+        // Draw a larger handle for the hovered handle for emphasis
+        var size =
+            (this.hoveredHandle === handleName ? this.handleDrawingSizeHovered : this.handleDrawingSize) *
+            this.getScreenPixelSize();
+        this.ctx.fillRect(x - size / 2, y - size / 2, size, size);
+    }
+
+    /**
+     * Returns the positions of the handles of an annotation, see isHoveringOverHandle().
+     *
+     * @param {Object} annotation - The annotation object.
+     * @return {Object} The handle positions, by handle name.
+     */
+    getHandlePositions(annotation) {
+        if (this.isPolygon(annotation)) {
+            return Object.fromEntries(annotation.points.map((p, i) => ["vertex-" + i, p]));
+        }
+        if (this.isRotated(annotation)) {
+            return this.getRotatedHandles(annotation);
         }
+        var { startX, startY, endX, endY } = this.getAnnotationDimensions(annotation);
+        var middleX = (startX + endX) / 2;
+        var middleY = (startY + endY) / 2;
+        return {
+            "top-left": { x: startX, y: startY },
+            "top-right": { x: endX, y: startY },
+            "bottom-left": { x: startX, y: endY },
+            "bottom-right": { x: endX, y: endY },
+            "top-middle": { x: middleX, y: startY },
+            "bottom-middle": { x: middleX, y: endY },
+            "left-middle": { x: startX, y: middleY },
+            "right-middle": { x: endX, y: middleY },
+        };
     }
 
     /**
@@ -889,57 +10722,67 @@ class Annotate {
         var p2 = this.ctx.transformedPoint(this.canvas.width, this.canvas.height);
         this.ctx.clearRect(p1.x, p1.y, p2.x - p1.x, p2.y - p1.y);
 
-        // Redraw the background frame
-        this.ctx.drawImage(this.frame, 0, 0, this.canvas.width, this.canvas.height);
-
-        // Iterate through all annotations to redraw them
-        for (var annotation of this.annotations.reverse()) {
-            if (annotation.start && annotation.end && annotation.state != "deleted") {
-                var { startX, startY, width, height } = this.getAnnotationDimensions(annotation);
-
-                // Draw the annotation
-                this.drawAnnotation(annotation);
-
-                // Draw the annotation's name if the flag is set
-                if (this.shouldShowAnnotations) {
-                    this.drawAnnotationName(annotation, startX, startY);
-                }
-
-                if (annotation.selected) {
-                    // Top-left handle
-                    this.setHandleColor("top-left");
-                    this.drawHandle("top-left", startX - 25, startY - 25);
-
-                    // Top-right handle
-                    this.setHandleColor("top-right");
-                    this.drawHandle("top-right", startX + width - 5, startY - 25);
+        // Redraw the background frame, or the visible tiles of a tiled image
+        if (this.tileSource) {
+            this.drawTiles(p1, p2);
+        } else if (this.frame) {
+            this.ctx.drawImage(this.getDisplayFrame(), 0, 0, this.canvas.width, this.canvas.height);
+        }
 
-                    // Bottom-left handle
-                    this.setHandleColor("bottom-left");
-                    this.drawHandle("bottom-left", startX - 25, startY + height - 5);
+        // Redraw the annotations within the visible area, bottom to top in stacking order, on top of the masks
+        var visibleAnnotations = this.getVisibleAnnotations(p1, p2);
+        var drawnAnnotations = visibleAnnotations.filter(
+            (annotation) => annotation.start && annotation.end && this.isDisplayed(annotation)
+        );
+        this.drawMasks(drawnAnnotations);
+        drawnAnnotations.forEach((annotation) => this.drawAnnotation(annotation));
 
-                    // Bottom-right handle
-                    this.setHandleColor("bottom-right");
-                    this.drawHandle("bottom-right", startX + width - 5, startY + height - 5);
+        // Draw the labels of the annotations if the flag is set, on top of all annotations
+        if (this.shouldShowAnnotations) {
+            this.drawLabels(drawnAnnotations, p1, p2);
+        }
 
-                    // Top-middle handle
-                    this.setHandleColor("top-middle");
-                    this.drawHandle("top-middle", startX + width / 2 - 5, startY - 25);
+        for (var annotation of drawnAnnotations) {
+            // Only editable annotations have handles, see isEditable(). Masks are edited with the mask tools.
+            if (!annotation.selected || !this.isEditable(annotation) || this.isMask(annotation)) {
+                continue;
+            }
+            if (this.isRotated(annotation)) {
+                // The rotation handle of a rotated box is connected to the middle of the top edge
+                var rotated = this.getRotatedHandles(annotation);
+                this.ctx.strokeStyle = annotation.annotationColor || Annotate.DEFAULT_COLOR;
+                this.ctx.lineWidth = this.getScreenPixelSize();
+                this.ctx.beginPath();
+                this.ctx.moveTo(rotated["top-middle"].x, rotated["top-middle"].y);
+                this.ctx.lineTo(rotated.rotate.x, rotated.rotate.y);
+                this.ctx.stroke();
+            }
 
-                    // Bottom-middle handle
-                    this.setHandleColor("bottom-middle");
-                    this.drawHandle("bottom-middle", startX + width / 2 - 5, startY + height - 5);
+            // Handles are centered on the vertices of polygons, and on the corners and the middles of the
+            // edges of boxes
+            for (var [name, position] of Object.entries(this.getHandlePositions(annotation))) {
+                this.setHandleColor(name, annotation);
+                this.drawHandle(name, position.x, position.y);
+            }
+        }
 
-                    // Left-middle handle
-                    this.setHandleColor("left-middle");
-                    this.drawHandle("left-middle", startX - 25, startY + height / 2 - 5);
+        // Preview the polygon or the annotation being drawn
+        if (this.polygonDraft && this.drawingCursor) {
+            this.drawPolygonDraft(this.drawingCursor);
+        }
+        if (this.isDrawingAnnotation && this.drawingCursor) {
+            this.drawAnnotation(this.getDrawingPreview());
+        }
 
-                    // Right-middle handle
-                    this.setHandleColor("right-middle");
-                    this.drawHandle("right-middle", startX + width - 5, startY + height / 2 - 5);
-                }
-            }
+        this.drawSnapGuides(p1, p2);
+        this.drawBrushOutline();
+        if (this.collaboration) {
+            this.drawCollaborators();
         }
+        this.drawCrosshair(p1, p2);
+        this.drawLoupe();
+        this.checkViewportChange();
+        this.updateCursor();
     }
 
     /**
@@ -947,10 +10790,18 @@ class Annotate {
      * This can be used to notify other parts of the application that the annotations have been modified,
      * such as adding, deleting, or editing an annotation. The event can be listened for by other components
      * or scripts that need to react to changes in the canvas annotations.
+     * Prefer the events of the instance (see on()), which tell which instance changed and what changed.
+     *
+     * @param {Object} detail - The change, as passed to the 'annotation:*' listeners. Available as 'event.detail'.
      */
-    dispatchAnnotationChangeEvent() {
+    dispatchAnnotationChangeEvent(detail) {
+        if (typeof document === "undefined") {
+            // Without a DOM (e.g. an OffscreenCanvas in a worker), there is no document to dispatch to
+            return;
+        }
+
         // Create a new event with the type 'annotationChanged'
-        const event = new Event("annotationChanged");
+        const event = new CustomEvent("annotationChanged", { detail: detail });
 
         // Dispatch the event on the document, making it available to any listeners
         document.dispatchEvent(event);
@@ -959,15 +10810,57 @@ class Annotate {
     /**
      * Resets the transformation matrix of the canvas context to the identity matrix.
      * This effectively removes any scaling, rotation, and translation transformations that have been applied.
+     * With a tile source, the whole image is fitted into the canvas and centered instead.
      * After resetting the transformation, it calls the redraw method to update the canvas display
      * with the new (reset) transformation state.
      */
     resetTransform() {
-        // Reset the transformation matrix to the identity matrix
-        // The parameters (1, 0, 0, 1, 0, 0) correspond to the default state with no scaling, rotation, or translation
-        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        if (this.tileSource) {
+            // Fit the whole tiled image into the canvas
+            var image = this.getImageSize();
+            var scale = this.getBaseScale();
+            this.ctx.setTransform(
+                scale,
+                0,
+                0,
+                scale,
+                (this.canvas.width - image.width * scale) / 2,
+                (this.canvas.height - image.height * scale) / 2
+            );
+        } else {
+            // Reset the transformation matrix to the identity matrix
+            // The parameters (1, 0, 0, 1, 0, 0) correspond to the default state with no scaling, rotation, or translation
+            this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        }
 
         // Redraw the canvas to reflect the reset transformation state
         this.redraw();
     }
 }
+
+// In Node.js and with bundlers, the classes are exported as a CommonJS module. In the browser they are globals.
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        Annotate,
+        AnnotationModel,
+        AnnotationGeometry,
+        AnnotationMask,
+        AnnotationImageAdjustments,
+        AnnotationMatrix,
+        AnnotationHistory,
+        AnnotationFormatError,
+        AnnotationFormats,
+        AnnotationMemoryAdapter,
+        AnnotationRestAdapter,
+        AnnotationSpatialIndex,
+        AnnotationTileSource,
+        AnnotationTileCache,
+        AnnotationEmitter,
+        AnnotationAttributeEditor,
+        AnnotationSession,
+        AnnotationTimeline,
+        AnnotationCollaboration,
+        AnnotationLoopbackTransport,
+        AnnotationWebSocketTransport,
+    };
+}